@@ -0,0 +1,19 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script'
+  },
+  extends: 'eslint:recommended',
+  ignorePatterns: ['node_modules/', 'coverage/'],
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      env: { jest: true }
+    }
+  ]
+};
@@ -0,0 +1,540 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Airdrop Script
+ *
+ * This script pays out the Community distribution bucket ("Community rewards and airdrops")
+ * to the wallets listed in a CSV of wallet,amount pairs (see lib/airdrop.js for the format).
+ *
+ * The tokens are transferred from the Community bucket's recipient, whose keyfile signs every
+ * transfer; the main keypair pays the fees and the rent of the recipients' token accounts,
+ * which are created when they do not exist yet. Transfers are packed into as few
+ * transactions as fit in the transaction size limit.
+ *
+ * Every transfer is recorded in the airdrop ledger, deployments/airdrop-ledger-<list>-<network>.json,
+ * before its transaction is broadcast and again once it confirms. Running the same list again
+ * settles the transactions a crashed run left unconfirmed from the chain and pays only the
+ * wallets the ledger does not show as paid, so no wallet is paid twice.
+ *
+ * Usage: glowmin airdrop --file <csv> [options] (or node airdrop.js --file <csv> [options])
+ * Options:
+ *   --file <path>          Airdrop list, one wallet,amount pair per line, amounts in whole tokens
+ *   --ledger <path>        Airdrop ledger (default: deployments/airdrop-ledger-<list>-<network>.json)
+ *   --mint <address>       Mint to airdrop (default: the mint in the deployment manifest)
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --dry-run             Show the totals and simulate the first transaction without sending anything
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ */
+
+const path = require('path');
+const {
+  PublicKey,
+  ComputeBudgetProgram,
+  TransactionMessage,
+  PACKET_DATA_SIZE
+} = require('@solana/web3.js');
+const {
+  getMint,
+  getTransferFeeConfig,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const { parseAmount, formatAmount } = require('./lib/amount');
+const { GlowMinError, NetworkError, InsufficientFundsError } = require('./lib/errors');
+const {
+  readConfigFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  writeDeploymentRecord
+} = require('./lib/core');
+const { getTokenSettings } = require('./lib/token-program');
+const {
+  COMMUNITY_BUCKET,
+  COMMUNITY_KEYPAIR_FILE,
+  readAirdropList,
+  getCommunitySource,
+  AirdropLedger
+} = require('./lib/airdrop');
+const { DeploymentManifest } = require('./lib/manifest');
+const { TransactionSimulator, transactionSize } = require('./lib/simulation');
+const { MAX_COMPUTE_UNITS, TransactionSender, getSendSettings } = require('./lib/sender');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const KEYPAIR_FILES = {
+  main: 'main-keypair.json',
+  // The Community bucket's recipient, which holds the tokens to airdrop
+  community: COMMUNITY_KEYPAIR_FILE
+};
+
+// getMultipleAccountsInfo takes at most 100 addresses, getSignatureStatuses 256
+const ACCOUNTS_PER_REQUEST = 100;
+const SIGNATURES_PER_REQUEST = 256;
+
+// Stand-ins for the compute budget instructions the sender adds, so packed transactions leave room for them
+const BUDGET_PLACEHOLDERS = [
+  ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+  ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1000000 })
+];
+
+function chunk(list, size) {
+  return Array.from({ length: Math.ceil(list.length / size) }, (_, index) => list.slice(index * size, (index + 1) * size));
+}
+
+class AirdropDistributor {
+  /**
+   * Options: config or configPath, keypairDir, deploymentsDir, rpcUrl and wsUrl, an
+   * injected connection, signers ({ main, community }) to use instead of the keyfiles,
+   * mint to use instead of the mint in the deployment manifest, and ledgerPath to use
+   * instead of the default ledger of the list.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, keypairDir = KEYPAIR_DIR, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || readConfigFile(configPath);
+    this.token = getTokenSettings(this.config);
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.keypairs = this.loadKeypairs(options.signers);
+    this.manifest = new DeploymentManifest(this.deploymentsDir, this.network);
+    this.mint = options.mint || null;
+    this.ledgerPath = options.ledgerPath || null;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  loadKeypairs(signers) {
+    const keypairs = loadKeypairFiles(this.keypairDir, KEYPAIR_FILES, signers);
+
+    if (this.verbose) {
+      console.log('✅ Keypairs loaded successfully');
+      Object.keys(keypairs).forEach(key => {
+        console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
+      });
+    }
+
+    return keypairs;
+  }
+
+  async checkNetworkHealth() {
+    try {
+      const version = await this.connection.getVersion();
+      const slot = await this.connection.getSlot();
+
+      if (this.verbose) {
+        console.log('✅ Network health check passed');
+        console.log(`   Solana Version: ${version['solana-core']}`);
+        console.log(`   Current Slot: ${slot}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Network health check failed:', error.message);
+      return false;
+    }
+  }
+
+  formatTokens(amount) {
+    return formatAmount(amount, this.config.token.decimals, this.config.token.symbol);
+  }
+
+  getMint() {
+    return this.mint || this.manifest.requireMint();
+  }
+
+  getPayer() {
+    return this.keypairs.main.publicKey;
+  }
+
+  getSource() {
+    return getCommunitySource(this.config, this.keypairs);
+  }
+
+  readList(filePath) {
+    const { recipients, duplicates } = readAirdropList(filePath, this.config.token.decimals);
+
+    duplicates.forEach(duplicate => {
+      console.log(`⚠️  ${path.basename(filePath)} line ${duplicate.line}: ${duplicate.wallet} is already listed on line ${duplicate.firstLine}, skipping`);
+    });
+
+    return { recipients, duplicates };
+  }
+
+  /**
+   * Settles the transfers a previous run left pending: those whose
+   * transaction confirmed are marked paid, those whose transaction failed or
+   * expired without landing are released to be sent again. A transaction
+   * that can still land stops the run.
+   */
+  async reconcilePending(ledger) {
+    const batches = new Map();
+    ledger.entries()
+      .filter(([, entry]) => entry.status === 'pending')
+      .forEach(([wallet, entry]) => {
+        const batch = batches.get(entry.signature) || { signature: entry.signature, lastValidBlockHeight: entry.lastValidBlockHeight, transfers: [] };
+        batch.transfers.push({ wallet, amount: parseAmount(entry.amount) });
+        batches.set(entry.signature, batch);
+      });
+
+    if (batches.size === 0) {
+      return;
+    }
+
+    console.log(`🔎 Checking ${batches.size} transaction(s) left unconfirmed by a previous run...`);
+
+    const pending = [...batches.values()];
+    const statuses = [];
+    for (const signatures of chunk(pending.map(batch => batch.signature), SIGNATURES_PER_REQUEST)) {
+      const { value } = await this.connection.getSignatureStatuses(signatures, { searchTransactionHistory: true });
+      statuses.push(...value);
+    }
+    const blockHeight = await this.connection.getBlockHeight();
+
+    const unsettled = [];
+    pending.forEach((batch, index) => {
+      const status = statuses[index];
+
+      if (status?.err) {
+        ledger.release(batch.transfers.map(transfer => transfer.wallet));
+        console.log(`   ❌ ${batch.signature} failed, ${batch.transfers.length} transfer(s) will be sent again`);
+      } else if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+        ledger.markPaid(batch.transfers, batch.signature);
+        console.log(`   ✅ ${batch.signature} confirmed, ${batch.transfers.length} transfer(s) paid`);
+      } else if (!status && blockHeight > batch.lastValidBlockHeight) {
+        ledger.release(batch.transfers.map(transfer => transfer.wallet));
+        console.log(`   ⏭️  ${batch.signature} expired without landing, ${batch.transfers.length} transfer(s) will be sent again`);
+      } else {
+        unsettled.push(batch.signature);
+      }
+    });
+
+    if (unsettled.length > 0) {
+      throw new GlowMinError(
+        `${unsettled.length} transaction(s) from a previous run may still confirm (${unsettled.join(', ')}), rerun the airdrop in a minute`
+      );
+    }
+
+    console.log('');
+  }
+
+  /**
+   * The recipients the ledger does not show as paid. A paid wallet whose
+   * amount has changed in the list stops the run, since the list no longer
+   * describes what was paid.
+   */
+  getUnpaid(recipients, ledger) {
+    const unpaid = [];
+    const changed = [];
+
+    recipients.forEach(recipient => {
+      const entry = ledger.get(recipient.wallet.toBase58());
+
+      if (!entry || entry.status !== 'paid') {
+        unpaid.push(recipient);
+      } else if (parseAmount(entry.amount) !== recipient.amount) {
+        changed.push(`${recipient.wallet.toBase58()} (paid ${this.formatTokens(parseAmount(entry.amount))}, listed ${this.formatTokens(recipient.amount)})`);
+      }
+    });
+
+    if (changed.length > 0) {
+      throw new GlowMinError(`The ledger ${ledger.filePath} paid different amounts to ${changed.length} wallet(s): ${changed.join(', ')}`);
+    }
+
+    return unpaid;
+  }
+
+  // The recipients' associated token accounts, marking those that do not exist yet
+  async findTokenAccounts(recipients, mint) {
+    const transfers = recipients.map(recipient => ({
+      ...recipient,
+      tokenAccount: getAssociatedTokenAddressSync(mint, recipient.wallet, false, this.token.programId),
+      create: false
+    }));
+
+    for (const group of chunk(transfers, ACCOUNTS_PER_REQUEST)) {
+      const accounts = await this.connection.getMultipleAccountsInfo(group.map(transfer => transfer.tokenAccount));
+      group.forEach((transfer, index) => {
+        transfer.create = !accounts[index];
+      });
+    }
+
+    return transfers;
+  }
+
+  buildTransferInstructions(transfer, mint, sourceAccount, decimals) {
+    const source = this.keypairs.community.publicKey;
+    const instructions = [];
+
+    if (transfer.create) {
+      instructions.push(createAssociatedTokenAccountIdempotentInstruction(
+        this.getPayer(), transfer.tokenAccount, transfer.wallet, mint, this.token.programId
+      ));
+    }
+
+    instructions.push(createTransferCheckedInstruction(
+      sourceAccount, mint, transfer.tokenAccount, source, transfer.amount, decimals, [], this.token.programId
+    ));
+
+    return instructions;
+  }
+
+  fits(instructions) {
+    const message = new TransactionMessage({
+      payerKey: this.getPayer(),
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [...BUDGET_PLACEHOLDERS, ...instructions]
+    }).compileToLegacyMessage();
+
+    return transactionSize(message) <= PACKET_DATA_SIZE;
+  }
+
+  // Fills each transaction with as many transfers as fit, in list order
+  packTransfers(transfers, mint, sourceAccount, decimals) {
+    const batches = [];
+    let current = null;
+
+    transfers.forEach(transfer => {
+      const instructions = this.buildTransferInstructions(transfer, mint, sourceAccount, decimals);
+
+      if (current && this.fits([...current.instructions, ...instructions])) {
+        current.instructions.push(...instructions);
+        current.transfers.push(transfer);
+        return;
+      }
+
+      if (!this.fits(instructions)) {
+        throw new GlowMinError(`The transfer to ${transfer.wallet.toBase58()} does not fit in a transaction`);
+      }
+
+      current = { instructions, transfers: [transfer] };
+      batches.push(current);
+    });
+
+    return batches;
+  }
+
+  async checkSourceBalance(sourceAccount, total) {
+    let available = 0n;
+    try {
+      available = parseAmount((await this.connection.getTokenAccountBalance(sourceAccount)).value.amount);
+    } catch (error) {
+      // The community wallet has no token account yet
+    }
+
+    if (available < total) {
+      throw new InsufficientFundsError(
+        `Insufficient ${this.config.token.symbol} balance in ${sourceAccount.toString()}. Required: ${this.formatTokens(total)}, Available: ${this.formatTokens(available)}`,
+        { asset: this.config.token.symbol, required: total, available }
+      );
+    }
+
+    return available;
+  }
+
+  /**
+   * Pays every wallet in the list that the ledger does not show as paid.
+   */
+  async executeAirdrop(filePath, dryRun = false) {
+    console.log('\n🚀 Starting GlowMin airdrop...\n');
+
+    const isHealthy = await this.checkNetworkHealth();
+    if (!isHealthy) {
+      throw new NetworkError('Network health check failed, aborting airdrop');
+    }
+
+    requireSigner(this.keypairs, 'main');
+    const source = this.getSource();
+    const mint = this.getMint();
+    const { recipients, duplicates } = this.readList(filePath);
+    const ledger = new AirdropLedger(this.ledgerPath || AirdropLedger.defaultPath(this.deploymentsDir, filePath, this.network));
+    ledger.verify({ network: this.network, mint, source });
+
+    const mintInfo = await getMint(this.connection, mint, undefined, this.token.programId);
+    if (mintInfo.decimals !== this.config.token.decimals) {
+      throw new GlowMinError(`Mint ${mint.toString()} has ${mintInfo.decimals} decimals, configuration expects ${this.config.token.decimals}`);
+    }
+
+    const sourceAccount = getAssociatedTokenAddressSync(mint, source, false, this.token.programId);
+    const listTotal = recipients.reduce((sum, recipient) => sum + recipient.amount, 0n);
+
+    console.log(`   List: ${filePath}`);
+    console.log(`   Ledger: ${ledger.filePath}`);
+    console.log(`   Mint: ${mint.toString()}`);
+    console.log(`   Source: ${source.toString()} (${COMMUNITY_BUCKET})`);
+    console.log(`   Recipients: ${recipients.length}${duplicates.length > 0 ? ` (${duplicates.length} duplicate line(s) skipped)` : ''}`);
+    console.log(`   List Total: ${this.formatTokens(listTotal)}`);
+
+    const transferFee = getTransferFeeConfig(mintInfo);
+    if (transferFee) {
+      console.log(`⚠️  The mint withholds a transfer fee of ${transferFee.newerTransferFee.transferFeeBasisPoints} basis points, recipients receive their amount less the fee`);
+    }
+
+    if (dryRun) {
+      return this.simulateAirdrop(ledger, recipients, mint, sourceAccount, mintInfo.decimals);
+    }
+
+    ledger.begin({ network: this.network, mint, source });
+    await this.reconcilePending(ledger);
+
+    const unpaid = this.getUnpaid(recipients, ledger);
+    const total = unpaid.reduce((sum, recipient) => sum + recipient.amount, 0n);
+
+    console.log(`   Paid: ${recipients.length - unpaid.length} of ${recipients.length}`);
+    console.log(`   To Pay: ${this.formatTokens(total)}\n`);
+
+    const results = [];
+    const summary = {
+      network: this.network,
+      mint: mint.toString(),
+      source: source.toString(),
+      recipients: recipients.length,
+      paid: unpaid.length,
+      total,
+      transactions: results,
+      ledger: ledger.filePath
+    };
+
+    if (unpaid.length === 0) {
+      console.log('✅ Every wallet in the list has already been paid');
+      return summary;
+    }
+
+    await this.checkSourceBalance(sourceAccount, total);
+
+    const transfers = await this.findTokenAccounts(unpaid, mint);
+    const batches = this.packTransfers(transfers, mint, sourceAccount, mintInfo.decimals);
+
+    console.log(`📦 ${transfers.length} transfer(s) in ${batches.length} transaction(s), ${transfers.filter(transfer => transfer.create).length} token account(s) to create\n`);
+
+    for (const [index, batch] of batches.entries()) {
+      const description = `Airdrop transaction ${index + 1}/${batches.length}`;
+      const signature = await this.sender.send(batch.instructions, [this.keypairs.main, this.keypairs.community], description, {
+        onSigned: (pendingSignature, lastValidBlockHeight) => ledger.markPending(batch.transfers, pendingSignature, lastValidBlockHeight)
+      });
+      ledger.markPaid(batch.transfers, signature);
+
+      console.log(`✅ ${description}: ${batch.transfers.length} wallet(s) paid`);
+      console.log(`   Transaction: ${signature}`);
+      if (this.verbose) {
+        batch.transfers.forEach(transfer => console.log(`   ${transfer.wallet.toString()}: ${this.formatTokens(transfer.amount)}`));
+      }
+
+      results.push({ signature, recipients: batch.transfers.map(transfer => transfer.wallet.toString()) });
+    }
+
+    const paid = ledger.entries().filter(([, entry]) => entry.status === 'paid');
+    const infoPath = writeDeploymentRecord(this.deploymentsDir, 'airdrop', this.network, {
+      timestamp: new Date().toISOString(),
+      network: this.network,
+      list: filePath,
+      ledger: ledger.filePath,
+      mint: mint.toString(),
+      source: source.toString(),
+      recipients: recipients.length,
+      total: listTotal.toString(),
+      paidThisRun: unpaid.length,
+      transactions: results
+    });
+
+    console.log(`\n📄 Deployment info saved to: ${infoPath}`);
+    console.log(`\n🎉 Airdrop complete: ${unpaid.length} wallet(s) paid in this run, ${paid.length} in the ledger`);
+
+    return summary;
+  }
+
+  /**
+   * Dry run: totals what is left to pay, simulates the first transaction and
+   * estimates the fees and rent of the others. Transfers left pending by a
+   * crashed run are not settled here; they are counted as unpaid.
+   */
+  async simulateAirdrop(ledger, recipients, mint, sourceAccount, decimals) {
+    console.log('\n🔍 DRY RUN MODE - Simulating the airdrop, nothing will be sent\n');
+
+    const pending = ledger.entries().filter(([, entry]) => entry.status === 'pending');
+    if (pending.length > 0) {
+      console.log(`⚠️  ${pending.length} transfer(s) are pending from a previous run, a real run settles them first\n`);
+    }
+
+    const unpaid = this.getUnpaid(recipients, ledger);
+    const total = unpaid.reduce((sum, recipient) => sum + recipient.amount, 0n);
+    const transfers = await this.findTokenAccounts(unpaid, mint);
+    const batches = this.packTransfers(transfers, mint, sourceAccount, decimals);
+    const accountsToCreate = transfers.filter(transfer => transfer.create).length;
+    const rentExempt = parseAmount(this.config.fees.rent_exempt, 'fees.rent_exempt');
+
+    console.log('📋 Airdrop Plan:');
+    console.log(`   Paid: ${recipients.length - unpaid.length} of ${recipients.length}`);
+    console.log(`   To Pay: ${this.formatTokens(total)} to ${unpaid.length} wallet(s)`);
+    console.log(`   Transactions: ${batches.length}`);
+    console.log(`   Token Accounts To Create: ${accountsToCreate}\n`);
+
+    if (unpaid.length > 0) {
+      await this.checkSourceBalance(sourceAccount, total);
+    }
+
+    const simulator = new TransactionSimulator(this.connection, this.getPayer(), this.config.fees, this.verbose, this.sender);
+    simulator.name(this.keypairs.community.publicKey, 'Community Wallet');
+    simulator.name(sourceAccount, 'Community Token Account');
+
+    if (batches.length > 0) {
+      const [first, ...rest] = batches;
+      const firstAccounts = first.transfers.filter(transfer => transfer.create).length;
+      const step = await simulator.simulate(`Airdrop transaction 1/${batches.length}`, first.instructions, {
+        rent: rentExempt * BigInt(firstAccounts)
+      });
+
+      if (rest.length > 0) {
+        console.log(`   The other ${rest.length} transaction(s) are estimated from the first\n`);
+        simulator.addCost(`Fees of ${rest.length} more transaction(s) (estimated)`, step.fee * BigInt(rest.length));
+
+        const restAccounts = accountsToCreate - firstAccounts;
+        if (restAccounts > 0) {
+          simulator.addCost(`Rent of ${restAccounts} more token account(s)`, rentExempt * BigInt(restAccounts));
+        }
+      }
+    }
+
+    return {
+      network: this.network,
+      dryRun: true,
+      recipients: recipients.length,
+      unpaid: unpaid.length,
+      total,
+      transactions: batches.length,
+      accountsToCreate,
+      simulation: await simulator.summarize()
+    };
+  }
+}
+
+module.exports = { AirdropDistributor };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['airdrop', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Metadata Backup Script
+ *
+ * This script snapshots the token and NFT metadata, the deployment configuration and the
+ * deployments/ records. Every file is stored as content-addressed blocks under its IPFS CID,
+ * computed locally: one block, or 256 KiB blocks linked from a UnixFS node for larger files
+ * such as the NFT mint state. Each snapshot is described by a manifest stored the same way.
+ * Snapshots are numbered per network in the backup index, and any snapshot can be restored
+ * by number or by manifest CID.
+ *
+ * Storage follows the backup section of deployment-config.json: "ipfs" adds blocks through
+ * an IPFS node and reads them back through the gateway, "local" keeps them in a directory
+ * for offline use.
+ *
+ * Usage: glowmin backup [restore|list] [options] (or node backup-metadata.js [restore|list] [options])
+ * Options:
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta)
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --metadata <path>      Token metadata file (default: metadata/token-metadata.json)
+ *   --storage <type>       Storage backend (ipfs, local), overrides the configuration
+ *   --snapshot <id>        Snapshot number or manifest CID to restore (default: latest)
+ *   --output <dir>         Directory to restore into (default: backups/restore-<network>-<snapshot>)
+ *   --in-place            Restore over the original files
+ *   --force               Take a snapshot even if nothing changed
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ *
+ * The config and metadata files are stored under their default paths in the snapshot, whichever
+ * file they were read from, and an in-place restore writes them back to that file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveNetworkName } = require('./lib/network');
+const { buildFileBlocks } = require('./lib/cid');
+const { createStorageBackend, getVerifiedFile } = require('./lib/backup-storage');
+const { readConfigFile } = require('./lib/core');
+const { GlowMinError, PrerequisiteError } = require('./lib/errors');
+
+// Configuration
+const PROJECT_ROOT = path.join(__dirname, '..');
+const CONFIG_PATH = path.join(PROJECT_ROOT, 'metadata/deployment-config.json');
+const METADATA_PATH = path.join(PROJECT_ROOT, 'metadata/token-metadata.json');
+const DEPLOYMENTS_DIR = path.join(PROJECT_ROOT, 'deployments');
+const SNAPSHOT_FILES = [
+  'metadata/token-metadata.json',
+  'metadata/nft-metadata.json',
+  'metadata/deployment-config.json'
+];
+const MANIFEST_VERSION = 1;
+
+// Minimum age of the latest snapshot before unchanged content is snapshotted again
+const FREQUENCY_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+class MetadataBackup {
+  // Options: storage (overrides backup.storage.type), configPath, metadataPath and deploymentsDir
+  constructor(network = null, verbose = false, options = {}) {
+    const {
+      storage = null,
+      configPath = CONFIG_PATH,
+      metadataPath = METADATA_PATH,
+      deploymentsDir = DEPLOYMENTS_DIR
+    } = options;
+
+    this.verbose = verbose;
+    this.deploymentsDir = deploymentsDir;
+    this.sources = {
+      'metadata/token-metadata.json': metadataPath,
+      'metadata/deployment-config.json': configPath
+    };
+    this.config = this.loadConfig(configPath);
+    this.network = resolveNetworkName(this.config, network);
+    this.backupConfig = this.config.backup || {};
+    this.storageConfig = this.backupConfig.storage || {};
+    this.storage = createStorageBackend(storage || this.storageConfig.type || 'local', this.storageConfig, PROJECT_ROOT);
+    this.backupDir = path.resolve(PROJECT_ROOT, this.storageConfig.local_directory || 'backups');
+    this.indexPath = path.join(this.backupDir, 'index.json');
+  }
+
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+    }
+
+    return config;
+  }
+
+  // File a snapshot path is read from and restored in place to
+  sourcePath(file) {
+    if (file.startsWith('deployments/')) {
+      return path.join(this.deploymentsDir, file.slice('deployments/'.length));
+    }
+
+    return this.sources[file] || path.join(PROJECT_ROOT, file);
+  }
+
+  loadIndex() {
+    if (!fs.existsSync(this.indexPath)) {
+      return { snapshots: [] };
+    }
+
+    return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+  }
+
+  saveIndex(index) {
+    fs.mkdirSync(this.backupDir, { recursive: true });
+    const tmpPath = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2));
+    fs.renameSync(tmpPath, this.indexPath);
+  }
+
+  getSnapshots(index) {
+    return index.snapshots.filter(snapshot => snapshot.network === this.network);
+  }
+
+  collectFiles() {
+    const files = SNAPSHOT_FILES.filter(file => fs.existsSync(this.sourcePath(file)));
+
+    if (fs.existsSync(this.deploymentsDir)) {
+      fs.readdirSync(this.deploymentsDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => files.push(`deployments/${file}`));
+    }
+
+    return files.map(file => {
+      const data = fs.readFileSync(this.sourcePath(file));
+
+      try {
+        return { path: file, size: data.length, ...buildFileBlocks(data) };
+      } catch (error) {
+        throw new GlowMinError(`Cannot back up ${file}: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  isUnchanged(files, latest) {
+    if (!latest || latest.files.length !== files.length) {
+      return false;
+    }
+
+    return files.every((file, i) => file.path === latest.files[i].path && file.cid === latest.files[i].cid);
+  }
+
+  isDue(latest) {
+    const interval = FREQUENCY_INTERVALS[this.backupConfig.frequency];
+
+    if (!latest || !interval) {
+      return true;
+    }
+
+    return Date.now() - new Date(latest.createdAt).getTime() >= interval;
+  }
+
+  async storeBlocks(blocks) {
+    for (const block of blocks) {
+      await this.storage.put(block.cid, block.data);
+    }
+  }
+
+  async createSnapshot(force = false) {
+    if (this.backupConfig.enabled === false && !force) {
+      console.log('ℹ️  Backups are disabled in the configuration (use --force to back up anyway)');
+      return null;
+    }
+
+    const index = this.loadIndex();
+    const snapshots = this.getSnapshots(index);
+    const latest = snapshots[snapshots.length - 1];
+    const files = this.collectFiles();
+
+    if (!force && this.isUnchanged(files, latest) && !this.isDue(latest)) {
+      console.log(`⏭️  Nothing changed since snapshot #${latest.snapshot} (${latest.createdAt}), skipping`);
+      return latest;
+    }
+
+    console.log(`📦 Storing ${files.length} files (${this.storage.name} storage)...`);
+
+    for (const file of files) {
+      await this.storeBlocks(file.blocks);
+
+      if (this.verbose) {
+        console.log(`   ${file.cid}  ${file.path} (${file.size} bytes)`);
+      }
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      network: this.network,
+      snapshot: latest ? latest.snapshot + 1 : 1,
+      createdAt: new Date().toISOString(),
+      token: this.config.token.symbol,
+      files: files.map(({ path: filePath, cid, size }) => ({ path: filePath, cid, size }))
+    };
+
+    const { cid: manifestCid, blocks } = buildFileBlocks(Buffer.from(JSON.stringify(manifest, null, 2)));
+    await this.storeBlocks(blocks);
+
+    const entry = { ...manifest, cid: manifestCid, storage: this.storage.name };
+    index.snapshots.push(entry);
+    this.saveIndex(index);
+
+    return entry;
+  }
+
+  async resolveManifest(snapshotId) {
+    let cid = snapshotId;
+
+    if (!snapshotId || /^\d+$/.test(snapshotId)) {
+      const snapshots = this.getSnapshots(this.loadIndex());
+      const entry = snapshotId
+        ? snapshots.find(snapshot => snapshot.snapshot === Number(snapshotId))
+        : snapshots[snapshots.length - 1];
+
+      if (!entry) {
+        throw new PrerequisiteError(snapshotId
+          ? `Snapshot #${snapshotId} not found for ${this.network}`
+          : `No snapshots found for ${this.network}`);
+      }
+
+      cid = entry.cid;
+    }
+
+    const manifest = JSON.parse((await getVerifiedFile(this.storage, cid)).toString('utf8'));
+
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new GlowMinError(`Unsupported manifest version: ${manifest.version}`);
+    }
+
+    return { cid, manifest };
+  }
+
+  async restoreSnapshot(snapshotId, outputDir, inPlace = false) {
+    const { cid, manifest } = await this.resolveManifest(snapshotId);
+    const targetDir = inPlace
+      ? PROJECT_ROOT
+      : path.resolve(outputDir || path.join(this.backupDir, `restore-${manifest.network}-${manifest.snapshot}`));
+
+    console.log(`📥 Restoring snapshot #${manifest.snapshot} (${cid})`);
+    console.log(`   Created: ${manifest.createdAt}`);
+    console.log(`   Target: ${targetDir}`);
+
+    // Fetch and verify everything before writing, so a failed restore leaves no partial state
+    const contents = [];
+    for (const file of manifest.files) {
+      const resolved = path.resolve(targetDir, file.path);
+
+      if (!resolved.startsWith(targetDir + path.sep) || file.path.split('/').includes('..')) {
+        throw new GlowMinError(`Manifest path escapes the restore directory: ${file.path}`);
+      }
+
+      const destination = inPlace ? this.sourcePath(file.path) : resolved;
+
+      contents.push({ file, destination, data: await getVerifiedFile(this.storage, file.cid) });
+    }
+
+    for (const { file, destination, data } of contents) {
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.writeFileSync(destination, data);
+
+      if (this.verbose) {
+        console.log(`   ✅ ${file.path}`);
+      }
+    }
+
+    return { cid, manifest, targetDir };
+  }
+
+  listSnapshots() {
+    const snapshots = this.getSnapshots(this.loadIndex());
+
+    if (snapshots.length === 0) {
+      console.log(`ℹ️  No snapshots found for ${this.network}`);
+      return snapshots;
+    }
+
+    console.log(`📋 Snapshots for ${this.network}:`);
+    snapshots.forEach(snapshot => {
+      console.log(`   #${snapshot.snapshot}  ${snapshot.createdAt}  ${snapshot.files.length} files  ${snapshot.storage}  ${snapshot.cid}`);
+    });
+
+    return snapshots;
+  }
+
+  async executeBackup(force = false) {
+    console.log(`\n🚀 Backing up GlowMin metadata for ${this.network}...\n`);
+
+    const snapshot = await this.createSnapshot(force);
+
+    if (!snapshot) {
+      return null;
+    }
+
+    console.log('\n🎉 Metadata backup completed successfully!');
+    console.log(`   Snapshot: #${snapshot.snapshot}`);
+    console.log(`   Manifest CID: ${snapshot.cid}`);
+    if (snapshot.storage === 'ipfs') {
+      console.log(`   Gateway URL: ${this.storageConfig.gateway}${snapshot.cid}`);
+    }
+
+    return snapshot;
+  }
+
+  async executeRestore(snapshotId, outputDir, inPlace = false) {
+    console.log(`\n🚀 Restoring GlowMin metadata for ${this.network}...\n`);
+
+    const restored = await this.restoreSnapshot(snapshotId, outputDir, inPlace);
+    console.log(`\n🎉 Restored ${restored.manifest.files.length} files to ${restored.targetDir}`);
+
+    return restored;
+  }
+}
+
+module.exports = { MetadataBackup };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['backup', ...process.argv.slice(2)]);
+}
@@ -6,414 +6,829 @@
  * This script creates the initial GLOWMIN/SOL liquidity pool on Raydium.
  * It handles the creation of the AMM pool and initial liquidity provision.
  * 
- * Usage: node create-liquidity.js [options]
+ * Usage: glowmin liquidity [options] (or node create-liquidity.js [options])
  * Options:
- *   --network <network>    Target network (devnet, testnet, mainnet-beta)
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
  *   --sol-amount <amount>  SOL amount for initial liquidity (in lamports)
- *   --dry-run             Show what would be created without executing
+ *   --mint <address>       GLOWMIN mint to pool (default: the mint in the deployment manifest)
+ *   --dry-run             Simulate the pool, deposit and lock transactions without sending them
+ *   --verify-lock         Read the LP lock escrow and print its schedule
+ *   --escrow <address>    Escrow to verify (default: the lock in the deployment manifest)
+ *   --json                Print the pool record or lock details as JSON on stdout
  *   --verbose             Enable verbose logging
+ *
+ * The pool is a Raydium AMM v4 pool bound to the OpenBook market in
+ * raydium.market_id. Program IDs and the market can be overridden per
+ * network under raydium.networks.
+ *
+ * Local validator testing:
+ *   solana program dump -u m 675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8 amm.so
+ *   solana program dump -u m srmqPvymJeFKQ4zGQed1GFppgkRHL9kaELCbyksJtPX openbook.so
+ *   solana account -u m 9DCxsMizn3H1hprZ7xWe6LDzeUeZBksYFpBWBtSf1PQX --output json -o amm-config.json
+ *   solana-test-validator --reset \
+ *     --bpf-program 675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8 amm.so \
+ *     --bpf-program srmqPvymJeFKQ4zGQed1GFppgkRHL9kaELCbyksJtPX openbook.so \
+ *     --account 9DCxsMizn3H1hprZ7xWe6LDzeUeZBksYFpBWBtSf1PQX amm-config.json
+ *   Then create a GLOWMIN/SOL market on the local OpenBook program, set
+ *   raydium.networks.localnet.market_id and run with --network localnet.
+ *
+ * Raydium AMM v4 only supports SPL Token mints, so pools cannot be created for a mint
+ * created under Token-2022 (token.program).
+ *
+ * LP tokens are locked in a token-vesting escrow (liquidity.lock_program)
+ * that releases them to liquidity.lock_authority after liquidity.lock_period.
+ * The escrow address comes from a random seed, journaled in
+ * deployments/liquidity-state-<network>.json before the lock is sent and
+ * recorded with the lock in the manifest; the seed is needed to unlock.
+ *
+ * The pool is created for the mint recorded in the deployment manifest (lib/manifest.js),
+ * and the pool, LP mint and lock are recorded there once the lock has confirmed.
+ * A rerun after the pool was created (a crash before the lock confirmed)
+ * finds the AMM account, skips the pool creation and deposit and locks the
+ * LP tokens the main keypair already holds, reusing the journaled seed. If
+ * the lock itself confirmed, the rerun only records it.
  */
 
-const fs = require('fs');
 const path = require('path');
-const { Connection, PublicKey, Keypair, Transaction } = require('@solana/web3.js');
-const { getAssociatedTokenAddress, createAssociatedTokenAccountInstruction } = require('@solana/spl-token');
+const { ComputeBudgetProgram } = require('@solana/web3.js');
+const {
+  getAccount,
+  getAssociatedTokenAddress,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction
+} = require('@solana/spl-token');
+const { parseAmount, formatAmount } = require('./lib/amount');
+const { GlowMinError, ConfigError, PrerequisiteError, InsufficientFundsError } = require('./lib/errors');
+const {
+  readConfigFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  writeDeploymentRecord
+} = require('./lib/core');
+const { toPublicKey } = require('./lib/pubkey');
+const { TransactionSimulator } = require('./lib/simulation');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { getTokenSettings } = require('./lib/token-program');
+const { DeploymentManifest } = require('./lib/manifest');
+const { StateJournal } = require('./lib/state-journal');
+const {
+  getPoolKeys,
+  decodeMarketState,
+  makeInitializePoolInstruction,
+  makeWrapSolInstructions,
+  makeUnwrapSolInstruction
+} = require('./lib/raydium');
+const {
+  generateLockSeed,
+  deriveLockAccounts,
+  makeInitLockInstruction,
+  makeCreateLockInstruction,
+  decodeLockAccount
+} = require('./lib/token-lock');
 
 // Configuration
+const SOL_DECIMALS = 9;
+const POOL_COMPUTE_UNITS = 400000;
+// Distribution bucket minted for the pool, which the main keypair deposits
+const LIQUIDITY_BUCKET = 'Liquidity Pool';
 const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
 const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const KEYPAIR_FILES = {
+  main: 'main-keypair.json',
+  liquidityAuthority: 'liquidity-authority.json'
+};
 
 class LiquidityCreator {
-  constructor(network = 'devnet', verbose = false) {
+  /**
+   * Options: config or configPath, keypairDir, deploymentsDir, rpcUrl and wsUrl, an
+   * injected connection, signers ({ main, liquidityAuthority }) to use instead of
+   * the keyfiles, and mint to use instead of the mint in the deployment manifest.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, keypairDir = KEYPAIR_DIR, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
     this.network = network;
     this.verbose = verbose;
-    this.config = this.loadConfig();
-    this.connection = this.createConnection();
-    this.keypairs = this.loadKeypairs();
-    this.mintAddress = null;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || this.loadConfig(configPath);
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.keypairs = this.loadKeypairs(options.signers);
+    this.manifest = new DeploymentManifest(this.deploymentsDir, this.network);
+    this.journal = new StateJournal(path.join(this.deploymentsDir, `liquidity-state-${this.network}.json`));
+    this.mintAddress = options.mint || null;
     this.poolAddress = null;
+    this.poolKeys = null;
+    this.poolSignature = null;
+    this.poolExists = null;
   }
 
-  loadConfig() {
-    try {
-      const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
-      const config = JSON.parse(configData);
-      
-      if (this.verbose) {
-        console.log('✅ Configuration loaded successfully');
-        console.log(`   Network: ${this.network}`);
-        console.log(`   Raydium Program: ${config.raydium.program_id}`);
-        console.log(`   Initial SOL: ${config.raydium.initial_liquidity.sol_amount}`);
-        console.log(`   Initial GLOWMIN: ${config.raydium.initial_liquidity.glowmin_amount}`);
-      }
-      
-      return config;
-    } catch (error) {
-      console.error('❌ Failed to load configuration:', error.message);
-      process.exit(1);
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+    
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Raydium Program: ${config.raydium.program_id}`);
+      console.log(`   Initial SOL: ${formatAmount(parseAmount(config.raydium.initial_liquidity.sol_amount), SOL_DECIMALS, 'SOL')}`);
+      console.log(`   Initial GLOWMIN: ${formatAmount(parseAmount(config.raydium.initial_liquidity.glowmin_amount), config.token.decimals, config.token.symbol)}`);
     }
+    
+    return config;
   }
 
-  createConnection() {
-    const networkConfig = this.config.network[this.network];
-    if (!networkConfig) {
-      console.error(`❌ Network '${this.network}' not found in configuration`);
-      process.exit(1);
-    }
-
-    const connection = new Connection(networkConfig.url, 'confirmed');
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
     
     if (this.verbose) {
       console.log(`✅ Connected to ${this.network} network`);
-      console.log(`   RPC URL: ${networkConfig.url}`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
     }
     
     return connection;
   }
 
-  loadKeypairs() {
-    const keypairs = {};
+  loadKeypairs(signers) {
+    const keypairs = loadKeypairFiles(this.keypairDir, KEYPAIR_FILES, signers);
+
+    if (this.verbose) {
+      console.log('✅ Keypairs loaded successfully');
+      Object.keys(keypairs).forEach(key => {
+        console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
+      });
+    }
     
-    try {
-      // Load main keypair for transactions
-      const mainKeypairPath = path.join(KEYPAIR_DIR, 'main-keypair.json');
-      if (fs.existsSync(mainKeypairPath)) {
-        keypairs.main = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(fs.readFileSync(mainKeypairPath, 'utf8')))
-        );
-      }
+    return keypairs;
+  }
 
-      // Load liquidity authority keypair
-      const liquidityAuthorityPath = path.join(KEYPAIR_DIR, 'liquidity-authority.json');
-      if (fs.existsSync(liquidityAuthorityPath)) {
-        keypairs.liquidityAuthority = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(fs.readFileSync(liquidityAuthorityPath, 'utf8')))
-        );
-      }
+  // The pool is funded from the main keypair's token account, so the Liquidity Pool bucket has to be minted to it
+  checkLiquidityRecipient(main) {
+    const bucket = (this.config.distribution || []).find(entry => entry.name === LIQUIDITY_BUCKET);
+    if (!bucket) {
+      return;
+    }
 
-      if (this.verbose) {
-        console.log('✅ Keypairs loaded successfully');
-        Object.keys(keypairs).forEach(key => {
-          console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
-        });
-      }
-      
-      return keypairs;
+    let recipient;
+    try {
+      recipient = toPublicKey(bucket.recipient, `Distribution '${LIQUIDITY_BUCKET}' recipient`);
     } catch (error) {
-      console.error('❌ Failed to load keypairs:', error.message);
-      process.exit(1);
+      throw new ConfigError(error.message, { cause: error });
+    }
+
+    if (!recipient.equals(main.publicKey)) {
+      throw new ConfigError(
+        `The '${LIQUIDITY_BUCKET}' bucket is minted to ${recipient.toString()}, but the pool is funded from ` +
+        `${KEYPAIR_FILES.main} (${main.publicKey.toString()}); set its recipient to the main keypair or move the tokens there`
+      );
     }
   }
 
-  async checkPrerequisites() {
+  async checkPrerequisites(solAmount = null) {
     console.log('🔍 Checking prerequisites...');
 
+    const main = requireSigner(this.keypairs, 'main');
+    const mint = this.getMint();
+
+    if (getTokenSettings(this.config).program !== 'spl-token') {
+      throw new ConfigError('Raydium AMM v4 pools only support SPL Token mints, token.program is token-2022');
+    }
+
     // Check if GLOWMIN mint exists
-    try {
-      const mintInfo = await this.connection.getParsedAccountInfo(new PublicKey(this.config.token.mint_authority.public_key));
-      if (!mintInfo.value) {
-        throw new Error('GLOWMIN mint not found');
-      }
-      console.log('✅ GLOWMIN mint found');
-    } catch (error) {
-      console.error('❌ GLOWMIN mint not found. Please run mint-token.js first.');
-      process.exit(1);
+    const mintInfo = await this.connection.getParsedAccountInfo(mint);
+    if (!mintInfo.value) {
+      throw new PrerequisiteError(`GLOWMIN mint ${mint.toString()} not found on ${this.network}`);
+    }
+    console.log('✅ GLOWMIN mint found');
+    console.log(`   Mint: ${mint.toString()}`);
+
+    // A pool left by an earlier run already holds the initial liquidity
+    const poolExists = await this.findExistingPool();
+    if (poolExists) {
+      console.log(`ℹ️  Pool ${this.getPoolKeys().id.toString()} already exists, only the lock remains`);
     }
 
     // Check SOL balance
-    try {
-      const balance = await this.connection.getBalance(this.keypairs.main.publicKey);
-      const requiredBalance = this.config.raydium.initial_liquidity.sol_amount + this.config.fees.transaction_fee * 10;
-      
-      if (balance < requiredBalance) {
-        console.error(`❌ Insufficient SOL balance. Required: ${requiredBalance} lamports, Available: ${balance} lamports`);
-        process.exit(1);
-      }
-      
-      console.log('✅ Sufficient SOL balance available');
-      console.log(`   Balance: ${balance} lamports (${balance / 1e9} SOL)`);
-    } catch (error) {
-      console.error('❌ Failed to check SOL balance:', error.message);
-      process.exit(1);
+    const balance = BigInt(await this.connection.getBalance(main.publicKey));
+    const transactionFees = parseAmount(this.config.fees.transaction_fee, 'fees.transaction_fee') * 10n;
+    const requiredBalance = poolExists ? transactionFees : this.getLiquidityAmounts(solAmount).solAmount +
+      parseAmount(this.getRaydiumConfig().pool_creation_fee || 0, 'raydium.pool_creation_fee') +
+      transactionFees;
+    
+    if (balance < requiredBalance) {
+      throw new InsufficientFundsError(
+        `Insufficient SOL balance. Required: ${this.formatSol(requiredBalance)}, Available: ${this.formatSol(balance)}`,
+        { asset: 'SOL', required: requiredBalance, available: balance }
+      );
+    }
+    
+    console.log('✅ Sufficient SOL balance available');
+    console.log(`   Balance: ${balance} lamports (${this.formatSol(balance)})`);
+
+    if (poolExists) {
+      console.log('✅ All prerequisites met\n');
+      return;
     }
 
+    this.checkLiquidityRecipient(main);
+
     // Check GLOWMIN token balance
+    const tokenAccount = await getAssociatedTokenAddress(mint, main.publicKey);
+    let tokenBalance;
     try {
-      const tokenAccount = await getAssociatedTokenAddress(
-        new PublicKey(this.config.token.mint_authority.public_key),
-        this.keypairs.main.publicKey
-      );
-      
-      const tokenBalance = await this.connection.getTokenAccountBalance(tokenAccount);
-      const requiredTokens = this.config.raydium.initial_liquidity.glowmin_amount;
-      
-      if (tokenBalance.value.amount < requiredTokens.toString()) {
-        console.error(`❌ Insufficient GLOWMIN balance. Required: ${requiredTokens}, Available: ${tokenBalance.value.amount}`);
-        process.exit(1);
-      }
-      
-      console.log('✅ Sufficient GLOWMIN balance available');
-      console.log(`   Balance: ${tokenBalance.value.amount} tokens`);
+      tokenBalance = await this.connection.getTokenAccountBalance(tokenAccount);
     } catch (error) {
-      console.error('❌ Failed to check GLOWMIN balance:', error.message);
-      process.exit(1);
+      throw new PrerequisiteError(`Cannot read the GLOWMIN balance of ${tokenAccount.toString()}: ${error.message}`, { cause: error });
     }
 
+    const availableTokens = parseAmount(tokenBalance.value.amount);
+    const { glowminAmount: requiredTokens } = this.getLiquidityAmounts();
+    
+    if (availableTokens < requiredTokens) {
+      throw new InsufficientFundsError(
+        `Insufficient GLOWMIN balance. Required: ${this.formatTokens(requiredTokens)}, Available: ${this.formatTokens(availableTokens)}`,
+        { asset: 'GLOWMIN', required: requiredTokens, available: availableTokens }
+      );
+    }
+    
+    console.log('✅ Sufficient GLOWMIN balance available');
+    console.log(`   Balance: ${this.formatTokens(availableTokens)}`);
+
     console.log('✅ All prerequisites met\n');
   }
 
+  getLiquidityAmounts(solAmount = null) {
+    const initialLiquidity = this.config.raydium.initial_liquidity;
+
+    return {
+      solAmount: parseAmount(solAmount ?? initialLiquidity.sol_amount, 'sol_amount'),
+      glowminAmount: parseAmount(initialLiquidity.glowmin_amount, 'glowmin_amount')
+    };
+  }
+
+  formatSol(lamports) {
+    return formatAmount(lamports, SOL_DECIMALS, 'SOL');
+  }
+
+  formatTokens(amount) {
+    return formatAmount(amount, this.config.token.decimals, this.config.token.symbol);
+  }
+
+  getMint() {
+    if (!this.mintAddress) {
+      this.mintAddress = this.manifest.requireMint();
+    }
+
+    return this.mintAddress;
+  }
+
+  getRaydiumConfig() {
+    const { networks = {}, ...raydium } = this.config.raydium;
+    return { ...raydium, ...(networks[this.network] || {}) };
+  }
+
+  getPoolKeys() {
+    if (!this.poolKeys) {
+      const raydium = this.getRaydiumConfig();
+
+      this.poolKeys = getPoolKeys({
+        programId: toPublicKey(raydium.program_id, 'raydium.program_id'),
+        marketId: toPublicKey(raydium.market_id, 'raydium.market_id'),
+        marketProgramId: toPublicKey(raydium.market_program_id, 'raydium.market_program_id'),
+        baseMint: this.getMint()
+      });
+    }
+
+    return this.poolKeys;
+  }
+
+  async findExistingPool() {
+    if (this.poolExists === null) {
+      this.poolExists = Boolean(await this.connection.getAccountInfo(this.getPoolKeys().id));
+    }
+
+    return this.poolExists;
+  }
+
+  async loadMarket(poolKeys) {
+    const account = await this.connection.getAccountInfo(poolKeys.marketId);
+
+    if (!account) {
+      throw new PrerequisiteError(`OpenBook market ${poolKeys.marketId.toString()} not found`);
+    }
+
+    if (!account.owner.equals(poolKeys.marketProgramId)) {
+      throw new ConfigError(`Market ${poolKeys.marketId.toString()} is not owned by ${poolKeys.marketProgramId.toString()}`);
+    }
+
+    const market = decodeMarketState(account.data);
+    if (!market.baseMint.equals(poolKeys.baseMint) || !market.quoteMint.equals(poolKeys.quoteMint)) {
+      throw new ConfigError(`Market ${poolKeys.marketId.toString()} is not a GLOWMIN/SOL market`);
+    }
+
+    return market;
+  }
+
   async createPool(solAmount = null) {
     console.log('🏊 Creating liquidity pool...');
 
-    const actualSolAmount = solAmount || this.config.raydium.initial_liquidity.sol_amount;
-    const glowminAmount = this.config.raydium.initial_liquidity.glowmin_amount;
+    const { solAmount: actualSolAmount, glowminAmount } = this.getLiquidityAmounts(solAmount);
 
     try {
-      // This is a simplified example - actual Raydium pool creation requires
-      // complex interactions with the Raydium program
+      const poolKeys = this.getPoolKeys();
+      await this.loadMarket(poolKeys);
+
       console.log('📝 Pool creation parameters:');
-      console.log(`   SOL Amount: ${actualSolAmount} lamports (${actualSolAmount / 1e9} SOL)`);
-      console.log(`   GLOWMIN Amount: ${glowminAmount} tokens`);
+      console.log(`   SOL Amount: ${actualSolAmount} lamports (${this.formatSol(actualSolAmount)})`);
+      console.log(`   GLOWMIN Amount: ${this.formatTokens(glowminAmount)}`);
       console.log(`   Pool Type: GLOWMIN/SOL`);
       console.log(`   Fee Rate: 0.25%`);
+      console.log(`   AMM Program: ${poolKeys.programId.toString()}`);
+      console.log(`   OpenBook Market: ${poolKeys.marketId.toString()}`);
+
+      this.poolAddress = poolKeys.id;
 
-      // Simulate pool creation (replace with actual Raydium SDK calls)
-      const poolAddress = new PublicKey('POOL_ADDRESS_PLACEHOLDER');
-      this.poolAddress = poolAddress;
+      // Initialize2 deposits the initial liquidity, so an existing pool gets neither again
+      if (await this.findExistingPool()) {
+        console.log('ℹ️  Pool already exists, skipping pool creation and the initial deposit');
+        console.log(`   Pool Address: ${poolKeys.id.toString()}`);
+        return poolKeys.id;
+      }
+
+      this.poolSignature = await this.sender.send(
+        this.buildCreatePoolInstructions(actualSolAmount, glowminAmount),
+        [this.keypairs.main],
+        'Create pool'
+      );
 
       console.log('✅ Pool created successfully!');
-      console.log(`   Pool Address: ${poolAddress.toString()}`);
-      console.log(`   Pool ID: GLOWMIN-SOL-${Date.now()}`);
+      console.log(`   Pool Address: ${poolKeys.id.toString()}`);
+      console.log(`   LP Mint: ${poolKeys.lpMint.toString()}`);
+      console.log(`   Transaction: ${this.poolSignature}`);
 
-      return poolAddress;
+      return poolKeys.id;
     } catch (error) {
       console.error('❌ Failed to create pool:', error.message);
       throw error;
     }
   }
 
+  // Reads the LP tokens the initial deposit left in the main keypair's LP account
   async addInitialLiquidity(solAmount = null) {
     console.log('💧 Adding initial liquidity...');
 
-    const actualSolAmount = solAmount || this.config.raydium.initial_liquidity.sol_amount;
-    const glowminAmount = this.config.raydium.initial_liquidity.glowmin_amount;
+    const { solAmount: actualSolAmount, glowminAmount } = this.getLiquidityAmounts(solAmount);
 
     try {
+      const poolKeys = this.getPoolKeys();
+      const lpAccount = getAssociatedTokenAddressSync(poolKeys.lpMint, this.keypairs.main.publicKey);
+      const signature = this.poolSignature;
+
       console.log('📝 Liquidity provision parameters:');
-      console.log(`   SOL Amount: ${actualSolAmount} lamports (${actualSolAmount / 1e9} SOL)`);
-      console.log(`   GLOWMIN Amount: ${glowminAmount} tokens`);
-      console.log(`   Slippage Tolerance: 0.5%`);
-
-      // Simulate liquidity addition (replace with actual Raydium SDK calls)
-      const transaction = new Transaction();
-      
-      // Add instructions for liquidity provision
-      // This would include:
-      // 1. Transfer SOL to pool
-      // 2. Transfer GLOWMIN to pool
-      // 3. Create LP tokens
-      // 4. Set up pool state
-
-      const signature = 'TRANSACTION_SIGNATURE_PLACEHOLDER';
+      console.log(`   SOL Amount: ${actualSolAmount} lamports (${this.formatSol(actualSolAmount)})`);
+      console.log(`   GLOWMIN Amount: ${this.formatTokens(glowminAmount)}`);
+
+      if (signature) {
+        console.log('   Initial liquidity was deposited when the pool was created');
+      } else {
+        console.log('   Initial liquidity was deposited when the pool was created by an earlier run');
+      }
+
+      const lpBalance = await this.getLpBalance(lpAccount);
+      if (!lpBalance || lpBalance.amount === '0') {
+        throw new PrerequisiteError(
+          `Pool ${poolKeys.id.toString()} exists but ${lpAccount.toString()} holds no LP tokens to lock; ` +
+          'it was not created by this deployment or its LP tokens have been moved'
+        );
+      }
+
+      const lpAmount = parseAmount(lpBalance.amount);
 
       console.log('✅ Initial liquidity added successfully!');
-      console.log(`   Transaction: ${signature}`);
-      console.log(`   LP Tokens Created: ${(actualSolAmount + glowminAmount) / 1e9} tokens`);
+      if (signature) {
+        console.log(`   Transaction: ${signature}`);
+      }
+      console.log(`   LP Token Account: ${lpAccount.toString()}`);
+      console.log(`   LP Tokens Held: ${formatAmount(lpAmount, lpBalance.decimals)}`);
 
-      return { transaction, signature };
+      return { signature, lpMint: poolKeys.lpMint, lpAccount, lpAmount };
     } catch (error) {
       console.error('❌ Failed to add initial liquidity:', error.message);
       throw error;
     }
   }
 
-  async lockLiquidity() {
+  // The LP account's balance, or null if it does not exist
+  async getLpBalance(lpAccount) {
+    if (!await this.connection.getAccountInfo(lpAccount)) {
+      return null;
+    }
+
+    return (await this.connection.getTokenAccountBalance(lpAccount)).value;
+  }
+
+  getLockBeneficiary() {
+    return toPublicKey(this.config.liquidity.lock_authority.public_key, 'liquidity.lock_authority.public_key');
+  }
+
+  // Transaction builders, shared by real runs and dry-run simulations. The main
+  // keypair pays for and signs every transaction.
+
+  // Raydium creates the pool and takes the initial deposit in the same
+  // instruction, so SOL is wrapped first and the emptied WSOL account closed after
+  buildCreatePoolInstructions(solAmount, glowminAmount) {
+    const raydium = this.getRaydiumConfig();
+    const owner = this.keypairs.main.publicKey;
+
+    return [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: POOL_COMPUTE_UNITS }),
+      ...makeWrapSolInstructions(owner, solAmount),
+      makeInitializePoolInstruction({
+        poolKeys: this.getPoolKeys(),
+        owner,
+        feeDestination: toPublicKey(raydium.fee_destination, 'raydium.fee_destination'),
+        baseAmount: glowminAmount,
+        quoteAmount: solAmount,
+        openTime: raydium.open_time || 0
+      }),
+      makeUnwrapSolInstruction(owner)
+    ];
+  }
+
+  buildLockInstructions({ lpMint, lpAccount, lpAmount }, lockEndTime, seed) {
+    const programId = this.getLockProgramId();
+    const beneficiary = this.getLockBeneficiary();
+    const { escrow, seeds, escrowTokenAccount } = deriveLockAccounts(programId, lpMint, seed);
+    const destinationTokenAccount = getAssociatedTokenAddressSync(lpMint, beneficiary);
+    const owner = this.keypairs.main.publicKey;
+
+    return [
+      createAssociatedTokenAccountIdempotentInstruction(owner, destinationTokenAccount, beneficiary, lpMint),
+      makeInitLockInstruction({ programId, payer: owner, escrow, seeds }),
+      createAssociatedTokenAccountIdempotentInstruction(owner, escrowTokenAccount, escrow, lpMint),
+      makeCreateLockInstruction({
+        programId,
+        escrow,
+        escrowTokenAccount,
+        seeds,
+        mint: lpMint,
+        sourceOwner: owner,
+        sourceTokenAccount: lpAccount,
+        destinationTokenAccount,
+        schedules: [{ releaseTime: lockEndTime, amount: lpAmount }]
+      })
+    ];
+  }
+
+  getLockProgramId() {
+    const lockProgram = this.config.liquidity.lock_program || {};
+    return toPublicKey(lockProgram.program_id, 'liquidity.lock_program.program_id');
+  }
+
+  // The lock journaled by an earlier run for this LP mint
+  getJournaledLock(lpMint) {
+    const lock = this.journal.load()?.lock;
+    return lock?.lpMint === lpMint.toString() ? lock : null;
+  }
+
+  // Draws an escrow seed and journals it before anything is sent with it
+  newLockSeed(lpMint) {
+    const seed = generateLockSeed();
+    this.journal.update({ lock: { lpMint: lpMint.toString(), seed: seed.toString('hex') } });
+    return seed;
+  }
+
+  /**
+   * The lock an earlier run sent for the pool's LP mint, as the results
+   * savePoolInfo expects, if it confirmed before that run stopped. A lock
+   * that may still confirm stops the run.
+   */
+  async findLandedLock() {
+    const { lpMint } = this.getPoolKeys();
+    const lock = this.getJournaledLock(lpMint);
+
+    if (!lock?.signature) {
+      return null;
+    }
+
+    const { value: [status] } = await this.connection.getSignatureStatuses([lock.signature], { searchTransactionHistory: true });
+
+    if (status?.err) {
+      return null;
+    }
+    if (!status || !['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+      if (!status && await this.connection.getBlockHeight() > lock.lastValidBlockHeight) {
+        return null;
+      }
+      throw new GlowMinError(`Lock transaction ${lock.signature} from a previous run may still confirm, rerun in a minute`);
+    }
+
+    const seed = Buffer.from(lock.seed, 'hex');
+    const { escrow, escrowTokenAccount } = deriveLockAccounts(this.getLockProgramId(), lpMint, seed);
+    const [schedule] = decodeLockAccount((await this.connection.getAccountInfo(escrow))?.data).schedules;
+
+    console.log(`ℹ️  LP tokens were locked by a previous run (${lock.signature}), recording the lock\n`);
+
+    return {
+      liquidityResult: {
+        signature: null,
+        lpMint,
+        lpAccount: getAssociatedTokenAddressSync(lpMint, this.keypairs.main.publicKey),
+        lpAmount: schedule.amount
+      },
+      lockResult: {
+        lockSignature: lock.signature,
+        lockEndTime: schedule.releaseTime,
+        escrow,
+        escrowTokenAccount,
+        seed,
+        beneficiary: this.getLockBeneficiary()
+      }
+    };
+  }
+
+  async lockLiquidity(liquidityResult) {
     console.log('🔒 Locking liquidity...');
 
     try {
       const lockPeriod = this.config.liquidity.lock_period;
       const lockEndTime = Math.floor(Date.now() / 1000) + lockPeriod;
+      const programId = this.getLockProgramId();
+      const beneficiary = this.getLockBeneficiary();
+      const { lpMint, lpAmount } = liquidityResult;
+      const journaled = this.getJournaledLock(lpMint);
+      let seed = journaled ? Buffer.from(journaled.seed, 'hex') : this.newLockSeed(lpMint);
+      let { escrow, escrowTokenAccount } = deriveLockAccounts(programId, lpMint, seed);
+
+      // A sent seed is public, so someone else may have initialized its escrow since
+      if (await this.connection.getAccountInfo(escrow)) {
+        console.log(`⚠️  Lock escrow ${escrow.toString()} is already taken, drawing a new seed`);
+        seed = this.newLockSeed(lpMint);
+        ({ escrow, escrowTokenAccount } = deriveLockAccounts(programId, lpMint, seed));
+      }
 
       console.log('📝 Liquidity lock parameters:');
       console.log(`   Lock Period: ${lockPeriod} seconds (${lockPeriod / 86400} days)`);
       console.log(`   Lock End Time: ${new Date(lockEndTime * 1000).toISOString()}`);
-
-      // Simulate liquidity locking (replace with actual lock mechanism)
-      const lockSignature = 'LOCK_TRANSACTION_SIGNATURE_PLACEHOLDER';
+      console.log(`   LP Amount: ${lpAmount.toString()}`);
+      console.log(`   Beneficiary: ${beneficiary.toString()}`);
+      console.log(`   Escrow: ${escrow.toString()}`);
+
+      const lockSignature = await this.sender.send(
+        this.buildLockInstructions(liquidityResult, lockEndTime, seed),
+        [this.keypairs.main],
+        'Lock liquidity',
+        {
+          onSigned: (signature, lastValidBlockHeight) => {
+            this.journal.update({ lock: { ...this.journal.get('lock'), signature, lastValidBlockHeight } });
+          }
+        }
+      );
 
       console.log('✅ Liquidity locked successfully!');
       console.log(`   Lock Transaction: ${lockSignature}`);
       console.log(`   Lock Duration: ${lockPeriod / 86400} days`);
 
-      return { lockSignature, lockEndTime };
+      return { lockSignature, lockEndTime, escrow, escrowTokenAccount, seed, beneficiary };
     } catch (error) {
       console.error('❌ Failed to lock liquidity:', error.message);
       throw error;
     }
   }
 
+  async verifyLock(escrowAddress = null) {
+    console.log('🔍 Verifying liquidity lock...\n');
+
+    try {
+      const programId = this.getLockProgramId();
+      const recorded = this.manifest.get('liquidity')?.lock?.escrow;
+      const escrow = toPublicKey(escrowAddress || recorded || this.getJournaledEscrow(), escrowAddress ? '--escrow' : 'Recorded lock escrow');
+
+      const account = await this.connection.getAccountInfo(escrow);
+      if (!account) {
+        throw new PrerequisiteError(`Lock escrow ${escrow.toString()} not found`);
+      }
+
+      if (!account.owner.equals(programId)) {
+        throw new GlowMinError(`Account ${escrow.toString()} is not owned by lock program ${programId.toString()}`);
+      }
+
+      const lock = decodeLockAccount(account.data);
+      const escrowTokenAccount = getAssociatedTokenAddressSync(lock.mint, escrow, true);
+      const balance = await this.connection.getTokenAccountBalance(escrowTokenAccount);
+      const destination = await getAccount(this.connection, lock.destinationTokenAccount);
+      const now = Math.floor(Date.now() / 1000);
+
+      console.log('📋 Liquidity Lock:');
+      console.log(`   Escrow: ${escrow.toString()}`);
+      console.log(`   Lock Program: ${programId.toString()}`);
+      console.log(`   LP Mint: ${lock.mint.toString()}`);
+      console.log(`   Locked Amount: ${formatAmount(parseAmount(balance.value.amount), balance.value.decimals)}`);
+      console.log(`   Beneficiary: ${destination.owner.toString()}`);
+      console.log(`   Beneficiary Token Account: ${lock.destinationTokenAccount.toString()}`);
+
+      lock.schedules.forEach((schedule, index) => {
+        const status = schedule.amount === 0n ? 'released' : schedule.releaseTime > now ? 'locked' : 'unlockable';
+        console.log(`   Schedule ${index + 1}: ${formatAmount(schedule.amount, balance.value.decimals)} unlocks at ${new Date(schedule.releaseTime * 1000).toISOString()} (${status})`);
+      });
+
+      const expectedBeneficiary = this.config.liquidity.lock_authority.public_key;
+      if (destination.owner.toString() !== expectedBeneficiary) {
+        console.log(`\n⚠️  Beneficiary does not match liquidity.lock_authority (${expectedBeneficiary})`);
+      }
+
+      return {
+        escrow,
+        mint: lock.mint,
+        lockedAmount: parseAmount(balance.value.amount),
+        beneficiary: destination.owner,
+        schedules: lock.schedules
+      };
+    } catch (error) {
+      console.error('❌ Failed to verify liquidity lock:', error.message);
+      throw error;
+    }
+  }
+
+  // The escrow of a lock journaled but not yet recorded in the manifest
+  getJournaledEscrow() {
+    const { lpMint } = this.getPoolKeys();
+    const lock = this.getJournaledLock(lpMint);
+
+    if (!lock) {
+      throw new PrerequisiteError(`No liquidity lock recorded for ${this.network}, pass --escrow`);
+    }
+
+    return deriveLockAccounts(this.getLockProgramId(), lpMint, Buffer.from(lock.seed, 'hex')).escrow.toString();
+  }
+
   showCreationPlan(solAmount = null) {
-    const actualSolAmount = solAmount || this.config.raydium.initial_liquidity.sol_amount;
-    const glowminAmount = this.config.raydium.initial_liquidity.glowmin_amount;
+    const { solAmount: actualSolAmount, glowminAmount } = this.getLiquidityAmounts(solAmount);
 
     console.log('📋 Liquidity Pool Creation Plan:');
     console.log(`   Network: ${this.network}`);
     console.log(`   Pool Type: GLOWMIN/SOL`);
-    console.log(`   SOL Amount: ${actualSolAmount} lamports (${actualSolAmount / 1e9} SOL)`);
-    console.log(`   GLOWMIN Amount: ${glowminAmount} tokens`);
+    console.log(`   SOL Amount: ${actualSolAmount} lamports (${this.formatSol(actualSolAmount)})`);
+    console.log(`   GLOWMIN Amount: ${this.formatTokens(glowminAmount)}`);
     console.log(`   Fee Rate: 0.25%`);
     console.log(`   Lock Period: ${this.config.liquidity.lock_period / 86400} days`);
-    console.log(`   Raydium Program: ${this.config.raydium.program_id}`);
+    console.log(`   Lock Beneficiary: ${this.config.liquidity.lock_authority.public_key}`);
+    console.log(`   Raydium Program: ${this.getRaydiumConfig().program_id}`);
+    console.log(`   OpenBook Market: ${this.getRaydiumConfig().market_id}`);
+
+    try {
+      const poolKeys = this.getPoolKeys();
+      console.log(`   Pool Address: ${poolKeys.id.toString()}`);
+      console.log(`   LP Mint: ${poolKeys.lpMint.toString()}`);
+    } catch (error) {
+      console.log(`   Pool Address: unavailable (${error.message})`);
+    }
   }
 
-  savePoolInfo(poolAddress, liquidityResult, lockResult) {
+  /**
+   * Dry run: simulates pool creation, unless the pool already exists, and the
+   * LP lock, with the LP amount the deposit leaves in the LP account.
+   * Rent comes from config.fees.rent_exempt for each new token account; the
+   * deposited SOL and raydium.pool_creation_fee are counted as costs.
+   */
+  async simulateCreation(solAmount = null) {
+    console.log('🔍 DRY RUN MODE - Simulating the liquidity transactions, nothing will be sent\n');
+    this.showCreationPlan(solAmount);
+    console.log('');
+
+    const { solAmount: actualSolAmount, glowminAmount } = this.getLiquidityAmounts(solAmount);
+    const rentExempt = parseAmount(this.config.fees.rent_exempt, 'fees.rent_exempt');
+    const owner = this.keypairs.main.publicKey;
+    const simulator = new TransactionSimulator(this.connection, owner, this.config.fees, this.verbose, this.sender);
+    const newTokenAccounts = async (...addresses) =>
+      BigInt((await Promise.all(addresses.map(address => simulator.getAccount(address)))).filter(account => !account).length);
+
+    const poolKeys = this.getPoolKeys();
+    await this.loadMarket(poolKeys);
+    const lpAccount = simulator.name(getAssociatedTokenAddressSync(poolKeys.lpMint, owner), 'LP Token Account');
+    simulator.name(poolKeys.id, 'Pool');
+    simulator.name(poolKeys.lpMint, 'LP Mint');
+
+    let poolStep = null;
+    if (await this.findExistingPool()) {
+      console.log('ℹ️  Pool already exists, only the lock of the LP tokens already held is simulated\n');
+    } else {
+      poolStep = await simulator.simulate(
+        'Create pool with initial liquidity',
+        this.buildCreatePoolInstructions(actualSolAmount, glowminAmount),
+        { rent: rentExempt * await newTokenAccounts(lpAccount) }
+      );
+      simulator.addCost('Pool Creation Fee', parseAmount(this.getRaydiumConfig().pool_creation_fee || 0, 'raydium.pool_creation_fee'));
+      simulator.addCost('Deposited SOL', actualSolAmount);
+    }
+
+    // Real runs draw a new seed when the journaled one's escrow is taken
+    const programId = this.getLockProgramId();
+    const journaled = this.getJournaledLock(poolKeys.lpMint);
+    let seed = journaled ? Buffer.from(journaled.seed, 'hex') : generateLockSeed();
+    if (journaled && await this.connection.getAccountInfo(deriveLockAccounts(programId, poolKeys.lpMint, seed).escrow)) {
+      seed = generateLockSeed();
+    }
+    const { escrow, escrowTokenAccount } = deriveLockAccounts(programId, poolKeys.lpMint, seed);
+    const destinationTokenAccount = getAssociatedTokenAddressSync(poolKeys.lpMint, this.getLockBeneficiary());
+    simulator.name(escrow, 'Lock Escrow');
+    simulator.name(escrowTokenAccount, 'Escrow Token Account');
+    simulator.name(destinationTokenAccount, 'Beneficiary Token Account');
+
+    const lockEndTime = Math.floor(Date.now() / 1000) + this.config.liquidity.lock_period;
+    const lpAmount = await simulator.getTokenAmount(lpAccount) || 0n;
+
+    await simulator.simulate(
+      `Lock ${lpAmount.toString()} LP tokens`,
+      this.buildLockInstructions({ lpMint: poolKeys.lpMint, lpAccount, lpAmount }, lockEndTime, seed),
+      { rent: rentExempt * await newTokenAccounts(escrowTokenAccount, destinationTokenAccount), after: poolStep }
+    );
+
+    return { network: this.network, dryRun: true, simulation: await simulator.summarize() };
+  }
+
+  savePoolInfo(poolAddress, liquidityResult, lockResult, solAmount = null) {
+    const { solAmount: actualSolAmount, glowminAmount } = this.getLiquidityAmounts(solAmount);
+
     const poolInfo = {
       timestamp: new Date().toISOString(),
       network: this.network,
       poolAddress: poolAddress.toString(),
       poolType: 'GLOWMIN/SOL',
       initialLiquidity: {
-        solAmount: this.config.raydium.initial_liquidity.sol_amount,
-        glowminAmount: this.config.raydium.initial_liquidity.glowmin_amount
+        solAmount: actualSolAmount.toString(),
+        glowminAmount: glowminAmount.toString()
       },
+      lpMint: liquidityResult.lpMint.toString(),
+      lpAmount: liquidityResult.lpAmount.toString(),
+      marketId: this.getPoolKeys().marketId.toString(),
+      poolTransaction: this.poolSignature,
       liquidityTransaction: liquidityResult.signature,
       lockTransaction: lockResult.lockSignature,
       lockEndTime: lockResult.lockEndTime,
-      rayiumProgram: this.config.raydium.program_id
+      lockEscrow: lockResult.escrow.toString(),
+      lockSeed: lockResult.seed.toString('hex'),
+      lockBeneficiary: lockResult.beneficiary.toString(),
+      rayiumProgram: this.getRaydiumConfig().program_id
     };
 
-    const infoPath = path.join(__dirname, `../deployments/pool-${this.network}-${Date.now()}.json`);
-    
-    // Ensure deployments directory exists
-    const deploymentsDir = path.dirname(infoPath);
-    if (!fs.existsSync(deploymentsDir)) {
-      fs.mkdirSync(deploymentsDir, { recursive: true });
-    }
-
-    fs.writeFileSync(infoPath, JSON.stringify(poolInfo, null, 2));
+    const infoPath = writeDeploymentRecord(this.deploymentsDir, 'pool', this.network, poolInfo);
     console.log(`📄 Pool info saved to: ${infoPath}`);
+
+    this.manifest.complete('liquidity', {
+      pool: poolInfo.poolAddress,
+      lpMint: poolInfo.lpMint,
+      marketId: poolInfo.marketId,
+      lock: { escrow: poolInfo.lockEscrow, seed: poolInfo.lockSeed, endTime: poolInfo.lockEndTime, beneficiary: poolInfo.lockBeneficiary }
+    });
+    console.log(`📄 Pool recorded in: ${this.manifest.filePath}`);
+
+    return poolInfo;
   }
 
   async executePoolCreation(solAmount = null, dryRun = false) {
     console.log('\n🚀 Starting GlowMin liquidity pool creation...\n');
 
-    try {
-      // Check prerequisites
-      await this.checkPrerequisites();
-
-      if (dryRun) {
-        console.log('🔍 DRY RUN MODE - No actual pool creation will occur\n');
-        this.showCreationPlan(solAmount);
-        return;
-      }
+    // Check prerequisites
+    await this.checkPrerequisites(solAmount);
 
-      // Create pool
-      const poolAddress = await this.createPool(solAmount);
-
-      // Add initial liquidity
-      const liquidityResult = await this.addInitialLiquidity(solAmount);
+    if (dryRun) {
+      return this.simulateCreation(solAmount);
+    }
 
-      // Lock liquidity
-      const lockResult = await this.lockLiquidity();
+    // Create pool
+    const poolAddress = await this.createPool(solAmount);
 
-      // Save pool information
-      this.savePoolInfo(poolAddress, liquidityResult, lockResult);
+    // Add initial liquidity and lock it, unless a previous run's lock already confirmed
+    const landed = await this.findLandedLock();
+    const liquidityResult = landed ? landed.liquidityResult : await this.addInitialLiquidity(solAmount);
+    const lockResult = landed ? landed.lockResult : await this.lockLiquidity(liquidityResult);
 
-      console.log('\n🎉 GlowMin liquidity pool creation completed successfully!');
-      console.log('\nNext steps:');
-      console.log('1. Verify pool on Raydium');
-      console.log('2. Update deployment-config.json with pool address');
-      console.log('3. Update website with pool link');
-      console.log('4. Announce pool launch to community');
+    // Save pool information
+    const poolInfo = this.savePoolInfo(poolAddress, liquidityResult, lockResult, solAmount);
 
-    } catch (error) {
-      console.error('❌ Pool creation failed:', error.message);
-      
-      if (this.verbose) {
-        console.error('Full error details:', error);
-      }
-      
-      process.exit(1);
-    }
-  }
-}
+    console.log('\n🎉 GlowMin liquidity pool creation completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Verify pool on Raydium');
+    console.log('2. Update deployment-config.json with pool address');
+    console.log('3. Update website with pool link');
+    console.log('4. Announce pool launch to community');
 
-// CLI Interface
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    network: 'devnet',
-    solAmount: null,
-    dryRun: false,
-    verbose: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case '--network':
-        options.network = args[++i];
-        break;
-      case '--sol-amount':
-        options.solAmount = parseInt(args[++i]);
-        break;
-      case '--dry-run':
-        options.dryRun = true;
-        break;
-      case '--verbose':
-        options.verbose = true;
-        break;
-      case '--help':
-        console.log(`
-Usage: node create-liquidity.js [options]
-
-Options:
-  --network <network>      Target network (devnet, testnet, mainnet-beta)
-  --sol-amount <amount>    SOL amount for initial liquidity (in lamports)
-  --dry-run               Show what would be created without executing
-  --verbose               Enable verbose logging
-  --help                  Show this help message
-
-Examples:
-  node create-liquidity.js --network devnet
-  node create-liquidity.js --network mainnet-beta --sol-amount 2000000000
-  node create-liquidity.js --dry-run
-        `);
-        process.exit(0);
-        break;
-    }
+    return poolInfo;
   }
-
-  return options;
 }
 
-// Main execution
-async function main() {
-  const options = parseArgs();
-  
-  console.log('🌟 GlowMin Liquidity Pool Creation Script');
-  console.log('=========================================\n');
-
-  const creator = new LiquidityCreator(options.network, options.verbose);
-  await creator.executePoolCreation(options.solAmount, options.dryRun);
-}
-
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error.message);
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+module.exports = { LiquidityCreator };
 
-// Run the script
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
 if (require.main === module) {
-  main().catch(error => {
-    console.error('❌ Script execution failed:', error.message);
-    process.exit(1);
-  });
+  require('./glowmin').run(['liquidity', ...process.argv.slice(2)]);
 }
-
-module.exports = { LiquidityCreator };
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Complete Deployment Script
+ *
+ * This script runs the complete deployment of the GlowMin token and liquidity pool. Each step
+ * records what it produced in the deployment manifest (lib/manifest.js), and the next step
+ * reads the addresses from there. Steps the manifest already shows as done are skipped, so an
+ * interrupted deployment continues where it stopped when the script is run again.
+ *
+ * Steps:
+ *   keypairs       Generate the authority keypairs when keypairs/ has none (generate-keypairs.js)
+ *   validate       Check every setting in both config files
+ *   mint           Create the token mint
+ *   metadata       Deploy the metadata account, while the mint authority keypair can still sign
+ *   authority      Hand the mint authority to the security.multisig account
+ *   distribution   Mint and distribute the supply and revoke the mint authority
+ *   liquidity      Create the GLOWMIN/SOL pool and lock the LP tokens
+ *   verify         Check the deployment records against chain state
+ *   backup         Snapshot the metadata and deployment records (backup-metadata.js)
+ *
+ * The metadata step is left out when the metadata pointer extension stores it in the mint, the
+ * authority step when security.multisig is not enabled, and the liquidity step for Token-2022
+ * mints, which Raydium AMM v4 does not support.
+ *
+ * Usage: glowmin deploy-all [options] (or node deploy-all.js [options])
+ * Options:
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --sol-amount <amount>  SOL amount for initial liquidity (in lamports)
+ *   --dry-run             Simulate the steps that can run without sending transactions
+ *   --verbose             Enable verbose logging
+ *
+ * A dry run simulates the next step that has not been deployed. Steps that depend on it are
+ * reported as waiting, since the accounts they use do not exist yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GlowMinError } = require('./lib/errors');
+const { readConfigFile } = require('./lib/core');
+const { resolveNetworkName } = require('./lib/network');
+const { preflight } = require('./lib/preflight');
+const { getTokenSettings } = require('./lib/token-program');
+const { DeploymentManifest } = require('./lib/manifest');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const METADATA_PATH = path.join(__dirname, '../metadata/token-metadata.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+// Steps that send transactions, in the order they run, and the steps each one needs done first
+const DEPLOYMENT_STEPS = [
+  { name: 'mint', title: 'Creating token mint', depends: [] },
+  { name: 'metadata', title: 'Deploying token metadata', depends: ['mint'] },
+  { name: 'authority', title: 'Handing the mint authority to the multisig', depends: ['mint', 'metadata'] },
+  { name: 'distribution', title: 'Minting and distributing GLOWMIN', depends: ['mint', 'metadata', 'authority'] },
+  { name: 'liquidity', title: 'Creating liquidity pool', depends: ['distribution'] }
+];
+
+class DeploymentOrchestrator {
+  /**
+   * Options: configPath, metadataPath, keypairDir, deploymentsDir, rpcUrl and wsUrl, passed on
+   * to every step.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const {
+      configPath = CONFIG_PATH,
+      metadataPath = METADATA_PATH,
+      keypairDir = KEYPAIR_DIR,
+      deploymentsDir = DEPLOYMENTS_DIR
+    } = options;
+
+    this.verbose = verbose;
+    this.configPath = configPath;
+    this.metadataPath = metadataPath;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.options = { ...options, configPath, metadataPath, keypairDir, deploymentsDir };
+    this.config = readConfigFile(configPath);
+    this.network = resolveNetworkName(this.config, network);
+    this.token = getTokenSettings(this.config);
+    this.manifest = new DeploymentManifest(deploymentsDir, this.network);
+  }
+
+  async generateKeypairs() {
+    console.log('🔑 Checking keypairs...');
+
+    if (fs.existsSync(path.join(this.keypairDir, 'mint-authority.json'))) {
+      console.log('⏭️  Keypairs already exist, skipping generation\n');
+      return;
+    }
+
+    const { KeypairGenerator } = require('./generate-keypairs');
+    const generator = new KeypairGenerator(this.network, this.verbose, { configPath: this.configPath, keypairDir: this.keypairDir });
+    await generator.executeGeneration();
+
+    // The generated public keys were written into the config
+    this.config = readConfigFile(this.configPath);
+    console.log('');
+  }
+
+  validate() {
+    console.log('🔍 Validating configuration...');
+
+    // Every setting is used by one of the steps
+    preflight({ configPath: this.configPath, metadataPath: this.metadataPath, uses: null, verbose: this.verbose });
+    console.log('✅ Configuration is valid\n');
+  }
+
+  // Why a step does not apply to this token, or null
+  getSkipReason(step) {
+    if (step.name === 'metadata' && this.token.metadataPointer) {
+      return 'the metadata is stored in the mint (token.extensions.metadata_pointer)';
+    }
+
+    if (step.name === 'authority' && !this.config.security?.multisig?.enabled) {
+      return 'security.multisig is not enabled, the mint authority keypair keeps the mint authority';
+    }
+
+    if (step.name === 'liquidity' && this.token.program !== 'spl-token') {
+      return 'Raydium AMM v4 pools only support SPL Token mints';
+    }
+
+    return null;
+  }
+
+  isSatisfied(name) {
+    const step = DEPLOYMENT_STEPS.find(entry => entry.name === name);
+    return this.manifest.isDone(name) || Boolean(this.getSkipReason(step));
+  }
+
+  async runStep(step, solAmount, dryRun) {
+    const stepOptions = { ...this.options, config: this.config };
+
+    switch (step.name) {
+      case 'mint': {
+        const { TokenMinter } = require('./mint-token');
+        const minter = new TokenMinter(this.network, this.verbose, stepOptions);
+
+        // A dry run cannot create the mint, so it simulates the whole minting run instead
+        return dryRun ? minter.executeMinting(null, true) : minter.executeMintCreation();
+      }
+      case 'metadata': {
+        const { MetadataDeployer } = require('./deploy-metadata');
+        return new MetadataDeployer(this.network, this.verbose, stepOptions).deployMetadata(dryRun);
+      }
+      case 'authority': {
+        const { TokenMinter } = require('./mint-token');
+        return new TokenMinter(this.network, this.verbose, stepOptions).executeAuthorityHandOff(dryRun);
+      }
+      case 'distribution': {
+        const { TokenMinter } = require('./mint-token');
+        return new TokenMinter(this.network, this.verbose, stepOptions).executeMinting(null, dryRun, true);
+      }
+      case 'liquidity': {
+        const { LiquidityCreator } = require('./create-liquidity');
+        return new LiquidityCreator(this.network, this.verbose, stepOptions).executePoolCreation(solAmount, dryRun);
+      }
+      default:
+        throw new Error(`Unknown deployment step: ${step.name}`);
+    }
+  }
+
+  async runSteps(solAmount, dryRun) {
+    const results = [];
+
+    for (const step of DEPLOYMENT_STEPS) {
+      // Steps write their sections as they go
+      this.manifest.load();
+
+      const skipReason = this.getSkipReason(step);
+      if (skipReason) {
+        console.log(`⏭️  ${step.title}: not needed, ${skipReason}\n`);
+        results.push({ step: step.name, status: 'not-needed', detail: skipReason });
+        continue;
+      }
+
+      if (this.manifest.isDone(step.name)) {
+        console.log(`⏭️  ${step.title}: already done (${this.manifest.get(step.name).completedAt})\n`);
+        results.push({ step: step.name, status: 'done', detail: this.manifest.get(step.name) });
+        continue;
+      }
+
+      const waiting = step.depends.filter(name => !this.isSatisfied(name));
+      if (waiting.length > 0) {
+        if (!dryRun) {
+          throw new GlowMinError(`${step.title} needs ${waiting.join(', ')}, which did not complete`);
+        }
+
+        console.log(`⏳ ${step.title}: waits for ${waiting.join(', ')}, which a dry run does not deploy\n`);
+        results.push({ step: step.name, status: 'waiting', detail: waiting });
+        continue;
+      }
+
+      console.log(`▶️  ${step.title}...`);
+      const result = await this.runStep(step, solAmount, dryRun);
+
+      if (result?.simulation?.passed === false) {
+        throw new GlowMinError(`${step.title}: the simulation found problems`);
+      }
+
+      results.push({ step: step.name, status: dryRun ? 'simulated' : 'completed', detail: result });
+      console.log('');
+    }
+
+    return results;
+  }
+
+  // Verification and backup failures are reported but do not fail the deployment
+  async verify() {
+    console.log('🔍 Verifying deployment...');
+
+    try {
+      const { DeploymentVerifier } = require('./verify-deployment');
+      const verifier = new DeploymentVerifier(this.network, this.verbose, { ...this.options, config: this.config });
+      const report = await verifier.executeVerification();
+
+      if (!report.passed) {
+        console.log('⚠️  Deployment verification failed or incomplete\n');
+      }
+
+      return report;
+    } catch (error) {
+      console.log(`⚠️  Deployment verification failed: ${error.message}\n`);
+      return null;
+    }
+  }
+
+  async backup() {
+    console.log('💾 Backing up metadata...');
+
+    try {
+      const { MetadataBackup } = require('./backup-metadata');
+      await new MetadataBackup(this.network, this.verbose, this.options).executeBackup();
+      return true;
+    } catch (error) {
+      console.log(`⚠️  Metadata backup failed: ${error.message}\n`);
+      return false;
+    }
+  }
+
+  showSummary(results, dryRun, solAmount) {
+    console.log('\n📋 Deployment Summary:');
+    console.log(`   Network: ${this.network}`);
+    console.log(`   Dry Run: ${dryRun}`);
+    if (solAmount) {
+      console.log(`   SOL Amount: ${solAmount} lamports`);
+    }
+    console.log(`   Manifest: ${this.manifest.filePath}`);
+    results.forEach(({ step, status }) => console.log(`   ${step}: ${status}`));
+
+    const mint = this.manifest.getMint();
+    if (mint) {
+      console.log(`   Mint: ${mint.toString()}`);
+    }
+    if (this.manifest.get('liquidity')) {
+      console.log(`   Pool: ${this.manifest.get('liquidity').pool}`);
+    }
+  }
+
+  async executeDeployment(solAmount = null, dryRun = false) {
+    console.log(`\n🚀 Starting the GlowMin deployment on ${this.network}...\n`);
+
+    await this.generateKeypairs();
+    this.validate();
+
+    const steps = await this.runSteps(solAmount, dryRun);
+    const verification = await this.verify();
+    const backedUp = dryRun ? false : await this.backup();
+
+    this.manifest.load();
+    this.showSummary(steps, dryRun, solAmount);
+
+    if (dryRun) {
+      console.log('\n⚠️  This was a dry run. No actual deployment occurred.');
+    } else {
+      console.log('\n🎉 Deployment completed successfully!');
+      console.log('\nNext steps:');
+      console.log('1. Verify deployment on Solana Explorer');
+      console.log('2. Update website with token and pool addresses');
+      console.log('3. Announce launch to community');
+      console.log('4. Monitor network health and metrics');
+    }
+
+    return {
+      network: this.network,
+      dryRun,
+      manifest: this.manifest.filePath,
+      steps,
+      verification,
+      backedUp
+    };
+  }
+}
+
+module.exports = { DEPLOYMENT_STEPS, DeploymentOrchestrator };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['deploy-all', ...process.argv.slice(2)]);
+}
@@ -6,119 +6,172 @@
  * This script deploys token metadata to the Solana blockchain.
  * It reads configuration from deployment-config.json and metadata from token-metadata.json
  * 
- * Usage: node deploy-metadata.js [options]
+ * The metadata belongs to the mint recorded in the deployment manifest (lib/manifest.js), or
+ * the one given with --mint. The mint authority keypair has to sign, so it is deployed before
+ * the distribution hands that authority to the multisig or revokes it; `glowmin deploy-all`
+ * runs the steps in that order.
+ * 
+ * With --export, the transaction is written to a file for the mint and metadata authorities
+ * to sign on an offline machine, and the main keypair pays for it; see lib/offline.js.
+ * 
+ * Once deployed, the metadata is managed with the metadata authority keypair:
+ *   update              Send the fields that differ between the on-chain record and token-metadata.json
+ *   transfer-authority  Hand the update authority to another address (--new-authority)
+ *   make-immutable      Freeze the metadata for good
+ * The last two ask for confirmation unless --yes is given. With security.timelock enabled, all
+ * three are queued as timelock proposals instead (see timelock.js), which the update authority
+ * executes with `node timelock.js execute --id <id>` once the delay has passed.
+ * 
+ * Usage: glowmin metadata [update|transfer-authority|make-immutable] [options]
+ *        (or node deploy-metadata.js [options])
  * Options:
- *   --network <network>    Target network (devnet, testnet, mainnet-beta)
- *   --dry-run             Show what would be deployed without executing
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --metadata <path>      Token metadata file (default: metadata/token-metadata.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --dry-run             Simulate the metadata transaction without sending it
+ *   --export <path>        Write the transaction to a file for offline signing instead of sending it
+ *   --mint <address>       Mint the metadata belongs to (default: the mint in the deployment manifest)
+ *   --new-authority <addr> New update authority (transfer-authority)
+ *   --yes                 Skip the confirmation prompt (transfer-authority, make-immutable)
+ *   --json                Print the deployment record as JSON on stdout
  *   --verbose             Enable verbose logging
  */
 
-const fs = require('fs');
 const path = require('path');
-const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
-const { createMetadataAccountV3 } = require('@metaplex-foundation/mpl-token-metadata');
-const { Transaction, sendAndConfirmTransaction } = require('@solana/web3.js');
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const { unpackMint } = require('@solana/spl-token');
+const { parseAmount, formatAmount } = require('./lib/amount');
+const { GlowMinError, ConfigError, NetworkError, KeypairError, PrerequisiteError } = require('./lib/errors');
+const {
+  readConfigFile,
+  readMetadataFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  resolvePublicKey,
+  writeDeploymentRecord
+} = require('./lib/core');
+const {
+  findMetadataAddress,
+  decodeMetadata,
+  createMetadataAccountV3Instruction,
+  updateMetadataAccountV2Instruction
+} = require('./lib/token-metadata');
+const { TransactionSimulator } = require('./lib/simulation');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { OfflineExporter, getOfflineSettings } = require('./lib/offline');
+const { OPEN_STATUSES, ProposalQueue, getTimelockSettings } = require('./lib/timelock');
+const { confirmAction } = require('./lib/prompt');
+const { DeploymentManifest } = require('./lib/manifest');
 
 // Configuration
 const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
 const METADATA_PATH = path.join(__dirname, '../metadata/token-metadata.json');
 const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const KEYPAIR_FILES = {
+  mintAuthority: 'mint-authority.json',
+  metadataAuthority: 'metadata-authority.json',
+  // Pays for the exported transaction, whose authorities sign offline
+  main: 'main-keypair.json'
+};
 
 class MetadataDeployer {
-  constructor(network = 'devnet', verbose = false) {
+  /**
+   * Options: config or configPath, metadata or metadataPath, keypairDir, deploymentsDir,
+   * rpcUrl and wsUrl, an injected connection, signers ({ mintAuthority,
+   * metadataAuthority, main }) to use instead of the keyfiles, and mint to use
+   * instead of the mint in the deployment manifest.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, metadataPath = METADATA_PATH, keypairDir = KEYPAIR_DIR, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
     this.network = network;
     this.verbose = verbose;
-    this.config = this.loadConfig();
-    this.metadata = this.loadMetadata();
-    this.connection = this.createConnection();
-    this.keypairs = this.loadKeypairs();
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || this.loadConfig(configPath);
+    this.metadata = options.metadata || this.loadMetadata(metadataPath);
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.keypairs = this.loadKeypairs(options.signers);
+    this.manifest = new DeploymentManifest(this.deploymentsDir, this.network);
+    this.timelock = this.loadTimelock();
+    this.mint = options.mint || null;
+    // Fee payer of the metadata transaction; null for the metadata authority
+    this.payer = null;
   }
 
-  loadConfig() {
-    try {
-      const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
-      const config = JSON.parse(configData);
-      
-      if (this.verbose) {
-        console.log('✅ Configuration loaded successfully');
-        console.log(`   Network: ${this.network}`);
-        console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
-      }
-      
-      return config;
-    } catch (error) {
-      console.error('❌ Failed to load configuration:', error.message);
-      process.exit(1);
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+    
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+      console.log(`   Total Supply: ${formatAmount(parseAmount(config.token.total_supply, 'token.total_supply'), config.token.decimals, config.token.symbol)}`);
     }
+    
+    return config;
   }
 
-  loadMetadata() {
-    try {
-      const metadataData = fs.readFileSync(METADATA_PATH, 'utf8');
-      const metadata = JSON.parse(metadataData);
-      
-      if (this.verbose) {
-        console.log('✅ Metadata loaded successfully');
-        console.log(`   Name: ${metadata.name}`);
-        console.log(`   Symbol: ${metadata.symbol}`);
-        console.log(`   Description: ${metadata.description.substring(0, 50)}...`);
-      }
-      
-      return metadata;
-    } catch (error) {
-      console.error('❌ Failed to load metadata:', error.message);
-      process.exit(1);
+  loadMetadata(metadataPath) {
+    const metadata = readMetadataFile(metadataPath);
+    
+    if (this.verbose) {
+      console.log('✅ Metadata loaded successfully');
+      console.log(`   Name: ${metadata.name}`);
+      console.log(`   Symbol: ${metadata.symbol}`);
+      console.log(`   Description: ${metadata.description.substring(0, 50)}...`);
     }
+    
+    return metadata;
   }
 
-  createConnection() {
-    const networkConfig = this.config.network[this.network];
-    if (!networkConfig) {
-      console.error(`❌ Network '${this.network}' not found in configuration`);
-      process.exit(1);
-    }
-
-    const connection = new Connection(networkConfig.url, 'confirmed');
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
     
     if (this.verbose) {
       console.log(`✅ Connected to ${this.network} network`);
-      console.log(`   RPC URL: ${networkConfig.url}`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
     }
     
     return connection;
   }
 
-  loadKeypairs() {
-    const keypairs = {};
+  loadKeypairs(signers) {
+    const keypairs = loadKeypairFiles(this.keypairDir, KEYPAIR_FILES, signers);
+
+    if (this.verbose) {
+      console.log('✅ Keypairs loaded successfully');
+      Object.keys(keypairs).forEach(key => {
+        console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
+      });
+    }
     
+    return keypairs;
+  }
+
+  loadTimelock() {
     try {
-      // Load mint authority keypair
-      const mintAuthorityPath = path.join(KEYPAIR_DIR, 'mint-authority.json');
-      if (fs.existsSync(mintAuthorityPath)) {
-        keypairs.mintAuthority = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(fs.readFileSync(mintAuthorityPath, 'utf8')))
-        );
-      }
+      const settings = getTimelockSettings(this.config);
 
-      // Load metadata update authority keypair
-      const metadataAuthorityPath = path.join(KEYPAIR_DIR, 'metadata-authority.json');
-      if (fs.existsSync(metadataAuthorityPath)) {
-        keypairs.metadataAuthority = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(fs.readFileSync(metadataAuthorityPath, 'utf8')))
-        );
+      if (!settings) {
+        return null;
       }
 
       if (this.verbose) {
-        console.log('✅ Keypairs loaded successfully');
-        Object.keys(keypairs).forEach(key => {
-          console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
-        });
+        console.log(`✅ Timelock enabled: ${settings.delay}s delay for metadata changes`);
       }
-      
-      return keypairs;
+
+      return new ProposalQueue(path.join(this.deploymentsDir, `timelock-${this.network}.json`), settings.delay);
     } catch (error) {
-      console.error('❌ Failed to load keypairs:', error.message);
-      process.exit(1);
+      throw new ConfigError(`Invalid timelock configuration: ${error.message}`, { cause: error });
     }
   }
 
@@ -146,171 +199,559 @@ class MetadataDeployer {
     // Health check
     const isHealthy = await this.checkNetworkHealth();
     if (!isHealthy) {
-      console.error('❌ Network health check failed. Aborting deployment.');
-      process.exit(1);
+      throw new NetworkError('Network health check failed, aborting deployment');
     }
 
+    await this.checkMintAuthority();
+
+    // Both authorities sign the metadata transaction
+    requireSigner(this.keypairs, 'mintAuthority');
+    requireSigner(this.keypairs, 'metadataAuthority');
+
     if (dryRun) {
-      console.log('🔍 DRY RUN MODE - No actual deployment will occur\n');
-      this.showDeploymentPlan();
-      return;
+      return this.simulateDeployment();
     }
 
-    try {
-      // Create metadata account
-      console.log('📝 Creating metadata account...');
-      
-      const metadataAccount = await createMetadataAccountV3(
-        this.connection,
-        this.keypairs.metadataAuthority,
-        {
-          mint: this.keypairs.mintAuthority.publicKey,
-          mintAuthority: this.keypairs.mintAuthority,
-          updateAuthority: this.keypairs.metadataAuthority,
-          metadataData: {
-            name: this.metadata.name,
-            symbol: this.metadata.symbol,
-            uri: this.metadata.social.website + '/metadata/token-metadata.json',
-            sellerFeeBasisPoints: 0,
-            creators: this.metadata.properties.creators,
-            collection: this.metadata.collection,
-            uses: null
-          },
-          isMutable: true,
-          collectionDetails: null
-        }
+    // Create metadata account
+    console.log('📝 Creating metadata account...');
+
+    const metadataAccount = this.getMetadataAddress();
+    const signature = await this.sender.send(
+      [this.buildMetadataInstruction()],
+      [this.keypairs.metadataAuthority, this.keypairs.mintAuthority],
+      'Create metadata account'
+    );
+
+    console.log('✅ Metadata account created successfully!');
+    console.log(`   Metadata Account: ${metadataAccount.toString()}`);
+    console.log(`   Mint: ${this.getMint().toString()}`);
+    console.log(`   Update Authority: ${this.getUpdateAuthority().toString()}`);
+    console.log(`   Transaction: ${signature}`);
+
+    // Save deployment info
+    const deploymentInfo = this.saveDeploymentInfo(metadataAccount);
+
+    console.log('\n🎉 GlowMin metadata deployment completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Verify metadata on Solana Explorer');
+    console.log(`2. Distribute the tokens if not already done: glowmin mint --network ${this.network} --resume`);
+
+    return deploymentInfo;
+  }
+
+  // Metaplex only accepts a signing mint authority, which an SPL multisig account cannot be
+  async checkMintAuthority() {
+    const mint = this.getMint();
+    const account = await this.connection.getAccountInfo(mint);
+
+    if (!account) {
+      throw new PrerequisiteError(`Mint ${mint.toString()} not found on ${this.network}, create it first with: glowmin mint`);
+    }
+
+    const { mintAuthority } = unpackMint(mint, account, account.owner);
+    const expected = this.getMintAuthority();
+
+    if (!mintAuthority || !mintAuthority.equals(expected)) {
+      throw new PrerequisiteError(
+        `The mint authority of ${mint.toString()} is ${mintAuthority ? mintAuthority.toString() : 'revoked'}, not ${expected.toString()}. ` +
+        'The metadata has to be deployed before the mint authority is handed to the multisig or revoked'
       );
+    }
+  }
 
-      console.log('✅ Metadata account created successfully!');
-      console.log(`   Metadata Account: ${metadataAccount.toString()}`);
-      console.log(`   Mint: ${this.keypairs.mintAuthority.publicKey.toString()}`);
-      console.log(`   Update Authority: ${this.keypairs.metadataAuthority.publicKey.toString()}`);
+  /**
+   * Offline signing: writes the metadata transaction to filePath for the mint
+   * and metadata authorities to sign on another machine. The main keypair
+   * pays for it.
+   */
+  async exportMetadata(filePath) {
+    console.log('\n📦 Exporting the GlowMin metadata transaction for offline signing...\n');
+
+    const payer = requireSigner(this.keypairs, 'main');
+    await this.checkMintAuthority();
+    this.payer = payer.publicKey;
+
+    const metadataAccount = this.getMetadataAddress();
+    console.log(`   Metadata Account: ${metadataAccount.toString()}`);
+    console.log(`   Mint: ${this.getMint().toString()}`);
+    console.log(`   Metadata URI: ${this.getMetadataUri()}\n`);
+
+    if (await this.connection.getAccountInfo(metadataAccount)) {
+      console.log('⚠️  The metadata account already exists, submitting this transaction will fail\n');
+    }
 
-      // Save deployment info
-      this.saveDeploymentInfo(metadataAccount);
+    const exporter = new OfflineExporter({
+      connection: this.connection,
+      sender: this.sender,
+      payer,
+      settings: getOfflineSettings(this.config)
+    });
+    const bundle = await exporter.export(filePath, {
+      kind: 'metadata',
+      network: this.network,
+      record: this.buildDeploymentInfo(metadataAccount),
+      manifest: { metadata: this.buildManifestEntry(metadataAccount) }
+    }, [{ description: 'Create metadata account', instructions: [this.buildMetadataInstruction()] }]);
 
-      console.log('\n🎉 GlowMin metadata deployment completed successfully!');
-      console.log('\nNext steps:');
-      console.log('1. Verify metadata on Solana Explorer');
-      console.log('2. Update deployment-config.json with metadata account address');
-      console.log('3. Proceed with token minting if not already done');
+    return {
+      network: this.network,
+      exportFile: filePath,
+      transactions: bundle.transactions
+    };
+  }
 
-    } catch (error) {
-      console.error('❌ Metadata deployment failed:', error.message);
-      
-      if (this.verbose) {
-        console.error('Full error details:', error);
+  getMint() {
+    return this.mint || this.manifest.requireMint();
+  }
+
+  // Authority keyfiles kept offline are replaced by the public keys in the config
+  getMintAuthority() {
+    return resolvePublicKey(this.keypairs, 'mintAuthority', this.config.token.mint_authority?.public_key, 'token.mint_authority.public_key');
+  }
+
+  getUpdateAuthority() {
+    return resolvePublicKey(this.keypairs, 'metadataAuthority', this.config.metadata?.update_authority?.public_key, 'metadata.update_authority.public_key');
+  }
+
+  getMetadataUri() {
+    return this.metadata.social.website + '/metadata/token-metadata.json';
+  }
+
+  getMetadataAddress() {
+    return findMetadataAddress(this.getMint(), new PublicKey(this.config.programs.metadata_program));
+  }
+
+  // The on-chain fields described by token-metadata.json
+  getMetadataData() {
+    return {
+      name: this.metadata.name,
+      symbol: this.metadata.symbol,
+      uri: this.getMetadataUri(),
+      sellerFeeBasisPoints: 0,
+      creators: this.metadata.properties.creators
+    };
+  }
+
+  // The metadata authority pays for the account, unless it is exported, and stays its update authority
+  buildMetadataInstruction() {
+    return createMetadataAccountV3Instruction({
+      programId: new PublicKey(this.config.programs.metadata_program),
+      mint: this.getMint(),
+      mintAuthority: this.getMintAuthority(),
+      payer: this.payer || this.getUpdateAuthority(),
+      updateAuthority: this.getUpdateAuthority(),
+      data: this.getMetadataData(),
+      isMutable: this.config.metadata.is_mutable !== false
+    });
+  }
+
+  async loadOnChainMetadata() {
+    const programId = new PublicKey(this.config.programs.metadata_program);
+    const address = this.getMetadataAddress();
+    const account = await this.connection.getAccountInfo(address);
+
+    if (!account || !account.owner.equals(programId)) {
+      throw new PrerequisiteError(`Metadata account ${address.toString()} not found, deploy it first with: glowmin metadata`);
+    }
+
+    return { address, onChain: decodeMetadata(account.data) };
+  }
+
+  // Only the current update authority can change the metadata
+  requireUpdateAuthority(onChain) {
+    const authority = requireSigner(this.keypairs, 'metadataAuthority');
+    this.checkUpdateAuthority(onChain);
+    return authority;
+  }
+
+  // With the timelock, changes are proposed and the keypair only signs when they are executed
+  authorizeUpdate(onChain) {
+    if (this.timelock) {
+      this.checkUpdateAuthority(onChain);
+    } else {
+      this.requireUpdateAuthority(onChain);
+    }
+  }
+
+  // Proposals are built without the update authority's keypair, which only signs at execution
+  checkUpdateAuthority(onChain) {
+    const authority = this.getUpdateAuthority();
+
+    if (!onChain.updateAuthority.equals(authority)) {
+      throw new KeypairError(
+        `The update authority of the metadata is ${onChain.updateAuthority.toString()}, not the metadata authority ${authority.toString()}`
+      );
+    }
+  }
+
+  /**
+   * The fields where the on-chain record differs from token-metadata.json, as
+   * { field, current, desired } strings.
+   */
+  diffMetadata(onChain) {
+    const desired = this.getMetadataData();
+    const formatCreators = creators => (creators || [])
+      .map(creator => `${creator.address.toString()} (${creator.share}%)`)
+      .join(', ') || 'none';
+
+    return [
+      ['name', onChain.name, desired.name],
+      ['symbol', onChain.symbol, desired.symbol],
+      ['uri', onChain.uri, desired.uri],
+      ['sellerFeeBasisPoints', String(onChain.sellerFeeBasisPoints), String(desired.sellerFeeBasisPoints)],
+      ['creators', formatCreators(onChain.creators), formatCreators(desired.creators)]
+    ]
+      .filter(([, current, wanted]) => current !== wanted)
+      .map(([field, current, wanted]) => ({ field, current, desired: wanted }));
+  }
+
+  printChanges(changes) {
+    changes.forEach(change => {
+      console.log(`   ${change.field}:`);
+      console.log(`      On chain: ${change.current}`);
+      console.log(`      token-metadata.json: ${change.desired}`);
+    });
+    console.log('');
+  }
+
+  async confirm(question, confirmed) {
+    if (confirmed || await confirmAction(question)) {
+      return true;
+    }
+
+    console.log('🚫 Cancelled, nothing was sent');
+    return false;
+  }
+
+  buildUpdateInstruction(address, args) {
+    return updateMetadataAccountV2Instruction({
+      programId: new PublicKey(this.config.programs.metadata_program),
+      metadata: address,
+      updateAuthority: this.getUpdateAuthority(),
+      ...args
+    });
+  }
+
+  // Creators verified on chain stay verified, only they could remove their own verification
+  buildDataUpdateInstruction(address, onChain) {
+    const verified = new Set((onChain.creators || []).filter(creator => creator.verified).map(creator => creator.address.toBase58()));
+    const data = this.getMetadataData();
+
+    return this.buildUpdateInstruction(address, {
+      data: {
+        ...data,
+        creators: data.creators.map(creator => ({
+          ...creator,
+          verified: verified.has(creator.address) || this.getUpdateAuthority().equals(new PublicKey(creator.address))
+        }))
       }
-      
-      process.exit(1);
+    });
+  }
+
+  /**
+   * Builds the instruction of a metadata timelock action (update-metadata,
+   * transfer-metadata-authority or make-metadata-immutable, see timelock.js)
+   * from the on-chain record and token-metadata.json. Returns
+   * { description, instruction }, or null when the record already matches.
+   * The instruction is signed by the update authority when it is executed.
+   */
+  async buildTimelockAction(action, newAuthority = null) {
+    const { address, onChain } = await this.loadOnChainMetadata();
+    const mint = this.getMint().toString();
+    this.checkUpdateAuthority(onChain);
+
+    switch (action) {
+      case 'update-metadata':
+        if (this.diffMetadata(onChain).length === 0) {
+          return null;
+        }
+        if (!onChain.isMutable) {
+          throw new PrerequisiteError('The metadata is immutable and can no longer be updated');
+        }
+        return {
+          description: `Update the metadata of ${mint} to token-metadata.json`,
+          instruction: this.buildDataUpdateInstruction(address, onChain)
+        };
+      case 'transfer-metadata-authority':
+        if (newAuthority.equals(onChain.updateAuthority)) {
+          return null;
+        }
+        return {
+          description: `Transfer the metadata update authority of ${mint} to ${newAuthority.toString()}`,
+          instruction: this.buildUpdateInstruction(address, { newUpdateAuthority: newAuthority })
+        };
+      case 'make-metadata-immutable':
+        if (!onChain.isMutable) {
+          return null;
+        }
+        return {
+          description: `Make the metadata of ${mint} immutable`,
+          instruction: this.buildUpdateInstruction(address, { isMutable: false })
+        };
+      default:
+        throw new GlowMinError(`Unknown metadata action '${action}'`);
     }
   }
 
-  showDeploymentPlan() {
-    console.log('📋 Deployment Plan:');
-    console.log(`   Network: ${this.network}`);
-    console.log(`   Token Name: ${this.metadata.name}`);
-    console.log(`   Token Symbol: ${this.metadata.symbol}`);
-    console.log(`   Mint Authority: ${this.keypairs.mintAuthority?.publicKey.toString() || 'Not loaded'}`);
-    console.log(`   Metadata Authority: ${this.keypairs.metadataAuthority?.publicKey.toString() || 'Not loaded'}`);
-    console.log(`   Metadata URI: ${this.metadata.social.website}/metadata/token-metadata.json`);
-    console.log(`   Collection: ${this.metadata.collection.name}`);
+  /**
+   * With security.timelock, queues a metadata action as a timelock proposal
+   * (see buildTimelockAction) instead of sending it; timelock.js executes it
+   * once the delay has passed. A proposal still waiting with the same
+   * instruction is not queued again.
+   */
+  async proposeUpdate(action, result, newAuthority = null) {
+    const built = await this.buildTimelockAction(action, newAuthority);
+
+    if (!built) {
+      return result;
+    }
+
+    const { description, instruction } = built;
+    const existing = this.timelock.list().find(proposal => {
+      if (proposal.action !== action || !OPEN_STATUSES.includes(proposal.status)) {
+        return false;
+      }
+
+      const [queued] = Transaction.from(Buffer.from(proposal.transaction, 'base64')).instructions;
+      return queued.keys[0].pubkey.equals(instruction.keys[0].pubkey) && queued.data.equals(instruction.data);
+    });
+
+    if (existing) {
+      console.log(`⏭️  Already proposed as #${existing.id} (${existing.status})`);
+      return { ...result, proposal: existing.id, notBefore: existing.notBefore };
+    }
+
+    // The update authority pays when the proposal is executed, as with timelock.js proposals
+    const { blockhash } = await this.connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: this.getUpdateAuthority(), recentBlockhash: blockhash }).add(instruction);
+    const proposal = this.timelock.propose({ action, description, transaction });
+
+    console.log(`🕒 Queued as timelock proposal #${proposal.id}: ${description}`);
+    console.log(`   Executable after: ${proposal.notBefore}`);
+    console.log(`   Execute with: node timelock.js execute --id ${proposal.id} --network ${this.network}`);
+
+    return { ...result, proposal: proposal.id, notBefore: proposal.notBefore };
   }
 
-  saveDeploymentInfo(metadataAccount) {
-    const deploymentInfo = {
+  async sendUpdate(action, description, address, instruction, details = {}) {
+    const signature = await this.sender.send([instruction], [this.keypairs.metadataAuthority], description);
+    const record = {
       timestamp: new Date().toISOString(),
       network: this.network,
-      metadataAccount: metadataAccount.toString(),
-      mint: this.keypairs.mintAuthority.publicKey.toString(),
-      updateAuthority: this.keypairs.metadataAuthority.publicKey.toString(),
-      metadataUri: this.metadata.social.website + '/metadata/token-metadata.json'
+      action,
+      metadataAccount: address.toString(),
+      mint: this.getMint().toString(),
+      ...details,
+      signature
     };
 
-    const infoPath = path.join(__dirname, `../deployments/metadata-${this.network}-${Date.now()}.json`);
-    
-    // Ensure deployments directory exists
-    const deploymentsDir = path.dirname(infoPath);
-    if (!fs.existsSync(deploymentsDir)) {
-      fs.mkdirSync(deploymentsDir, { recursive: true });
+    console.log(`✅ ${description} confirmed`);
+    console.log(`   Transaction: ${signature}`);
+
+    const infoPath = writeDeploymentRecord(this.deploymentsDir, 'metadata-update', this.network, record);
+    console.log(`📄 Update record saved to: ${infoPath}`);
+
+    return record;
+  }
+
+  /**
+   * Sends the name, symbol, URI and creators from token-metadata.json when
+   * any of them differ from the on-chain record. Metaplex replaces these
+   * fields together, so an update carries all of them, or nothing when
+   * they already match. The image and description are read from the JSON
+   * file at the URI: changing them means uploading that file again, and
+   * only a new URI is sent on chain.
+   */
+  async updateMetadata(dryRun = false) {
+    console.log('\n🔄 Updating GlowMin metadata...\n');
+
+    const { address, onChain } = await this.loadOnChainMetadata();
+    this.authorizeUpdate(onChain);
+    const changes = this.diffMetadata(onChain);
+
+    console.log(`   Metadata Account: ${address.toString()}`);
+    console.log(`   Update Authority: ${onChain.updateAuthority.toString()}\n`);
+
+    if (changes.length === 0) {
+      console.log('✅ The on-chain metadata already matches token-metadata.json, nothing to update');
+      return { network: this.network, action: 'update', metadataAccount: address.toString(), changes, signature: null };
     }
 
-    fs.writeFileSync(infoPath, JSON.stringify(deploymentInfo, null, 2));
-    console.log(`📄 Deployment info saved to: ${infoPath}`);
+    console.log('📋 Changes:');
+    this.printChanges(changes);
+
+    if (!onChain.isMutable) {
+      throw new PrerequisiteError('The metadata is immutable and can no longer be updated');
+    }
+
+    const instruction = this.buildDataUpdateInstruction(address, onChain);
+
+    if (dryRun) {
+      const simulator = new TransactionSimulator(this.connection, this.getUpdateAuthority(), this.config.fees, this.verbose, this.sender);
+      simulator.name(address, 'Metadata Account');
+      await simulator.simulate('Update metadata account', [instruction]);
+
+      if (this.timelock) {
+        console.log('🕒 Without --dry-run the update is queued as a timelock proposal, not sent');
+      }
+
+      return { network: this.network, dryRun: true, changes, simulation: await simulator.summarize() };
+    }
+
+    if (this.timelock) {
+      return this.proposeUpdate('update-metadata', { network: this.network, action: 'update', metadataAccount: address.toString(), changes });
+    }
+
+    return this.sendUpdate('update', 'Update metadata account', address, instruction, { changes });
   }
-}
 
-// CLI Interface
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    network: 'devnet',
-    dryRun: false,
-    verbose: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case '--network':
-        options.network = args[++i];
-        break;
-      case '--dry-run':
-        options.dryRun = true;
-        break;
-      case '--verbose':
-        options.verbose = true;
-        break;
-      case '--help':
-        console.log(`
-Usage: node deploy-metadata.js [options]
-
-Options:
-  --network <network>    Target network (devnet, testnet, mainnet-beta)
-  --dry-run             Show what would be deployed without executing
-  --verbose             Enable verbose logging
-  --help                Show this help message
-
-Examples:
-  node deploy-metadata.js --network devnet
-  node deploy-metadata.js --network mainnet-beta --verbose
-  node deploy-metadata.js --dry-run
-        `);
-        process.exit(0);
-        break;
+  /**
+   * Hands the update authority to newAuthority. The metadata authority
+   * keypair can no longer change the metadata afterwards, so
+   * metadata.update_authority in the config has to follow.
+   */
+  async transferUpdateAuthority(newAuthority, confirmed = false) {
+    console.log('\n🔑 Transferring the metadata update authority...\n');
+
+    const { address, onChain } = await this.loadOnChainMetadata();
+    this.authorizeUpdate(onChain);
+
+    console.log(`   Metadata Account: ${address.toString()}`);
+    console.log(`   Current Update Authority: ${onChain.updateAuthority.toString()}`);
+    console.log(`   New Update Authority: ${newAuthority.toString()}\n`);
+
+    const result = { network: this.network, action: 'transfer-authority', metadataAccount: address.toString(), signature: null };
+
+    if (newAuthority.equals(onChain.updateAuthority)) {
+      console.log('⏭️  That address is already the update authority, nothing to transfer');
+      return result;
     }
+
+    console.log('⚠️  Only the new update authority will be able to update the metadata or transfer it again.');
+
+    if (!await this.confirm(`Transfer the update authority to ${newAuthority.toString()}?`, confirmed)) {
+      return { ...result, cancelled: true };
+    }
+
+    if (this.timelock) {
+      return this.proposeUpdate('transfer-metadata-authority', result, newAuthority);
+    }
+
+    const record = await this.sendUpdate('transfer-authority', 'Transfer update authority', address, this.buildUpdateInstruction(address, {
+      newUpdateAuthority: newAuthority
+    }), {
+      previousUpdateAuthority: onChain.updateAuthority.toString(),
+      newUpdateAuthority: newAuthority.toString()
+    });
+
+    console.log('\nNext steps:');
+    console.log('1. Set metadata.update_authority.public_key in deployment-config.json to the new authority');
+
+    return record;
   }
 
-  return options;
-}
+  /**
+   * Clears is_mutable, after which no authority can change the metadata
+   * again. Differences from token-metadata.json are shown first, since they
+   * can only be sent before.
+   */
+  async makeImmutable(confirmed = false) {
+    console.log('\n🧊 Making the GlowMin metadata immutable...\n');
 
-// Main execution
-async function main() {
-  const options = parseArgs();
-  
-  console.log('🌟 GlowMin Metadata Deployment Script');
-  console.log('=====================================\n');
+    const { address, onChain } = await this.loadOnChainMetadata();
+    this.authorizeUpdate(onChain);
 
-  const deployer = new MetadataDeployer(options.network, options.verbose);
-  await deployer.deployMetadata(options.dryRun);
-}
+    console.log(`   Metadata Account: ${address.toString()}`);
+    console.log(`   Update Authority: ${onChain.updateAuthority.toString()}\n`);
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error.message);
-  process.exit(1);
-});
+    const result = { network: this.network, action: 'make-immutable', metadataAccount: address.toString(), signature: null };
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+    if (!onChain.isMutable) {
+      console.log('⏭️  The metadata is already immutable');
+      return result;
+    }
 
-// Run the script
-if (require.main === module) {
-  main().catch(error => {
-    console.error('❌ Script execution failed:', error.message);
-    process.exit(1);
-  });
+    const changes = this.diffMetadata(onChain);
+    if (changes.length > 0) {
+      console.log('⚠️  The on-chain metadata differs from token-metadata.json:');
+      this.printChanges(changes);
+      console.log('   Run glowmin metadata update first if these changes should be published.\n');
+    }
+
+    console.log('⚠️  Immutable metadata can never be updated again, by any authority.');
+
+    if (!await this.confirm(`Make the metadata of ${this.getMint().toString()} immutable?`, confirmed)) {
+      return { ...result, cancelled: true };
+    }
+
+    if (this.timelock) {
+      return this.proposeUpdate('make-metadata-immutable', result);
+    }
+
+    return this.sendUpdate('make-immutable', 'Make metadata immutable', address, this.buildUpdateInstruction(address, { isMutable: false }));
+  }
+
+  async simulateDeployment() {
+    console.log('🔍 DRY RUN MODE - Simulating the metadata transaction, nothing will be sent\n');
+
+    const simulator = new TransactionSimulator(
+      this.connection,
+      this.keypairs.metadataAuthority.publicKey,
+      this.config.fees,
+      this.verbose,
+      this.sender
+    );
+    const metadataAccount = simulator.name(this.getMetadataAddress(), 'Metadata Account');
+
+    console.log(`   Metadata Account: ${metadataAccount.toString()}`);
+    console.log(`   Mint: ${this.getMint().toString()}`);
+    console.log(`   Metadata URI: ${this.getMetadataUri()}\n`);
+
+    if (await simulator.getAccount(metadataAccount)) {
+      console.log('⚠️  The metadata account already exists, creating it again will fail\n');
+    }
+
+    await simulator.simulate('Create metadata account', [this.buildMetadataInstruction()], {
+      rent: this.config.fees.metadata_creation
+    });
+
+    return { network: this.network, dryRun: true, simulation: await simulator.summarize() };
+  }
+
+  buildDeploymentInfo(metadataAccount) {
+    return {
+      timestamp: new Date().toISOString(),
+      network: this.network,
+      metadataAccount: metadataAccount.toString(),
+      mint: this.getMint().toString(),
+      updateAuthority: this.getUpdateAuthority().toString(),
+      metadataUri: this.getMetadataUri()
+    };
+  }
+
+  buildManifestEntry(metadataAccount) {
+    return {
+      account: metadataAccount.toString(),
+      updateAuthority: this.getUpdateAuthority().toString(),
+      uri: this.getMetadataUri()
+    };
+  }
+
+  saveDeploymentInfo(metadataAccount) {
+    const deploymentInfo = this.buildDeploymentInfo(metadataAccount);
+    const infoPath = writeDeploymentRecord(this.deploymentsDir, 'metadata', this.network, deploymentInfo);
+    console.log(`📄 Deployment info saved to: ${infoPath}`);
+
+    this.manifest.complete('metadata', this.buildManifestEntry(metadataAccount));
+    console.log(`📄 Metadata recorded in: ${this.manifest.filePath}`);
+
+    return deploymentInfo;
+  }
 }
 
 module.exports = { MetadataDeployer };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['metadata', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Keypair Generation Script
+ *
+ * This script generates the authority keypairs used by the deployment scripts.
+ * Each keypair is stored as a passphrase-encrypted keystore in keypairs/ (or
+ * --keypair-dir), and the public keys are written back into deployment-config.json
+ * (or the --config file).
+ *
+ * The passphrase is read from GLOWMIN_KEYSTORE_PASSPHRASE, or prompted for when
+ * running in a terminal. The same variable unlocks the keystores in the other scripts.
+ *
+ * Usage: glowmin keypairs [options] (or node generate-keypairs.js [options])
+ * Options:
+ *   --network <network>    Network the keypairs are generated for (informational)
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --force               Replace keypair files that already exist, keeping each old file
+ *                         as <file>.bak-<timestamp>
+ *   --verbose             Enable verbose logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Keypair } = require('@solana/web3.js');
+const { PASSPHRASE_ENV, writeKeystoreFile } = require('./lib/keystore');
+const { isPlaceholder } = require('./lib/pubkey');
+const { KeypairError } = require('./lib/errors');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Keypair files and the config entries that hold their public keys
+const KEYPAIR_ROLES = [
+  { name: 'mintAuthority', file: 'mint-authority.json', configPath: ['token', 'mint_authority'] },
+  { name: 'freezeAuthority', file: 'freeze-authority.json', configPath: ['token', 'freeze_authority'] },
+  { name: 'metadataAuthority', file: 'metadata-authority.json', configPath: ['metadata', 'update_authority'] },
+  { name: 'lockAuthority', file: 'lock-authority.json', configPath: ['liquidity', 'lock_authority'] },
+  { name: 'main', file: 'main-keypair.json', configPath: null }
+];
+
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) {
+        process.stdout.write(text);
+      }
+    };
+
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+class KeypairGenerator {
+  // Options: configPath and keypairDir
+  constructor(network = 'devnet', verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, keypairDir = KEYPAIR_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.configPath = configPath;
+    this.keypairDir = keypairDir;
+  }
+
+  async getPassphrase() {
+    let passphrase = process.env[PASSPHRASE_ENV];
+
+    if (!passphrase) {
+      if (!process.stdin.isTTY) {
+        throw new KeypairError(`No terminal available, set ${PASSPHRASE_ENV} to the keystore passphrase`);
+      }
+
+      passphrase = await promptHidden('🔑 Keystore passphrase: ');
+      const confirmation = await promptHidden('🔑 Confirm passphrase: ');
+
+      if (passphrase !== confirmation) {
+        throw new KeypairError('Passphrases do not match');
+      }
+    }
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new KeypairError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    return passphrase;
+  }
+
+  generateKeypairs(passphrase, force = false) {
+    const generated = {};
+    const backupSuffix = `.bak-${Date.now()}`;
+
+    for (const role of KEYPAIR_ROLES) {
+      const filePath = path.join(this.keypairDir, role.file);
+
+      if (fs.existsSync(filePath) && !force) {
+        console.log(`⏭️  ${role.file} already exists, skipping (use --force to replace it)`);
+        continue;
+      }
+
+      // The old key may still hold an authority or funds, so it is kept
+      if (fs.existsSync(filePath)) {
+        const backupPath = filePath + backupSuffix;
+        fs.renameSync(filePath, backupPath);
+        console.log(`📦 ${role.file} moved to ${path.basename(backupPath)}`);
+      }
+
+      const keypair = Keypair.generate();
+      writeKeystoreFile(filePath, keypair, passphrase);
+      generated[role.name] = keypair.publicKey;
+
+      console.log(`✅ ${role.name}: ${keypair.publicKey.toBase58()}`);
+      if (this.verbose) {
+        console.log(`   Keystore: ${filePath}`);
+      }
+    }
+
+    return generated;
+  }
+
+  updateConfig(generated) {
+    const raw = fs.readFileSync(this.configPath, 'utf8');
+    const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+    const config = JSON.parse(raw);
+
+    for (const role of KEYPAIR_ROLES) {
+      if (!role.configPath || !generated[role.name]) {
+        continue;
+      }
+
+      const [section, key] = role.configPath;
+      const entry = config[section][key];
+      const publicKey = generated[role.name].toBase58();
+
+      if (entry.public_key && !isPlaceholder(entry.public_key) && entry.public_key !== publicKey) {
+        console.log(`⚠️  Replacing ${section}.${key}.public_key (was ${entry.public_key})`);
+      }
+
+      entry.public_key = publicKey;
+    }
+
+    const output = JSON.stringify(config, null, 2).replace(/\n/g, eol) + (raw.endsWith(eol) ? eol : '');
+    fs.writeFileSync(this.configPath, output);
+    console.log(`📄 Public keys written to: ${this.configPath}`);
+  }
+
+  // Returns the public keys of the keypairs generated in this run, by role
+  async executeGeneration(force = false) {
+    console.log(`\n🚀 Generating GlowMin keypairs for ${this.network}...\n`);
+
+    const passphrase = await this.getPassphrase();
+    const generated = this.generateKeypairs(passphrase, force);
+
+    if (Object.keys(generated).length === 0) {
+      console.log('\nℹ️  No new keypairs generated');
+      return generated;
+    }
+
+    this.updateConfig(generated);
+
+    console.log('\n🎉 Keypair generation completed successfully!');
+    console.log('\nNext steps:');
+    console.log(`1. Back up ${this.keypairDir} and the passphrase separately`);
+    console.log(`2. Export ${PASSPHRASE_ENV} before running the deployment scripts`);
+    console.log('3. Fund the main keypair with SOL for transaction fees');
+
+    return generated;
+  }
+}
+
+module.exports = { KeypairGenerator };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['keypairs', ...process.argv.slice(2)]);
+}
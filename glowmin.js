@@ -0,0 +1,943 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin CLI
+ *
+ * Single entrypoint for the deployment scripts. Every subcommand validates its
+ * flags the same way: unknown flags, missing values and malformed amounts or
+ * addresses are rejected before any configuration is loaded.
+ *
+ * Commands:
+ *   keypairs      Generate the authority keypairs as encrypted keystores (generate-keypairs.js)
+ *   mint          Mint GLOWMIN and distribute it according to the tokenomics (mint-token.js)
+ *   metadata      Deploy the token metadata account, update it, transfer its authority or make it
+ *                 immutable (deploy-metadata.js)
+ *   liquidity     Create the GLOWMIN/SOL pool or verify its LP lock (create-liquidity.js)
+ *   verify        Check the latest deployment records against chain state (verify-deployment.js)
+ *   validate      Check deployment-config.json and token-metadata.json against the schema
+ *   offline       Create nonce accounts, sign exported transactions offline and submit them (offline-signing.js)
+ *   multisig      Create the multisig account and collect signatures for its pending transactions (multisig.js)
+ *   timelock      Queue authority and metadata changes and execute them once the delay has passed
+ *                 (timelock.js)
+ *   fees          Harvest and withdraw Token-2022 transfer fees (mint-token.js)
+ *   nft           Generate the NFT collection from nft-metadata.json, rank its rarity and mint it
+ *                 (nft-minter.js)
+ *   airdrop       Pay out the Community bucket to the wallets in a CSV list (airdrop.js)
+ *   merkle        Build, verify and fund a Merkle claim airdrop, produce claim transactions and
+ *                 claw back what is unclaimed (merkle-airdrop.js)
+ *   monitor       Watch the endpoints, the mint, the pool and large transfers and send alerts (monitor.js)
+ *   backup        Snapshot, list and restore the metadata, configuration and deployment records
+ *                 (backup-metadata.js)
+ *   deploy-all    Run the deployment steps that the deployment manifest does not show as done (deploy-all.js)
+ *
+ * Usage: glowmin <command> [options]
+ *
+ * --network takes a config.network entry or cluster alias (see lib/network.js),
+ * and --rpc-url and --ws-url replace its configured endpoints. --config,
+ * --metadata and --keypair-dir replace the default metadata/deployment-config.json,
+ * metadata/token-metadata.json and keypairs/ locations. With --json, progress
+ * output goes to stderr and the command result is printed to stdout as JSON;
+ * failures still exit with code 1.
+ *
+ * Before a command that uses the configuration runs, both config files are
+ * checked (see lib/preflight.js). Placeholders in the settings a command uses
+ * stop it before anything is sent; the rest are reported as warnings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Command, Option, Argument, InvalidArgumentError } = require('commander');
+const { PublicKey } = require('@solana/web3.js');
+const { parseAmount } = require('./lib/amount');
+const { readConfigFile, readMetadataFile } = require('./lib/core');
+const { formatProblem, checkDeploymentFiles, preflight } = require('./lib/preflight');
+const { PASSPHRASE_ENV } = require('./lib/keystore');
+const { TIMELOCK_ACTIONS } = require('./timelock');
+
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const METADATA_PATH = path.join(__dirname, '../metadata/token-metadata.json');
+
+// Settings each command needs filled in before it runs, by command path
+const PREFLIGHT_USES = {
+  // The public keys written here replace placeholders, so none are required yet
+  keypairs: { config: [] },
+  mint: { config: ['network', 'token', 'distribution', 'security', 'programs'] },
+  metadata: { config: ['network', 'token', 'metadata', 'programs'], metadata: true },
+  'metadata update': { config: ['network', 'token', 'metadata', 'programs'], metadata: true },
+  'metadata transfer-authority': { config: ['network', 'token', 'metadata', 'programs'], metadata: true },
+  'metadata make-immutable': { config: ['network', 'token', 'metadata', 'programs'], metadata: true },
+  liquidity: { config: ['network', 'token', 'liquidity', 'raydium', 'fees'] },
+  verify: { config: ['network', 'token', 'liquidity', 'programs'], metadata: true },
+  'fees harvest': { config: ['network', 'token'] },
+  'fees withdraw': { config: ['network', 'token', 'security'] },
+  'nft mint': { config: ['network', 'nft', 'programs', 'fees'] },
+  airdrop: { config: ['network', 'token', 'distribution', 'fees'] },
+  'merkle create': { config: ['network', 'token', 'distribution', 'programs', 'fees'] },
+  'merkle claim': { config: ['network', 'programs'] },
+  'merkle clawback': { config: ['network', 'programs', 'fees'] },
+  // create fills in security.multisig.address, the other commands need it
+  'multisig create': { config: ['network', 'security.multisig.threshold', 'security.multisig.signers'] },
+  'multisig status': { config: ['network', 'security.multisig'] },
+  'multisig sign': { config: ['network', 'security.multisig'] },
+  'multisig submit': { config: ['network', 'security.multisig'] },
+  'timelock propose': { config: ['network', 'security.timelock'] },
+  'timelock list': { config: ['network', 'security.timelock'] },
+  'timelock show': { config: ['network', 'security.timelock'] },
+  'timelock cancel': { config: ['network', 'security.timelock'] },
+  'timelock execute': { config: ['network', 'security.timelock'] },
+  monitor: { config: ['network', 'monitoring'] },
+  // backup list and backup restore must keep working when the files are broken
+  backup: { config: ['backup'] }
+};
+
+function parsePositiveAmount(value) {
+  let amount;
+
+  try {
+    amount = parseAmount(value);
+  } catch (error) {
+    throw new InvalidArgumentError(`Expected a whole number of base units, got '${value}'.`);
+  }
+
+  if (amount === 0n) {
+    throw new InvalidArgumentError('Amount must be greater than zero.');
+  }
+
+  return amount;
+}
+
+function parsePublicKey(value) {
+  try {
+    return new PublicKey(value);
+  } catch (error) {
+    throw new InvalidArgumentError(`'${value}' is not a valid public key.`);
+  }
+}
+
+function parseUrl(protocols) {
+  return value => {
+    let url;
+
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new InvalidArgumentError(`'${value}' is not a valid URL.`);
+    }
+
+    if (!protocols.includes(url.protocol)) {
+      throw new InvalidArgumentError(`Expected a ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')} URL.`);
+    }
+
+    return value;
+  };
+}
+
+function parseCount(value) {
+  if (!/^[1-9]\d*$/.test(value)) {
+    throw new InvalidArgumentError(`Expected a positive whole number, got '${value}'.`);
+  }
+
+  return Number(value);
+}
+
+function parseFile(value) {
+  const resolved = path.resolve(value);
+
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+    throw new InvalidArgumentError(`${resolved} is not a file.`);
+  }
+
+  return resolved;
+}
+
+// Export files are never overwritten, they may hold signatures collected offline
+function parseNewFile(value) {
+  const resolved = path.resolve(value);
+
+  if (fs.existsSync(resolved)) {
+    throw new InvalidArgumentError(`${resolved} already exists.`);
+  }
+
+  return resolved;
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+    throw new InvalidArgumentError(`Expected an ISO 8601 date such as 2027-01-31T00:00:00Z, got '${value}'.`);
+  }
+
+  return date;
+}
+
+function parseDirectory(value) {
+  const resolved = path.resolve(value);
+
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new InvalidArgumentError(`${resolved} is not a directory.`);
+  }
+
+  return resolved;
+}
+
+// Repeatable file options
+function collectFiles(value, previous = []) {
+  return [...previous, parseFile(value)];
+}
+
+function storageOption() {
+  return new Option('--storage <type>', 'storage backend, overrides backup.storage.type').choices(['ipfs', 'local']);
+}
+
+function addNetworkOptions(command, { keypairs = true } = {}) {
+  command
+    .option('--network <network>', 'target network or alias, e.g. devnet, mainnet-beta, localnet (default: network.default)')
+    .option('--rpc-url <url>', 'RPC endpoint to use instead of the configured one', parseUrl(['http:', 'https:']))
+    .option('--ws-url <url>', 'WebSocket endpoint to use instead of the configured one', parseUrl(['ws:', 'wss:']))
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--metadata <path>', 'token metadata file (default: metadata/token-metadata.json)', parseFile);
+
+  if (keypairs) {
+    command.option('--keypair-dir <path>', 'keypair directory (default: keypairs/)', parseDirectory);
+  }
+
+  return command;
+}
+
+// The subcommand names below the program, e.g. "multisig sign"
+function commandPath(command) {
+  const names = [];
+
+  for (let current = command; current.parent; current = current.parent) {
+    names.unshift(current.name());
+  }
+
+  return names.join(' ');
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, entry) => (typeof entry === 'bigint' ? entry.toString() : entry), 2);
+}
+
+/**
+ * Wraps a subcommand handler, which receives the options followed by the
+ * command's arguments: prints the script banner, runs the preflight check
+ * and, with --json, moves progress output to stderr so stdout only carries
+ * the result. Errors are reported as "<failure>: message" (and as
+ * { error } with --json) and set exit code 1, as does a dry run whose
+ * simulation did not pass.
+ */
+function action(title, failure, handler) {
+  return async (...args) => {
+    const command = args.pop();
+    const options = args.pop();
+
+    if (options.json) {
+      console.log = console.error;
+      console.info = console.error;
+    }
+
+    console.log(`🌟 ${title}`);
+    console.log(`${'='.repeat(title.length + 3)}\n`);
+
+    let result;
+
+    try {
+      const uses = PREFLIGHT_USES[commandPath(command)];
+      if (uses) {
+        preflight({ configPath: options.config || CONFIG_PATH, metadataPath: options.metadata || METADATA_PATH, uses, verbose: options.verbose });
+      }
+
+      result = await handler(options, ...args);
+    } catch (error) {
+      console.error(`❌ ${failure}:`, error.message);
+
+      if (options.verbose) {
+        console.error('Full error details:', error);
+      }
+
+      if (options.json) {
+        process.stdout.write(`${toJson({ error: { type: error.name, message: error.message, problems: error.problems } })}\n`);
+      }
+
+      process.exitCode = 1;
+      return;
+    }
+
+    if (result?.simulation?.passed === false) {
+      process.exitCode = 1;
+    }
+
+    if (options.json) {
+      process.stdout.write(`${toJson(result ?? null)}\n`);
+    }
+  };
+}
+
+function connectionOptions(options) {
+  return {
+    configPath: options.config,
+    metadataPath: options.metadata,
+    keypairDir: options.keypairDir,
+    rpcUrl: options.rpcUrl,
+    wsUrl: options.wsUrl
+  };
+}
+
+function backupOptions(options) {
+  return {
+    storage: options.storage,
+    configPath: options.config,
+    metadataPath: options.metadata
+  };
+}
+
+// The installed package keeps the scripts in cli-scripts/ below package.json;
+// a checkout of the scripts alone has package.json beside them
+function packageVersion() {
+  for (const candidate of ['../package.json', './package.json']) {
+    try {
+      return require(candidate).version;
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+  return 'unknown';
+}
+
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name('glowmin')
+    .description('GlowMin token deployment tools')
+    .version(packageVersion())
+    .allowExcessArguments(false)
+    // Lets metadata and backup keep the options after a subcommand name for the subcommand
+    .enablePositionalOptions()
+    .showHelpAfterError('(add --help for additional information)');
+
+  program.command('keypairs')
+    .description('generate the authority keypairs as encrypted keystores and write their public keys to the config')
+    .option('--network <network>', 'network the keypairs are generated for (informational)')
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--metadata <path>', 'token metadata file (default: metadata/token-metadata.json)', parseFile)
+    .option('--keypair-dir <path>', 'keypair directory, created if missing (default: keypairs/)', value => path.resolve(value))
+    .option('--force', 'replace keypair files that already exist, keeping each old file as <file>.bak-<timestamp>')
+    .option('--verbose', 'enable verbose logging')
+    .addHelpText('after', `
+Environment:
+  ${PASSPHRASE_ENV}  keystore passphrase (prompted for if unset)`)
+    .action(action('GlowMin Keypair Generation Script', 'Keypair generation failed', async options => {
+      const { KeypairGenerator } = require('./generate-keypairs');
+      const generator = new KeypairGenerator(options.network, options.verbose, connectionOptions(options));
+      return generator.executeGeneration(options.force);
+    }));
+
+  addNetworkOptions(program.command('mint'))
+    .description('mint GLOWMIN and distribute it according to the tokenomics')
+    .addOption(new Option('--amount <amount>', 'mint a single amount (in smallest units) to the mint authority')
+      .argParser(parsePositiveAmount)
+      .conflicts('resume'))
+    .option('--dry-run', 'simulate the minting transactions without sending them')
+    .option('--resume', 'continue an interrupted run from its state journal')
+    .addOption(new Option('--export <path>', 'write the transactions to a file for offline signing instead of sending them')
+      .argParser(parseNewFile)
+      .conflicts(['dryRun', 'resume']))
+    .option('--json', 'print the minting summary as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Token Minting Script', 'Token minting failed', async options => {
+      const { TokenMinter } = require('./mint-token');
+      const minter = new TokenMinter(options.network, options.verbose, connectionOptions(options));
+
+      if (options.export) {
+        return minter.exportMinting(options.export, options.amount);
+      }
+
+      return minter.executeMinting(options.amount, options.dryRun, options.resume);
+    }));
+
+  const metadata = addNetworkOptions(program.command('metadata'))
+    .description('deploy the token metadata account')
+    // Options after a subcommand name belong to the subcommand
+    .enablePositionalOptions()
+    .option('--dry-run', 'simulate the metadata transaction without sending it')
+    .addOption(new Option('--export <path>', 'write the transaction to a file for offline signing instead of sending it')
+      .argParser(parseNewFile)
+      .conflicts('dryRun'))
+    .option('--mint <address>', 'mint the metadata belongs to (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--json', 'print the deployment record as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Deployment Script', 'Metadata deployment failed', async options => {
+      const { MetadataDeployer } = require('./deploy-metadata');
+      const deployer = new MetadataDeployer(options.network, options.verbose, { ...connectionOptions(options), mint: options.mint });
+
+      if (options.export) {
+        return deployer.exportMetadata(options.export);
+      }
+
+      return deployer.deployMetadata(options.dryRun);
+    }));
+
+  addNetworkOptions(metadata.command('update'))
+    .description('send the fields that differ between the on-chain metadata and token-metadata.json')
+    .option('--dry-run', 'simulate the update without sending it')
+    .option('--mint <address>', 'mint the metadata belongs to (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--json', 'print the update record as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Update', 'Metadata update failed', async options => {
+      const { MetadataDeployer } = require('./deploy-metadata');
+      const deployer = new MetadataDeployer(options.network, options.verbose, { ...connectionOptions(options), mint: options.mint });
+      return deployer.updateMetadata(options.dryRun);
+    }));
+
+  addNetworkOptions(metadata.command('transfer-authority'))
+    .description('hand the metadata update authority to another address')
+    .requiredOption('--new-authority <address>', 'address to receive the update authority', parsePublicKey)
+    .option('--yes', 'transfer without asking for confirmation')
+    .option('--mint <address>', 'mint the metadata belongs to (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--json', 'print the update record as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Update', 'Authority transfer failed', async options => {
+      const { MetadataDeployer } = require('./deploy-metadata');
+      const deployer = new MetadataDeployer(options.network, options.verbose, { ...connectionOptions(options), mint: options.mint });
+      return deployer.transferUpdateAuthority(options.newAuthority, options.yes);
+    }));
+
+  addNetworkOptions(metadata.command('make-immutable'))
+    .description('freeze the metadata so that it can never be changed again')
+    .option('--yes', 'make it immutable without asking for confirmation')
+    .option('--mint <address>', 'mint the metadata belongs to (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--json', 'print the update record as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Update', 'Making the metadata immutable failed', async options => {
+      const { MetadataDeployer } = require('./deploy-metadata');
+      const deployer = new MetadataDeployer(options.network, options.verbose, { ...connectionOptions(options), mint: options.mint });
+      return deployer.makeImmutable(options.yes);
+    }));
+
+  addNetworkOptions(program.command('liquidity'))
+    .description('create the GLOWMIN/SOL liquidity pool, or verify its LP lock')
+    .addOption(new Option('--sol-amount <amount>', 'SOL amount for initial liquidity (in lamports)')
+      .argParser(parsePositiveAmount))
+    .option('--dry-run', 'simulate the pool, deposit and lock transactions without sending them')
+    .addOption(new Option('--verify-lock', 'read the LP lock escrow and print its schedule')
+      .conflicts(['solAmount', 'dryRun']))
+    .option('--mint <address>', 'GLOWMIN mint to pool (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--escrow <address>', 'escrow to verify (default: the lock in the deployment manifest)', parsePublicKey)
+    .option('--json', 'print the pool record or lock details as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .hook('preAction', command => {
+      const options = command.opts();
+      if (options.escrow && !options.verifyLock) {
+        command.error("error: option '--escrow <address>' can only be used with '--verify-lock'");
+      }
+    })
+    .action(action('GlowMin Liquidity Pool Creation Script', 'Pool creation failed', async options => {
+      const { LiquidityCreator } = require('./create-liquidity');
+      const creator = new LiquidityCreator(options.network, options.verbose, { ...connectionOptions(options), mint: options.mint });
+
+      if (options.verifyLock) {
+        return creator.verifyLock(options.escrow?.toString());
+      }
+
+      return creator.executePoolCreation(options.solAmount, options.dryRun);
+    }));
+
+  addNetworkOptions(program.command('verify'), { keypairs: false })
+    .description('check the latest deployment records against chain state')
+    .option('--json', 'print the verification report as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Deployment Verification Script', 'Deployment verification failed', async options => {
+      const { DeploymentVerifier } = require('./verify-deployment');
+      const verifier = new DeploymentVerifier(options.network, options.verbose, connectionOptions(options));
+      const report = await verifier.executeVerification();
+
+      if (!report.passed) {
+        process.exitCode = 1;
+      }
+
+      return report;
+    }));
+
+  program.command('validate')
+    .description('check deployment-config.json and token-metadata.json against the schema')
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--metadata <path>', 'token metadata file (default: metadata/token-metadata.json)', parseFile)
+    .option('--json', 'print the errors and warnings as JSON')
+    .action(action('GlowMin Configuration Validation', 'Configuration validation failed', async options => {
+      const { errors, warnings } = checkDeploymentFiles({
+        config: readConfigFile(options.config || CONFIG_PATH),
+        metadata: readMetadataFile(options.metadata || METADATA_PATH)
+      });
+
+      errors.forEach(problem => console.log(`❌ ${formatProblem(problem)}`));
+      warnings.forEach(problem => console.log(`⚠️  ${formatProblem(problem)}`));
+
+      if (errors.length > 0) {
+        console.error(`\n❌ ${errors.length} error(s), ${warnings.length} warning(s)`);
+        process.exitCode = 1;
+      } else {
+        console.log(`\n✅ Configuration is valid (${warnings.length} warning(s))`);
+      }
+
+      return { valid: errors.length === 0, errors, warnings };
+    }));
+
+  const offline = program.command('offline')
+    .description('sign transactions exported with --export on an offline machine, and submit them');
+
+  addNetworkOptions(offline.command('nonces'))
+    .description('create durable nonce accounts for exported transactions, paid by the main keypair')
+    .requiredOption('--count <n>', 'number of nonce accounts to create', parseCount)
+    .option('--json', 'print the nonce accounts as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Offline Signing', 'Nonce account creation failed', async options => {
+      const { OfflineSigningManager } = require('./offline-signing');
+      const manager = new OfflineSigningManager(options.network, options.verbose, connectionOptions(options));
+      return manager.createNonceAccounts(options.count);
+    }));
+
+  offline.command('status')
+    .description('show the transactions in an export file and which signers have signed them')
+    .requiredOption('--file <path>', 'export file', parseFile)
+    .option('--json', 'print the signature status as JSON')
+    .action(action('GlowMin Offline Signing', 'Status check failed', async options => {
+      const { OfflineSigningManager } = require('./offline-signing');
+      return new OfflineSigningManager().status(options.file);
+    }));
+
+  offline.command('sign')
+    .description('sign an export file with local keyfiles, without network access')
+    .requiredOption('--file <path>', 'export file', parseFile)
+    .option('--keypair <path>', 'keyfile to sign with (repeatable, default: every keyfile in the keypair directory)', collectFiles)
+    .option('--keypair-dir <path>', 'keypair directory (default: keypairs/)', parseDirectory)
+    .option('--json', 'print the added signatures as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Offline Signing', 'Signing failed', async options => {
+      const { OfflineSigningManager } = require('./offline-signing');
+      const manager = new OfflineSigningManager(null, options.verbose, { keypairDir: options.keypairDir });
+      return manager.sign(options.file, options.keypair || []);
+    }));
+
+  addNetworkOptions(offline.command('submit'), { keypairs: false })
+    .description("send a signed export file's transactions in order and save the deployment record")
+    .requiredOption('--file <path>', 'export file', parseFile)
+    .option('--json', 'print the transaction signatures as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Offline Signing', 'Submission failed', async options => {
+      const { OfflineSigningManager } = require('./offline-signing');
+      const manager = new OfflineSigningManager(options.network, options.verbose, connectionOptions(options));
+      return manager.submit(options.file);
+    }));
+
+  const multisig = program.command('multisig')
+    .description('create the security.multisig account and collect signatures for its pending transactions');
+
+  addNetworkOptions(multisig.command('create'))
+    .description('create the multisig account, paid by the main keypair, and write its address to the config')
+    .option('--with-nonce', 'also create a durable nonce account for pending transactions')
+    .option('--json', 'print the multisig and nonce accounts as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Multisig Script', 'Multisig creation failed', async options => {
+      const { MultisigManager } = require('./multisig');
+      const manager = new MultisigManager(options.network, options.verbose, connectionOptions(options));
+      return manager.create(options.withNonce);
+    }));
+
+  addNetworkOptions(multisig.command('status'), { keypairs: false })
+    .description('show which signers have signed a pending transaction')
+    .requiredOption('--file <path>', 'pending transaction file', parseFile)
+    .option('--json', 'print the signature status as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Multisig Script', 'Status check failed', async options => {
+      const { MultisigManager } = require('./multisig');
+      const manager = new MultisigManager(options.network, options.verbose, connectionOptions(options));
+      return manager.status(options.file);
+    }));
+
+  addNetworkOptions(multisig.command('sign'))
+    .description('add signatures from signer keyfiles, or merge copies of the pending transaction signed elsewhere')
+    .requiredOption('--file <path>', 'pending transaction file', parseFile)
+    .option('--keypair <path>', 'signer keyfile (repeatable, default: keypairs/multisig/*.json)', collectFiles)
+    .option('--merge <path>', 'copy of the pending transaction to merge signatures from (repeatable)', collectFiles)
+    .option('--json', 'print the added and missing signers as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Multisig Script', 'Signing failed', async options => {
+      const { MultisigManager } = require('./multisig');
+      const manager = new MultisigManager(options.network, options.verbose, connectionOptions(options));
+      return manager.sign(options.file, options.keypair || [], options.merge || []);
+    }));
+
+  addNetworkOptions(multisig.command('submit'), { keypairs: false })
+    .description('send a fully signed pending transaction')
+    .requiredOption('--file <path>', 'pending transaction file', parseFile)
+    .option('--json', 'print the transaction signature as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Multisig Script', 'Submission failed', async options => {
+      const { MultisigManager } = require('./multisig');
+      const manager = new MultisigManager(options.network, options.verbose, connectionOptions(options));
+      return manager.submit(options.file);
+    }));
+
+  const timelock = program.command('timelock')
+    .description('queue authority and metadata changes behind security.timelock.delay and execute them once it has passed');
+
+  addNetworkOptions(timelock.command('propose'))
+    .description('queue an action')
+    .addArgument(new Argument('<action>', 'action to queue').choices(TIMELOCK_ACTIONS))
+    .option('--mint <address>', 'mint to act on (default: the mint from the minting state journal)', parsePublicKey)
+    .option('--new-authority <address>', 'new authority for the transfer actions', parsePublicKey)
+    .option('--json', 'print the proposal as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Timelock Script', 'Timelock proposal failed', async (options, actionName) => {
+      const { TimelockManager } = require('./timelock');
+      const manager = new TimelockManager(options.network, options.verbose, connectionOptions(options));
+      return manager.propose(actionName, options.mint?.toString(), options.newAuthority?.toString());
+    }));
+
+  addNetworkOptions(timelock.command('list'), { keypairs: false })
+    .description('list the proposals for the network')
+    .option('--json', 'print the proposals as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Timelock Script', 'Listing proposals failed', async options => {
+      const { TimelockManager } = require('./timelock');
+      const manager = new TimelockManager(options.network, options.verbose, connectionOptions(options));
+      return manager.list();
+    }));
+
+  addNetworkOptions(timelock.command('show'), { keypairs: false })
+    .description('show a proposal and its instructions')
+    .requiredOption('--id <id>', 'proposal to show', parseCount)
+    .option('--json', 'print the proposal as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Timelock Script', 'Showing the proposal failed', async options => {
+      const { TimelockManager } = require('./timelock');
+      const manager = new TimelockManager(options.network, options.verbose, connectionOptions(options));
+      return manager.show(options.id);
+    }));
+
+  addNetworkOptions(timelock.command('cancel'), { keypairs: false })
+    .description('cancel a queued proposal')
+    .requiredOption('--id <id>', 'proposal to cancel', parseCount)
+    .option('--json', 'print the cancelled proposal as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Timelock Script', 'Cancelling the proposal failed', async options => {
+      const { TimelockManager } = require('./timelock');
+      const manager = new TimelockManager(options.network, options.verbose, connectionOptions(options));
+      return manager.cancel(options.id);
+    }));
+
+  addNetworkOptions(timelock.command('execute'))
+    .description('execute a proposal whose delay has passed, or write it out for the missing multisig signatures')
+    .requiredOption('--id <id>', 'proposal to execute', parseCount)
+    .option('--json', 'print the executed proposal as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Timelock Script', 'Executing the proposal failed', async options => {
+      const { TimelockManager } = require('./timelock');
+      const manager = new TimelockManager(options.network, options.verbose, connectionOptions(options));
+      return manager.execute(options.id);
+    }));
+
+  const fees = program.command('fees')
+    .description('collect the transfer fees withheld by a Token-2022 mint');
+
+  addNetworkOptions(fees.command('harvest'))
+    .description("move the fees withheld in the mint's token accounts into the mint, paid by the mint authority")
+    .option('--mint <address>', 'mint to harvest (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--json', 'print the harvested accounts as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Transfer Fees', 'Fee harvest failed', async options => {
+      const { TokenMinter } = require('./mint-token');
+      const minter = new TokenMinter(options.network, options.verbose, connectionOptions(options));
+      return minter.harvestWithheldFees(options.mint);
+    }));
+
+  addNetworkOptions(fees.command('withdraw'))
+    .description('withdraw the fees harvested into the mint, signed by the mint authority or the multisig')
+    .option('--mint <address>', 'mint to withdraw from (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--destination <address>', "token account to receive the fees (default: the mint authority's)", parsePublicKey)
+    .option('--json', 'print the withdrawal as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Transfer Fees', 'Fee withdrawal failed', async options => {
+      const { TokenMinter } = require('./mint-token');
+      const minter = new TokenMinter(options.network, options.verbose, connectionOptions(options));
+      return minter.withdrawWithheldFees(options.destination, options.mint);
+    }));
+
+  const nft = program.command('nft')
+    .description('generate the GlowMin NFT collection, rank its rarity and mint it');
+
+  nft.command('generate')
+    .description('roll the traits of every token from a seed and write their metadata JSON and a rarity report')
+    .option('--seed <seed>', 'seed for the trait rolls; the same seed produces the same collection (default: random)')
+    .option('--supply <count>', 'number of tokens (default: the collection\'s "Total Supply")', parseCount)
+    .option('--output <path>', 'directory for the generated files (default: nft/)', value => path.resolve(value))
+    .option('--json', 'print the generation summary as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin NFT Collection', 'Collection generation failed', async options => {
+      const { NftMinter } = require('./nft-minter');
+      const minter = new NftMinter(null, options.verbose, { collectionDir: options.output });
+      return minter.generateCollection(options.seed, options.supply);
+    }));
+
+  nft.command('stats')
+    .description('check the generated tokens against nft-metadata.json and rank them by rarity')
+    .option('--input <path>', 'directory holding the generated files (default: nft/)', parseDirectory)
+    .option('--output <path>', 'directory for rarity-stats.json and rarity-ranks.csv (default: the input directory)', value => path.resolve(value))
+    .option('--json', 'print the statistics as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin NFT Collection', 'Collection analysis failed', async options => {
+      const { NftMinter } = require('./nft-minter');
+      const minter = new NftMinter(null, options.verbose, { collectionDir: options.input });
+      const stats = await minter.analyzeCollection(options.output);
+
+      if (!stats.passed) {
+        process.exitCode = 1;
+      }
+
+      return stats;
+    }));
+
+  addNetworkOptions(nft.command('mint'))
+    .description('create the collection NFT and mint the generated tokens into it')
+    .option('--input <path>', 'directory holding the generated files (default: nft/)', parseDirectory)
+    .option('--count <count>', 'mint at most this many NFTs in this run', parseCount)
+    .option('--dry-run', 'simulate the collection and the next NFT without sending them')
+    .option('--json', 'print the minted NFTs as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin NFT Collection', 'NFT minting failed', async options => {
+      const { NftMinter } = require('./nft-minter');
+      const minter = new NftMinter(options.network, options.verbose, { ...connectionOptions(options), collectionDir: options.input });
+      return minter.mintCollection(options.count, options.dryRun);
+    }));
+
+  addNetworkOptions(program.command('airdrop'))
+    .description('pay out the Community bucket to the wallets in a CSV list of wallet,amount pairs')
+    .requiredOption('--file <path>', 'airdrop list, one wallet,amount pair per line with amounts in whole tokens', parseFile)
+    .option('--ledger <path>', 'airdrop ledger (default: deployments/airdrop-ledger-<list>-<network>.json)', value => path.resolve(value))
+    .option('--mint <address>', 'mint to airdrop (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--dry-run', 'show the totals and simulate the first transaction without sending anything')
+    .option('--json', 'print the airdrop result as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Airdrop', 'Airdrop failed', async options => {
+      const { AirdropDistributor } = require('./airdrop');
+      const distributor = new AirdropDistributor(options.network, options.verbose, {
+        ...connectionOptions(options),
+        mint: options.mint,
+        ledgerPath: options.ledger
+      });
+      return distributor.executeAirdrop(options.file, options.dryRun);
+    }));
+
+  const merkle = program.command('merkle')
+    .description('airdrop the Community bucket as Merkle claims that recipients submit themselves');
+
+  merkle.command('build')
+    .description('build the Merkle tree of an airdrop list and write the root and proofs to a claims file')
+    .requiredOption('--file <path>', 'airdrop list, one wallet,amount pair per line with amounts in whole tokens', parseFile)
+    .option('--claims <path>', 'claims file to write (default: <list>-claims.json next to the list)', value => path.resolve(value))
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--json', 'print the root and totals as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Merkle Airdrop', 'Merkle tree build failed', async options => {
+      const { MerkleAirdrop } = require('./merkle-airdrop');
+      const airdrop = new MerkleAirdrop(null, options.verbose, { configPath: options.config });
+      return airdrop.buildClaims(options.file, options.claims);
+    }));
+
+  merkle.command('verify')
+    .description('check every proof in a claims file against its root, without the network')
+    .requiredOption('--claims <path>', 'claims file', parseFile)
+    .option('--wallet <address>', 'only check the proof of this wallet', parsePublicKey)
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--json', 'print the verification as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Merkle Airdrop', 'Proof verification failed', async options => {
+      const { MerkleAirdrop } = require('./merkle-airdrop');
+      const airdrop = new MerkleAirdrop(null, options.verbose, { configPath: options.config });
+      const report = await airdrop.verifyClaims(options.claims, options.wallet);
+
+      if (!report.passed) {
+        process.exitCode = 1;
+      }
+
+      return report;
+    }));
+
+  addNetworkOptions(merkle.command('create'))
+    .description('create the distributor for a claims file and fund it from the Community wallet')
+    .requiredOption('--claims <path>', 'claims file', parseFile)
+    .requiredOption('--expires <date>', 'when claims close and the unclaimed tokens can be clawed back (ISO 8601)', parseDate)
+    .option('--mint <address>', 'mint to distribute (default: the mint in the deployment manifest)', parsePublicKey)
+    .option('--dry-run', 'simulate the distributor creation without sending it')
+    .option('--json', 'print the distributor as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Merkle Airdrop', 'Distributor creation failed', async options => {
+      const { MerkleAirdrop } = require('./merkle-airdrop');
+      const airdrop = new MerkleAirdrop(options.network, options.verbose, { ...connectionOptions(options), mint: options.mint });
+      return airdrop.createDistributor(options.claims, options.expires, options.dryRun);
+    }));
+
+  addNetworkOptions(merkle.command('claim'), { keypairs: false })
+    .description('produce the unsigned claim transaction of a wallet, for the wallet to sign and submit')
+    .requiredOption('--claims <path>', 'claims file', parseFile)
+    .requiredOption('--wallet <address>', 'wallet to claim for', parsePublicKey)
+    .option('--output <path>', 'write the claim transaction to a file instead of printing it', value => path.resolve(value))
+    .option('--json', 'print the claim transaction as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Merkle Airdrop', 'Claim failed', async options => {
+      const { MerkleAirdrop } = require('./merkle-airdrop');
+      const airdrop = new MerkleAirdrop(options.network, options.verbose, connectionOptions(options));
+      return airdrop.buildClaimTransaction(options.claims, options.wallet, options.output);
+    }));
+
+  addNetworkOptions(merkle.command('clawback'))
+    .description('return the unclaimed tokens to the Community wallet once the claims have expired')
+    .requiredOption('--claims <path>', 'claims file', parseFile)
+    .option('--dry-run', 'simulate the clawback without sending it')
+    .option('--json', 'print the clawback as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Merkle Airdrop', 'Clawback failed', async options => {
+      const { MerkleAirdrop } = require('./merkle-airdrop');
+      const airdrop = new MerkleAirdrop(options.network, options.verbose, connectionOptions(options));
+      return airdrop.clawback(options.claims, options.dryRun);
+    }));
+
+  addNetworkOptions(program.command('monitor'), { keypairs: false })
+    .description('watch the health endpoints, the RPC node, the mint, the pool and large transfers and send alerts')
+    .option('--interval <seconds>', 'poll interval, overrides monitoring.health_checks.interval', parseCount)
+    .option('--once', 'run a single round of checks and exit, with code 1 if anything is failing')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Monitoring Script', 'Monitoring failed', async options => {
+      const { HealthMonitor } = require('./monitor');
+      const monitor = new HealthMonitor(options.network, options.verbose, connectionOptions(options));
+      const failing = await monitor.start(options.interval, options.once);
+
+      if (options.once && failing > 0) {
+        process.exitCode = 1;
+      }
+    }));
+
+  const backup = program.command('backup')
+    .description('snapshot the metadata, the configuration and the deployment records')
+    // Options after a subcommand name belong to the subcommand
+    .enablePositionalOptions()
+    .option('--network <network>', 'network the snapshot belongs to (default: network.default)')
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--metadata <path>', 'token metadata file (default: metadata/token-metadata.json)', parseFile)
+    .addOption(storageOption())
+    .option('--force', 'take a snapshot even if nothing changed')
+    .option('--json', 'print the snapshot as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Backup Script', 'Metadata backup failed', async options => {
+      const { MetadataBackup } = require('./backup-metadata');
+      const metadataBackup = new MetadataBackup(options.network, options.verbose, backupOptions(options));
+      return metadataBackup.executeBackup(options.force);
+    }));
+
+  backup.command('list')
+    .description('list the snapshots for the network')
+    .option('--network <network>', 'network to list (default: network.default)')
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .addOption(storageOption())
+    .option('--json', 'print the snapshots as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Backup Script', 'Listing snapshots failed', async options => {
+      const { MetadataBackup } = require('./backup-metadata');
+      return new MetadataBackup(options.network, options.verbose, backupOptions(options)).listSnapshots();
+    }));
+
+  backup.command('restore')
+    .description('restore a snapshot into a directory, or over the original files')
+    .option('--network <network>', 'network the snapshot belongs to (default: network.default)')
+    .option('--config <path>', 'deployment config file (default: metadata/deployment-config.json)', parseFile)
+    .option('--metadata <path>', 'token metadata file (default: metadata/token-metadata.json)', parseFile)
+    .addOption(storageOption())
+    .option('--snapshot <id>', 'snapshot number or manifest CID (default: the latest)')
+    .option('--output <dir>', 'directory to restore into (default: backups/restore-<network>-<snapshot>)', value => path.resolve(value))
+    .addOption(new Option('--in-place', 'restore over the original files').conflicts('output'))
+    .option('--json', 'print the restored snapshot as JSON')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Metadata Backup Script', 'Metadata restore failed', async options => {
+      const { MetadataBackup } = require('./backup-metadata');
+      const metadataBackup = new MetadataBackup(options.network, options.verbose, backupOptions(options));
+      return metadataBackup.executeRestore(options.snapshot, options.output, options.inPlace);
+    }));
+
+  addNetworkOptions(program.command('deploy-all'))
+    .description('run the complete deployment: keypairs, mint, metadata, distribution, liquidity, verification and backup')
+    .addOption(new Option('--sol-amount <amount>', 'SOL amount for initial liquidity (in lamports)')
+      .argParser(parsePositiveAmount))
+    .option('--dry-run', 'simulate the steps that can run without sending transactions')
+    .option('--verbose', 'enable verbose logging')
+    .action(action('GlowMin Complete Deployment Script', 'Deployment failed', async options => {
+      const { DeploymentOrchestrator } = require('./deploy-all');
+      const orchestrator = new DeploymentOrchestrator(options.network, options.verbose, connectionOptions(options));
+      return orchestrator.executeDeployment(options.solAmount, options.dryRun);
+    }));
+
+  program.addHelpText('after', `
+Examples:
+  glowmin mint --network devnet
+  glowmin verify --network mainnet-beta --rpc-url https://my-rpc.example.com
+  glowmin mint --network mainnet-beta --amount 1000000000000
+  glowmin metadata --dry-run --json
+  glowmin metadata update --network mainnet-beta --dry-run
+  glowmin metadata make-immutable --network mainnet-beta
+  glowmin mint --network mainnet-beta --export ./mint-offline.json
+  glowmin offline sign --file ./mint-offline.json --keypair /media/usb/mint-authority.json
+  glowmin offline submit --file ./mint-offline.json
+  glowmin fees harvest --network mainnet-beta
+  glowmin fees withdraw --network mainnet-beta
+  glowmin nft generate --seed glowmin-genesis --supply 200
+  glowmin nft stats --output ./website/nft
+  glowmin nft mint --network devnet --count 10
+  glowmin airdrop --network mainnet-beta --file ./airdrop.csv --dry-run
+  glowmin merkle build --file ./airdrop.csv
+  glowmin merkle create --network mainnet-beta --claims ./airdrop-claims.json --expires 2027-06-30T00:00:00Z
+  glowmin merkle claim --network mainnet-beta --claims ./airdrop-claims.json --wallet <address>
+  glowmin liquidity --network mainnet-beta --verify-lock
+  glowmin verify --config ./staging-config.json --json
+  glowmin multisig create --network devnet --with-nonce
+  glowmin multisig sign --file pending.json --merge signed-by-3.json
+  glowmin timelock propose transfer-mint-authority --new-authority <address>
+  glowmin timelock execute --id 2 --network mainnet-beta
+  glowmin validate --config ./staging-config.json
+  glowmin monitor --network mainnet-beta --interval 60
+  glowmin backup restore --snapshot 3 --output ./restored
+  glowmin deploy-all --network devnet --keypair-dir ~/glowmin-keys
+  glowmin deploy-all --network mainnet-beta --dry-run`);
+
+  return program;
+}
+
+async function run(argv = process.argv.slice(2)) {
+  // Handle uncaught errors
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception:', error.message);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+
+  try {
+    await createProgram().parseAsync(argv, { from: 'user' });
+  } catch (error) {
+    console.error('❌ Script execution failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  run();
+}
+
+module.exports = { createProgram, run };
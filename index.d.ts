@@ -0,0 +1,806 @@
+/**
+ * Type declarations for the GlowMin library entrypoint (index.js).
+ *
+ * Amounts are base units: BigInt in results, decimal strings in the saved
+ * deployment records.
+ */
+
+import { Commitment, Connection, PublicKey, Signer, Transaction, TransactionInstruction } from '@solana/web3.js';
+
+/** Parsed metadata/deployment-config.json; see the README for its fields. */
+export type DeploymentConfig = Record<string, any>;
+
+/** Parsed metadata/token-metadata.json. */
+export type TokenMetadata = Record<string, any>;
+
+/** Parsed metadata/nft-metadata.json. */
+export type NftMetadata = Record<string, any>;
+
+export interface ConnectionOptions {
+  /** Used instead of a connection to the configured RPC endpoint. */
+  connection?: Connection;
+  rpcUrl?: string;
+  wsUrl?: string;
+}
+
+export interface BaseOptions extends ConnectionOptions {
+  /** Used instead of reading configPath. */
+  config?: DeploymentConfig;
+  configPath?: string;
+  deploymentsDir?: string;
+}
+
+export interface TokenMinterOptions extends BaseOptions {
+  /** Read for the on-mint metadata of Token-2022 mints with the metadata pointer extension. */
+  metadata?: TokenMetadata;
+  metadataPath?: string;
+  keypairDir?: string;
+  /** main pays for transactions exported for offline signing. */
+  signers?: { mintAuthority?: Signer; freezeAuthority?: Signer; main?: Signer };
+}
+
+export interface MetadataDeployerOptions extends BaseOptions {
+  metadata?: TokenMetadata;
+  metadataPath?: string;
+  keypairDir?: string;
+  /** main pays for transactions exported for offline signing. */
+  signers?: { mintAuthority?: Signer; metadataAuthority?: Signer; main?: Signer };
+  /** Used instead of the mint in the deployment manifest. */
+  mint?: PublicKey;
+}
+
+export interface LiquidityCreatorOptions extends BaseOptions {
+  keypairDir?: string;
+  signers?: { main?: Signer; liquidityAuthority?: Signer };
+  /** Used instead of the mint in the deployment manifest. */
+  mint?: PublicKey;
+}
+
+export interface DeploymentOrchestratorOptions {
+  configPath?: string;
+  metadataPath?: string;
+  keypairDir?: string;
+  deploymentsDir?: string;
+  rpcUrl?: string;
+  wsUrl?: string;
+}
+
+export interface NftMinterOptions extends BaseOptions {
+  nftMetadata?: NftMetadata;
+  nftMetadataPath?: string;
+  /** Where generateCollection writes the files and mintCollection reads them (default: nft/). */
+  collectionDir?: string;
+  keypairDir?: string;
+  signers?: { main?: Signer; metadataAuthority?: Signer };
+}
+
+export interface AirdropDistributorOptions extends BaseOptions {
+  keypairDir?: string;
+  signers?: { main?: Signer; community?: Signer };
+  /** Mint to airdrop instead of the mint in the deployment manifest. */
+  mint?: PublicKey;
+  /** Ledger to use instead of deployments/airdrop-ledger-<list>-<network>.json. */
+  ledgerPath?: string;
+}
+
+export interface MerkleAirdropOptions extends BaseOptions {
+  keypairDir?: string;
+  signers?: { main?: Signer; community?: Signer };
+  /** Mint to distribute instead of the mint in the deployment manifest. */
+  mint?: PublicKey;
+}
+
+export interface HealthMonitorOptions extends BaseOptions {}
+
+export interface DeploymentVerifierOptions extends BaseOptions {
+  metadata?: TokenMetadata;
+  metadataPath?: string;
+}
+
+export interface Distribution {
+  name: string;
+  basisPoints: number;
+  recipient: PublicKey;
+  purpose: string;
+  amount: bigint;
+  tokenAccount?: string;
+  signature?: string;
+  skipped?: boolean;
+  error?: string;
+}
+
+export interface AccountChange {
+  address: string;
+  name: string | null;
+  created: boolean;
+  closed: boolean;
+  /** Lamport delta. */
+  lamports: bigint;
+  owner?: string;
+  size?: number;
+  tokenChange?: bigint;
+  supplyChange?: bigint;
+}
+
+export interface SimulatedTransaction {
+  label: string;
+  error: string | null;
+  /** Set when the transaction could not be simulated; does not fail the report. */
+  skipped: string | null;
+  unitsConsumed: number | null;
+  logs: string[];
+  changes: AccountChange[];
+  fee: bigint;
+  rent: bigint;
+}
+
+export interface SimulationReport {
+  /** False if a simulation failed or the payer cannot cover totalCost. */
+  passed: boolean;
+  payer: string;
+  payerBalance: bigint;
+  fees: bigint;
+  rent: bigint;
+  otherCosts: { label: string; lamports: bigint }[];
+  totalCost: bigint;
+  transactions: SimulatedTransaction[];
+}
+
+export interface MintingSummary {
+  network: string;
+  /** In a dry run without --resume, the address of the simulated mint. */
+  mint: string;
+  dryRun: boolean;
+  simulation?: SimulationReport;
+  amount?: string;
+  tokenAccount?: string;
+  signature?: string;
+  distributions?: Distribution[];
+  revokeProposal?: number;
+  revokeSignature?: string;
+}
+
+export interface DryRunResult {
+  network: string;
+  dryRun: true;
+  simulation: SimulationReport;
+}
+
+export interface OfflineTransaction {
+  description: string;
+  /** Keys that still have to sign on the offline machine. */
+  signers: string[];
+  nonceAccount: string;
+  submittedSignature: string | null;
+  submittedAt: string | null;
+}
+
+/** Transactions written to exportFile for offline signing; see lib/offline.js for the file format. */
+export interface OfflineExport {
+  network: string;
+  /** The mint the exported transactions create. */
+  mint?: string;
+  exportFile: string;
+  transactions: OfflineTransaction[];
+}
+
+export interface FeeHarvest {
+  network: string;
+  mint: string;
+  /** Token accounts the fees were harvested from. */
+  accounts: { address: string; withheld: bigint }[];
+  harvested: bigint;
+  signatures: string[];
+}
+
+export interface FeeWithdrawal {
+  network: string;
+  mint: string;
+  destination: string;
+  withdrawn: bigint;
+  /** Null when no fees were withheld in the mint. */
+  signature: string | null;
+}
+
+export interface MetadataRecord {
+  timestamp: string;
+  network: string;
+  metadataAccount: string;
+  mint: string;
+  updateAuthority: string;
+  metadataUri: string;
+}
+
+export interface MetadataChange {
+  field: 'name' | 'symbol' | 'uri' | 'sellerFeeBasisPoints' | 'creators';
+  current: string;
+  desired: string;
+}
+
+export interface MetadataUpdateRecord {
+  network: string;
+  action: 'update' | 'transfer-authority' | 'make-immutable';
+  metadataAccount: string;
+  /** Null when nothing had to be sent. */
+  signature: string | null;
+  /** Set when the confirmation prompt was declined. */
+  cancelled?: boolean;
+  /** The timelock proposal queued instead of sending, with security.timelock. */
+  proposal?: number;
+  notBefore?: string;
+  timestamp?: string;
+  mint?: string;
+  changes?: MetadataChange[];
+  previousUpdateAuthority?: string;
+  newUpdateAuthority?: string;
+}
+
+export interface MetadataUpdateDryRun extends DryRunResult {
+  changes: MetadataChange[];
+}
+
+export type DeploymentStep = 'mint' | 'metadata' | 'authority' | 'distribution' | 'liquidity';
+
+/** deployments/manifest-<network>.json; see lib/manifest.js. Each section is written when its step completes. */
+export interface ManifestState {
+  network: string;
+  mint?: { address: string; tokenProgram: string; completedAt: string };
+  metadata?: { account: string; updateAuthority: string; uri: string; completedAt: string };
+  /** Null signature when the multisig already held the mint authority. */
+  authority?: { multisig: string; signature: string | null; completedAt: string };
+  distribution?: { totalSupply: string; revokeSignature?: string | null; revokeProposal?: number | null; completedAt: string };
+  liquidity?: {
+    pool: string;
+    lpMint: string;
+    marketId: string;
+    lock: { escrow: string; endTime: number; beneficiary: string };
+    completedAt: string;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export class DeploymentManifest {
+  constructor(deploymentsDir: string, network: string);
+  network: string;
+  readonly filePath: string;
+  /** Rereads the file, for sections written by another instance. */
+  load(): ManifestState | null;
+  get<Step extends DeploymentStep>(step: Step): NonNullable<ManifestState[Step]> | null;
+  isDone(step: DeploymentStep): boolean;
+  complete(step: DeploymentStep, details: object): ManifestState;
+  getMint(): PublicKey | null;
+  /** Throws a PrerequisiteError when no mint has been recorded. */
+  requireMint(): PublicKey;
+}
+
+export interface DeploymentStepResult {
+  step: DeploymentStep;
+  /** waiting: a dry run did not deploy a step this one depends on. */
+  status: 'completed' | 'simulated' | 'done' | 'not-needed' | 'waiting';
+  detail: unknown;
+}
+
+export interface DeploymentResult {
+  network: string;
+  dryRun: boolean;
+  manifest: string;
+  steps: DeploymentStepResult[];
+  /** Null when verification could not run. */
+  verification: VerificationReport | null;
+  backedUp: boolean;
+}
+
+export interface NftTier {
+  name: string;
+  share: number;
+  count: number;
+}
+
+export interface NftGeneration {
+  seed: string;
+  supply: number;
+  /** Distinct trait combinations the traits allow. */
+  combinations: number;
+  outputDir: string;
+  /** Rarest first. */
+  tiers: NftTier[];
+}
+
+export interface ChiSquareTest {
+  statistic: number;
+  degreesOfFreedom: number;
+  pValue: number;
+  /** pValue is below 0.05. */
+  deviates: boolean;
+}
+
+export interface NftTraitStats {
+  /** The attribute trait_type the trait is stored under. */
+  traitType: string;
+  values: { name: string; probability: number; expected: number; observed: number; frequency: number }[];
+  chiSquare: ChiSquareTest;
+}
+
+export interface NftTokenRarity {
+  id: number;
+  name: string;
+  /** By probability, the least likely first; equal ones share a rank. */
+  rank: number;
+  /** Product over the token's traits of its value's probability in nft-metadata.json, as the tiers are assigned. */
+  probability: number;
+  /** Sum over the token's traits of supply / count of its value. */
+  score: number;
+  /** Product over the token's traits of count / supply. */
+  statisticalRarity: number;
+  /** The rarity tier attribute, or null. */
+  rarity: string | null;
+  traits: Record<string, string>;
+}
+
+export interface NftStats {
+  supply: number;
+  traits: Record<string, NftTraitStats>;
+  /** Null when the template has no {{rarity}} attribute. */
+  tiers: { traitType: string; values: { name: string; share: number; expected: number; observed: number }[]; chiSquare: ChiSquareTest } | null;
+  /** By rank. */
+  tokens: NftTokenRarity[];
+  problems: {
+    duplicates: number[][];
+    missingTraits: { id: number; trait: string }[];
+    unknownValues: { id: number; trait: string; value: unknown }[];
+    missingTokens: number[];
+  };
+  /** No problems were found; deviations do not count. */
+  passed: boolean;
+  statsFile: string;
+  rankingFile: string;
+}
+
+export interface MintedNft {
+  id: number;
+  mint: string;
+  signature: string;
+}
+
+export interface NftMintResult {
+  network: string;
+  /** Mint of the collection NFT. */
+  collection: string;
+  /** The NFTs minted by this run. */
+  minted: MintedNft[];
+  /** NFTs minted so far, including earlier runs. */
+  total: number;
+  supply: number;
+  complete: boolean;
+}
+
+export interface NftMintDryRun extends DryRunResult {
+  /** NFTs a real run would mint; only the first is simulated. */
+  pending: number;
+}
+
+export interface AirdropResult {
+  network: string;
+  mint: string;
+  /** The Community bucket's recipient the tokens were sent from. */
+  source: string;
+  /** Distinct wallets in the list. */
+  recipients: number;
+  /** Wallets paid in this run. */
+  paid: number;
+  /** Base units paid in this run. */
+  total: bigint;
+  transactions: { signature: string; recipients: string[] }[];
+  ledger: string;
+}
+
+export interface AirdropDryRun extends DryRunResult {
+  recipients: number;
+  /** Wallets a real run would pay; transfers pending from a crashed run count as unpaid. */
+  unpaid: number;
+  total: bigint;
+  transactions: number;
+  accountsToCreate: number;
+}
+
+/** The claims file written next to an airdrop list by `glowmin merkle build`. */
+export interface MerkleClaims {
+  /** Hex encoded. */
+  root: string;
+  /** Base units. */
+  total: string;
+  recipients: number;
+  claims: Record<string, { index: number; amount: string; proof: string[] }>;
+}
+
+export interface MerkleBuildResult {
+  root: string;
+  recipients: number;
+  total: bigint;
+  claimsFile: string;
+}
+
+export interface MerkleVerification {
+  root: string;
+  verified: number;
+  /** Wallets whose proof does not lead to the root. */
+  failed: string[];
+  problems: string[];
+  passed: boolean;
+}
+
+export interface MerkleDistributorRecord {
+  network: string;
+  root: string;
+  version: number;
+  distributor: string;
+  vault: string;
+  mint: string;
+  /** The Community bucket's token account, which receives the clawback. */
+  clawbackReceiver: string;
+  total: string;
+  recipients: number;
+  clawbackStartTs: number;
+  expires: string;
+  signature: string;
+  createdAt: string;
+  clawback?: { signature: string; amount: string; clawedBackAt: string };
+}
+
+export interface MerkleDistributorDryRun extends DryRunResult {
+  distributor: string;
+}
+
+export interface MerkleClaimTransaction {
+  network: string;
+  wallet: string;
+  amount: bigint;
+  distributor: string;
+  /** Unsigned, base64 encoded; the wallet is the fee payer. */
+  transaction: string;
+  lastValidBlockHeight: number;
+}
+
+export interface MerkleClawback {
+  network: string;
+  signature: string;
+  amount: string;
+  clawedBackAt: string;
+}
+
+export interface MerkleClawbackDryRun extends DryRunResult {
+  unclaimed: bigint;
+}
+
+export interface PoolRecord {
+  timestamp: string;
+  network: string;
+  poolAddress: string;
+  poolType: string;
+  initialLiquidity: { solAmount: string; glowminAmount: string };
+  lpMint: string;
+  lpAmount: string;
+  marketId: string;
+  /** Null when the pool was created by an earlier run. */
+  poolTransaction: string | null;
+  liquidityTransaction: string | null;
+  lockTransaction: string;
+  lockEndTime: number;
+  lockEscrow: string;
+  /** Hex of the 31 random bytes the escrow address is derived from; needed to unlock. */
+  lockSeed: string;
+  lockBeneficiary: string;
+  rayiumProgram: string;
+}
+
+export interface LockDetails {
+  escrow: PublicKey;
+  mint: PublicKey;
+  lockedAmount: bigint;
+  beneficiary: PublicKey;
+  schedules: { releaseTime: number; amount: bigint }[];
+}
+
+export interface VerificationResult {
+  name: string;
+  passed: boolean;
+  detail: string;
+}
+
+export interface VerificationReport {
+  network: string;
+  passed: boolean;
+  results: VerificationResult[];
+}
+
+export class TokenMinter {
+  constructor(network?: string | null, verbose?: boolean, options?: TokenMinterOptions);
+  network: string;
+  config: DeploymentConfig;
+  connection: Connection;
+  mintAddress: PublicKey | null;
+  /** Creates the mint, or picks up the journaled one, without minting anything. */
+  executeMintCreation(): Promise<{ network: string; mint: string; tokenProgram: string }>;
+  /** Mints `amount` to the mint authority, or runs the full distribution when it is omitted. */
+  executeMinting(amount?: bigint | string | null, dryRun?: boolean, resume?: boolean): Promise<MintingSummary>;
+  /** The deploy-all authority step: hands the manifest's mint to the multisig, or simulates it. */
+  executeAuthorityHandOff(dryRun?: boolean): Promise<{ network: string; mint: string; multisig: string; signature: string | null } | DryRunResult>;
+  /** Hands the mint authority to the multisig once the metadata exists; null when there is nothing to hand off. */
+  handOffMintAuthority(requireMetadata?: boolean): Promise<string | null>;
+  /** Writes the minting transactions to filePath for the mint authority to sign offline. */
+  exportMinting(filePath: string, amount?: bigint | string | null): Promise<OfflineExport>;
+  /** Moves Token-2022 transfer fees withheld in token accounts into the mint (default: the recorded mint). */
+  harvestWithheldFees(mint?: PublicKey | null): Promise<FeeHarvest>;
+  /** Withdraws the harvested fees to destination, by default the mint authority's token account. */
+  withdrawWithheldFees(destination?: PublicKey | null, mint?: PublicKey | null): Promise<FeeWithdrawal>;
+}
+
+export class MetadataDeployer {
+  constructor(network?: string | null, verbose?: boolean, options?: MetadataDeployerOptions);
+  network: string;
+  config: DeploymentConfig;
+  metadata: TokenMetadata;
+  connection: Connection;
+  deployMetadata(dryRun?: false): Promise<MetadataRecord>;
+  deployMetadata(dryRun: boolean): Promise<MetadataRecord | DryRunResult>;
+  /** Writes the metadata transaction to filePath for the authorities to sign offline. */
+  exportMetadata(filePath: string): Promise<OfflineExport>;
+  /** Sends the fields of token-metadata.json that differ from the on-chain metadata. */
+  updateMetadata(dryRun?: false): Promise<MetadataUpdateRecord>;
+  updateMetadata(dryRun: boolean): Promise<MetadataUpdateRecord | MetadataUpdateDryRun>;
+  /** Asks for confirmation on the terminal unless confirmed is true. */
+  transferUpdateAuthority(newAuthority: PublicKey, confirmed?: boolean): Promise<MetadataUpdateRecord>;
+  /** Asks for confirmation on the terminal unless confirmed is true. */
+  makeImmutable(confirmed?: boolean): Promise<MetadataUpdateRecord>;
+  /** The instruction of a metadata timelock action, or null when the on-chain metadata needs no change. */
+  buildTimelockAction(
+    action: 'update-metadata' | 'transfer-metadata-authority' | 'make-metadata-immutable',
+    newAuthority?: PublicKey | null
+  ): Promise<{ description: string; instruction: TransactionInstruction } | null>;
+}
+
+export class LiquidityCreator {
+  constructor(network?: string | null, verbose?: boolean, options?: LiquidityCreatorOptions);
+  network: string;
+  config: DeploymentConfig;
+  connection: Connection;
+  executePoolCreation(solAmount?: bigint | string | null, dryRun?: false): Promise<PoolRecord>;
+  executePoolCreation(solAmount: bigint | string | null | undefined, dryRun: boolean): Promise<PoolRecord | DryRunResult>;
+  verifyLock(escrowAddress?: string | null): Promise<LockDetails>;
+}
+
+export class DeploymentVerifier {
+  constructor(network?: string | null, verbose?: boolean, options?: DeploymentVerifierOptions);
+  network: string;
+  config: DeploymentConfig;
+  metadata: TokenMetadata;
+  connection: Connection;
+  executeVerification(): Promise<VerificationReport>;
+}
+
+export class DeploymentOrchestrator {
+  constructor(network?: string | null, verbose?: boolean, options?: DeploymentOrchestratorOptions);
+  network: string;
+  config: DeploymentConfig;
+  manifest: DeploymentManifest;
+  /** Runs the steps the manifest does not show as done, then verifies and backs up the deployment. */
+  executeDeployment(solAmount?: bigint | string | null, dryRun?: boolean): Promise<DeploymentResult>;
+}
+
+export class NftMinter {
+  constructor(network?: string | null, verbose?: boolean, options?: NftMinterOptions);
+  network: string;
+  config: DeploymentConfig;
+  nftMetadata: NftMetadata;
+  connection: Connection;
+  collectionDir: string;
+  /** Writes collection.json, <id>.json and rarity-report.json; the seed defaults to a random one. */
+  generateCollection(seed?: string | null, supply?: number | null): Promise<NftGeneration>;
+  /** Writes rarity-stats.json and rarity-ranks.csv to outputDir (default: the collection directory). */
+  analyzeCollection(outputDir?: string | null): Promise<NftStats>;
+  mintCollection(count?: number | null, dryRun?: false): Promise<NftMintResult>;
+  mintCollection(count: number | null | undefined, dryRun: boolean): Promise<NftMintResult | NftMintDryRun>;
+}
+
+export class AirdropDistributor {
+  constructor(network?: string | null, verbose?: boolean, options?: AirdropDistributorOptions);
+  network: string;
+  config: DeploymentConfig;
+  connection: Connection;
+  /** Pays the wallets in the CSV list at filePath that the ledger does not show as paid. */
+  executeAirdrop(filePath: string, dryRun?: false): Promise<AirdropResult>;
+  executeAirdrop(filePath: string, dryRun: boolean): Promise<AirdropResult | AirdropDryRun>;
+}
+
+export class MerkleAirdrop {
+  constructor(network?: string | null, verbose?: boolean, options?: MerkleAirdropOptions);
+  network: string;
+  config: DeploymentConfig;
+  connection: Connection;
+  /** <list>-claims.json next to the list. */
+  static defaultClaimsPath(listPath: string): string;
+  /** Writes the claims file of the CSV list at listPath; works offline. */
+  buildClaims(listPath: string, claimsPath?: string | null): Promise<MerkleBuildResult>;
+  /** Checks every proof, or only wallet's, against the root; works offline. */
+  verifyClaims(claimsPath: string, wallet?: PublicKey | string | null): Promise<MerkleVerification>;
+  /** Creates the distributor for the claims file and funds it from the Community bucket. */
+  createDistributor(claimsPath: string, expires: Date, dryRun?: false): Promise<MerkleDistributorRecord>;
+  createDistributor(claimsPath: string, expires: Date, dryRun: boolean): Promise<MerkleDistributorRecord | MerkleDistributorDryRun>;
+  /** Writes wallet's unsigned claim transaction to outputPath, or prints it. */
+  buildClaimTransaction(claimsPath: string, wallet: PublicKey, outputPath?: string | null): Promise<MerkleClaimTransaction>;
+  /** Returns the unclaimed tokens to the Community bucket once the distributor has expired. */
+  clawback(claimsPath: string, dryRun?: false): Promise<MerkleClawback>;
+  clawback(claimsPath: string, dryRun: boolean): Promise<MerkleClawback | MerkleClawbackDryRun>;
+}
+
+export class HealthMonitor {
+  constructor(network?: string | null, verbose?: boolean, options?: HealthMonitorOptions);
+  network: string;
+  config: DeploymentConfig;
+  connection: Connection;
+  /** Conditions that are currently failing, by key, with their alert title. */
+  activeConditions: Map<string, string>;
+  /** Runs one round of endpoint, RPC, mint, pool and transfer checks and sends the alerts it raises. */
+  runChecks(): Promise<void>;
+  /**
+   * Runs checks every intervalSeconds (default: monitoring.health_checks.interval) until SIGINT or
+   * SIGTERM, or a single round with once. Resolves to the number of conditions still failing.
+   */
+  start(intervalSeconds?: number | null, once?: boolean): Promise<number>;
+}
+
+export class GlowMinError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+}
+
+export class ConfigError extends GlowMinError {}
+
+export interface ValidationProblem {
+  /** deployment-config.json, token-metadata.json, or the name of an airdrop list. */
+  file: string;
+  /** JSON path of the setting, e.g. "distribution[2].recipient", or "line <n>" of an airdrop list. */
+  path: string;
+  message: string;
+  severity: 'error' | 'warning';
+  placeholder: boolean;
+}
+
+export class ValidationError extends ConfigError {
+  constructor(message: string, problems?: ValidationProblem[]);
+  problems: ValidationProblem[];
+}
+
+export class KeypairError extends GlowMinError {}
+
+export class NetworkError extends GlowMinError {}
+
+export class PrerequisiteError extends GlowMinError {}
+
+export class InsufficientFundsError extends GlowMinError {
+  constructor(message: string, details?: { asset?: string; required?: bigint; available?: bigint });
+  asset?: string;
+  required?: bigint;
+  available?: bigint;
+}
+
+/** Failed in simulation or on chain, or expired before it was confirmed. */
+export class TransactionError extends GlowMinError {
+  constructor(message: string, details?: { signature?: string | null; logs?: string[]; cause?: unknown });
+  signature: string | null;
+  logs: string[];
+}
+
+/** A multisig transaction was saved to filePath and still needs signatures. */
+export class PendingSignaturesError extends GlowMinError {
+  constructor(message: string, filePath: string);
+  filePath: string;
+}
+
+export interface NetworkSettings {
+  name: string;
+  url: string;
+  wsUrl: string | null;
+  commitment: Commitment;
+  fallbackUrls: string[];
+}
+
+export const DEFAULT_NETWORK: string;
+
+export function resolveNetworkName(config: DeploymentConfig, requested?: string | null): string;
+
+export function getNetworkSettings(
+  config: DeploymentConfig,
+  requested?: string | null,
+  overrides?: { rpcUrl?: string | null; wsUrl?: string | null }
+): NetworkSettings;
+
+export function createRpcConnection(settings: NetworkSettings): Connection;
+
+export function readConfigFile(configPath: string): DeploymentConfig;
+
+export function readMetadataFile(metadataPath: string): TokenMetadata;
+
+export function readNftMetadataFile(nftMetadataPath: string): NftMetadata;
+
+export function readClaimsFile(claimsPath: string): MerkleClaims;
+
+export function resolveConnection(
+  config: DeploymentConfig,
+  network?: string | null,
+  options?: ConnectionOptions
+): { network: string; connection: Connection; settings: NetworkSettings };
+
+export function loadKeypairFiles<Role extends string>(
+  keypairDir: string,
+  files: Record<Role, string>,
+  signers?: Partial<Record<Role, Signer>>
+): Partial<Record<Role, Signer>>;
+
+export function requireSigner<Role extends string>(keypairs: Partial<Record<Role, Signer>>, role: Role): Signer;
+
+export function writeDeploymentRecord(deploymentsDir: string, kind: string, network: string, record: object): string;
+
+export function findLatestRecord<T = any>(
+  deploymentsDir: string,
+  kind: string,
+  network: string
+): { filePath: string; record: T } | null;
+
+export function validateConfig(config: unknown): ValidationProblem[];
+
+export function validateMetadata(metadata: unknown): ValidationProblem[];
+
+export function validateDeploymentFiles(files: { config?: unknown; metadata?: unknown }): ValidationProblem[];
+
+/** Settings a command needs filled in; null treats every setting as used. */
+export interface PreflightUses {
+  config?: string[];
+  metadata?: boolean;
+}
+
+export function formatProblem(problem: ValidationProblem): string;
+
+export function checkDeploymentFiles(
+  files: { config?: unknown; metadata?: unknown },
+  uses?: PreflightUses | null
+): { errors: ValidationProblem[]; warnings: ValidationProblem[] };
+
+/** Throws a ValidationError listing every error; returns the warnings. */
+export function preflight(options: {
+  configPath: string;
+  metadataPath: string;
+  uses?: PreflightUses | null;
+  verbose?: boolean;
+}): ValidationProblem[];
+
+export interface SendSettings {
+  priorityFee: {
+    mode: 'auto' | 'fixed' | 'none';
+    microLamports: number;
+    percentile: number;
+    maxMicroLamports: number;
+    marginBps: number;
+  };
+  maxAttempts: number;
+  rebroadcastIntervalMs: number;
+  rateLimitRetries: number;
+}
+
+/** Reads fees.priority_fee and sending from the deployment config, with defaults. */
+export function getSendSettings(config: DeploymentConfig): SendSettings;
+
+export class TransactionSender {
+  constructor(connection: Connection, settings?: SendSettings, verbose?: boolean);
+  /** Prepends the compute unit limit and priority fee instructions. */
+  addComputeBudget(instructions: TransactionInstruction[], payer: PublicKey): Promise<TransactionInstruction[]>;
+  /** Signs with `signers` (the first pays the fee), sends, and retries expired attempts. */
+  send(
+    instructions: TransactionInstruction[],
+    signers: Signer[],
+    description?: string,
+    options?: { onSigned?: (signature: string, lastValidBlockHeight: number) => void | Promise<void> }
+  ): Promise<string>;
+  /** Broadcasts a fully signed transaction until it confirms; null lastValidBlockHeight for durable nonces. */
+  submit(transaction: Transaction, lastValidBlockHeight?: number | null): Promise<string>;
+}
@@ -0,0 +1,65 @@
+/**
+ * GlowMin Library
+ *
+ * Programmatic entrypoint for embedding the deployment steps. The classes
+ * throw the errors below instead of exiting, and accept an injected
+ * Connection and signers in place of the configured RPC endpoint and the
+ * keyfiles:
+ *
+ *   const { TokenMinter, ConfigError } = require('glowmin');
+ *
+ *   const minter = new TokenMinter('devnet', false, {
+ *     config,
+ *     connection,
+ *     signers: { mintAuthority, freezeAuthority }
+ *   });
+ *   const summary = await minter.executeMinting();
+ *
+ * See index.d.ts for the option and result types.
+ */
+
+const { TokenMinter } = require('./mint-token');
+const { MetadataDeployer } = require('./deploy-metadata');
+const { LiquidityCreator } = require('./create-liquidity');
+const { DeploymentVerifier } = require('./verify-deployment');
+const { DeploymentOrchestrator } = require('./deploy-all');
+const { NftMinter } = require('./nft-minter');
+const { AirdropDistributor } = require('./airdrop');
+const { MerkleAirdrop } = require('./merkle-airdrop');
+const { HealthMonitor } = require('./monitor');
+const errors = require('./lib/errors');
+const { PendingSignaturesError } = require('./lib/multisig');
+const core = require('./lib/core');
+const { DEFAULT_NETWORK, resolveNetworkName, getNetworkSettings, createRpcConnection } = require('./lib/network');
+const { validateConfig, validateMetadata, validateDeploymentFiles } = require('./lib/schema');
+const { formatProblem, checkDeploymentFiles, preflight } = require('./lib/preflight');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { DeploymentManifest } = require('./lib/manifest');
+
+module.exports = {
+  TokenMinter,
+  MetadataDeployer,
+  LiquidityCreator,
+  DeploymentVerifier,
+  DeploymentOrchestrator,
+  DeploymentManifest,
+  NftMinter,
+  AirdropDistributor,
+  MerkleAirdrop,
+  HealthMonitor,
+  ...errors,
+  PendingSignaturesError,
+  ...core,
+  DEFAULT_NETWORK,
+  resolveNetworkName,
+  getNetworkSettings,
+  createRpcConnection,
+  validateConfig,
+  validateMetadata,
+  validateDeploymentFiles,
+  formatProblem,
+  checkDeploymentFiles,
+  preflight,
+  TransactionSender,
+  getSendSettings
+};
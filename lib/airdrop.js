@@ -0,0 +1,294 @@
+/**
+ * GlowMin Airdrop Lists and Ledger
+ *
+ * An airdrop list is a CSV with one wallet,amount pair per line, the amount
+ * in whole tokens ("1500" or "0.25"; quoted amounts may use thousands
+ * separators). A header line, blank lines and lines starting with # are
+ * skipped. Every wallet must be a valid on-curve address, since the
+ * recipients' associated token accounts are created for them; a wallet
+ * listed again is paid once, at its first line.
+ *
+ * The ledger, deployments/airdrop-ledger-<list>-<network>.json, records each
+ * transfer when its transaction is signed, before it is broadcast, and again
+ * once it confirms:
+ *
+ *   {
+ *     "network", "mint", "source",
+ *     "recipients": {
+ *       "<wallet>": { "amount", "status": "pending" | "paid", "signature", "lastValidBlockHeight", "paidAt" }
+ *     }
+ *   }
+ *
+ * A crashed run can therefore leave transfers pending whose transaction may
+ * still land; they are settled from the chain before anything is sent again.
+ *
+ * Airdrops are paid from the Community distribution bucket, whose recipient's
+ * keyfile is keypairs/community-wallet.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const { toBaseUnits } = require('./amount');
+const { isPlaceholder, toPublicKey } = require('./pubkey');
+const { StateJournal } = require('./state-journal');
+const { ConfigError, KeypairError, ValidationError, PrerequisiteError } = require('./errors');
+const { formatProblem } = require('./preflight');
+
+const COMMUNITY_BUCKET = 'Community';
+const COMMUNITY_KEYPAIR_FILE = 'community-wallet.json';
+
+// Splits a CSV line into fields, honouring double quotes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(entry => entry.trim());
+}
+
+function parseWallet(value) {
+  let wallet;
+  try {
+    wallet = new PublicKey(value);
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid address`);
+  }
+
+  if (!PublicKey.isOnCurve(wallet.toBytes())) {
+    throw new Error(`${value} is a program address, not a wallet`);
+  }
+
+  return wallet;
+}
+
+function parseTokenAmount(value, decimals) {
+  let amount;
+  try {
+    amount = toBaseUnits(value.replace(/,/g, ''), decimals);
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid amount: ${error.message}`);
+  }
+
+  if (amount === 0n) {
+    throw new Error('amount must be greater than zero');
+  }
+
+  return amount;
+}
+
+/**
+ * Parses an airdrop list. Returns { recipients, duplicates, problems }:
+ * recipients as { wallet, amount, line } in list order, the lines dropped
+ * as repeats of an earlier wallet, and the invalid lines as validation
+ * problems of `file`.
+ */
+function parseAirdropCsv(text, decimals, file = 'airdrop list') {
+  const recipients = [];
+  const duplicates = [];
+  const problems = [];
+  const seen = new Map();
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const trimmed = raw.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const [walletField = '', amountField = '', ...extra] = splitCsvLine(trimmed);
+
+    // A header can only come before the first recipient
+    if (recipients.length === 0 && problems.length === 0 && /[a-z]/i.test(amountField) && !/\d/.test(amountField)) {
+      return;
+    }
+
+    const problem = (message, placeholder = false) => problems.push({ file, path: `line ${line}`, message, severity: 'error', placeholder });
+
+    if (extra.some(field => field !== '')) {
+      problem('expected two columns, wallet and amount');
+      return;
+    }
+
+    if (isPlaceholder(walletField)) {
+      problem(`${walletField} is a placeholder`, true);
+      return;
+    }
+
+    let wallet;
+    let amount;
+    try {
+      wallet = parseWallet(walletField);
+      amount = parseTokenAmount(amountField, decimals);
+    } catch (error) {
+      problem(error.message);
+      return;
+    }
+
+    const key = wallet.toBase58();
+    if (seen.has(key)) {
+      duplicates.push({ wallet: key, amount, line, firstLine: seen.get(key).line });
+      return;
+    }
+
+    const recipient = { wallet, amount, line };
+    seen.set(key, recipient);
+    recipients.push(recipient);
+  });
+
+  return { recipients, duplicates, problems };
+}
+
+/**
+ * Reads an airdrop list, failing on any invalid line, and returns
+ * { recipients, duplicates }.
+ */
+function readAirdropList(filePath, decimals) {
+  const file = path.basename(filePath);
+  const { recipients, duplicates, problems } = parseAirdropCsv(fs.readFileSync(filePath, 'utf8'), decimals, file);
+
+  if (problems.length > 0) {
+    const details = problems.map(problem => `   - ${formatProblem(problem)}`).join('\n');
+    throw new ValidationError(`${file} has ${problems.length} invalid line(s):\n${details}`, problems);
+  }
+
+  if (recipients.length === 0) {
+    throw new ConfigError(`${file} lists no recipients`);
+  }
+
+  return { recipients, duplicates };
+}
+
+/**
+ * The Community bucket's recipient, which has to be the loaded `community`
+ * keypair since it signs for the tokens.
+ */
+function getCommunitySource(config, keypairs) {
+  const bucket = (config.distribution || []).find(entry => entry.name === COMMUNITY_BUCKET);
+  if (!bucket) {
+    throw new ConfigError(`No '${COMMUNITY_BUCKET}' distribution bucket defined in configuration`);
+  }
+
+  let recipient;
+  try {
+    recipient = toPublicKey(bucket.recipient, `Distribution '${COMMUNITY_BUCKET}' recipient`);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+
+  const community = keypairs.community;
+  if (!community) {
+    throw new KeypairError(`The community keypair is required but was not loaded, place it in ${COMMUNITY_KEYPAIR_FILE}`);
+  }
+
+  if (!community.publicKey.equals(recipient)) {
+    throw new KeypairError(
+      `${COMMUNITY_KEYPAIR_FILE} holds ${community.publicKey.toString()}, not the '${COMMUNITY_BUCKET}' recipient ${recipient.toString()}`
+    );
+  }
+
+  return recipient;
+}
+
+class AirdropLedger {
+  constructor(filePath) {
+    this.journal = new StateJournal(filePath);
+    this.journal.load();
+  }
+
+  static defaultPath(deploymentsDir, listPath, network) {
+    const list = path.basename(listPath, path.extname(listPath));
+    return path.join(deploymentsDir, `airdrop-ledger-${list}-${network}.json`);
+  }
+
+  get filePath() {
+    return this.journal.filePath;
+  }
+
+  get(wallet) {
+    return (this.journal.get('recipients') || {})[wallet] || null;
+  }
+
+  entries() {
+    return Object.entries(this.journal.get('recipients') || {});
+  }
+
+  // A ledger only continues the airdrop of the network, mint and source wallet it was started for
+  verify({ network, mint, source }) {
+    if (!this.journal.state) {
+      return;
+    }
+
+    Object.entries({ network, mint: mint.toBase58(), source: source.toBase58() }).forEach(([field, value]) => {
+      if (this.journal.get(field) !== value) {
+        throw new PrerequisiteError(
+          `${this.filePath} records an airdrop with ${field} ${this.journal.get(field)}, not ${value}; use another --ledger`
+        );
+      }
+    });
+  }
+
+  begin({ network, mint, source }) {
+    this.verify({ network, mint, source });
+
+    if (!this.journal.state) {
+      this.journal.update({ network, mint: mint.toBase58(), source: source.toBase58(), recipients: {} });
+    }
+  }
+
+  setRecipients(transfers, entry) {
+    const recipients = { ...(this.journal.get('recipients') || {}) };
+    transfers.forEach(({ wallet, amount }) => {
+      recipients[wallet.toString()] = { amount: amount.toString(), ...entry };
+    });
+    this.journal.update({ recipients });
+  }
+
+  markPending(transfers, signature, lastValidBlockHeight) {
+    this.setRecipients(transfers, { status: 'pending', signature, lastValidBlockHeight });
+  }
+
+  markPaid(transfers, signature) {
+    this.setRecipients(transfers, { status: 'paid', signature, paidAt: new Date().toISOString() });
+  }
+
+  // Forgets transfers whose transaction can no longer land, so they are sent again
+  release(wallets) {
+    const recipients = { ...(this.journal.get('recipients') || {}) };
+    wallets.forEach(wallet => delete recipients[wallet]);
+    this.journal.update({ recipients });
+  }
+}
+
+module.exports = {
+  COMMUNITY_BUCKET,
+  COMMUNITY_KEYPAIR_FILE,
+  parseAirdropCsv,
+  readAirdropList,
+  getCommunitySource,
+  AirdropLedger
+};
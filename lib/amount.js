@@ -0,0 +1,94 @@
+/**
+ * GlowMin Amount Helpers
+ *
+ * Token and lamport amounts in deployment-config.json exceed
+ * Number.MAX_SAFE_INTEGER, so every amount is handled as a BigInt in base
+ * units. Config values are stored as decimal strings and parsed here; UI
+ * amounts (e.g. "1.5" GLOWMIN) are converted using the token decimals.
+ */
+
+const BASIS_POINTS_TOTAL = 10000;
+
+/**
+ * Parses a base-unit amount from config or CLI input into a BigInt.
+ * Accepts decimal strings, bigints and safe non-negative integers.
+ */
+function parseAmount(value, label = 'amount') {
+  if (typeof value === 'bigint') {
+    if (value < 0n) {
+      throw new Error(`Invalid ${label}: must not be negative`);
+    }
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Invalid ${label}: ${value} is not a safe non-negative integer, store it as a string`);
+    }
+    return BigInt(value);
+  }
+
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return BigInt(value.trim());
+  }
+
+  throw new Error(`Invalid ${label}: ${JSON.stringify(value)} is not a whole number of base units`);
+}
+
+/**
+ * Converts a UI amount such as "1.5" into base units for the given decimals.
+ */
+function toBaseUnits(uiAmount, decimals) {
+  const text = String(uiAmount).trim();
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(text);
+
+  if (!match) {
+    throw new Error(`Invalid UI amount: ${JSON.stringify(uiAmount)}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`UI amount ${text} has more than ${decimals} decimal places`);
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * Converts base units into an exact UI amount string without trailing zeros.
+ */
+function fromBaseUnits(amount, decimals) {
+  const value = parseAmount(amount);
+  const scale = 10n ** BigInt(decimals);
+  const whole = value / scale;
+  const fraction = (value % scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Formats base units for display, e.g. "100,000,000 GLOWMIN".
+ */
+function formatAmount(amount, decimals, symbol = '') {
+  const [whole, fraction] = fromBaseUnits(amount, decimals).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const text = fraction ? `${grouped}.${fraction}` : grouped;
+
+  return symbol ? `${text} ${symbol}` : text;
+}
+
+/**
+ * Returns the exact share of an amount for the given basis points, rounded down.
+ */
+function percentOf(amount, basisPoints) {
+  return parseAmount(amount) * BigInt(basisPoints) / BigInt(BASIS_POINTS_TOTAL);
+}
+
+module.exports = {
+  BASIS_POINTS_TOTAL,
+  parseAmount,
+  toBaseUnits,
+  fromBaseUnits,
+  formatAmount,
+  percentOf
+};
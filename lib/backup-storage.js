@@ -0,0 +1,176 @@
+/**
+ * GlowMin Backup Storage
+ *
+ * Backends store content-addressed blocks keyed by their CID. Every backend
+ * implements the same three methods, so backup-metadata.js does not care where
+ * the blocks end up:
+ *
+ *   put(cid, data)   stores a block, returns nothing
+ *   get(cid)         resolves to the block contents as a Buffer
+ *   has(cid)         resolves to true when the block is already stored
+ *
+ * New backends are added to STORAGE_BACKENDS and selected with
+ * backup.storage.type in deployment-config.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeCid, getCidCodec, decodeFileNode } = require('./cid');
+const { ConfigError, GlowMinError } = require('./errors');
+
+/**
+ * Stores blocks as files named by CID under a local directory.
+ */
+class LocalDirectoryBackend {
+  constructor(storageConfig, projectRoot) {
+    this.name = 'local';
+    this.directory = path.resolve(projectRoot, storageConfig.local_directory || 'backups', 'blocks');
+  }
+
+  blockPath(cid) {
+    return path.join(this.directory, cid);
+  }
+
+  async put(cid, data) {
+    if (await this.has(cid)) {
+      return;
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const tmpPath = `${this.blockPath(cid)}.tmp`;
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, this.blockPath(cid));
+  }
+
+  async get(cid) {
+    if (!(await this.has(cid))) {
+      throw new Error(`Block ${cid} not found in ${this.directory}`);
+    }
+
+    return fs.readFileSync(this.blockPath(cid));
+  }
+
+  async has(cid) {
+    return fs.existsSync(this.blockPath(cid));
+  }
+}
+
+/**
+ * Adds blocks through the HTTP RPC API of an IPFS node (Kubo) and reads
+ * them back through the configured gateway.
+ */
+class IpfsBackend {
+  constructor(storageConfig) {
+    if (typeof fetch !== 'function' || typeof FormData !== 'function') {
+      throw new Error('The ipfs storage backend requires Node.js 18 or newer');
+    }
+
+    this.name = 'ipfs';
+    this.apiUrl = (storageConfig.api_url || 'http://127.0.0.1:5001').replace(/\/$/, '');
+    this.gateway = storageConfig.gateway || 'https://ipfs.io/ipfs/';
+  }
+
+  async put(cid, data) {
+    const form = new FormData();
+    form.append('file', new Blob([data]));
+
+    const response = await fetch(`${this.apiUrl}/api/v0/block/put?cid-codec=${getCidCodec(cid)}&mhtype=sha2-256&pin=true`, {
+      method: 'POST',
+      body: form
+    });
+
+    if (!response.ok) {
+      throw new Error(`IPFS node rejected block ${cid}: ${response.status} ${await response.text()}`);
+    }
+
+    const { Key } = await response.json();
+    if (Key !== cid) {
+      throw new Error(`IPFS node stored block as ${Key}, expected ${cid}`);
+    }
+  }
+
+  async get(cid) {
+    // The block itself, not the file a gateway assembles from a dag-pb node
+    const response = await fetch(`${this.gateway}${cid}?format=raw`);
+
+    if (!response.ok) {
+      throw new Error(`Gateway returned ${response.status} for ${cid}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async has(cid) {
+    const response = await fetch(`${this.apiUrl}/api/v0/block/stat?arg=${cid}&offline=true`, { method: 'POST' });
+    return response.ok;
+  }
+}
+
+const STORAGE_BACKENDS = {
+  local: LocalDirectoryBackend,
+  ipfs: IpfsBackend
+};
+
+function createStorageBackend(type, storageConfig, projectRoot) {
+  const Backend = STORAGE_BACKENDS[type];
+
+  if (!Backend) {
+    throw new ConfigError(`Unknown backup storage type '${type}' (expected ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+
+  return new Backend(storageConfig, projectRoot);
+}
+
+/**
+ * Fetches a block and checks it against its CID, so a corrupted copy or a
+ * misbehaving gateway cannot slip altered content into a restore.
+ */
+async function getVerifiedBlock(backend, cid) {
+  const data = await backend.get(cid);
+  const actual = computeCid(data, getCidCodec(cid));
+
+  if (actual !== cid) {
+    throw new Error(`Block ${cid} failed verification, content hashes to ${actual}`);
+  }
+
+  return data;
+}
+
+/**
+ * Fetches a file stored with buildFileBlocks: a raw block as it is, a dag-pb
+ * file node with every block it links, each verified against its CID.
+ */
+async function getVerifiedFile(backend, cid) {
+  const block = await getVerifiedBlock(backend, cid);
+
+  if (getCidCodec(cid) === 'raw') {
+    return block;
+  }
+
+  const { links, fileSize } = decodeFileNode(block);
+  const chunks = [];
+
+  for (const link of links) {
+    const chunk = await getVerifiedBlock(backend, link.cid);
+    if (chunk.length !== link.size) {
+      throw new GlowMinError(`Block ${link.cid} of ${cid} holds ${chunk.length} bytes, expected ${link.size}`);
+    }
+    chunks.push(chunk);
+  }
+
+  const data = Buffer.concat(chunks);
+  if (data.length !== fileSize) {
+    throw new GlowMinError(`File ${cid} assembled to ${data.length} bytes, expected ${fileSize}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  LocalDirectoryBackend,
+  IpfsBackend,
+  createStorageBackend,
+  getVerifiedBlock,
+  getVerifiedFile
+};
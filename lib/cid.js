@@ -0,0 +1,257 @@
+/**
+ * GlowMin CID Helpers
+ *
+ * Computes IPFS content identifiers locally. Blocks are addressed as CIDv1
+ * with a sha2-256 multihash, rendered in base32. A file that fits in a single
+ * IPFS block is one raw block, so its CID is the one
+ * `ipfs add --cid-version=1` reports. Larger files are split into raw blocks
+ * of MAX_SINGLE_BLOCK_SIZE bytes linked from a dag-pb UnixFS file node, the
+ * layout `ipfs add --cid-version=1 --raw-leaves` builds for files of up to
+ * MAX_FILE_LINKS blocks, so backups can be pinned and fetched from any
+ * gateway by the CID recorded here.
+ */
+
+const crypto = require('crypto');
+const { GlowMinError } = require('./errors');
+
+const CID_VERSION = 0x01;
+const CODECS = { raw: 0x55, 'dag-pb': 0x70 };
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 0x20;
+
+// Default chunk size used by `ipfs add`; larger files become multi-block DAGs
+const MAX_SINGLE_BLOCK_SIZE = 256 * 1024;
+// Links `ipfs add` puts in one node before it adds another level to the DAG
+const MAX_FILE_LINKS = 174;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function fromBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new GlowMinError(`Invalid base32 character '${char}'`);
+    }
+
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function cidBytes(data, codec) {
+  const digest = crypto.createHash('sha256').update(data).digest();
+  return Buffer.concat([Buffer.from([CID_VERSION, CODECS[codec], SHA2_256, SHA2_256_LENGTH]), digest]);
+}
+
+function toCidString(bytes) {
+  // "b" is the multibase prefix for lowercase base32
+  return `b${base32(bytes)}`;
+}
+
+// codec is "raw" for file contents or "dag-pb" for the node linking a large file's blocks
+function computeCid(data, codec = 'raw') {
+  return toCidString(cidBytes(data, codec));
+}
+
+/**
+ * The codec name of a CID computed here: "raw" or "dag-pb".
+ */
+function getCidCodec(cid) {
+  const bytes = typeof cid === 'string' && cid.startsWith('b') ? fromBase32(cid.slice(1)) : Buffer.alloc(0);
+  const codec = bytes[0] === CID_VERSION && bytes[2] === SHA2_256 &&
+    Object.keys(CODECS).find(name => CODECS[name] === bytes[1]);
+
+  if (!codec) {
+    throw new GlowMinError(`Unsupported CID: ${cid}`);
+  }
+
+  return codec;
+}
+
+// Protocol buffer encoding, limited to the varint and length-delimited fields dag-pb and UnixFS use
+function varint(value) {
+  const bytes = [];
+
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+
+  return Buffer.from(bytes);
+}
+
+function varintField(field, value) {
+  return Buffer.concat([varint(field << 3), varint(value)]);
+}
+
+function bytesField(field, bytes) {
+  return Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+}
+
+function readFields(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let scale = 1;
+
+    for (;;) {
+      if (offset >= buffer.length) {
+        throw new GlowMinError('Truncated protobuf varint');
+      }
+
+      const byte = buffer[offset++];
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+
+      if (byte < 0x80) {
+        return value;
+      }
+    }
+  };
+
+  while (offset < buffer.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      fields.push({ field, value: readVarint() });
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (offset + length > buffer.length) {
+        throw new GlowMinError('Truncated protobuf field');
+      }
+      fields.push({ field, value: buffer.subarray(offset, offset + length) });
+      offset += length;
+    } else {
+      throw new GlowMinError(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Splits a file into the blocks IPFS stores for it. Returns the file's CID
+ * and every block as { cid, data }: a single raw block for small files, raw
+ * leaves followed by their dag-pb root for larger ones.
+ */
+function buildFileBlocks(data) {
+  if (data.length <= MAX_SINGLE_BLOCK_SIZE) {
+    const cid = computeCid(data);
+    return { cid, blocks: [{ cid, data }] };
+  }
+
+  const leaves = [];
+  for (let offset = 0; offset < data.length; offset += MAX_SINGLE_BLOCK_SIZE) {
+    const chunk = data.subarray(offset, offset + MAX_SINGLE_BLOCK_SIZE);
+    leaves.push({ bytes: cidBytes(chunk, 'raw'), data: chunk });
+  }
+
+  if (leaves.length > MAX_FILE_LINKS) {
+    throw new GlowMinError(
+      `Content of ${data.length} bytes needs ${leaves.length} blocks, more than the ${MAX_FILE_LINKS} a single-level DAG links`
+    );
+  }
+
+  const unixfs = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, data.length),
+    ...leaves.map(leaf => varintField(4, leaf.data.length))
+  ]);
+
+  // dag-pb writes the links before the data
+  const root = Buffer.concat([
+    ...leaves.map(leaf => bytesField(2, Buffer.concat([
+      bytesField(1, leaf.bytes),
+      bytesField(2, Buffer.alloc(0)),
+      varintField(3, leaf.data.length)
+    ]))),
+    bytesField(1, unixfs)
+  ]);
+
+  const cid = computeCid(root, 'dag-pb');
+  return {
+    cid,
+    blocks: [...leaves.map(leaf => ({ cid: toCidString(leaf.bytes), data: leaf.data })), { cid, data: root }]
+  };
+}
+
+/**
+ * Reads a dag-pb UnixFS file node built by buildFileBlocks back into the
+ * CIDs and sizes of its leaves and the file size.
+ */
+function decodeFileNode(data) {
+  const links = [];
+  let unixfs = null;
+
+  for (const { field, value } of readFields(data)) {
+    if (field === 2) {
+      const link = readFields(value);
+      const hash = link.find(entry => entry.field === 1)?.value;
+      const size = link.find(entry => entry.field === 3)?.value;
+
+      if (!Buffer.isBuffer(hash) || typeof size !== 'number') {
+        throw new GlowMinError('dag-pb link without a hash or size');
+      }
+      links.push({ cid: toCidString(hash), size });
+    } else if (field === 1) {
+      unixfs = readFields(value);
+    }
+  }
+
+  const type = unixfs?.find(entry => entry.field === 1)?.value;
+  const fileSize = unixfs?.find(entry => entry.field === 3)?.value;
+
+  if (type !== UNIXFS_FILE || typeof fileSize !== 'number') {
+    throw new GlowMinError('dag-pb node is not a UnixFS file');
+  }
+
+  return { links, fileSize };
+}
+
+module.exports = {
+  MAX_SINGLE_BLOCK_SIZE,
+  MAX_FILE_LINKS,
+  computeCid,
+  getCidCodec,
+  buildFileBlocks,
+  decodeFileNode
+};
@@ -0,0 +1,165 @@
+/**
+ * GlowMin Core
+ *
+ * Config loading, connections, keypairs and deployment records shared by
+ * TokenMinter, MetadataDeployer, LiquidityCreator and DeploymentVerifier.
+ * Nothing here prints or exits: failures are thrown as the typed errors in
+ * lib/errors.js. A connection or signers passed in by the caller take the
+ * place of the configured RPC endpoint and the keyfiles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadKeypairFile } = require('./keystore');
+const { resolveNetworkName, getNetworkSettings, createRpcConnection } = require('./network');
+const { toPublicKey } = require('./pubkey');
+const { ConfigError, KeypairError } = require('./errors');
+
+function readJsonFile(filePath, label) {
+  let data;
+
+  try {
+    data = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read ${label} ${filePath}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new ConfigError(`${label} ${filePath} is not valid JSON: ${error.message}`, { cause: error });
+  }
+}
+
+function readConfigFile(configPath) {
+  return readJsonFile(configPath, 'Configuration');
+}
+
+function readMetadataFile(metadataPath) {
+  return readJsonFile(metadataPath, 'Token metadata');
+}
+
+function readNftMetadataFile(nftMetadataPath) {
+  return readJsonFile(nftMetadataPath, 'NFT metadata');
+}
+
+function readClaimsFile(claimsPath) {
+  return readJsonFile(claimsPath, 'Claims file');
+}
+
+/**
+ * Returns { network, connection, settings } for a network name or alias. An
+ * injected connection is used as is; the network name is still resolved so
+ * records and journals are named consistently.
+ */
+function resolveConnection(config, network, { connection = null, rpcUrl = null, wsUrl = null } = {}) {
+  if (connection) {
+    const name = resolveNetworkName(config, network);
+    const settings = { name, url: connection.rpcEndpoint, wsUrl: null, commitment: connection.commitment, fallbackUrls: [] };
+    return { network: name, connection, settings };
+  }
+
+  const settings = getNetworkSettings(config, network, { rpcUrl, wsUrl });
+  return { network: settings.name, connection: createRpcConnection(settings), settings };
+}
+
+/**
+ * Loads the keyfiles for each role in `files` ({ role: 'file.json' }) that
+ * exists in keypairDir. Roles present in `signers` are taken from there
+ * instead and their keyfiles are not read.
+ */
+function loadKeypairFiles(keypairDir, files, signers = {}) {
+  const keypairs = {};
+
+  for (const [role, file] of Object.entries(files)) {
+    if (signers[role]) {
+      keypairs[role] = signers[role];
+      continue;
+    }
+
+    const filePath = path.join(keypairDir, file);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+
+    try {
+      keypairs[role] = loadKeypairFile(filePath);
+    } catch (error) {
+      throw new KeypairError(`Cannot load ${role} keypair from ${filePath}: ${error.message}`, { cause: error });
+    }
+  }
+
+  return keypairs;
+}
+
+function requireSigner(keypairs, role) {
+  if (!keypairs[role]) {
+    throw new KeypairError(`The ${role} keypair is required but was not loaded`);
+  }
+
+  return keypairs[role];
+}
+
+/**
+ * Returns the public key of a role's keypair, or the one configured at
+ * `label` when its keyfile is not loaded, so transactions can be built for
+ * keys that sign offline.
+ */
+function resolvePublicKey(keypairs, role, value, label) {
+  if (keypairs[role]) {
+    return keypairs[role].publicKey;
+  }
+
+  try {
+    return toPublicKey(value, label);
+  } catch (error) {
+    throw new KeypairError(`The ${role} keypair was not loaded and ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Writes a deployment record as <kind>-<network>-<timestamp>.json and returns its path.
+ */
+function writeDeploymentRecord(deploymentsDir, kind, network, record) {
+  const filePath = path.join(deploymentsDir, `${kind}-${network}-${Date.now()}.json`);
+
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(record, null, 2));
+
+  return filePath;
+}
+
+/**
+ * Returns { filePath, record } for the newest <kind>-<network>-*.json record, or null.
+ */
+function findLatestRecord(deploymentsDir, kind, network) {
+  if (!fs.existsSync(deploymentsDir)) {
+    return null;
+  }
+
+  const pattern = new RegExp(`^${kind}-${network}-(\\d+)\\.json$`);
+  const latest = fs.readdirSync(deploymentsDir)
+    .map(file => ({ file, match: pattern.exec(file) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => Number(b.match[1]) - Number(a.match[1]))[0];
+
+  if (!latest) {
+    return null;
+  }
+
+  const filePath = path.join(deploymentsDir, latest.file);
+  return { filePath, record: readJsonFile(filePath, 'Deployment record') };
+}
+
+module.exports = {
+  readConfigFile,
+  readMetadataFile,
+  readNftMetadataFile,
+  readClaimsFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  resolvePublicKey,
+  writeDeploymentRecord,
+  findLatestRecord
+};
@@ -0,0 +1,90 @@
+/**
+ * GlowMin Errors
+ *
+ * Errors thrown by the library classes, so that programs embedding them can
+ * tell a bad configuration from a missing keypair or an unfunded wallet. The
+ * CLI prints the message and exits with code 1.
+ */
+
+class GlowMinError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GlowMinError';
+  }
+}
+
+// deployment-config.json, token-metadata.json or a state journal is missing,
+// unreadable or invalid
+class ConfigError extends GlowMinError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConfigError';
+  }
+}
+
+// A keyfile cannot be loaded, or a required signer is not available
+class KeypairError extends GlowMinError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'KeypairError';
+  }
+}
+
+// deployment-config.json or token-metadata.json does not match the schema; `problems`
+// lists each one as { file, path, message } (see lib/schema.js)
+class ValidationError extends ConfigError {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.problems = problems;
+  }
+}
+
+// The RPC endpoint is unreachable or unhealthy
+class NetworkError extends GlowMinError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// An earlier deployment step has not been run, e.g. the mint does not exist yet
+class PrerequisiteError extends GlowMinError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PrerequisiteError';
+  }
+}
+
+// A wallet holds less SOL or GLOWMIN than the operation needs; amounts are base-unit BigInts
+class InsufficientFundsError extends GlowMinError {
+  constructor(message, { asset, required, available } = {}) {
+    super(message);
+    this.name = 'InsufficientFundsError';
+    this.asset = asset;
+    this.required = required;
+    this.available = available;
+  }
+}
+
+// A transaction failed in simulation or on chain, or was not confirmed before its blockhash
+// expired; `signature` is set once it was sent and `logs` when program logs are available
+class TransactionError extends GlowMinError {
+  constructor(message, { signature = null, logs = [], cause } = {}) {
+    super(message, { cause });
+    this.name = 'TransactionError';
+    this.signature = signature;
+    this.logs = logs;
+  }
+}
+
+module.exports = {
+  GlowMinError,
+  ConfigError,
+  ValidationError,
+  KeypairError,
+  NetworkError,
+  PrerequisiteError,
+  InsufficientFundsError,
+  TransactionError
+};
@@ -0,0 +1,142 @@
+/**
+ * GlowMin Keystore
+ *
+ * Keypair files in keypairs/ are either the Solana CLI format (a raw JSON
+ * array of secret key bytes) or a passphrase-encrypted keystore:
+ *
+ *   {
+ *     "version": 1,
+ *     "publicKey": "<base58>",
+ *     "crypto": {
+ *       "cipher": "aes-256-gcm",
+ *       "kdf": "scrypt",
+ *       "kdfparams": { "N": 131072, "r": 8, "p": 1, "salt": "<hex>" },
+ *       "iv": "<hex>",
+ *       "tag": "<hex>",
+ *       "ciphertext": "<hex>"
+ *     }
+ *   }
+ *
+ * The public key is bound to the ciphertext as additional authenticated
+ * data, so a keystore cannot be relabelled. Encrypted files are unlocked with
+ * the passphrase in the GLOWMIN_KEYSTORE_PASSPHRASE environment variable.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const KEYSTORE_VERSION = 1;
+const PASSPHRASE_ENV = 'GLOWMIN_KEYSTORE_PASSPHRASE';
+const CIPHER = 'aes-256-gcm';
+const KDF_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+function deriveKey(passphrase, { N, r, p, salt }) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 32, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r
+  });
+}
+
+function isKeystore(data) {
+  return Boolean(data) && !Array.isArray(data) && data.version === KEYSTORE_VERSION && Boolean(data.crypto);
+}
+
+function encryptKeypair(keypair, passphrase) {
+  const kdfparams = { ...KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+  const iv = crypto.randomBytes(12);
+  const publicKey = keypair.publicKey.toBase58();
+
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, kdfparams), iv);
+  cipher.setAAD(Buffer.from(publicKey, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    crypto: {
+      cipher: CIPHER,
+      kdf: 'scrypt',
+      kdfparams,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
+    }
+  };
+}
+
+function decryptKeypair(keystore, passphrase) {
+  const { cipher: cipherName, kdf, kdfparams, iv, tag, ciphertext } = keystore.crypto;
+
+  if (cipherName !== CIPHER || kdf !== 'scrypt') {
+    throw new Error(`Unsupported keystore encryption: ${cipherName}/${kdf}`);
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, deriveKey(passphrase, kdfparams), Buffer.from(iv, 'hex'));
+  decipher.setAAD(Buffer.from(keystore.publicKey, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted keystore');
+  }
+
+  const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+  if (keypair.publicKey.toBase58() !== keystore.publicKey) {
+    throw new Error('Keystore public key does not match its secret key');
+  }
+
+  return keypair;
+}
+
+/**
+ * Loads a keypair file in either supported format.
+ */
+function loadKeypairFile(filePath, passphrase = process.env[PASSPHRASE_ENV]) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!isKeystore(data)) {
+    return Keypair.fromSecretKey(new Uint8Array(data));
+  }
+
+  if (!passphrase) {
+    throw new Error(`${path.basename(filePath)} is encrypted, set ${PASSPHRASE_ENV} to unlock it`);
+  }
+
+  try {
+    return decryptKeypair(data, passphrase);
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the public key of a keypair file without unlocking it.
+ */
+function readPublicKey(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return isKeystore(data) ? new PublicKey(data.publicKey) : Keypair.fromSecretKey(new Uint8Array(data)).publicKey;
+}
+
+/**
+ * Writes a keypair as an encrypted keystore readable only by the owner.
+ */
+function writeKeystoreFile(filePath, keypair, passphrase) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, JSON.stringify(encryptKeypair(keypair, passphrase), null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+  PASSPHRASE_ENV,
+  isKeystore,
+  encryptKeypair,
+  decryptKeypair,
+  loadKeypairFile,
+  readPublicKey,
+  writeKeystoreFile
+};
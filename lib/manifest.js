@@ -0,0 +1,92 @@
+/**
+ * GlowMin Deployment Manifest
+ *
+ * deployments/manifest-<network>.json records what each deployment step
+ * produced, so later steps act on the mint that was actually created instead
+ * of an address from the config. A step writes its section when it
+ * completes; `glowmin deploy-all` skips the steps whose section is there.
+ *
+ *   {
+ *     "network": "<network>",
+ *     "mint": { "address", "tokenProgram", "completedAt" },
+ *     "metadata": { "account", "updateAuthority", "uri", "completedAt" },
+ *     "authority": { "multisig", "signature", "completedAt" },
+ *     "distribution": { "totalSupply", "revokeSignature", "revokeProposal", "completedAt" },
+ *     "liquidity": {
+ *       "pool", "lpMint", "marketId",
+ *       "lock": { "escrow", "seed", "endTime", "beneficiary" },
+ *       "completedAt"
+ *     },
+ *     "createdAt": "<ISO timestamp>",
+ *     "updatedAt": "<ISO timestamp>"
+ *   }
+ *
+ * The mint is recorded as soon as it is created, before anything is minted,
+ * so the metadata can be deployed while the mint authority keypair can still
+ * sign. "authority" records the handoff of the mint authority to the
+ * security.multisig account, which only happens after the metadata.
+ * The deployment records next to the manifest keep the full details of each
+ * run.
+ */
+
+const path = require('path');
+const { StateJournal } = require('./state-journal');
+const { toPublicKey } = require('./pubkey');
+const { PrerequisiteError } = require('./errors');
+
+const MANIFEST_STEPS = ['mint', 'metadata', 'authority', 'distribution', 'liquidity'];
+
+class DeploymentManifest {
+  constructor(deploymentsDir, network) {
+    this.network = network;
+    this.journal = new StateJournal(path.join(deploymentsDir, `manifest-${network}.json`));
+    this.journal.load();
+  }
+
+  get filePath() {
+    return this.journal.filePath;
+  }
+
+  // Picks up sections written by another instance since this one was created
+  load() {
+    return this.journal.load();
+  }
+
+  get(step) {
+    return this.journal.get(step) || null;
+  }
+
+  isDone(step) {
+    return Boolean(this.get(step)?.completedAt);
+  }
+
+  complete(step, details) {
+    if (!MANIFEST_STEPS.includes(step)) {
+      throw new Error(`Unknown deployment step: ${step}`);
+    }
+
+    return this.journal.update({
+      network: this.network,
+      [step]: { ...details, completedAt: new Date().toISOString() }
+    });
+  }
+
+  getMint() {
+    const address = this.get('mint')?.address;
+    return address ? toPublicKey(address, `mint.address in ${path.basename(this.filePath)}`) : null;
+  }
+
+  requireMint() {
+    const mint = this.getMint();
+
+    if (!mint) {
+      throw new PrerequisiteError(
+        `No mint recorded for ${this.network} in ${this.filePath}, create it first with: glowmin mint --network ${this.network}`
+      );
+    }
+
+    return mint;
+  }
+}
+
+module.exports = { MANIFEST_STEPS, DeploymentManifest };
@@ -0,0 +1,153 @@
+/**
+ * GlowMin Merkle Distributor Helpers
+ *
+ * Instruction builders for the merkle-distributor program (Jito's Anchor
+ * program, programs.merkle_distributor). A distributor holds the airdrop in
+ * a vault, an associated token account owned by the distributor PDA, and
+ * pays each wallet that presents a proof of its amount under the root (see
+ * lib/merkle.js) once, recording it in a claim status PDA. After
+ * clawback_start_ts anyone can move what is left to the clawback receiver.
+ *
+ * The program only takes SPL Token mints. Amounts can also vest between the
+ * vesting timestamps; GlowMin airdrops are fully unlocked at claim.
+ */
+
+const crypto = require('crypto');
+const { PublicKey, SystemProgram, TransactionInstruction } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync
+} = require('@solana/spl-token');
+
+const DISTRIBUTOR_SEED = Buffer.from('MerkleDistributor', 'utf8');
+const CLAIM_STATUS_SEED = Buffer.from('ClaimStatus', 'utf8');
+
+// The program refuses a clawback that starts less than a day after vesting ends
+const MIN_CLAWBACK_DELAY = 86400;
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function i64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigInt64LE(BigInt(value));
+  return buffer;
+}
+
+// Anchor instruction discriminator
+function discriminator(name) {
+  return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+function findDistributorAddress(programId, mint, version) {
+  const [address] = PublicKey.findProgramAddressSync([DISTRIBUTOR_SEED, mint.toBuffer(), u64(version)], programId);
+  return address;
+}
+
+function findClaimStatusAddress(programId, claimant, distributor) {
+  const [address] = PublicKey.findProgramAddressSync([CLAIM_STATUS_SEED, claimant.toBuffer(), distributor.toBuffer()], programId);
+  return address;
+}
+
+function getVaultAddress(mint, distributor) {
+  return getAssociatedTokenAddressSync(mint, distributor, true);
+}
+
+function createNewDistributorInstruction({
+  programId,
+  mint,
+  version,
+  root,
+  maxTotalClaim,
+  maxNumNodes,
+  startVestingTs,
+  endVestingTs,
+  clawbackStartTs,
+  clawbackReceiver,
+  admin
+}) {
+  const distributor = findDistributorAddress(programId, mint, version);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: distributor, isSigner: false, isWritable: true },
+      { pubkey: clawbackReceiver, isSigner: false, isWritable: false },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: getVaultAddress(mint, distributor), isSigner: false, isWritable: true },
+      { pubkey: admin, isSigner: true, isWritable: true },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+    ],
+    data: Buffer.concat([
+      discriminator('new_distributor'),
+      u64(version),
+      Buffer.from(root),
+      u64(maxTotalClaim),
+      u64(maxNumNodes),
+      i64(startVestingTs),
+      i64(endVestingTs),
+      i64(clawbackStartTs)
+    ])
+  });
+}
+
+/**
+ * Claims `amount` for `claimant`, which signs and pays for its claim status.
+ * `destination` is the claimant's token account for the mint.
+ */
+function createNewClaimInstruction({ programId, distributor, mint, claimant, destination, amount, proof }) {
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(proof.length);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: distributor, isSigner: false, isWritable: true },
+      { pubkey: findClaimStatusAddress(programId, claimant, distributor), isSigner: false, isWritable: true },
+      { pubkey: getVaultAddress(mint, distributor), isSigner: false, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: claimant, isSigner: true, isWritable: true },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false }
+    ],
+    data: Buffer.concat([
+      discriminator('new_claim'),
+      u64(amount),
+      u64(0),
+      count,
+      ...proof.map(node => Buffer.from(node))
+    ])
+  });
+}
+
+// Any signer can claw back once clawback_start_ts has passed
+function createClawbackInstruction({ programId, distributor, mint, clawbackReceiver, signer }) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: distributor, isSigner: false, isWritable: true },
+      { pubkey: getVaultAddress(mint, distributor), isSigner: false, isWritable: true },
+      { pubkey: clawbackReceiver, isSigner: false, isWritable: true },
+      { pubkey: signer, isSigner: true, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+    ],
+    data: discriminator('clawback')
+  });
+}
+
+module.exports = {
+  MIN_CLAWBACK_DELAY,
+  findDistributorAddress,
+  findClaimStatusAddress,
+  getVaultAddress,
+  createNewDistributorInstruction,
+  createNewClaimInstruction,
+  createClawbackInstruction
+};
@@ -0,0 +1,196 @@
+/**
+ * GlowMin Merkle Claims
+ *
+ * Builds the Merkle tree of an airdrop list and the proofs its recipients
+ * claim with, hashed the way the merkle-distributor program checks them
+ * (lib/merkle-distributor.js), and verifies them again. Nothing here touches
+ * the network.
+ *
+ * A leaf is sha256(0x00 || sha256(wallet || unlocked || locked)), with the
+ * amounts as little-endian u64; every amount is unlocked, so locked is 0.
+ * A parent is sha256(0x01 || lower || higher) of its two children in byte
+ * order, so a proof is only the list of siblings. A node without a sibling
+ * moves up a level unchanged.
+ *
+ * The claims file published next to the root:
+ *
+ *   {
+ *     "root": "<hex>",
+ *     "total": "<base units>",
+ *     "recipients": <count>,
+ *     "claims": { "<wallet>": { "index", "amount", "proof": ["<hex>", ...] } }
+ *   }
+ */
+
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { parseAmount } = require('./amount');
+
+const LEAF_PREFIX = Buffer.from([0]);
+const INTERMEDIATE_PREFIX = Buffer.from([1]);
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function hashLeaf(wallet, amount) {
+  return sha256(LEAF_PREFIX, sha256(new PublicKey(wallet).toBuffer(), u64(amount), u64(0)));
+}
+
+function hashPair(a, b) {
+  return Buffer.compare(a, b) <= 0 ? sha256(INTERMEDIATE_PREFIX, a, b) : sha256(INTERMEDIATE_PREFIX, b, a);
+}
+
+/**
+ * Builds the tree over recipients ({ wallet, amount }) in list order and
+ * returns its levels, leaves first and the root last.
+ */
+function buildMerkleTree(recipients) {
+  if (recipients.length === 0) {
+    throw new Error('A Merkle tree needs at least one recipient');
+  }
+
+  const levels = [recipients.map(recipient => hashLeaf(recipient.wallet, recipient.amount))];
+
+  while (levels[levels.length - 1].length > 1) {
+    const nodes = levels[levels.length - 1];
+    const next = [];
+
+    for (let i = 0; i < nodes.length; i += 2) {
+      next.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+    }
+
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+function getProof(levels, index) {
+  const proof = [];
+
+  for (let level = 0, position = index; level < levels.length - 1; level++, position = Math.floor(position / 2)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+
+    if (sibling < levels[level].length) {
+      proof.push(levels[level][sibling]);
+    }
+  }
+
+  return proof;
+}
+
+function verifyProof(proof, root, leaf) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), leaf).equals(root);
+}
+
+/**
+ * The claims file for recipients ({ wallet, amount }): the root, the total
+ * and every recipient's amount and proof.
+ */
+function createClaims(recipients) {
+  const levels = buildMerkleTree(recipients);
+  const root = levels[levels.length - 1][0];
+
+  return {
+    root: root.toString('hex'),
+    total: recipients.reduce((sum, recipient) => sum + recipient.amount, 0n).toString(),
+    recipients: recipients.length,
+    claims: Object.fromEntries(recipients.map((recipient, index) => [recipient.wallet.toString(), {
+      index,
+      amount: recipient.amount.toString(),
+      proof: getProof(levels, index).map(node => node.toString('hex'))
+    }]))
+  };
+}
+
+/**
+ * Checks a claims file on its own: every index, every proof against the
+ * root, the tree rebuilt from the claims against the root, and the total.
+ * Returns
+ * { verified, failed, problems }, failed listing the wallets whose proof
+ * does not lead to the root.
+ */
+function verifyClaims(claimsFile, wallets = null) {
+  const problems = [];
+  const failed = [];
+  let verified = 0;
+
+  const root = Buffer.from(String(claimsFile.root || ''), 'hex');
+  if (root.length !== 32) {
+    return { verified, failed, problems: [`root ${JSON.stringify(claimsFile.root)} is not a 32-byte hex string`] };
+  }
+
+  if (!Number.isInteger(claimsFile.recipients) || claimsFile.recipients < 1) {
+    return { verified, failed, problems: [`recipients ${JSON.stringify(claimsFile.recipients)} is not a positive integer`] };
+  }
+
+  const entries = Object.entries(claimsFile.claims || {});
+  const recipients = [];
+
+  for (const [wallet, claim] of entries) {
+    // An index out of range or given twice would leave a hole in the tree or overwrite a claim
+    if (!Number.isInteger(claim.index) || claim.index < 0 || claim.index >= claimsFile.recipients) {
+      problems.push(`${wallet}: index ${JSON.stringify(claim.index)} is not an integer from 0 to ${claimsFile.recipients - 1}`);
+      continue;
+    }
+
+    if (recipients[claim.index]) {
+      problems.push(`${wallet}: index ${claim.index} is already taken by ${recipients[claim.index].wallet.toBase58()}`);
+      continue;
+    }
+
+    try {
+      recipients[claim.index] = { wallet: new PublicKey(wallet), amount: parseAmount(claim.amount, `claims.${wallet}.amount`) };
+    } catch (error) {
+      problems.push(`${wallet}: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    return { verified, failed, problems };
+  }
+
+  if (entries.length !== claimsFile.recipients || recipients.length !== entries.length || recipients.includes(undefined)) {
+    problems.push(`the claims are not indexed 0 to ${entries.length - 1} for ${claimsFile.recipients} recipients`);
+  } else {
+    const levels = buildMerkleTree(recipients);
+    if (!levels[levels.length - 1][0].equals(root)) {
+      problems.push('the tree built from the claims does not have the published root');
+    }
+  }
+
+  const total = recipients.reduce((sum, recipient) => sum + (recipient?.amount || 0n), 0n);
+  if (total.toString() !== String(claimsFile.total)) {
+    problems.push(`the claims add up to ${total}, not the published total ${claimsFile.total}`);
+  }
+
+  entries
+    .filter(([wallet]) => !wallets || wallets.includes(wallet))
+    .forEach(([wallet, claim]) => {
+      const proof = (claim.proof || []).map(node => Buffer.from(node, 'hex'));
+
+      if (verifyProof(proof, root, hashLeaf(wallet, claim.amount))) {
+        verified++;
+      } else {
+        failed.push(wallet);
+      }
+    });
+
+  return { verified, failed, problems };
+}
+
+module.exports = {
+  hashLeaf,
+  buildMerkleTree,
+  getProof,
+  verifyProof,
+  createClaims,
+  verifyClaims
+};
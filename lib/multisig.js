@@ -0,0 +1,306 @@
+/**
+ * GlowMin Multisig Helpers
+ *
+ * With security.multisig enabled, the mint and freeze authorities are an SPL
+ * multisig account built from security.multisig.signers and threshold. Token
+ * instructions issued by the multisig name `threshold` of its signers, and
+ * every one of them has to sign the transaction. The multisig account belongs
+ * to the token program in token.program, the same one as the mint.
+ *
+ * Signatures come from signer keyfiles in keypairs/multisig/. When fewer than
+ * `threshold` of those are available, the partially signed transaction is
+ * written to deployments/pending/ as a pending transaction:
+ *
+ *   {
+ *     "version": 1,
+ *     "description": "<what the transaction does>",
+ *     "multisig": "<multisig address>",
+ *     "signers": ["<signers that must sign>", ...],
+ *     "nonceAccount": "<durable nonce account>" | null,
+ *     "lastValidBlockHeight": <number> | null,
+ *     "createdAt": "<ISO timestamp>",
+ *     "transaction": "<base64 wire transaction>"
+ *   }
+ *
+ * The remaining signers add their signatures with multisig.js, either from
+ * their own keyfile or by merging copies of the file they signed elsewhere,
+ * and submit it once complete. Pending transactions use the durable nonce in
+ * security.multisig.nonce_account when one is configured; otherwise they have
+ * to be completed before their blockhash expires, about a minute later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SystemProgram, Transaction } = require('@solana/web3.js');
+const { getMultisig } = require('@solana/spl-token');
+const { loadKeypairFile } = require('./keystore');
+const { isPlaceholder, toPublicKey } = require('./pubkey');
+const { getTokenSettings } = require('./token-program');
+const { GlowMinError } = require('./errors');
+
+const PENDING_VERSION = 1;
+
+// Signer slots in an SPL multisig account
+const MAX_SIGNERS = 11;
+
+class PendingSignaturesError extends GlowMinError {
+  constructor(message, filePath) {
+    super(message);
+    this.name = 'PendingSignaturesError';
+    this.filePath = filePath;
+  }
+}
+
+function optionalPublicKey(value, label) {
+  return !value || isPlaceholder(value) ? null : toPublicKey(value, label);
+}
+
+/**
+ * Validates security.multisig, returning null when it is disabled.
+ */
+function getMultisigSettings(config) {
+  const multisig = config.security?.multisig;
+
+  if (!multisig?.enabled) {
+    return null;
+  }
+
+  const signers = (multisig.signers || []).map((signer, i) => toPublicKey(signer, `security.multisig.signers[${i}]`));
+
+  if (signers.length === 0 || signers.length > MAX_SIGNERS) {
+    throw new Error(`security.multisig.signers must list between 1 and ${MAX_SIGNERS} signers, got ${signers.length}`);
+  }
+
+  if (new Set(signers.map(signer => signer.toBase58())).size !== signers.length) {
+    throw new Error('security.multisig.signers contains duplicate signers');
+  }
+
+  if (!Number.isInteger(multisig.threshold) || multisig.threshold < 1 || multisig.threshold > signers.length) {
+    throw new Error(`security.multisig.threshold must be between 1 and ${signers.length}, got ${multisig.threshold}`);
+  }
+
+  return {
+    address: optionalPublicKey(multisig.address, 'security.multisig.address'),
+    nonceAccount: optionalPublicKey(multisig.nonce_account, 'security.multisig.nonce_account'),
+    threshold: multisig.threshold,
+    signers,
+    programId: getTokenSettings(config).programId
+  };
+}
+
+/**
+ * Loads the keyfiles in keypairs/multisig/ that belong to configured signers.
+ */
+function loadSignerKeypairs(keypairDir, settings) {
+  const signerDir = path.join(keypairDir, 'multisig');
+
+  if (!fs.existsSync(signerDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(signerDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => loadKeypairFile(path.join(signerDir, file)))
+    .filter(keypair => settings.signers.some(signer => signer.equals(keypair.publicKey)));
+}
+
+/**
+ * Checks that the on-chain multisig account matches the configured signers
+ * and threshold.
+ */
+async function verifyMultisigAccount(connection, settings) {
+  const multisig = await getMultisig(connection, settings.address, undefined, settings.programId);
+  const onChain = Array.from({ length: multisig.n }, (_, i) => multisig[`signer${i + 1}`].toBase58()).sort();
+  const expected = settings.signers.map(signer => signer.toBase58()).sort();
+
+  if (multisig.m !== settings.threshold || onChain.join() !== expected.join()) {
+    throw new Error(
+      `Multisig ${settings.address.toBase58()} is ${multisig.m}-of-${multisig.n} with different signers ` +
+      `than security.multisig (${settings.threshold}-of-${settings.signers.length})`
+    );
+  }
+}
+
+function readPendingTransaction(filePath) {
+  const pending = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (pending.version !== PENDING_VERSION) {
+    throw new Error(`Unsupported pending transaction version: ${pending.version}`);
+  }
+
+  return { pending, transaction: Transaction.from(Buffer.from(pending.transaction, 'base64')) };
+}
+
+function writePendingTransaction(filePath, pending, transaction) {
+  pending.transaction = transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(pending, null, 2));
+}
+
+/**
+ * Lists the required signers of a pending transaction and whether each has signed.
+ */
+function getSignatureStatus(pending, transaction) {
+  return pending.signers.map(signer => {
+    const entry = transaction.signatures.find(sig => sig.publicKey.toBase58() === signer);
+    return { signer, signed: Boolean(entry?.signature) };
+  });
+}
+
+/**
+ * Adds signatures from local keypairs and from copies of the same pending
+ * transaction signed elsewhere. Returns the signers that were added.
+ */
+function addSignatures(pending, transaction, keypairs = [], others = []) {
+  const message = transaction.serializeMessage();
+  const required = new Set([...pending.signers, transaction.feePayer.toBase58()]);
+  const added = [];
+  const isSigned = publicKey => Boolean(transaction.signatures.find(entry => entry.publicKey.equals(publicKey))?.signature);
+
+  const signing = keypairs.filter(keypair => required.has(keypair.publicKey.toBase58()) && !isSigned(keypair.publicKey));
+  if (signing.length > 0) {
+    transaction.partialSign(...signing);
+    added.push(...signing.map(keypair => keypair.publicKey.toBase58()));
+  }
+
+  for (const other of others) {
+    if (!other.serializeMessage().equals(message)) {
+      throw new Error('Cannot merge signatures from a different transaction');
+    }
+
+    other.signatures
+      .filter(entry => entry.signature && required.has(entry.publicKey.toBase58()) && !isSigned(entry.publicKey))
+      .forEach(entry => {
+        transaction.addSignature(entry.publicKey, entry.signature);
+        added.push(entry.publicKey.toBase58());
+      });
+  }
+
+  if (!transaction.verifySignatures(false)) {
+    throw new Error('Pending transaction contains an invalid signature');
+  }
+
+  return [...new Set(added)];
+}
+
+/**
+ * Signs and sends token instructions on behalf of the multisig, or leaves a
+ * pending transaction for the remaining signers.
+ */
+class MultisigSigner {
+  constructor({ connection, sender, payer, settings, keypairs, pendingDir }) {
+    this.connection = connection;
+    this.sender = sender;
+    this.payer = payer;
+    this.settings = settings;
+    this.keypairs = keypairs;
+    this.pendingDir = pendingDir;
+  }
+
+  get address() {
+    return this.settings.address;
+  }
+
+  // Signers with local keyfiles come first, so as few signatures as possible are collected
+  selectSigners() {
+    const local = this.keypairs.map(keypair => keypair.publicKey);
+    const remote = this.settings.signers.filter(signer => !local.some(key => key.equals(signer)));
+    return [...local, ...remote].slice(0, this.settings.threshold);
+  }
+
+  // The compute budget is fixed before signing, since the signatures cover it
+  async buildTransaction(instructions) {
+    const prepared = await this.sender.addComputeBudget(instructions, this.payer.publicKey);
+    const transaction = new Transaction();
+    transaction.feePayer = this.payer.publicKey;
+
+    if (this.settings.nonceAccount) {
+      const nonce = await this.connection.getNonce(this.settings.nonceAccount);
+
+      if (!nonce) {
+        throw new Error(`Nonce account ${this.settings.nonceAccount.toBase58()} not found`);
+      }
+      if (!nonce.authorizedPubkey.equals(this.payer.publicKey)) {
+        throw new Error(`Nonce account ${this.settings.nonceAccount.toBase58()} is not controlled by the fee payer`);
+      }
+
+      transaction.recentBlockhash = nonce.nonce;
+      transaction.add(SystemProgram.nonceAdvance({
+        noncePubkey: this.settings.nonceAccount,
+        authorizedPubkey: this.payer.publicKey
+      }));
+    } else {
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.lastValidBlockHeight = lastValidBlockHeight;
+    }
+
+    return transaction.add(...prepared);
+  }
+
+  /**
+   * Runs instructions built for the selected signers. Resolves to the
+   * transaction signature, or throws PendingSignaturesError once a pending
+   * transaction has been written.
+   */
+  async execute(description, buildInstructions) {
+    const signers = this.selectSigners();
+    return this.executeInstructions(description, buildInstructions(signers), signers);
+  }
+
+  /**
+   * Like execute, for instructions already built for the given signers, such
+   * as a timelock proposal's.
+   */
+  async executeInstructions(description, instructions, signers) {
+    const localSigners = this.keypairs.filter(keypair => signers.some(signer => signer.equals(keypair.publicKey)));
+    const complete = localSigners.length === signers.length;
+
+    // Without a nonce, a transaction signed entirely here can be signed again when it expires
+    if (complete && !this.settings.nonceAccount) {
+      return this.sender.send(instructions, [this.payer, ...localSigners], description);
+    }
+
+    const transaction = await this.buildTransaction(instructions);
+    transaction.partialSign(this.payer, ...localSigners);
+
+    if (complete) {
+      return this.sender.submit(transaction, null);
+    }
+
+    const slug = description.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const filePath = path.join(this.pendingDir, `${Date.now()}-${slug}.json`);
+
+    writePendingTransaction(filePath, {
+      version: PENDING_VERSION,
+      description,
+      multisig: this.address.toBase58(),
+      signers: signers.map(signer => signer.toBase58()),
+      nonceAccount: this.settings.nonceAccount?.toBase58() || null,
+      lastValidBlockHeight: transaction.lastValidBlockHeight || null,
+      createdAt: new Date().toISOString()
+    }, transaction);
+
+    throw new PendingSignaturesError(
+      `${description} needs ${signers.length - localSigners.length} more multisig signature(s), ` +
+      `pending transaction written to ${filePath}`,
+      filePath
+    );
+  }
+}
+
+module.exports = {
+  PENDING_VERSION,
+  MAX_SIGNERS,
+  PendingSignaturesError,
+  MultisigSigner,
+  getMultisigSettings,
+  loadSignerKeypairs,
+  verifyMultisigAccount,
+  readPendingTransaction,
+  writePendingTransaction,
+  getSignatureStatus,
+  addSignatures
+};
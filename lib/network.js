@@ -0,0 +1,183 @@
+/**
+ * GlowMin Network Resolution
+ *
+ * Maps a --network value onto an entry of config.network. Cluster aliases are
+ * accepted ("mainnet-beta" and "mainnet", "localhost" and "localnet"), the
+ * config key is used as the network name everywhere else (deployment records,
+ * journals, raydium.networks), and network.default applies when no network is
+ * given. Any other key in config.network is a custom network:
+ *
+ *   "network": {
+ *     "default": "devnet",
+ *     "commitment": "confirmed",
+ *     "staging": {
+ *       "url": "https://rpc.example.com",
+ *       "ws_url": "wss://rpc.example.com",
+ *       "commitment": "finalized",
+ *       "fallback_urls": ["https://backup-rpc.example.com"]
+ *     }
+ *   }
+ *
+ * HTTP requests move on to the next of fallback_urls when an endpoint fails
+ * to respond or returns a 5xx or 429 status, and stay on the endpoint that
+ * answered. Subscriptions always use the primary WebSocket endpoint.
+ */
+
+const { Connection } = require('@solana/web3.js');
+const { ConfigError } = require('./errors');
+
+const DEFAULT_NETWORK = 'devnet';
+const DEFAULT_COMMITMENT = 'confirmed';
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+const NETWORK_ALIASES = [
+  ['mainnet', 'mainnet-beta'],
+  ['localnet', 'localhost']
+];
+
+// Used when localnet has no entry in config.network
+const LOCALNET = { url: 'http://127.0.0.1:8899', ws_url: 'ws://127.0.0.1:8900' };
+
+function getAliases(name) {
+  return NETWORK_ALIASES.find(group => group.includes(name)) || [name];
+}
+
+function parseUrl(value, protocols, label) {
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ConfigError(`${label} is not a valid URL: ${value}`);
+  }
+
+  if (!protocols.includes(url.protocol)) {
+    throw new ConfigError(`${label} must be a ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')} URL: ${value}`);
+  }
+
+  return value;
+}
+
+/**
+ * Returns the config.network key for a network name or alias, falling back
+ * to network.default and then devnet when no name is given.
+ */
+function resolveNetworkName(config, requested = null) {
+  const networks = config.network || {};
+  const name = requested || networks.default || DEFAULT_NETWORK;
+  const match = getAliases(name).find(alias => alias !== 'default' && typeof networks[alias] === 'object');
+
+  if (match) {
+    return match;
+  }
+
+  if (getAliases(name).includes('localnet')) {
+    return 'localnet';
+  }
+
+  const known = Object.keys(networks).filter(key => typeof networks[key] === 'object');
+  throw new ConfigError(`Network '${name}' not found in configuration (available: ${known.join(', ')})`);
+}
+
+/**
+ * Resolves the endpoints and commitment for a network. `rpcUrl` and `wsUrl`
+ * override the configured endpoints; an overridden RPC URL has no fallbacks.
+ */
+function getNetworkSettings(config, requested = null, { rpcUrl = null, wsUrl = null } = {}) {
+  const name = resolveNetworkName(config, requested);
+  const entry = config.network?.[name] || LOCALNET;
+  const label = `network.${name}`;
+  const commitment = entry.commitment || config.network?.commitment || DEFAULT_COMMITMENT;
+
+  if (!COMMITMENTS.includes(commitment)) {
+    throw new ConfigError(`${label}.commitment must be one of ${COMMITMENTS.join(', ')}, got ${commitment}`);
+  }
+
+  const fallbackUrls = rpcUrl ? [] : (entry.fallback_urls || []);
+  if (!Array.isArray(fallbackUrls)) {
+    throw new ConfigError(`${label}.fallback_urls must be a list of URLs`);
+  }
+
+  const resolvedWsUrl = wsUrl || (rpcUrl ? null : entry.ws_url);
+
+  return {
+    name,
+    url: parseUrl(rpcUrl || entry.url, ['http:', 'https:'], rpcUrl ? '--rpc-url' : `${label}.url`),
+    wsUrl: resolvedWsUrl ? parseUrl(resolvedWsUrl, ['ws:', 'wss:'], wsUrl ? '--ws-url' : `${label}.ws_url`) : null,
+    commitment,
+    fallbackUrls: fallbackUrls.map((url, index) => parseUrl(url, ['http:', 'https:'], `${label}.fallback_urls[${index}]`))
+  };
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Builds a fetch for Connection that sends each request to the endpoint that
+ * last answered, trying the others in order when it fails.
+ */
+function createFailoverFetch(urls) {
+  if (typeof fetch !== 'function') {
+    throw new ConfigError('RPC fallbacks require Node.js 18 or later');
+  }
+
+  let active = 0;
+
+  return async (input, init) => {
+    // The keep-alive agent belongs to the primary endpoint
+    const options = { ...init, agent: undefined };
+    let lastResponse = null;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < urls.length; attempt++) {
+      const index = (active + attempt) % urls.length;
+
+      if (attempt > 0) {
+        const reason = lastError ? lastError.message : `HTTP ${lastResponse.status}`;
+        console.warn(`⚠️  RPC ${urls[(index + urls.length - 1) % urls.length]} failed (${reason}), trying ${urls[index]}`);
+      }
+
+      try {
+        const response = await fetch(urls[index], options);
+
+        if (!isRetryableStatus(response.status)) {
+          active = index;
+          return response;
+        }
+
+        lastResponse = response;
+        lastError = null;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+
+    return lastResponse;
+  };
+}
+
+function createRpcConnection(settings) {
+  const config = { commitment: settings.commitment };
+
+  if (settings.wsUrl) {
+    config.wsEndpoint = settings.wsUrl;
+  }
+
+  if (settings.fallbackUrls.length > 0) {
+    config.fetch = createFailoverFetch([settings.url, ...settings.fallbackUrls]);
+  }
+
+  return new Connection(settings.url, config);
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  resolveNetworkName,
+  getNetworkSettings,
+  createRpcConnection
+};
@@ -0,0 +1,343 @@
+/**
+ * GlowMin NFT Generator
+ *
+ * Rolls the traits of the generative collection described by
+ * nft-metadata.json and renders the Metaplex JSON of each token. The rolls
+ * come from a generator seeded with a string, so the same seed, supply and
+ * nft-metadata.json always produce the same collection.
+ *
+ * Each token takes one value of every trait, picked with the value's
+ * `probability` as its weight, and no two tokens share a combination. A roll
+ * that repeats an earlier combination is rolled again; drawing every token
+ * at once as a weighted sample without replacement gives the same result
+ * without the retries, and still finishes when few combinations are left.
+ * The token's rarity tier comes from how unlikely its combination is: the
+ * tokens are ranked by the sum of -log(probability) over their traits, and
+ * rarity_distribution gives each tier its share of the supply, starting with
+ * the rarest tier at the top of the ranking.
+ *
+ * The nft_template strings take {{id}}, {{rarity}}, {{generation}} and one
+ * placeholder per trait, e.g. {{background}}, filled in with the value's name.
+ */
+
+const crypto = require('crypto');
+const { ConfigError } = require('./errors');
+
+// Every combination is weighed when the tokens are drawn
+const MAX_COMBINATIONS = 1000000;
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Returns a function producing numbers in [0, 1), the HMAC-SHA256 of a
+ * counter keyed by the seed taken six bytes at a time.
+ */
+function createRandom(seed) {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  return () => {
+    if (offset + 6 > block.length) {
+      block = crypto.createHmac('sha256', String(seed)).update(String(counter++)).digest();
+      offset = 0;
+    }
+
+    const value = block.readUIntBE(offset, 6) / 2 ** 48;
+    offset += 6;
+    return value;
+  };
+}
+
+function checkPercentages(entries, label) {
+  entries.forEach(([name, value]) => {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new ConfigError(`${label}.${name} must be a positive number, got ${JSON.stringify(value)}`);
+    }
+  });
+}
+
+/**
+ * Checks the sections of nft-metadata.json the generator reads and returns
+ * the traits as [key, values] pairs.
+ */
+function getTraits(nftMetadata) {
+  if (!nftMetadata.collection || !nftMetadata.nft_template) {
+    throw new ConfigError('NFT metadata needs a collection and an nft_template');
+  }
+
+  const traits = Object.entries(nftMetadata.traits || {});
+  if (traits.length === 0) {
+    throw new ConfigError('NFT metadata defines no traits');
+  }
+
+  traits.forEach(([key, values]) => {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new ConfigError(`traits.${key} must list at least one value`);
+    }
+
+    checkPercentages(values.map((value, index) => [`${index}.probability`, value.probability]), `traits.${key}`);
+
+    const names = values.map(value => value.name);
+    if (new Set(names).size !== names.length) {
+      throw new ConfigError(`traits.${key} lists the same value twice`);
+    }
+  });
+
+  const tiers = Object.entries(nftMetadata.rarity_distribution || {});
+  checkPercentages(tiers, 'rarity_distribution');
+
+  const total = tiers.reduce((sum, [, share]) => sum + share, 0);
+  if (Math.abs(total - 100) > 1e-9) {
+    throw new ConfigError(`rarity_distribution must add up to 100, got ${total}`);
+  }
+
+  return traits;
+}
+
+/**
+ * Reads the supply from the collection's "Total Supply" attribute, e.g.
+ * "10,000", or returns null when there is none.
+ */
+function getCollectionSupply(nftMetadata) {
+  const attribute = (nftMetadata.collection?.attributes || []).find(entry => entry.trait_type === 'Total Supply');
+  if (!attribute) {
+    return null;
+  }
+
+  const supply = Number(String(attribute.value).replace(/,/g, ''));
+  if (!Number.isSafeInteger(supply) || supply <= 0) {
+    throw new ConfigError(`collection "Total Supply" must be a positive whole number, got ${JSON.stringify(attribute.value)}`);
+  }
+
+  return supply;
+}
+
+function countCombinations(traits) {
+  return traits.reduce((count, [, values]) => count * values.length, 1);
+}
+
+// Every combination as indexes into the trait values, with its probability
+function listCombinations(traits) {
+  let combinations = [{ indexes: [], probability: 1 }];
+
+  traits.forEach(([, values]) => {
+    const total = values.reduce((sum, value) => sum + value.probability, 0);
+    combinations = combinations.flatMap(combination => values.map((value, index) => ({
+      indexes: [...combination.indexes, index],
+      probability: combination.probability * value.probability / total
+    })));
+  });
+
+  return combinations;
+}
+
+/**
+ * Draws `supply` distinct combinations, each in turn weighted by its
+ * probability among those not drawn yet (Efraimidis-Spirakis: the largest
+ * log(u) / weight come first).
+ */
+function drawCombinations(traits, supply, random) {
+  return listCombinations(traits)
+    .map(combination => ({ ...combination, key: Math.log(1 - random()) / combination.probability }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, supply);
+}
+
+/**
+ * Splits the supply between the tiers in proportion to their shares, giving
+ * the tokens left over by rounding down to the largest remainders. Returns
+ * the tiers rarest first, as { name, share, count }.
+ */
+function allocateTiers(rarityDistribution, supply) {
+  const tiers = Object.entries(rarityDistribution)
+    .map(([name, share], order) => {
+      const exact = supply * share / 100;
+      return { name, share, count: Math.floor(exact), remainder: exact - Math.floor(exact), order };
+    });
+
+  let left = supply - tiers.reduce((sum, tier) => sum + tier.count, 0);
+  [...tiers]
+    .sort((a, b) => b.remainder - a.remainder || a.order - b.order)
+    .forEach(tier => {
+      if (left > 0) {
+        tier.count++;
+        left--;
+      }
+    });
+
+  return tiers
+    .sort((a, b) => a.share - b.share || a.order - b.order)
+    .map(({ name, share, count }) => ({ name, share, count }));
+}
+
+function fillTemplate(value, values) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+      if (!(key in values)) {
+        throw new ConfigError(`nft_template uses {{${key}}}, which has no value`);
+      }
+      return String(values[key]);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(entry => fillTemplate(entry, values));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fillTemplate(entry, values)]));
+  }
+
+  return value;
+}
+
+function getImageType(uri) {
+  const extension = (/(\.\w+)(?:[?#].*)?$/.exec(uri || '') || [])[1];
+  return IMAGE_TYPES[extension?.toLowerCase()] || 'image/png';
+}
+
+// The image is listed under properties.files, as the Metaplex JSON standard expects
+function withFiles(json) {
+  return {
+    ...json,
+    properties: {
+      ...json.properties,
+      files: json.properties?.files || [{ uri: json.image, type: getImageType(json.image) }],
+      category: json.properties?.category || 'image'
+    }
+  };
+}
+
+// "Total Supply" states the supply that was generated
+function renderCollection(nftMetadata, supply) {
+  const { name, family, description, image, external_url: externalUrl, attributes = [] } = nftMetadata.collection;
+
+  return withFiles({
+    name,
+    symbol: nftMetadata.nft_template.symbol,
+    description,
+    image,
+    external_url: externalUrl,
+    attributes: attributes.map(attribute => (attribute.trait_type === 'Total Supply'
+      ? { ...attribute, value: supply.toLocaleString('en-US') }
+      : attribute)),
+    collection: { name, family }
+  });
+}
+
+function renderToken(nftMetadata, token) {
+  const { name, family, external_url: externalUrl } = nftMetadata.collection;
+  const json = fillTemplate(nftMetadata.nft_template, {
+    id: token.id,
+    rarity: token.rarity,
+    generation: nftMetadata.generation ?? '',
+    ...token.traits
+  });
+
+  return withFiles({
+    ...json,
+    external_url: json.external_url ?? externalUrl,
+    collection: { name, family }
+  });
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Generates the collection: { seed, supply, combinations, collection,
+ * tokens, report }. `collection` and each token's `json` are the Metaplex
+ * JSON files; `report` is the rarity report. The supply defaults to the
+ * collection's "Total Supply" and cannot exceed the number of distinct
+ * trait combinations.
+ */
+function generateCollection(nftMetadata, { seed, supply = null }) {
+  const traits = getTraits(nftMetadata);
+  const combinations = countCombinations(traits);
+  const size = supply ?? getCollectionSupply(nftMetadata);
+
+  if (!size) {
+    throw new ConfigError('The collection has no "Total Supply" attribute, give the supply to generate');
+  }
+
+  if (size > combinations) {
+    const counts = traits.map(([key, values]) => `${values.length} ${key}`).join(' × ');
+    throw new ConfigError(
+      `A supply of ${size} needs more unique trait combinations than the ${combinations} the traits allow (${counts}); ` +
+      'add trait values or generate fewer tokens'
+    );
+  }
+
+  if (combinations > MAX_COMBINATIONS) {
+    throw new ConfigError(`The traits allow ${combinations} combinations, more than the ${MAX_COMBINATIONS} the generator can weigh`);
+  }
+
+  const random = createRandom(seed);
+  const drawn = drawCombinations(traits, size, random);
+
+  const tokens = drawn.map((combination, index) => ({
+    id: index + 1,
+    traits: Object.fromEntries(traits.map(([key, values], trait) => [key, values[combination.indexes[trait]].name])),
+    score: round(-Math.log(combination.probability)),
+    probability: combination.probability
+  }));
+
+  // Rarest first; ties keep the draw order
+  const ranked = [...tokens].sort((a, b) => a.probability - b.probability || a.id - b.id);
+  const tiers = allocateTiers(nftMetadata.rarity_distribution, size);
+
+  let position = 0;
+  tiers.forEach(tier => {
+    ranked.slice(position, position + tier.count).forEach((token, index) => {
+      token.rank = position + index + 1;
+      token.rarity = tier.name;
+    });
+    position += tier.count;
+  });
+
+  tokens.forEach(token => {
+    token.json = renderToken(nftMetadata, token);
+  });
+
+  const report = {
+    seed: String(seed),
+    supply: size,
+    combinations,
+    traits: Object.fromEntries(traits.map(([key, values]) => {
+      const total = values.reduce((sum, value) => sum + value.probability, 0);
+      return [key, values.map(value => ({
+        name: value.name,
+        rarity: value.rarity,
+        probability: value.probability,
+        expected: round(size * value.probability / total),
+        count: tokens.filter(token => token.traits[key] === value.name).length
+      }))];
+    })),
+    tiers,
+    tokens: ranked.map(({ id, rank, rarity, score, traits: values }) => ({ id, rank, rarity, score, traits: values }))
+  };
+
+  return {
+    seed: String(seed),
+    supply: size,
+    combinations,
+    collection: renderCollection(nftMetadata, size),
+    tokens: tokens.map(({ id, rank, rarity, score, traits: values, json }) => ({ id, rank, rarity, score, traits: values, json })),
+    report
+  };
+}
+
+module.exports = {
+  createRandom,
+  getCollectionSupply,
+  generateCollection
+};
@@ -0,0 +1,313 @@
+/**
+ * GlowMin NFT Statistics
+ *
+ * Checks the token JSON files of a generated collection against
+ * nft-metadata.json and ranks the tokens by rarity, working only from the
+ * files so it also catches files edited or generated elsewhere.
+ *
+ * For every trait the observed count of each value is compared with the
+ * count its `probability` predicts, and the tiers in the rarity attribute
+ * with `rarity_distribution`, using Pearson's chi-square test. A p-value
+ * below 0.05 marks a trait as deviating. Unique combinations leave fewer
+ * likely ones to draw as the supply approaches the number of combinations,
+ * so some deviation is expected there.
+ *
+ * A token's rarity score is the sum over its traits of supply / count of its
+ * value, the score marketplaces commonly show; its statistical rarity is the
+ * product of count / supply. Both follow the values drawn, which the
+ * uniqueness of the combinations pulls away from the probabilities, so
+ * tokens are ranked by the probability of their combination under
+ * nft-metadata.json, the product the generator assigns the rarity tiers by:
+ * the least likely first, equal ones sharing a rank, and the rarest tier at
+ * the top. Tokens sharing a trait combination, missing a trait or
+ * using a value nft-metadata.json does not define, and ids missing from the
+ * collection are reported as problems.
+ */
+
+const { ConfigError } = require('./errors');
+
+const SIGNIFICANCE = 0.05;
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let denominator = x;
+  const t = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, coefficient) => sum + coefficient / ++denominator, 1.000000000190015);
+
+  return -t + Math.log(2.5066282746310007 * series / x);
+}
+
+// Regularized upper incomplete gamma function Q(a, x)
+function gammaQ(a, x) {
+  if (x <= 0) {
+    return 1;
+  }
+
+  const scale = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * scale);
+  }
+
+  // Continued fraction (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) {
+      break;
+    }
+  }
+
+  return Math.min(1, h * scale);
+}
+
+/**
+ * Pearson's chi-square test of observed against expected counts. Categories
+ * expected to be empty are left out.
+ */
+function chiSquare(observed, expected) {
+  const categories = expected
+    .map((count, index) => ({ expected: count, observed: observed[index] }))
+    .filter(category => category.expected > 0);
+
+  const statistic = categories.reduce((sum, category) => sum + (category.observed - category.expected) ** 2 / category.expected, 0);
+  const degreesOfFreedom = Math.max(categories.length - 1, 0);
+  const pValue = degreesOfFreedom > 0 ? gammaQ(degreesOfFreedom / 2, statistic / 2) : 1;
+
+  return {
+    statistic: round(statistic, 4),
+    degreesOfFreedom,
+    pValue: round(pValue, 6),
+    deviates: pValue < SIGNIFICANCE
+  };
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Maps each trait to the attribute trait_type the nft_template fills in with
+ * it, e.g. background to "Background", and finds the rarity attribute.
+ */
+function getAttributeTypes(nftMetadata) {
+  const placeholders = new Map();
+
+  (nftMetadata.nft_template?.attributes || []).forEach(attribute => {
+    const match = /^\{\{(\w+)\}\}$/.exec(String(attribute.value));
+    if (match) {
+      placeholders.set(match[1], attribute.trait_type);
+    }
+  });
+
+  const traits = Object.entries(nftMetadata.traits || {}).map(([key, values]) => {
+    if (!placeholders.has(key)) {
+      throw new ConfigError(`nft_template has no attribute with the value {{${key}}}`);
+    }
+    return { key, traitType: placeholders.get(key), values };
+  });
+
+  return { traits, rarityType: placeholders.get('rarity') || null };
+}
+
+function getAttribute(json, traitType) {
+  return (json.attributes || []).find(attribute => attribute.trait_type === traitType);
+}
+
+/**
+ * Analyzes the tokens ({ id, json }) of a collection. `supply` is the number
+ * the collection was generated with, when known, so missing ids are found;
+ * it defaults to the highest id.
+ */
+function analyzeCollection(nftMetadata, tokens, supply = null) {
+  const { traits, rarityType } = getAttributeTypes(nftMetadata);
+  const size = tokens.length;
+  const problems = { duplicates: [], missingTraits: [], unknownValues: [], missingTokens: [] };
+
+  const present = new Set(tokens.map(token => token.id));
+  const highest = supply ?? Math.max(0, ...present);
+  for (let id = 1; id <= highest; id++) {
+    if (!present.has(id)) {
+      problems.missingTokens.push(id);
+    }
+  }
+
+  // The trait values of each token, as read from its attributes
+  const rows = tokens.map(({ id, json }) => {
+    const values = {};
+
+    traits.forEach(({ key, traitType, values: defined }) => {
+      const attribute = getAttribute(json, traitType);
+
+      if (!attribute || attribute.value === undefined || attribute.value === null || attribute.value === '') {
+        problems.missingTraits.push({ id, trait: traitType });
+        return;
+      }
+
+      if (!defined.some(value => value.name === attribute.value)) {
+        problems.unknownValues.push({ id, trait: traitType, value: attribute.value });
+      }
+
+      values[key] = String(attribute.value);
+    });
+
+    return { id, name: json.name, rarity: rarityType ? getAttribute(json, rarityType)?.value ?? null : null, values };
+  });
+
+  const combinations = new Map();
+  rows.forEach(row => {
+    const combination = traits.map(({ key }) => row.values[key] ?? '').join('\u0000');
+    combinations.set(combination, [...(combinations.get(combination) || []), row.id]);
+  });
+  problems.duplicates = [...combinations.values()].filter(ids => ids.length > 1);
+
+  const counts = Object.fromEntries(traits.map(({ key }) => [key, new Map()]));
+  rows.forEach(row => {
+    Object.entries(row.values).forEach(([key, value]) => counts[key].set(value, (counts[key].get(value) || 0) + 1));
+  });
+
+  const traitStats = Object.fromEntries(traits.map(({ key, traitType, values }) => {
+    const total = values.reduce((sum, value) => sum + value.probability, 0);
+    const entries = values.map(value => ({
+      name: value.name,
+      probability: value.probability,
+      expected: round(size * value.probability / total),
+      observed: counts[key].get(value.name) || 0,
+      frequency: round(size ? (counts[key].get(value.name) || 0) / size * 100 : 0)
+    }));
+    const test = chiSquare(entries.map(entry => entry.observed), values.map(value => size * value.probability / total));
+
+    return [key, { traitType, values: entries, chiSquare: test }];
+  }));
+
+  const tiers = Object.entries(nftMetadata.rarity_distribution || {});
+  const tierStats = rarityType && tiers.length > 0
+    ? (() => {
+      const entries = tiers.map(([name, share]) => ({
+        name,
+        share,
+        expected: round(size * share / 100),
+        observed: rows.filter(row => row.rarity === name).length
+      }));
+      return {
+        traitType: rarityType,
+        values: entries,
+        chiSquare: chiSquare(entries.map(entry => entry.observed), tiers.map(([, share]) => size * share / 100))
+      };
+    })()
+    : null;
+
+  const scored = rows.map(row => {
+    let score = 0;
+    let statisticalRarity = 1;
+    let probability = 1;
+
+    // In trait order, as the generator multiplies them; missing and unknown values are already problems
+    traits.forEach(({ key, values }) => {
+      const value = row.values[key];
+      if (value === undefined) {
+        return;
+      }
+
+      const count = counts[key].get(value);
+      score += size / count;
+      statisticalRarity *= count / size;
+
+      const defined = values.find(entry => entry.name === value);
+      if (defined) {
+        probability *= defined.probability / values.reduce((sum, entry) => sum + entry.probability, 0);
+      }
+    });
+
+    return { ...row, score: round(score, 4), statisticalRarity, probability };
+  });
+
+  // Equal probabilities share a rank (1, 2, 2, 4); equal products of other factors may differ in the last bits
+  const same = (a, b) => Math.abs(a - b) <= Math.max(a, b) * 1e-12;
+  scored.sort((a, b) => (same(a.probability, b.probability) ? 0 : a.probability - b.probability) || a.id - b.id);
+  scored.forEach((token, index) => {
+    const previous = scored[index - 1];
+    token.rank = previous && same(token.probability, previous.probability) ? previous.rank : index + 1;
+  });
+
+  const passed = problems.duplicates.length === 0 && problems.missingTraits.length === 0 &&
+    problems.unknownValues.length === 0 && problems.missingTokens.length === 0;
+
+  return {
+    supply: size,
+    traits: traitStats,
+    tiers: tierStats,
+    tokens: scored.map(({ id, name, rank, probability, score, statisticalRarity, rarity, values }) => ({
+      id,
+      name,
+      rank,
+      probability,
+      score,
+      statisticalRarity,
+      rarity,
+      traits: values
+    })),
+    problems,
+    passed
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The token ranking as CSV: rank, id, name, probability, score, statistical
+ * rarity, tier and one column per trait.
+ */
+function toRankingCsv(stats) {
+  const traits = Object.entries(stats.traits);
+  const header = [
+    'rank', 'id', 'name', 'probability', 'rarity_score', 'statistical_rarity', 'rarity',
+    ...traits.map(([, trait]) => trait.traitType)
+  ];
+  const lines = stats.tokens.map(token => [
+    token.rank,
+    token.id,
+    token.name,
+    token.probability,
+    token.score,
+    token.statisticalRarity,
+    token.rarity,
+    ...traits.map(([key]) => token.traits[key])
+  ]);
+
+  return [header, ...lines].map(line => line.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  SIGNIFICANCE,
+  chiSquare,
+  analyzeCollection,
+  toRankingCsv
+};
@@ -0,0 +1,225 @@
+/**
+ * GlowMin Alert Notifiers
+ *
+ * Delivers monitor alerts. Every notifier has a `name` and an async
+ * `send(alert)`, where an alert is:
+ *
+ *   { key, severity: 'critical' | 'warning' | 'resolved', title, message, network, timestamp }
+ *
+ * Notifiers are built from monitoring.alerts in deployment-config.json;
+ * entries still holding placeholder values are skipped. New channels are
+ * added to NOTIFIERS with a `fromConfig(alerts)` that returns null when the
+ * channel is not configured.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { isPlaceholder } = require('./pubkey');
+
+const SMTP_PASSWORD_ENV = 'GLOWMIN_SMTP_PASSWORD';
+const REQUEST_TIMEOUT_MS = 10000;
+
+const SEVERITY_ICONS = {
+  critical: '🚨',
+  warning: '⚠️',
+  resolved: '✅'
+};
+
+function isConfigured(value) {
+  return typeof value === 'string' && value.length > 0 && !isPlaceholder(value);
+}
+
+function formatAlert(alert) {
+  return `${SEVERITY_ICONS[alert.severity] || 'ℹ️'} [GLOWMIN ${alert.network}] ${alert.title}\n${alert.message}`;
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${await response.text()}`);
+  }
+}
+
+class ConsoleNotifier {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(alert) {
+    const log = alert.severity === 'critical' ? console.error : console.log;
+    log(`${alert.timestamp} ${formatAlert(alert).replace(/\n/g, '\n   ')}`);
+  }
+}
+
+class DiscordNotifier {
+  static fromConfig(alerts) {
+    return isConfigured(alerts.discord_webhook) ? new DiscordNotifier(alerts.discord_webhook) : null;
+  }
+
+  constructor(webhookUrl) {
+    this.name = 'discord';
+    this.webhookUrl = webhookUrl;
+  }
+
+  async send(alert) {
+    await postJson(this.webhookUrl, { content: formatAlert(alert) });
+  }
+}
+
+class TelegramNotifier {
+  static fromConfig(alerts) {
+    if (!isConfigured(alerts.telegram_bot) || !isConfigured(String(alerts.telegram_chat_id ?? ''))) {
+      return null;
+    }
+
+    return new TelegramNotifier(alerts.telegram_bot, alerts.telegram_chat_id, alerts.telegram_api_url);
+  }
+
+  constructor(botToken, chatId, apiUrl = 'https://api.telegram.org') {
+    this.name = 'telegram';
+    this.url = `${apiUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+    this.chatId = chatId;
+  }
+
+  async send(alert) {
+    await postJson(this.url, { chat_id: this.chatId, text: formatAlert(alert) });
+  }
+}
+
+/**
+ * Sends plain-text mail over SMTP. Use `secure: true` for implicit TLS
+ * (usually port 465); STARTTLS is not supported, so unencrypted ports should
+ * only be used with a local relay.
+ */
+class EmailNotifier {
+  static fromConfig(alerts) {
+    const smtp = alerts.smtp || {};
+
+    if (!isConfigured(alerts.email) || !isConfigured(smtp.host)) {
+      return null;
+    }
+
+    return new EmailNotifier({
+      to: alerts.email,
+      from: smtp.from || alerts.email,
+      host: smtp.host,
+      port: smtp.port || (smtp.secure ? 465 : 25),
+      secure: Boolean(smtp.secure),
+      user: isConfigured(smtp.user) ? smtp.user : null,
+      password: process.env[SMTP_PASSWORD_ENV]
+    });
+  }
+
+  constructor(options) {
+    this.name = 'email';
+    this.options = options;
+  }
+
+  buildMessage(alert) {
+    const { from, to } = this.options;
+    const body = alert.message.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line));
+
+    return [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: [GLOWMIN ${alert.network}] ${alert.title}`,
+      `Date: ${new Date(alert.timestamp).toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      ...body
+    ].join('\r\n');
+  }
+
+  send(alert) {
+    const { host, port, secure, user, password, from, to } = this.options;
+
+    if (user && !password) {
+      return Promise.reject(new Error(`Set ${SMTP_PASSWORD_ENV} to authenticate as ${user}`));
+    }
+
+    const commands = [
+      `EHLO ${os.hostname()}`,
+      ...(user ? ['AUTH LOGIN', Buffer.from(user).toString('base64'), Buffer.from(password).toString('base64')] : []),
+      `MAIL FROM:<${from}>`,
+      `RCPT TO:<${to}>`,
+      'DATA',
+      `${this.buildMessage(alert)}\r\n.`,
+      'QUIT'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      let buffer = '';
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(REQUEST_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+      socket.on('error', reject);
+      socket.on('close', () => reject(new Error('SMTP connection closed early')));
+
+      socket.on('data', chunk => {
+        buffer += chunk;
+
+        // A reply is complete once a line has a space after its status code
+        let match;
+        while ((match = /^(\d{3}) .*\r\n/m.exec(buffer))) {
+          buffer = buffer.slice(match.index + match[0].length);
+          const code = Number(match[1]);
+
+          if (code >= 400) {
+            socket.destroy();
+            reject(new Error(`SMTP error: ${match[0].trim()}`));
+            return;
+          }
+
+          if (code === 221 || commands.length === 0) {
+            socket.end();
+            resolve();
+            return;
+          }
+
+          socket.write(`${commands.shift()}\r\n`);
+        }
+      });
+    });
+  }
+}
+
+const NOTIFIERS = {
+  discord: DiscordNotifier,
+  telegram: TelegramNotifier,
+  email: EmailNotifier
+};
+
+/**
+ * Builds the console notifier plus every configured channel.
+ */
+function createNotifiers(alerts = {}) {
+  const notifiers = [new ConsoleNotifier()];
+
+  for (const Notifier of Object.values(NOTIFIERS)) {
+    const notifier = Notifier.fromConfig(alerts);
+    if (notifier) {
+      notifiers.push(notifier);
+    }
+  }
+
+  return notifiers;
+}
+
+module.exports = {
+  SMTP_PASSWORD_ENV,
+  NOTIFIERS,
+  ConsoleNotifier,
+  DiscordNotifier,
+  TelegramNotifier,
+  EmailNotifier,
+  createNotifiers,
+  formatAlert
+};
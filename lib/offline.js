@@ -0,0 +1,205 @@
+/**
+ * GlowMin Offline Signing
+ *
+ * Authority keys kept on an air-gapped machine sign their transactions in
+ * three steps:
+ *
+ *   1. Export, online: `glowmin mint --export <file>` and
+ *      `glowmin metadata --export <file>` build the transactions and write
+ *      them to an offline bundle without the authority signatures.
+ *   2. Sign, offline: `glowmin offline sign --file <file>` adds signatures
+ *      from the keystores. It needs no RPC connection or config.
+ *   3. Submit, online: `glowmin offline submit --file <file>` sends the
+ *      transactions in order and writes the deployment record once all of
+ *      them have confirmed.
+ *
+ * Every exported transaction uses its own durable nonce account from
+ * security.offline_signing.nonce_accounts (created with
+ * `glowmin offline nonces`), so it does not expire while it is carried to the
+ * offline machine and back. A nonce account backs one exported transaction
+ * at a time: submitting a transaction advances its nonce and invalidates any
+ * other export that used the same account.
+ *
+ * The main keypair stays online. It pays the fees, is the nonce authority and
+ * signs at export time, together with keys generated for new accounts such as
+ * the mint. The compute unit limit (security.offline_signing.compute_unit_limit)
+ * and the priority fee are fixed at export time, since the signatures cover
+ * them.
+ *
+ *   {
+ *     "version": 1,
+ *     "kind": "minting" | "metadata",
+ *     "network": "<network>",
+ *     "feePayer": "<main keypair>",
+ *     "createdAt": "<ISO timestamp>",
+ *     "record": { <deployment record written after submission> } | null,
+ *     "recordPath": "<where the record was written>",
+ *     "manifest": { "<step>": { <deployment manifest section> }, ... } | null,
+ *     "transactions": [
+ *       {
+ *         "description": "<what the transaction does>",
+ *         "signers": ["<keys that sign offline>", ...],
+ *         "nonceAccount": "<durable nonce account>",
+ *         "submittedSignature": "<signature>" | null,
+ *         "submittedAt": "<ISO timestamp>" | null,
+ *         "transaction": "<base64 wire transaction>"
+ *       }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transaction, SystemProgram, ComputeBudgetProgram } = require('@solana/web3.js');
+const { toPublicKey } = require('./pubkey');
+const { ConfigError, PrerequisiteError } = require('./errors');
+const { MAX_COMPUTE_UNITS } = require('./sender');
+
+const OFFLINE_VERSION = 1;
+const DEFAULT_COMPUTE_UNIT_LIMIT = 200000;
+
+/**
+ * Reads security.offline_signing, filling in the defaults.
+ */
+function getOfflineSettings(config) {
+  const offline = config.security?.offline_signing || {};
+
+  try {
+    return {
+      nonceAccounts: (offline.nonce_accounts || []).map((account, i) =>
+        toPublicKey(account, `security.offline_signing.nonce_accounts[${i}]`)
+      ),
+      computeUnitLimit: Math.min(offline.compute_unit_limit ?? DEFAULT_COMPUTE_UNIT_LIMIT, MAX_COMPUTE_UNITS)
+    };
+  } catch (error) {
+    throw new ConfigError(`Invalid offline signing configuration: ${error.message}`, { cause: error });
+  }
+}
+
+function readOfflineBundle(filePath) {
+  const bundle = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (bundle.version !== OFFLINE_VERSION) {
+    throw new Error(`Unsupported offline bundle version: ${bundle.version}`);
+  }
+
+  const transactions = bundle.transactions.map(entry => Transaction.from(Buffer.from(entry.transaction, 'base64')));
+  return { bundle, transactions };
+}
+
+// Writes the bundle with its transactions serialized into the entries; `bundle` itself is left as it is
+function writeOfflineBundle(filePath, bundle, transactions) {
+  const entries = bundle.transactions.map((entry, index) => ({
+    ...entry,
+    transaction: transactions[index].serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64')
+  }));
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ ...bundle, transactions: entries }, null, 2));
+}
+
+/**
+ * Builds durable nonce transactions for signers that are not available here.
+ */
+class OfflineExporter {
+  constructor({ connection, sender, payer, settings }) {
+    this.connection = connection;
+    this.sender = sender;
+    this.payer = payer;
+    this.settings = settings;
+  }
+
+  async getNonce(nonceAccount) {
+    const nonce = await this.connection.getNonce(nonceAccount);
+
+    if (!nonce) {
+      throw new PrerequisiteError(`Nonce account ${nonceAccount.toBase58()} not found`);
+    }
+    if (!nonce.authorizedPubkey.equals(this.payer.publicKey)) {
+      throw new ConfigError(`Nonce account ${nonceAccount.toBase58()} is not controlled by the main keypair`);
+    }
+
+    return nonce.nonce;
+  }
+
+  async build(nonceAccount, instructions, signers) {
+    const prepared = await this.sender.addComputeBudget([
+      ComputeBudgetProgram.setComputeUnitLimit({ units: this.settings.computeUnitLimit }),
+      ...instructions
+    ], this.payer.publicKey);
+
+    const transaction = new Transaction({ feePayer: this.payer.publicKey });
+    transaction.recentBlockhash = await this.getNonce(nonceAccount);
+    transaction.add(SystemProgram.nonceAdvance({ noncePubkey: nonceAccount, authorizedPubkey: this.payer.publicKey }), ...prepared);
+    transaction.partialSign(this.payer, ...signers);
+
+    return transaction;
+  }
+
+  /**
+   * Writes `steps` ({ description, instructions, signers }, where signers are
+   * the keypairs available here) to an offline bundle, in the order they must
+   * be submitted. `manifest` holds the deployment manifest sections that are
+   * completed once every transaction has confirmed. Returns the bundle.
+   */
+  async export(filePath, { kind, network, record = null, manifest = null }, steps) {
+    const { nonceAccounts } = this.settings;
+
+    if (steps.length > nonceAccounts.length) {
+      throw new ConfigError(
+        `Exporting ${steps.length} transaction(s) needs as many nonce accounts, ` +
+        `security.offline_signing.nonce_accounts has ${nonceAccounts.length}. ` +
+        `Create more with: glowmin offline nonces --count ${steps.length - nonceAccounts.length}`
+      );
+    }
+
+    const transactions = [];
+    const entries = [];
+
+    for (const [index, step] of steps.entries()) {
+      const transaction = await this.build(nonceAccounts[index], step.instructions, step.signers || []);
+      const offline = transaction.signatures.filter(entry => !entry.signature).map(entry => entry.publicKey.toBase58());
+
+      console.log(`📝 ${step.description}`);
+      console.log(`   Nonce Account: ${nonceAccounts[index].toBase58()}`);
+      console.log(`   Offline Signers: ${offline.length > 0 ? offline.join(', ') : 'none'}`);
+
+      transactions.push(transaction);
+      entries.push({
+        description: step.description,
+        signers: offline,
+        nonceAccount: nonceAccounts[index].toBase58(),
+        submittedSignature: null,
+        submittedAt: null
+      });
+    }
+
+    const bundle = {
+      version: OFFLINE_VERSION,
+      kind,
+      network,
+      feePayer: this.payer.publicKey.toBase58(),
+      createdAt: new Date().toISOString(),
+      record,
+      manifest,
+      transactions: entries
+    };
+
+    writeOfflineBundle(filePath, bundle, transactions);
+    console.log(`\n📄 ${steps.length} transaction(s) exported to: ${filePath}`);
+    console.log('\nNext steps:');
+    console.log(`1. On the offline machine: glowmin offline sign --file ${path.basename(filePath)}`);
+    console.log(`2. Back online: glowmin offline submit --file ${path.basename(filePath)}`);
+
+    return bundle;
+  }
+}
+
+module.exports = {
+  OFFLINE_VERSION,
+  DEFAULT_COMPUTE_UNIT_LIMIT,
+  getOfflineSettings,
+  readOfflineBundle,
+  writeOfflineBundle,
+  OfflineExporter
+};
@@ -0,0 +1,81 @@
+/**
+ * GlowMin Preflight
+ *
+ * Checks deployment-config.json and token-metadata.json before a command
+ * runs, so placeholders and malformed settings are reported up front rather
+ * than halfway through a deployment. Schema and consistency errors are always
+ * fatal. A placeholder is only fatal when it sits under a setting the command
+ * uses, given as { config: ['token', 'distribution'], metadata: true };
+ * anywhere else it is a warning.
+ */
+
+const { readConfigFile, readMetadataFile } = require('./core');
+const { METADATA_FILE, validateDeploymentFiles } = require('./schema');
+const { ValidationError } = require('./errors');
+
+function formatProblem(problem) {
+  return `${problem.file} ${problem.path}: ${problem.message}`;
+}
+
+function isUsed(problem, uses) {
+  if (!uses) {
+    return true;
+  }
+
+  if (problem.file === METADATA_FILE) {
+    return Boolean(uses.metadata);
+  }
+
+  return (uses.config || []).some(prefix =>
+    problem.path === prefix || problem.path.startsWith(`${prefix}.`) || problem.path.startsWith(`${prefix}[`)
+  );
+}
+
+/**
+ * Splits the problems in { config, metadata } into errors and warnings for a
+ * command with the given `uses`; null treats every setting as used.
+ */
+function checkDeploymentFiles(files, uses = null) {
+  const errors = [];
+  const warnings = [];
+
+  validateDeploymentFiles(files).forEach(problem => {
+    if (problem.severity === 'error' && (!problem.placeholder || isUsed(problem, uses))) {
+      errors.push(problem);
+    } else {
+      warnings.push({ ...problem, severity: 'warning' });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Reads and checks both files, prints the warnings and throws a
+ * ValidationError listing every error. Returns the warnings.
+ */
+function preflight({ configPath, metadataPath, uses = null, verbose = false }) {
+  const { errors, warnings } = checkDeploymentFiles({
+    config: readConfigFile(configPath),
+    metadata: readMetadataFile(metadataPath)
+  }, uses);
+
+  if (verbose) {
+    warnings.forEach(warning => console.log(`⚠️  ${formatProblem(warning)}`));
+  } else if (warnings.length > 0) {
+    console.log(`⚠️  ${warnings.length} configuration warning(s), run glowmin validate to list them`);
+  }
+
+  if (errors.length > 0) {
+    const details = errors.map(error => `   - ${formatProblem(error)}`).join('\n');
+    throw new ValidationError(`Configuration has ${errors.length} problem(s):\n${details}`, errors);
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  formatProblem,
+  checkDeploymentFiles,
+  preflight
+};
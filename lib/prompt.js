@@ -0,0 +1,31 @@
+/**
+ * GlowMin Prompts
+ *
+ * Confirmation for commands that cannot be undone. The question is written to
+ * stderr so it does not end up in --json output. Without a terminal the
+ * command has to be confirmed up front with --yes.
+ */
+
+const readline = require('readline');
+const { GlowMinError } = require('./errors');
+
+/**
+ * Asks a yes/no question on the terminal and resolves to true for "y" or
+ * "yes".
+ */
+function confirmAction(question) {
+  if (!process.stdin.isTTY) {
+    throw new GlowMinError('No terminal available to confirm, rerun with --yes');
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+
+    rl.question(`❓ ${question} [y/N] `, answer => {
+      rl.close();
+      resolve(['y', 'yes'].includes(answer.trim().toLowerCase()));
+    });
+  });
+}
+
+module.exports = { confirmAction };
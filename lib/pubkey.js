@@ -0,0 +1,30 @@
+/**
+ * GlowMin Public Key Helpers
+ *
+ * Unfilled config values are SCREAMING_SNAKE_CASE markers such as
+ * "TEAM_WALLET_PUBLIC_KEY"; underscores never occur in base58 addresses, so
+ * these are told apart from real keys before any transaction is built.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+function isPlaceholder(value) {
+  return typeof value === 'string' && /^[A-Z0-9]+(_[A-Z0-9]+)+$/.test(value);
+}
+
+/**
+ * Parses a config value into a PublicKey, naming the setting on failure.
+ */
+function toPublicKey(value, label) {
+  if (typeof value !== 'string' || isPlaceholder(value)) {
+    throw new Error(`${label} is not configured: ${value}`);
+  }
+
+  try {
+    return new PublicKey(value);
+  } catch (error) {
+    throw new Error(`${label} is not a valid public key: ${value}`);
+  }
+}
+
+module.exports = { isPlaceholder, toPublicKey };
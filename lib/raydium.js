@@ -0,0 +1,167 @@
+/**
+ * GlowMin Raydium Helpers
+ *
+ * Instruction builders for the Raydium AMM v4 program. A v4 pool is bound to
+ * an existing OpenBook market; every pool account is a PDA derived from the
+ * AMM program and the market address, so the pool address is known before
+ * the pool is created.
+ */
+
+const {
+  PublicKey,
+  SystemProgram,
+  SYSVAR_RENT_PUBKEY,
+  TransactionInstruction
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  NATIVE_MINT,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  createCloseAccountInstruction
+} = require('@solana/spl-token');
+
+const INITIALIZE2_INSTRUCTION = 1;
+
+// "amm authority"
+const AUTHORITY_SEED = Buffer.from([97, 109, 109, 32, 97, 117, 116, 104, 111, 114, 105, 116, 121]);
+const CONFIG_SEED = Buffer.from('amm_config_account_seed', 'utf8');
+
+const ASSOCIATED_SEEDS = {
+  id: 'amm_associated_seed',
+  lpMint: 'lp_mint_associated_seed',
+  baseVault: 'coin_vault_associated_seed',
+  quoteVault: 'pc_vault_associated_seed',
+  openOrders: 'open_order_associated_seed',
+  targetOrders: 'target_associated_seed'
+};
+
+// Byte offsets into an OpenBook (Serum v3) market account
+const MARKET_OFFSETS = {
+  baseMint: 53,
+  quoteMint: 85,
+  eventQueue: 253
+};
+const MARKET_MIN_SIZE = 388;
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+/**
+ * Derives every pool account for a base/quote pair on the given market.
+ */
+function getPoolKeys({ programId, marketId, marketProgramId, baseMint, quoteMint = NATIVE_MINT }) {
+  const keys = {
+    programId,
+    marketId,
+    marketProgramId,
+    baseMint,
+    quoteMint
+  };
+
+  for (const [name, seed] of Object.entries(ASSOCIATED_SEEDS)) {
+    [keys[name]] = PublicKey.findProgramAddressSync(
+      [programId.toBuffer(), marketId.toBuffer(), Buffer.from(seed, 'utf8')],
+      programId
+    );
+  }
+
+  [keys.authority, keys.nonce] = PublicKey.findProgramAddressSync([AUTHORITY_SEED], programId);
+  [keys.configId] = PublicKey.findProgramAddressSync([CONFIG_SEED], programId);
+
+  return keys;
+}
+
+/**
+ * Reads the fields a pool needs from an OpenBook market account.
+ */
+function decodeMarketState(data) {
+  if (!data || data.length < MARKET_MIN_SIZE) {
+    throw new Error('Account data is too short to be an OpenBook market');
+  }
+
+  const read = offset => new PublicKey(data.subarray(offset, offset + 32));
+
+  return {
+    baseMint: read(MARKET_OFFSETS.baseMint),
+    quoteMint: read(MARKET_OFFSETS.quoteMint),
+    eventQueue: read(MARKET_OFFSETS.eventQueue)
+  };
+}
+
+/**
+ * Creates the pool and deposits the initial liquidity in one instruction.
+ * LP tokens are minted to the owner's associated LP token account.
+ */
+function makeInitializePoolInstruction({ poolKeys, owner, feeDestination, baseAmount, quoteAmount, openTime = 0 }) {
+  const userBase = getAssociatedTokenAddressSync(poolKeys.baseMint, owner);
+  const userQuote = getAssociatedTokenAddressSync(poolKeys.quoteMint, owner);
+  const userLp = getAssociatedTokenAddressSync(poolKeys.lpMint, owner);
+
+  const data = Buffer.concat([
+    Buffer.from([INITIALIZE2_INSTRUCTION, poolKeys.nonce]),
+    u64(openTime),
+    u64(quoteAmount),
+    u64(baseAmount)
+  ]);
+
+  const keys = [
+    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.id, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.authority, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.openOrders, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.lpMint, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.baseMint, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.quoteMint, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.baseVault, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.quoteVault, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.targetOrders, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.configId, isSigner: false, isWritable: false },
+    { pubkey: feeDestination, isSigner: false, isWritable: true },
+    { pubkey: poolKeys.marketProgramId, isSigner: false, isWritable: false },
+    { pubkey: poolKeys.marketId, isSigner: false, isWritable: false },
+    { pubkey: owner, isSigner: true, isWritable: true },
+    { pubkey: userBase, isSigner: false, isWritable: true },
+    { pubkey: userQuote, isSigner: false, isWritable: true },
+    { pubkey: userLp, isSigner: false, isWritable: true }
+  ];
+
+  return new TransactionInstruction({ programId: poolKeys.programId, keys, data });
+}
+
+/**
+ * Wraps lamports into the owner's WSOL associated token account.
+ */
+function makeWrapSolInstructions(owner, lamports) {
+  const wsolAccount = getAssociatedTokenAddressSync(NATIVE_MINT, owner);
+
+  return [
+    createAssociatedTokenAccountIdempotentInstruction(owner, wsolAccount, owner, NATIVE_MINT),
+    SystemProgram.transfer({ fromPubkey: owner, toPubkey: wsolAccount, lamports: BigInt(lamports) }),
+    createSyncNativeInstruction(wsolAccount)
+  ];
+}
+
+/**
+ * Closes the owner's WSOL account, returning any unused SOL and the rent.
+ */
+function makeUnwrapSolInstruction(owner) {
+  const wsolAccount = getAssociatedTokenAddressSync(NATIVE_MINT, owner);
+  return createCloseAccountInstruction(wsolAccount, owner, owner);
+}
+
+module.exports = {
+  getPoolKeys,
+  decodeMarketState,
+  makeInitializePoolInstruction,
+  makeWrapSolInstructions,
+  makeUnwrapSolInstruction
+};
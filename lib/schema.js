@@ -0,0 +1,606 @@
+/**
+ * GlowMin Config Schema
+ *
+ * Schemas for deployment-config.json and token-metadata.json, and the checks
+ * that span both files. Validation never stops at the first problem: every
+ * problem is returned as { file, path, message, severity, placeholder } with
+ * path in JSON path notation, e.g. "distribution[2].recipient".
+ *
+ * Unfilled SCREAMING_SNAKE_CASE values (see lib/pubkey.js) are flagged as
+ * placeholders. They are errors for required settings and warnings for
+ * optional ones and for settings under a feature with "enabled": false.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const { BASIS_POINTS_TOTAL, parseAmount, fromBaseUnits } = require('./amount');
+const { isPlaceholder } = require('./pubkey');
+const { resolveNetworkName } = require('./network');
+const { MAX_SIGNERS } = require('./multisig');
+const { MAX_COMPUTE_UNITS } = require('./sender');
+const { TOKEN_PROGRAMS } = require('./token-program');
+
+const CONFIG_FILE = 'deployment-config.json';
+const METADATA_FILE = 'token-metadata.json';
+
+const U64_MAX = 2n ** 64n - 1n;
+// SPL allows up to 255, but past 9 a u64 supply leaves too few whole tokens
+const MAX_DECIMALS = 9;
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+const PRIORITY_FEE_MODES = ['auto', 'fixed', 'none'];
+
+// Limits enforced by the Metaplex token metadata program
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_CREATORS = 5;
+
+// Schema nodes. Properties are required unless marked optional, and an
+// optional setting may also be left as a placeholder.
+const string = (options = {}) => ({ type: 'string', ...options });
+const pubkey = (options = {}) => ({ type: 'pubkey', ...options });
+const url = (protocols, options = {}) => ({ type: 'url', protocols, ...options });
+const integer = (min, max = Number.MAX_SAFE_INTEGER, options = {}) => ({ type: 'integer', min, max, ...options });
+const amount = (options = {}) => ({ type: 'amount', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const optional = node => ({ ...node, optional: true });
+
+const HTTP = ['http:', 'https:'];
+const WS = ['ws:', 'wss:'];
+
+const keypairEntry = object({
+  keypair_path: string(),
+  public_key: pubkey()
+});
+
+const networkEntry = object({
+  url: url(HTTP),
+  ws_url: optional(url(WS)),
+  commitment: optional(oneOf(COMMITMENTS)),
+  fallback_urls: optional(array(url(HTTP)))
+});
+
+const raydiumOverrides = object({
+  program_id: optional(pubkey()),
+  amm_program_id: optional(pubkey()),
+  market_program_id: optional(pubkey()),
+  market_id: optional(pubkey()),
+  fee_destination: optional(pubkey()),
+  pool_creation_fee: optional(amount())
+});
+
+const CONFIG_SCHEMA = object({
+  network: object({
+    default: optional(string()),
+    commitment: optional(oneOf(COMMITMENTS))
+  }, { additional: networkEntry }),
+  token: object({
+    name: string({ maxLength: MAX_NAME_LENGTH }),
+    symbol: string({ maxLength: MAX_SYMBOL_LENGTH }),
+    decimals: integer(0, MAX_DECIMALS),
+    total_supply: amount({ min: 1n }),
+    mint_authority: keypairEntry,
+    freeze_authority: object({
+      keypair_path: string(),
+      public_key: optional(pubkey())
+    }),
+    program: optional(oneOf(Object.keys(TOKEN_PROGRAMS))),
+    extensions: optional(object({
+      metadata_pointer: optional(object({
+        enabled: boolean()
+      })),
+      transfer_fee: optional(object({
+        enabled: boolean(),
+        basis_points: integer(0, BASIS_POINTS_TOTAL),
+        maximum_fee: amount()
+      })),
+      permanent_delegate: optional(object({
+        enabled: boolean(),
+        delegate: pubkey()
+      }))
+    }))
+  }),
+  distribution: array(object({
+    name: string(),
+    basis_points: integer(1, BASIS_POINTS_TOTAL),
+    recipient: pubkey(),
+    purpose: optional(string())
+  }), { minItems: 1 }),
+  liquidity: object({
+    initial_supply: amount(),
+    lock_period: integer(1),
+    lock_program: object({
+      type: string(),
+      program_id: pubkey()
+    }),
+    lock_authority: keypairEntry
+  }),
+  metadata: object({
+    update_authority: keypairEntry,
+    uri: url(HTTP),
+    is_mutable: optional(boolean())
+  }),
+  nft: optional(object({
+    base_uri: url(HTTP),
+    seller_fee_basis_points: integer(0, BASIS_POINTS_TOTAL),
+    is_mutable: optional(boolean())
+  })),
+  programs: object({
+    token_program: pubkey(),
+    associated_token_program: pubkey(),
+    system_program: pubkey(),
+    rent_program: pubkey(),
+    metadata_program: pubkey(),
+    merkle_distributor: optional(pubkey())
+  }),
+  raydium: object({
+    program_id: pubkey(),
+    amm_program_id: pubkey(),
+    market_program_id: pubkey(),
+    market_id: pubkey(),
+    fee_destination: pubkey(),
+    pool_creation_fee: amount(),
+    open_time: integer(0),
+    initial_liquidity: object({
+      sol_amount: amount({ min: 1n }),
+      glowmin_amount: amount({ min: 1n })
+    }),
+    networks: optional(object({}, { additional: raydiumOverrides }))
+  }),
+  fees: object({
+    transaction_fee: integer(0),
+    rent_exempt: integer(0),
+    metadata_creation: integer(0),
+    priority_fee: optional(object({
+      mode: oneOf(PRIORITY_FEE_MODES),
+      micro_lamports: optional(integer(0)),
+      percentile: optional(integer(1, 100)),
+      max_micro_lamports: optional(integer(0)),
+      compute_unit_margin_bps: optional(integer(0, BASIS_POINTS_TOTAL))
+    }))
+  }),
+  sending: optional(object({
+    max_attempts: optional(integer(1, 10)),
+    rebroadcast_interval_ms: optional(integer(100)),
+    rate_limit_retries: optional(integer(0, 10))
+  })),
+  security: optional(object({
+    multisig: optional(object({
+      enabled: boolean(),
+      address: pubkey(),
+      nonce_account: optional(pubkey()),
+      threshold: integer(1, MAX_SIGNERS),
+      signers: array(pubkey(), { minItems: 1, maxItems: MAX_SIGNERS })
+    })),
+    timelock: optional(object({
+      enabled: boolean(),
+      delay: integer(0)
+    })),
+    offline_signing: optional(object({
+      compute_unit_limit: optional(integer(1, MAX_COMPUTE_UNITS)),
+      nonce_accounts: optional(array(pubkey()))
+    }))
+  })),
+  monitoring: optional(object({
+    health_checks: optional(object({
+      enabled: boolean(),
+      interval: integer(1),
+      endpoints: array(url(HTTP))
+    })),
+    thresholds: optional(object({
+      rpc_latency_ms: optional(integer(1)),
+      pool_reserve_drop_bps: optional(integer(1, BASIS_POINTS_TOTAL)),
+      large_transfer_amount: optional(amount())
+    })),
+    alerts: optional(object({
+      discord_webhook: optional(url(['https:'])),
+      telegram_bot: optional(string()),
+      telegram_chat_id: optional(string({ numeric: true })),
+      telegram_api_url: optional(url(HTTP)),
+      email: optional(string()),
+      smtp: optional(object({
+        host: optional(string()),
+        port: optional(integer(1, 65535)),
+        secure: optional(boolean()),
+        user: optional(string()),
+        from: optional(string())
+      }))
+    }))
+  })),
+  backup: optional(object({
+    enabled: boolean(),
+    frequency: optional(string()),
+    storage: object({
+      type: string(),
+      gateway: optional(url(HTTP)),
+      api_url: optional(url(HTTP)),
+      local_directory: optional(string())
+    })
+  }))
+});
+
+const METADATA_SCHEMA = object({
+  name: string({ maxLength: MAX_NAME_LENGTH }),
+  symbol: string({ maxLength: MAX_SYMBOL_LENGTH }),
+  description: string(),
+  image: url(HTTP),
+  external_url: optional(url(HTTP)),
+  attributes: array(object({
+    trait_type: string(),
+    value: string()
+  })),
+  properties: object({
+    files: optional(array(object({
+      uri: url(HTTP),
+      type: string()
+    }))),
+    category: optional(string()),
+    creators: array(object({
+      address: pubkey(),
+      share: integer(0, 100)
+    }), { maxItems: MAX_CREATORS })
+  }),
+  collection: object({
+    name: string(),
+    family: optional(string())
+  }),
+  social: object({
+    website: url(HTTP),
+    discord: optional(url(HTTP)),
+    twitter: optional(url(HTTP)),
+    telegram: optional(url(HTTP)),
+    instagram: optional(url(HTTP))
+  }),
+  features: optional(array(string())),
+  deployment: optional(object({
+    network: optional(string()),
+    cluster: optional(string()),
+    program_id: optional(pubkey()),
+    mint_address: optional(pubkey()),
+    mint_authority: optional(string()),
+    freeze_authority: optional(string())
+  }))
+});
+
+function joinPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+
+  return base ? `${base}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Walks a value against a schema node. `context` carries the file and
+ * whether the value sits under a disabled feature.
+ */
+function check(node, value, path, context, problems) {
+  const report = (message, extra = {}) => problems.push({
+    file: context.file,
+    path: path || '(root)',
+    message,
+    severity: 'error',
+    placeholder: false,
+    ...extra
+  });
+
+  if (typeof value === 'string' && isPlaceholder(value) && node.type !== 'enum') {
+    const lenient = node.optional || context.disabled;
+    report(lenient ? `is not configured (${value})` : `is a placeholder (${value}), replace it before deploying`, {
+      severity: lenient ? 'warning' : 'error',
+      placeholder: true
+    });
+    return;
+  }
+
+  switch (node.type) {
+    case 'string':
+      if (node.numeric && Number.isInteger(value)) {
+        break;
+      }
+
+      if (typeof value !== 'string' || value.trim() === '') {
+        report(`must be a non-empty string, got ${JSON.stringify(value)}`);
+      } else if (node.maxLength && Buffer.byteLength(value) > node.maxLength) {
+        report(`must be at most ${node.maxLength} bytes, got ${Buffer.byteLength(value)}`);
+      }
+      break;
+
+    case 'pubkey':
+      if (typeof value !== 'string') {
+        report(`must be a base58 public key, got ${typeOf(value)}`);
+        break;
+      }
+
+      try {
+        new PublicKey(value);
+      } catch (error) {
+        report(`is not a valid base58 public key: ${value}`);
+      }
+      break;
+
+    case 'url': {
+      let parsed = null;
+
+      try {
+        parsed = new URL(value);
+      } catch (error) {
+        report(`is not a valid URL: ${JSON.stringify(value)}`);
+        break;
+      }
+
+      if (!node.protocols.includes(parsed.protocol)) {
+        report(`must be a ${node.protocols.map(protocol => protocol.slice(0, -1)).join(' or ')} URL: ${value}`);
+      }
+      break;
+    }
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        report(`must be an integer, got ${JSON.stringify(value)}`);
+      } else if (value < node.min || value > node.max) {
+        report(node.max === Number.MAX_SAFE_INTEGER
+          ? `must be at least ${node.min}, got ${value}`
+          : `must be between ${node.min} and ${node.max}, got ${value}`);
+      }
+      break;
+
+    case 'amount': {
+      let parsed;
+
+      try {
+        parsed = parseAmount(value);
+      } catch (error) {
+        report(`must be a whole number of base units stored as a string, got ${JSON.stringify(value)}`);
+        break;
+      }
+
+      if (parsed > U64_MAX) {
+        report(`exceeds the u64 maximum of ${U64_MAX}`);
+      } else if (node.min !== undefined && parsed < node.min) {
+        report(`must be at least ${node.min}, got ${parsed}`);
+      }
+      break;
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        report(`must be true or false, got ${JSON.stringify(value)}`);
+      }
+      break;
+
+    case 'enum':
+      if (!node.values.includes(value)) {
+        report(`must be one of ${node.values.join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        report(`must be an array, got ${typeOf(value)}`);
+        break;
+      }
+
+      if (node.minItems && value.length < node.minItems) {
+        report(`must have at least ${node.minItems} entr${node.minItems === 1 ? 'y' : 'ies'}`);
+      }
+      if (node.maxItems && value.length > node.maxItems) {
+        report(`must have at most ${node.maxItems} entries, got ${value.length}`);
+      }
+
+      value.forEach((item, index) => check(node.items, item, joinPath(path, index), context, problems));
+      break;
+
+    case 'object': {
+      if (typeOf(value) !== 'object') {
+        report(`must be an object, got ${typeOf(value)}`);
+        break;
+      }
+
+      // Placeholders under a disabled feature do not block anything
+      const inner = value.enabled === false ? { ...context, disabled: true } : context;
+
+      for (const [key, child] of Object.entries(node.properties)) {
+        if (value[key] === undefined) {
+          if (!child.optional) {
+            problems.push({ file: context.file, path: joinPath(path, key), message: 'is required', severity: 'error', placeholder: false });
+          }
+          continue;
+        }
+
+        check(child, value[key], joinPath(path, key), inner, problems);
+      }
+
+      if (node.additional) {
+        Object.keys(value)
+          .filter(key => !(key in node.properties))
+          .forEach(key => check(node.additional, value[key], joinPath(path, key), inner, problems));
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown schema node type: ${node.type}`);
+  }
+}
+
+function configProblem(path, message) {
+  return { file: CONFIG_FILE, path, message, severity: 'error', placeholder: false };
+}
+
+function metadataProblem(path, message) {
+  return { file: METADATA_FILE, path, message, severity: 'error', placeholder: false };
+}
+
+// Rules that involve more than one setting; each runs only on well-typed input
+function checkConfigRules(config, problems) {
+  try {
+    resolveNetworkName(config);
+  } catch (error) {
+    problems.push(configProblem('network.default', error.message));
+  }
+
+  const buckets = Array.isArray(config.distribution) ? config.distribution : [];
+  if (buckets.length > 0 && buckets.every(bucket => Number.isInteger(bucket?.basis_points))) {
+    const total = buckets.reduce((sum, bucket) => sum + bucket.basis_points, 0);
+    if (total !== BASIS_POINTS_TOTAL) {
+      problems.push(configProblem('distribution', `basis_points must sum to ${BASIS_POINTS_TOTAL}, got ${total}`));
+    }
+  }
+
+  const names = buckets.map(bucket => bucket?.name);
+  names.forEach((name, index) => {
+    if (typeof name === 'string' && names.indexOf(name) !== index) {
+      problems.push(configProblem(`distribution[${index}].name`, `duplicates distribution '${name}'`));
+    }
+  });
+
+  const multisig = config.security?.multisig;
+  if (Number.isInteger(multisig?.threshold) && Array.isArray(multisig?.signers) && multisig.threshold > multisig.signers.length) {
+    problems.push(configProblem('security.multisig.threshold', `must not exceed the ${multisig.signers.length} configured signers`));
+  }
+
+  const program = config.token?.program || 'spl-token';
+  if (program !== 'token-2022') {
+    Object.entries(config.token?.extensions || {})
+      .filter(([, extension]) => extension?.enabled === true)
+      .forEach(([name]) => problems.push({
+        ...configProblem(`token.extensions.${name}`, 'is ignored unless token.program is "token-2022"'),
+        severity: 'warning'
+      }));
+  }
+
+  if (program === 'token-2022' && config.token?.extensions?.metadata_pointer?.enabled === true && multisig?.enabled === true) {
+    problems.push(configProblem('token.extensions.metadata_pointer', 'cannot be enabled with security.multisig, the mint authority signs the on-mint metadata'));
+  }
+
+  const tokenProgram = config.programs?.token_program;
+  if (TOKEN_PROGRAMS[program] && typeof tokenProgram === 'string' && !isPlaceholder(tokenProgram) && tokenProgram !== TOKEN_PROGRAMS[program].toBase58()) {
+    problems.push(configProblem('programs.token_program', `must be the ${program} program (${TOKEN_PROGRAMS[program].toBase58()}) selected by token.program`));
+  }
+
+  const priorityFee = config.fees?.priority_fee;
+  if (priorityFee?.mode === 'fixed' && priorityFee.micro_lamports === undefined) {
+    problems.push(configProblem('fees.priority_fee.micro_lamports', 'is required when mode is "fixed"'));
+  }
+}
+
+function checkMetadataRules(metadata, problems) {
+  const creators = metadata.properties?.creators;
+
+  if (Array.isArray(creators) && creators.length > 0 && creators.every(creator => Number.isInteger(creator?.share))) {
+    const total = creators.reduce((sum, creator) => sum + creator.share, 0);
+    if (total !== 100) {
+      problems.push(metadataProblem('properties.creators', `shares must sum to 100, got ${total}`));
+    }
+  }
+}
+
+function findAttribute(metadata, traitType) {
+  const attributes = Array.isArray(metadata.attributes) ? metadata.attributes : [];
+  const index = attributes.findIndex(attribute => attribute?.trait_type === traitType);
+
+  return index === -1 ? null : { path: `attributes[${index}].value`, value: attributes[index].value };
+}
+
+/**
+ * Checks that token-metadata.json describes the token in config.token and
+ * the distribution buckets. Problems are reported on the metadata side.
+ */
+function checkConsistency(config, metadata, problems) {
+  const token = config.token || {};
+
+  ['name', 'symbol'].forEach(key => {
+    if (typeof token[key] === 'string' && typeof metadata[key] === 'string' && token[key] !== metadata[key]) {
+      problems.push(metadataProblem(key, `must match token.${key} in the config (${token[key]}), got ${metadata[key]}`));
+    }
+  });
+
+  const supply = findAttribute(metadata, 'Total Supply');
+  if (supply && typeof supply.value === 'string' && Number.isInteger(token.decimals)) {
+    try {
+      const expected = fromBaseUnits(token.total_supply, token.decimals);
+      if (supply.value.replace(/,/g, '') !== expected) {
+        problems.push(metadataProblem(supply.path, `must match token.total_supply (${expected} ${token.symbol}), got ${supply.value}`));
+      }
+    } catch (error) {
+      // token.total_supply is reported by the schema
+    }
+  }
+
+  (Array.isArray(config.distribution) ? config.distribution : []).forEach(bucket => {
+    const attribute = bucket?.name && findAttribute(metadata, bucket.name);
+    const match = attribute && typeof attribute.value === 'string' && /^(\d+(?:\.\d+)?)%/.exec(attribute.value);
+
+    if (match && Number.isInteger(bucket.basis_points) && Number(match[1]) !== bucket.basis_points / 100) {
+      problems.push(metadataProblem(attribute.path, `must match the ${bucket.basis_points / 100}% ${bucket.name} distribution, got ${attribute.value}`));
+    }
+  });
+
+  const programId = metadata.deployment?.program_id;
+  const tokenProgram = config.programs?.token_program;
+  if (programId && tokenProgram && !isPlaceholder(programId) && programId !== tokenProgram) {
+    problems.push(metadataProblem('deployment.program_id', `must match programs.token_program (${tokenProgram}), got ${programId}`));
+  }
+}
+
+function validateConfig(config) {
+  const problems = [];
+
+  check(CONFIG_SCHEMA, config, '', { file: CONFIG_FILE, disabled: false }, problems);
+  if (typeOf(config) === 'object') {
+    checkConfigRules(config, problems);
+  }
+
+  return problems;
+}
+
+function validateMetadata(metadata) {
+  const problems = [];
+
+  check(METADATA_SCHEMA, metadata, '', { file: METADATA_FILE, disabled: false }, problems);
+  if (typeOf(metadata) === 'object') {
+    checkMetadataRules(metadata, problems);
+  }
+
+  return problems;
+}
+
+/**
+ * Validates both files and the consistency between them. Either may be
+ * omitted to validate only the other.
+ */
+function validateDeploymentFiles({ config = null, metadata = null }) {
+  const problems = [];
+
+  if (config) {
+    problems.push(...validateConfig(config));
+  }
+
+  if (metadata) {
+    problems.push(...validateMetadata(metadata));
+  }
+
+  if (typeOf(config) === 'object' && typeOf(metadata) === 'object') {
+    checkConsistency(config, metadata, problems);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  METADATA_FILE,
+  validateConfig,
+  validateMetadata,
+  validateDeploymentFiles
+};
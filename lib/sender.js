@@ -0,0 +1,344 @@
+/**
+ * GlowMin Transaction Sending
+ *
+ * Every script sends its transactions through TransactionSender:
+ *
+ * - Compute budget: unless the instructions already set one, the compute unit
+ *   limit is the units a simulation of the transaction consumes plus
+ *   fees.priority_fee.compute_unit_margin_bps.
+ * - Priority fee: with fees.priority_fee.mode "auto" the compute unit price is
+ *   the given percentile of the prioritization fees recently paid for the
+ *   transaction's writable accounts, capped at max_micro_lamports; "fixed"
+ *   pays micro_lamports and "none" adds no priority fee.
+ * - Confirmation: the transaction is rebroadcast every
+ *   sending.rebroadcast_interval_ms until it reaches the connection's
+ *   commitment, or until the block height passes its lastValidBlockHeight.
+ *   An expired transaction is signed again with a fresh blockhash, up to
+ *   sending.max_attempts times.
+ * - Rate limits: RPC calls answered with HTTP 429 are retried with
+ *   exponential backoff, up to sending.rate_limit_retries times.
+ *
+ *   "fees": {
+ *     "priority_fee": { "mode": "auto", "percentile": 75, "max_micro_lamports": 1000000 }
+ *   },
+ *   "sending": { "max_attempts": 3, "rebroadcast_interval_ms": 2000, "rate_limit_retries": 5 }
+ *
+ * Transactions signed elsewhere (multisig and timelock submissions) cannot be
+ * signed again, so they are rebroadcast until they confirm or expire.
+ */
+
+const {
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+  ComputeBudgetProgram
+} = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { TransactionError } = require('./errors');
+
+const PRIORITY_FEE_DEFAULTS = {
+  mode: 'auto',
+  micro_lamports: 0,
+  percentile: 75,
+  max_micro_lamports: 1000000,
+  compute_unit_margin_bps: 1000
+};
+
+const SENDING_DEFAULTS = {
+  max_attempts: 3,
+  rebroadcast_interval_ms: 2000,
+  rate_limit_retries: 5
+};
+
+const MAX_COMPUTE_UNITS = 1400000;
+const POLL_INTERVAL_MS = 500;
+const BACKOFF_BASE_MS = 500;
+// Durable nonce transactions have no lastValidBlockHeight to wait for
+const NONCE_CONFIRM_TIMEOUT_MS = 90000;
+
+// ComputeBudgetProgram instruction discriminators
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRateLimited(error) {
+  return /\b429\b|too many requests/i.test(error.message);
+}
+
+function isBlockhashExpired(error) {
+  return /blockhash not found|block height exceeded/i.test(error.message);
+}
+
+function hasComputeBudget(instructions, discriminator) {
+  return instructions.some(instruction =>
+    instruction.programId.equals(ComputeBudgetProgram.programId) && instruction.data[0] === discriminator
+  );
+}
+
+/**
+ * Reads fees.priority_fee and sending, filling in the defaults.
+ */
+function getSendSettings(config) {
+  const priorityFee = { ...PRIORITY_FEE_DEFAULTS, ...(config.fees?.priority_fee || {}) };
+  const sending = { ...SENDING_DEFAULTS, ...(config.sending || {}) };
+
+  return {
+    priorityFee: {
+      mode: priorityFee.mode,
+      microLamports: priorityFee.micro_lamports,
+      percentile: priorityFee.percentile,
+      maxMicroLamports: priorityFee.max_micro_lamports,
+      marginBps: priorityFee.compute_unit_margin_bps
+    },
+    maxAttempts: sending.max_attempts,
+    rebroadcastIntervalMs: sending.rebroadcast_interval_ms,
+    rateLimitRetries: sending.rate_limit_retries
+  };
+}
+
+class TransactionSender {
+  constructor(connection, settings = getSendSettings({}), verbose = false) {
+    this.connection = connection;
+    this.settings = settings;
+    this.verbose = verbose;
+    this.commitment = connection.commitment || 'confirmed';
+  }
+
+  /**
+   * Runs an RPC call, backing off and retrying while the endpoint answers 429.
+   */
+  async rpc(label, operation) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (!isRateLimited(error) || attempt >= this.settings.rateLimitRetries) {
+          throw error;
+        }
+
+        const delay = BACKOFF_BASE_MS * 2 ** attempt;
+        console.warn(`⚠️  RPC rate limit hit (${label}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async getPriorityFee(instructions) {
+    const { mode, microLamports, percentile, maxMicroLamports } = this.settings.priorityFee;
+
+    if (mode === 'none') {
+      return 0;
+    }
+
+    if (mode === 'fixed') {
+      return microLamports;
+    }
+
+    const writable = [...new Map(instructions
+      .flatMap(instruction => instruction.keys)
+      .filter(key => key.isWritable)
+      .map(key => [key.pubkey.toBase58(), key.pubkey])).values()];
+
+    const recent = await this.rpc('getRecentPrioritizationFees', () =>
+      this.connection.getRecentPrioritizationFees({ lockedWritableAccounts: writable.slice(0, 128) })
+    );
+    const fees = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+
+    if (fees.length === 0) {
+      return 0;
+    }
+
+    const index = Math.min(fees.length - 1, Math.max(0, Math.ceil(fees.length * percentile / 100) - 1));
+    return Math.min(fees[index], maxMicroLamports);
+  }
+
+  async estimateComputeUnits(instructions, payer) {
+    const { blockhash } = await this.rpc('getLatestBlockhash', () => this.connection.getLatestBlockhash());
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: blockhash,
+      instructions: [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions]
+    }).compileToLegacyMessage();
+
+    const { value } = await this.rpc('simulateTransaction', () =>
+      this.connection.simulateTransaction(new VersionedTransaction(message), { sigVerify: false, replaceRecentBlockhash: true })
+    );
+
+    if (value.err) {
+      throw new TransactionError(`Transaction simulation failed: ${JSON.stringify(value.err)}`, { logs: value.logs || [] });
+    }
+
+    return this.getComputeUnitLimit(value.unitsConsumed || 0);
+  }
+
+  getComputeUnitLimit(unitsConsumed) {
+    const units = Math.ceil(unitsConsumed * (10000 + this.settings.priorityFee.marginBps) / 10000);
+    return Math.min(MAX_COMPUTE_UNITS, Math.max(units, 1));
+  }
+
+  /**
+   * The priority fee in lamports for instructions that consume `unitsConsumed`.
+   */
+  async estimatePriorityFee(instructions, unitsConsumed) {
+    const microLamports = BigInt(await this.getPriorityFee(instructions));
+    return (microLamports * BigInt(this.getComputeUnitLimit(unitsConsumed)) + 999999n) / 1000000n;
+  }
+
+  /**
+   * Prepends the compute unit limit and priority fee instructions. `payer`
+   * is the fee payer's public key.
+   */
+  async addComputeBudget(instructions, payer) {
+    const budget = [];
+
+    if (!hasComputeBudget(instructions, SET_COMPUTE_UNIT_LIMIT)) {
+      budget.push(ComputeBudgetProgram.setComputeUnitLimit({ units: await this.estimateComputeUnits(instructions, payer) }));
+    }
+
+    if (!hasComputeBudget(instructions, SET_COMPUTE_UNIT_PRICE)) {
+      const microLamports = await this.getPriorityFee(instructions);
+
+      if (microLamports > 0) {
+        budget.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+      }
+
+      if (this.verbose) {
+        console.log(`   Priority fee: ${microLamports} micro-lamports per compute unit`);
+      }
+    }
+
+    return [...budget, ...instructions];
+  }
+
+  /**
+   * Sends instructions signed by `signers`, the first of which pays the fee,
+   * and resolves to the signature once confirmed. Expired attempts are
+   * signed again with a fresh blockhash. `onSigned(signature,
+   * lastValidBlockHeight)` is awaited before each attempt is broadcast, for
+   * callers that must record a transaction which could land after a crash.
+   */
+  async send(instructions, signers, description = 'transaction', { onSigned = null } = {}) {
+    const payer = signers[0].publicKey;
+    const prepared = await this.addComputeBudget(instructions, payer);
+
+    for (let attempt = 1; attempt <= this.settings.maxAttempts; attempt++) {
+      const { blockhash, lastValidBlockHeight } = await this.rpc('getLatestBlockhash', () =>
+        this.connection.getLatestBlockhash(this.commitment)
+      );
+      const transaction = new Transaction({ feePayer: payer, blockhash, lastValidBlockHeight }).add(...prepared);
+      transaction.sign(...signers);
+
+      if (onSigned) {
+        await onSigned(bs58.encode(transaction.signature), lastValidBlockHeight);
+      }
+
+      const signature = await this.broadcast(transaction.serialize());
+
+      if (signature && await this.confirm(transaction.serialize(), signature, lastValidBlockHeight)) {
+        return signature;
+      }
+
+      if (attempt < this.settings.maxAttempts) {
+        console.warn(`⚠️  ${description} expired before confirming, retrying with a new blockhash (attempt ${attempt + 1}/${this.settings.maxAttempts})`);
+      }
+    }
+
+    throw new TransactionError(`${description} was not confirmed after ${this.settings.maxAttempts} attempt(s)`);
+  }
+
+  /**
+   * Broadcasts a fully signed transaction and waits for it to confirm.
+   * `lastValidBlockHeight` is null for durable nonce transactions.
+   */
+  async submit(transaction, lastValidBlockHeight = null) {
+    const raw = transaction.serialize();
+    const signature = await this.broadcast(raw);
+
+    if (!signature) {
+      throw new TransactionError('Transaction blockhash has expired, it has to be signed again');
+    }
+
+    if (!await this.confirm(raw, signature, lastValidBlockHeight)) {
+      throw new TransactionError(`Transaction ${signature} expired before it was confirmed`, { signature });
+    }
+
+    return signature;
+  }
+
+  // Resolves to the signature, or null when the blockhash has already expired
+  async broadcast(raw) {
+    try {
+      return await this.rpc('sendTransaction', () =>
+        this.connection.sendRawTransaction(raw, { maxRetries: 0, preflightCommitment: this.commitment })
+      );
+    } catch (error) {
+      if (isBlockhashExpired(error)) {
+        return null;
+      }
+
+      throw new TransactionError(`Transaction rejected: ${error.message}`, { logs: error.logs || [], cause: error });
+    }
+  }
+
+  // Resolves to true once confirmed, or false once the blockhash has expired
+  async confirm(raw, signature, lastValidBlockHeight) {
+    const deadline = lastValidBlockHeight === null ? Date.now() + NONCE_CONFIRM_TIMEOUT_MS : null;
+    let lastBroadcast = Date.now();
+
+    for (;;) {
+      await sleep(POLL_INTERVAL_MS);
+
+      const { value: [status] } = await this.rpc('getSignatureStatuses', () => this.connection.getSignatureStatuses([signature]));
+
+      if (status?.err) {
+        throw new TransactionError(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`, { signature });
+      }
+
+      if (status && COMMITMENT_RANK[status.confirmationStatus] >= COMMITMENT_RANK[this.commitment]) {
+        return true;
+      }
+
+      const expired = deadline
+        ? Date.now() > deadline
+        : await this.rpc('getBlockHeight', () => this.connection.getBlockHeight(this.commitment)) > lastValidBlockHeight;
+
+      if (expired) {
+        // It may have landed between the last status check and expiry
+        const { value: [final] } = await this.rpc('getSignatureStatuses', () =>
+          this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true })
+        );
+
+        if (final?.err) {
+          throw new TransactionError(`Transaction ${signature} failed: ${JSON.stringify(final.err)}`, { signature });
+        }
+
+        return Boolean(final);
+      }
+
+      if (Date.now() - lastBroadcast >= this.settings.rebroadcastIntervalMs) {
+        lastBroadcast = Date.now();
+
+        try {
+          await this.connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+        } catch (error) {
+          if (this.verbose) {
+            console.warn(`⚠️  Rebroadcast of ${signature} failed: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  MAX_COMPUTE_UNITS,
+  PRIORITY_FEE_DEFAULTS,
+  SENDING_DEFAULTS,
+  getSendSettings,
+  TransactionSender
+};
@@ -0,0 +1,370 @@
+/**
+ * GlowMin Transaction Simulation
+ *
+ * Dry runs build the transactions a real run would send and pass each one to
+ * simulateTransaction instead of signing it. Signatures are not verified, so
+ * dry runs work with multisig signers that are not available locally, and
+ * the RPC node fills in a recent blockhash.
+ *
+ * Each simulation reports its compute units, program logs and the changes to
+ * every writable account. A transaction that needs accounts an earlier one
+ * creates (a mint, a pool) is simulated with that transaction's instructions
+ * in front of it, since simulations do not share state; its compute units
+ * are reported net of the earlier transaction's, and its account changes
+ * are measured from the state the earlier transaction leaves. When the two
+ * do not fit in one transaction the later one is reported as not simulated,
+ * which does not fail the dry run.
+ *
+ * The cost of a run is the signature fees (fees.transaction_fee per
+ * signature) plus, given a TransactionSender, the priority fees it would
+ * add for the compute units each transaction consumes, the rent each step declares for the accounts it creates
+ * (normally from config.fees) and any other lamports it spends, such as
+ * the Raydium pool creation fee.
+ */
+
+const {
+  PublicKey,
+  TransactionMessage,
+  VersionedTransaction,
+  ComputeBudgetProgram,
+  PACKET_DATA_SIZE
+} = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ACCOUNT_SIZE, MINT_SIZE, AccountType } = require('@solana/spl-token');
+const { parseAmount, formatAmount } = require('./amount');
+const { MAX_COMPUTE_UNITS } = require('./sender');
+
+const SOL_DECIMALS = 9;
+
+function formatSol(lamports) {
+  return formatAmount(lamports, SOL_DECIMALS, 'SOL');
+}
+
+function formatLamports(lamports) {
+  return `${lamports.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')} lamports`;
+}
+
+function formatDelta(delta) {
+  return `${delta > 0n ? '+' : ''}${formatLamports(delta)}`;
+}
+
+// Token balances and mint supplies, read from raw SPL Token or Token-2022 account data.
+// Token-2022 accounts with extensions store their account type right after the base
+// token account layout.
+function readTokenAmount(account) {
+  if (!account || !(account.owner.equals(TOKEN_PROGRAM_ID) || account.owner.equals(TOKEN_2022_PROGRAM_ID))) {
+    return null;
+  }
+
+  const { data } = account;
+  const accountType = data.length > ACCOUNT_SIZE && account.owner.equals(TOKEN_2022_PROGRAM_ID)
+    ? data.readUInt8(ACCOUNT_SIZE)
+    : null;
+
+  if (data.length === ACCOUNT_SIZE || accountType === AccountType.Account) {
+    return { kind: 'balance', amount: data.readBigUInt64LE(64) };
+  }
+
+  if (data.length === MINT_SIZE || accountType === AccountType.Mint) {
+    return { kind: 'supply', amount: data.readBigUInt64LE(36) };
+  }
+
+  return null;
+}
+
+// Combined transactions run with the maximum compute limit instead of either one's own
+function withoutComputeBudget(instructions) {
+  return instructions.filter(instruction => !instruction.programId.equals(ComputeBudgetProgram.programId));
+}
+
+function transactionSize(message) {
+  try {
+    return 1 + 64 * message.header.numRequiredSignatures + message.serialize().length;
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+function fromSimulatedAccount(account) {
+  if (!account) {
+    return null;
+  }
+
+  return {
+    lamports: account.lamports,
+    owner: new PublicKey(account.owner),
+    data: Buffer.from(account.data[0], 'base64')
+  };
+}
+
+class TransactionSimulator {
+  /**
+   * `payer` is the fee payer of every transaction and `fees` is config.fees.
+   */
+  constructor(connection, payer, fees = {}, verbose = false, sender = null) {
+    this.connection = connection;
+    this.sender = sender;
+    this.payer = payer;
+    this.transactionFee = parseAmount(fees.transaction_fee ?? 5000, 'fees.transaction_fee');
+    this.verbose = verbose;
+    this.names = new Map([[payer.toBase58(), 'Payer']]);
+    this.chain = new Map();
+    this.state = new Map();
+    this.steps = [];
+    this.costs = [];
+  }
+
+  /**
+   * Gives an account a readable name in the account changes.
+   */
+  name(address, label) {
+    this.names.set(address.toBase58(), label);
+    return address;
+  }
+
+  async getChainAccount(address) {
+    const key = address.toBase58();
+
+    if (!this.chain.has(key)) {
+      this.chain.set(key, await this.connection.getAccountInfo(address));
+    }
+
+    return this.chain.get(key);
+  }
+
+  /**
+   * Returns an account as the simulated steps so far leave it, falling back
+   * to its current on-chain state.
+   */
+  async getAccount(address) {
+    const key = address.toBase58();
+    return this.state.has(key) ? this.state.get(key) : this.getChainAccount(address);
+  }
+
+  async getTokenAmount(address) {
+    return readTokenAmount(await this.getAccount(address))?.amount ?? null;
+  }
+
+  /**
+   * Records lamports a run spends outside transaction fees and rent.
+   */
+  addCost(label, lamports) {
+    this.costs.push({ label, lamports: parseAmount(lamports) });
+  }
+
+  /**
+   * Simulates one transaction. Options: `rent` in lamports for the accounts
+   * it creates, and `after`, an earlier step whose instructions must run
+   * first.
+   */
+  async simulate(label, instructions, { rent = 0n, after = null } = {}) {
+    console.log(`🧪 Simulating: ${label}`);
+
+    const { blockhash } = await this.connection.getLatestBlockhash();
+    const compile = list => new TransactionMessage({
+      payerKey: this.payer,
+      recentBlockhash: blockhash,
+      instructions: list
+    }).compileToLegacyMessage();
+
+    const ownMessage = compile(instructions);
+    const message = after
+      ? compile([
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+        ...withoutComputeBudget(after.instructions),
+        ...withoutComputeBudget(instructions)
+      ])
+      : ownMessage;
+
+    const writable = ownMessage.accountKeys.filter((key, index) => ownMessage.isAccountWritable(index));
+    const before = await Promise.all(writable.map(address =>
+      after?.accounts.has(address.toBase58()) ? after.accounts.get(address.toBase58()) : this.getChainAccount(address)
+    ));
+
+    const step = {
+      label,
+      instructions,
+      error: null,
+      skipped: null,
+      unitsConsumed: null,
+      logs: [],
+      changes: [],
+      accounts: new Map(),
+      fee: this.transactionFee * BigInt(ownMessage.header.numRequiredSignatures),
+      rent: parseAmount(rent)
+    };
+
+    if (after?.error) {
+      step.error = `depends on "${after.label}", which failed`;
+    } else if (after && transactionSize(message) > PACKET_DATA_SIZE) {
+      step.skipped = `needs accounts created by "${after.label}" and does not fit in one transaction with it`;
+    } else {
+      try {
+        const { value } = await this.connection.simulateTransaction(new VersionedTransaction(message), {
+          sigVerify: false,
+          replaceRecentBlockhash: true,
+          accounts: { encoding: 'base64', addresses: writable.map(address => address.toBase58()) }
+        });
+
+        step.logs = value.logs || [];
+        step.unitsConsumed = value.unitsConsumed === undefined ? null : value.unitsConsumed - (after?.unitsConsumed || 0);
+
+        if (value.err) {
+          step.error = typeof value.err === 'string' ? value.err : JSON.stringify(value.err);
+        } else {
+          if (this.sender && step.unitsConsumed !== null) {
+            step.fee += await this.sender.estimatePriorityFee(instructions, step.unitsConsumed);
+          }
+
+          const accounts = (value.accounts || []).map(fromSimulatedAccount);
+          step.changes = this.describeChanges(writable, before, accounts);
+          writable.forEach((address, index) => {
+            step.accounts.set(address.toBase58(), accounts[index]);
+            this.state.set(address.toBase58(), accounts[index]);
+          });
+        }
+      } catch (error) {
+        step.error = error.message;
+      }
+    }
+
+    this.steps.push(step);
+    this.printStep(step);
+
+    return step;
+  }
+
+  describeChanges(addresses, before, after) {
+    return addresses.map((address, index) => {
+      const previous = before[index];
+      const next = after[index];
+      const change = {
+        address: address.toBase58(),
+        name: this.names.get(address.toBase58()) || null,
+        created: !previous && Boolean(next),
+        closed: Boolean(previous) && !next,
+        lamports: BigInt(next?.lamports || 0) - BigInt(previous?.lamports || 0)
+      };
+
+      if (change.created) {
+        change.owner = next.owner.toBase58();
+        change.size = next.data.length;
+      }
+
+      const token = readTokenAmount(next) || readTokenAmount(previous);
+      if (token) {
+        const delta = (readTokenAmount(next)?.amount || 0n) - (readTokenAmount(previous)?.amount || 0n);
+        if (delta !== 0n) {
+          change[token.kind === 'supply' ? 'supplyChange' : 'tokenChange'] = delta;
+        }
+      }
+
+      return change;
+    }).filter(change => change.created || change.closed || change.lamports !== 0n || change.tokenChange || change.supplyChange);
+  }
+
+  printStep(step) {
+    if (step.error) {
+      console.log(`   ❌ Simulation failed: ${step.error}`);
+    } else if (step.skipped) {
+      console.log(`   ⚠️  Not simulated: ${step.skipped}`);
+    } else {
+      console.log(`   ✅ Compute units: ${step.unitsConsumed ?? 'unknown'}`);
+    }
+
+    console.log(`   Fee: ${formatLamports(step.fee)}${step.rent > 0n ? `, rent: ${formatLamports(step.rent)}` : ''}`);
+
+    if (step.changes.length > 0) {
+      console.log('   Account changes:');
+      step.changes.forEach(change => {
+        const details = [];
+        if (change.created) {
+          details.push(`created (${change.size} bytes, owner ${change.owner})`);
+        }
+        if (change.closed) {
+          details.push('closed');
+        }
+        if (change.lamports !== 0n) {
+          details.push(formatDelta(change.lamports));
+        }
+        if (change.tokenChange) {
+          details.push(`${change.tokenChange > 0n ? '+' : ''}${change.tokenChange} tokens (base units)`);
+        }
+        if (change.supplyChange) {
+          details.push(`supply ${change.supplyChange > 0n ? '+' : ''}${change.supplyChange} (base units)`);
+        }
+
+        console.log(`     ${change.name ? `${change.name} ` : ''}${change.address}: ${details.join(', ')}`);
+      });
+    }
+
+    // Logs are always shown for failures, where they explain the error
+    if (step.logs.length > 0 && (step.error || this.verbose)) {
+      console.log('   Logs:');
+      step.logs.forEach(line => console.log(`     ${line}`));
+    } else if (step.logs.length > 0) {
+      console.log(`   Logs: ${step.logs.length} lines (use --verbose to show them)`);
+    }
+
+    console.log('');
+  }
+
+  /**
+   * Prints the totals, checks them against the payer balance and returns the
+   * report that dry runs resolve to.
+   */
+  async summarize() {
+    const failed = this.steps.filter(step => step.error);
+    const skipped = this.steps.filter(step => step.skipped);
+    const fees = this.steps.reduce((sum, step) => sum + step.fee, 0n);
+    const rent = this.steps.reduce((sum, step) => sum + step.rent, 0n);
+    const other = this.costs.reduce((sum, cost) => sum + cost.lamports, 0n);
+    const totalCost = fees + rent + other;
+    const payerBalance = BigInt(await this.connection.getBalance(this.payer));
+    const units = this.steps.reduce((sum, step) => sum + (step.unitsConsumed || 0), 0);
+
+    console.log('📋 Simulation Summary:');
+    console.log(`   Transactions: ${this.steps.length} (${this.steps.length - failed.length - skipped.length} passed, ${failed.length} failed, ${skipped.length} not simulated)`);
+    console.log(`   Compute Units: ${units}`);
+    console.log(`   Transaction Fees: ${formatLamports(fees)}`);
+    console.log(`   Rent: ${formatLamports(rent)}`);
+    this.costs.forEach(cost => console.log(`   ${cost.label}: ${formatLamports(cost.lamports)}`));
+    console.log(`   Total Cost: ${formatLamports(totalCost)} (${formatSol(totalCost)})`);
+    console.log(`   Payer Balance: ${formatLamports(payerBalance)} (${formatSol(payerBalance)})`);
+
+    const funded = payerBalance >= totalCost;
+    if (!funded) {
+      console.log(`   ❌ Payer ${this.payer.toBase58()} is short ${formatSol(totalCost - payerBalance)}`);
+    }
+
+    const passed = failed.length === 0 && funded;
+    if (!passed) {
+      console.log('\n❌ Simulation found problems, nothing was sent');
+    } else if (skipped.length > 0) {
+      console.log(`\n✅ Simulation passed, ${skipped.length} transaction(s) could only be checked on a real run`);
+    } else {
+      console.log('\n✅ All transactions simulated successfully');
+    }
+
+    return {
+      passed,
+      payer: this.payer.toBase58(),
+      payerBalance,
+      fees,
+      rent,
+      otherCosts: this.costs,
+      totalCost,
+      transactions: this.steps.map(({ label, error, skipped, unitsConsumed, logs, changes, fee, rent }) => ({
+        label,
+        error,
+        skipped,
+        unitsConsumed,
+        logs,
+        changes,
+        fee,
+        rent
+      }))
+    };
+  }
+}
+
+module.exports = { TransactionSimulator, transactionSize };
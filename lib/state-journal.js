@@ -0,0 +1,67 @@
+/**
+ * GlowMin State Journal
+ *
+ * A small JSON file recording the progress of a multi-step run as each step
+ * confirms, so an interrupted run can be resumed without repeating work.
+ * Writes go to a temporary file that is renamed into place, so a crash never
+ * leaves a half-written journal behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+class StateJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  load() {
+    if (!this.exists()) {
+      this.state = null;
+      return null;
+    }
+
+    try {
+      this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`State journal ${this.filePath} is unreadable: ${error.message}`, { cause: error });
+    }
+
+    return this.state;
+  }
+
+  get(key) {
+    return this.state ? this.state[key] : undefined;
+  }
+
+  update(changes) {
+    const now = new Date().toISOString();
+    this.state = { createdAt: now, ...this.state, ...changes, updatedAt: now };
+    this.save();
+    return this.state;
+  }
+
+  setEntry(section, key, value) {
+    const entries = { ...(this.get(section) || {}), [key]: value };
+    return this.update({ [section]: entries });
+  }
+
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = { StateJournal };
@@ -0,0 +1,209 @@
+/**
+ * GlowMin Timelock Queue
+ *
+ * With security.timelock enabled, authority-sensitive operations are proposed
+ * instead of run. A proposal stores the unsigned transaction, serialized when
+ * it was proposed, and a not-before time of security.timelock.delay seconds
+ * later. Proposals are kept per network in deployments/timelock-<network>.json
+ * and can be listed, cancelled, or executed once their delay has passed.
+ */
+
+const { SystemProgram, Transaction } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, TokenInstruction, AuthorityType, decodeInstruction } = require('@solana/spl-token');
+const { StateJournal } = require('./state-journal');
+const { ConfigError, PrerequisiteError } = require('./errors');
+const { decodeUpdateMetadataInstruction } = require('./token-metadata');
+
+const PROGRAM_NAMES = {
+  [TOKEN_PROGRAM_ID.toBase58()]: 'SPL Token',
+  [TOKEN_2022_PROGRAM_ID.toBase58()]: 'Token-2022',
+  [SystemProgram.programId.toBase58()]: 'System Program'
+};
+
+// Proposals that can still be executed or cancelled
+const OPEN_STATUSES = ['queued', 'awaiting-signatures'];
+
+/**
+ * Validates security.timelock, returning null when it is disabled.
+ */
+function getTimelockSettings(config) {
+  const timelock = config.security?.timelock;
+
+  if (!timelock?.enabled) {
+    return null;
+  }
+
+  if (!Number.isInteger(timelock.delay) || timelock.delay < 0) {
+    throw new ConfigError(`security.timelock.delay must be a whole number of seconds, got ${timelock.delay}`);
+  }
+
+  return { delay: timelock.delay };
+}
+
+function formatDuration(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+  if (typeof value === 'string' || typeof value === 'bigint' || typeof value.toBase58 === 'function') {
+    return value.toString();
+  }
+  return JSON.stringify(value);
+}
+
+// Metadata updates list the fields they set; the others are left as they are on chain
+function describeMetadataUpdate(decoded) {
+  const fields = decoded.data ? { ...decoded.data } : { data: 'unchanged' };
+
+  ['newUpdateAuthority', 'primarySaleHappened', 'isMutable'].forEach(key => {
+    fields[key] = decoded[key] ?? 'unchanged';
+  });
+
+  return fields;
+}
+
+/**
+ * Renders every instruction of a transaction: program, decoded instruction
+ * where the program is known, accounts with their signer and writable flags,
+ * and the raw instruction data. Metadata updates are decoded for the token
+ * metadata program in metadataProgramId (programs.metadata_program).
+ */
+function describeInstructions(transaction, metadataProgramId = null) {
+  const lines = [];
+  const programNames = metadataProgramId
+    ? { ...PROGRAM_NAMES, [metadataProgramId.toBase58()]: 'Token Metadata' }
+    : PROGRAM_NAMES;
+
+  transaction.instructions.forEach((instruction, index) => {
+    const programId = instruction.programId.toBase58();
+    let name = 'Unknown instruction';
+    let fields = {};
+
+    if (instruction.programId.equals(TOKEN_PROGRAM_ID) || instruction.programId.equals(TOKEN_2022_PROGRAM_ID)) {
+      try {
+        const decoded = decodeInstruction(instruction, instruction.programId);
+        name = TokenInstruction[decoded.data.instruction];
+        fields = { ...decoded.data };
+        delete fields.instruction;
+        if (fields.authorityType !== undefined) {
+          fields.authorityType = AuthorityType[fields.authorityType];
+        }
+      } catch (error) {
+        name = 'Undecodable token instruction';
+      }
+    } else if (metadataProgramId && instruction.programId.equals(metadataProgramId)) {
+      try {
+        const decoded = decodeUpdateMetadataInstruction(instruction.data);
+        if (decoded) {
+          name = 'UpdateMetadataAccountV2';
+          fields = describeMetadataUpdate(decoded);
+        }
+      } catch (error) {
+        name = 'Undecodable metadata instruction';
+      }
+    }
+
+    lines.push(`${index + 1}. ${programNames[programId] || programId}: ${name}`);
+    Object.entries(fields).forEach(([key, value]) => lines.push(`   ${key}: ${formatValue(value)}`));
+    instruction.keys.forEach(({ pubkey, isSigner, isWritable }) => {
+      const flags = [isSigner && 'signer', isWritable && 'writable'].filter(Boolean).join(', ');
+      lines.push(`   account: ${pubkey.toBase58()}${flags ? ` (${flags})` : ''}`);
+    });
+    lines.push(`   data: ${instruction.data.toString('hex') || '(empty)'}`);
+  });
+
+  return lines;
+}
+
+class ProposalQueue {
+  constructor(filePath, delaySeconds) {
+    this.journal = new StateJournal(filePath);
+    this.delaySeconds = delaySeconds;
+    this.journal.load();
+  }
+
+  get filePath() {
+    return this.journal.filePath;
+  }
+
+  list() {
+    return Object.values(this.journal.get('proposals') || {}).sort((a, b) => a.id - b.id);
+  }
+
+  get(id) {
+    const proposal = (this.journal.get('proposals') || {})[id];
+
+    if (!proposal) {
+      throw new PrerequisiteError(`Proposal #${id} not found in ${this.filePath}`);
+    }
+
+    return proposal;
+  }
+
+  save(proposal) {
+    this.journal.setEntry('proposals', proposal.id, proposal);
+    return proposal;
+  }
+
+  propose({ action, description, transaction }) {
+    const id = this.journal.get('nextId') || 1;
+    const now = Date.now();
+
+    this.journal.update({ nextId: id + 1 });
+
+    return this.save({
+      id,
+      action,
+      description,
+      status: 'queued',
+      createdAt: new Date(now).toISOString(),
+      notBefore: new Date(now + this.delaySeconds * 1000).toISOString(),
+      transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64')
+    });
+  }
+
+  cancel(id) {
+    const proposal = this.get(id);
+
+    if (!OPEN_STATUSES.includes(proposal.status)) {
+      throw new PrerequisiteError(`Proposal #${id} is ${proposal.status} and cannot be cancelled`);
+    }
+
+    return this.save({ ...proposal, status: 'cancelled', cancelledAt: new Date().toISOString() });
+  }
+
+  /**
+   * Returns the proposal and its transaction, refusing proposals that are
+   * closed or whose delay has not passed yet. A proposal awaiting signatures
+   * can be executed again once its pending transaction has expired.
+   */
+  getExecutable(id, now = Date.now()) {
+    const proposal = this.get(id);
+
+    if (!OPEN_STATUSES.includes(proposal.status)) {
+      throw new PrerequisiteError(`Proposal #${id} is ${proposal.status} and cannot be executed`);
+    }
+
+    const remaining = new Date(proposal.notBefore).getTime() - now;
+    if (remaining > 0) {
+      throw new PrerequisiteError(`Proposal #${id} cannot be executed before ${proposal.notBefore} (${formatDuration(remaining)} from now)`);
+    }
+
+    return { proposal, transaction: Transaction.from(Buffer.from(proposal.transaction, 'base64')) };
+  }
+
+  markExecuted(id, signature) {
+    return this.save({ ...this.get(id), status: 'executed', signature, executedAt: new Date().toISOString() });
+  }
+
+  markPendingSignatures(id, pendingFile) {
+    return this.save({ ...this.get(id), status: 'awaiting-signatures', pendingFile, pendingAt: new Date().toISOString() });
+  }
+}
+
+module.exports = { OPEN_STATUSES, ProposalQueue, getTimelockSettings, describeInstructions, formatDuration };
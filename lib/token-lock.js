@@ -0,0 +1,148 @@
+/**
+ * GlowMin Token Lock Helpers
+ *
+ * Instruction builders and decoders for the SPL token-vesting program
+ * (Bonfida). Locked tokens sit in a token account owned by a program PDA and
+ * can only be released to the recorded destination once its schedule
+ * matures. Escrow seeds start with random bytes, which callers record to find
+ * the escrow again: a seed anyone can compute would let a third party
+ * initialize the escrow first and block the lock.
+ */
+
+const crypto = require('crypto');
+const {
+  PublicKey,
+  SystemProgram,
+  SYSVAR_RENT_PUBKEY,
+  SYSVAR_CLOCK_PUBKEY,
+  TransactionInstruction
+} = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+
+const INIT_INSTRUCTION = 0;
+const CREATE_INSTRUCTION = 1;
+const UNLOCK_INSTRUCTION = 2;
+
+const LOCK_SEED_SIZE = 31;
+const HEADER_SIZE = 65;
+const SCHEDULE_SIZE = 16;
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function generateLockSeed() {
+  return crypto.randomBytes(LOCK_SEED_SIZE);
+}
+
+/**
+ * Derives the escrow PDA, its seeds and its token account for a locked mint.
+ * The program expects 32 seed bytes: the 31 bytes from generateLockSeed
+ * followed by the bump.
+ */
+function deriveLockAccounts(programId, mint, seedPrefix) {
+  if (seedPrefix.length !== LOCK_SEED_SIZE) {
+    throw new Error(`Lock seed must be ${LOCK_SEED_SIZE} bytes, got ${seedPrefix.length}`);
+  }
+
+  const [escrow, bump] = PublicKey.findProgramAddressSync([seedPrefix], programId);
+  const seeds = Buffer.concat([seedPrefix, Buffer.from([bump])]);
+  const escrowTokenAccount = getAssociatedTokenAddressSync(mint, escrow, true);
+
+  return { escrow, seeds, escrowTokenAccount };
+}
+
+function makeInitLockInstruction({ programId, payer, escrow, seeds, scheduleCount = 1 }) {
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(scheduleCount);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: escrow, isSigner: false, isWritable: true }
+    ],
+    data: Buffer.concat([Buffer.from([INIT_INSTRUCTION]), seeds, count])
+  });
+}
+
+/**
+ * Moves tokens from the source account into the escrow with the given
+ * release schedules ({ releaseTime, amount }, release time in unix seconds).
+ */
+function makeCreateLockInstruction({ programId, escrow, escrowTokenAccount, seeds, mint, sourceOwner, sourceTokenAccount, destinationTokenAccount, schedules }) {
+  const data = Buffer.concat([
+    Buffer.from([CREATE_INSTRUCTION]),
+    seeds,
+    mint.toBuffer(),
+    destinationTokenAccount.toBuffer(),
+    ...schedules.map(schedule => Buffer.concat([u64(schedule.releaseTime), u64(schedule.amount)]))
+  ]);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: escrow, isSigner: false, isWritable: true },
+      { pubkey: escrowTokenAccount, isSigner: false, isWritable: true },
+      { pubkey: sourceOwner, isSigner: true, isWritable: false },
+      { pubkey: sourceTokenAccount, isSigner: false, isWritable: true }
+    ],
+    data
+  });
+}
+
+/**
+ * Releases every matured schedule to the recorded destination account.
+ */
+function makeUnlockInstruction({ programId, escrow, escrowTokenAccount, seeds, destinationTokenAccount }) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_CLOCK_PUBKEY, isSigner: false, isWritable: false },
+      { pubkey: escrow, isSigner: false, isWritable: true },
+      { pubkey: escrowTokenAccount, isSigner: false, isWritable: true },
+      { pubkey: destinationTokenAccount, isSigner: false, isWritable: true }
+    ],
+    data: Buffer.concat([Buffer.from([UNLOCK_INSTRUCTION]), seeds])
+  });
+}
+
+/**
+ * Decodes an escrow account into its destination, mint and schedules.
+ */
+function decodeLockAccount(data) {
+  if (!data || data.length < HEADER_SIZE) {
+    throw new Error('Account data is too short to be a token lock escrow');
+  }
+
+  const schedules = [];
+  for (let offset = HEADER_SIZE; offset + SCHEDULE_SIZE <= data.length; offset += SCHEDULE_SIZE) {
+    schedules.push({
+      releaseTime: Number(data.readBigUInt64LE(offset)),
+      amount: data.readBigUInt64LE(offset + 8)
+    });
+  }
+
+  return {
+    destinationTokenAccount: new PublicKey(data.subarray(0, 32)),
+    mint: new PublicKey(data.subarray(32, 64)),
+    isInitialized: data[64] === 1,
+    schedules
+  };
+}
+
+module.exports = {
+  LOCK_SEED_SIZE,
+  generateLockSeed,
+  deriveLockAccounts,
+  makeInitLockInstruction,
+  makeCreateLockInstruction,
+  makeUnlockInstruction,
+  decodeLockAccount
+};
@@ -0,0 +1,346 @@
+/**
+ * GlowMin Token Metadata Helpers
+ *
+ * Locates and decodes Metaplex token metadata accounts directly from account
+ * data, and builds the CreateMetadataAccountV3 and UpdateMetadataAccountV2
+ * instructions, so deployments can be created, updated and checked without
+ * the Metaplex client stack. NFTs also use CreateMasterEditionV3 and
+ * VerifySizedCollectionItem. UpdateMetadataAccountV2 instructions can be
+ * decoded again, for reviewing timelock proposals before they are signed.
+ */
+
+const { PublicKey, TransactionInstruction, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
+
+const METADATA_SEED = Buffer.from('metadata', 'utf8');
+const EDITION_SEED = Buffer.from('edition', 'utf8');
+const UPDATE_METADATA_ACCOUNT_V2 = 15;
+const CREATE_MASTER_EDITION_V3 = 17;
+const VERIFY_SIZED_COLLECTION_ITEM = 30;
+const CREATE_METADATA_ACCOUNT_V3 = 33;
+
+function findMetadataAddress(mint, programId) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [METADATA_SEED, programId.toBuffer(), mint.toBuffer()],
+    programId
+  );
+  return address;
+}
+
+function findMasterEditionAddress(mint, programId) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [METADATA_SEED, programId.toBuffer(), mint.toBuffer(), EDITION_SEED],
+    programId
+  );
+  return address;
+}
+
+/**
+ * Decodes the fields of a metadata account up to `isMutable`. On-chain
+ * strings are padded with NUL bytes, which are stripped here.
+ */
+function decodeMetadata(data) {
+  let offset = 0;
+
+  const readPublicKey = () => {
+    const key = new PublicKey(data.subarray(offset, offset + 32));
+    offset += 32;
+    return key;
+  };
+
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8').replace(/\0/g, '');
+    offset += 4 + length;
+    return value;
+  };
+
+  const key = data[offset];
+  offset += 1;
+
+  const updateAuthority = readPublicKey();
+  const mint = readPublicKey();
+  const name = readString();
+  const symbol = readString();
+  const uri = readString();
+  const sellerFeeBasisPoints = data.readUInt16LE(offset);
+  offset += 2;
+
+  let creators = null;
+  if (data[offset++] === 1) {
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    creators = [];
+    for (let i = 0; i < count; i++) {
+      const address = readPublicKey();
+      creators.push({ address, verified: data[offset] === 1, share: data[offset + 1] });
+      offset += 2;
+    }
+  }
+
+  const primarySaleHappened = data[offset++] === 1;
+  const isMutable = data[offset++] === 1;
+
+  return {
+    key,
+    updateAuthority,
+    mint,
+    name,
+    symbol,
+    uri,
+    sellerFeeBasisPoints,
+    creators,
+    primarySaleHappened,
+    isMutable
+  };
+}
+
+function encodeU32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function encodeString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  return Buffer.concat([encodeU32(bytes.length), bytes]);
+}
+
+function encodeU64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function encodeOption(value, encode) {
+  return value === null || value === undefined ? Buffer.from([0]) : Buffer.concat([Buffer.from([1]), encode(value)]);
+}
+
+/**
+ * Encodes DataV2 from name, symbol, uri, sellerFeeBasisPoints and creators
+ * ({ address, share, verified }). A creator can only be marked verified when
+ * it signs, so `verified` defaults to whether it is the update authority.
+ * An NFT names its collection as { key, verified }; it is created unverified
+ * and verified afterwards by the collection authority. Uses are left unset.
+ */
+function encodeData(data, updateAuthority) {
+  const creators = data.creators || [];
+
+  const fee = Buffer.alloc(2);
+  fee.writeUInt16LE(data.sellerFeeBasisPoints || 0);
+
+  const encodedCreators = creators.length === 0
+    ? Buffer.from([0])
+    : Buffer.concat([
+      Buffer.from([1]),
+      encodeU32(creators.length),
+      ...creators.map(creator => {
+        const address = new PublicKey(creator.address);
+        const verified = creator.verified ?? address.equals(updateAuthority);
+        return Buffer.concat([address.toBuffer(), Buffer.from([verified ? 1 : 0, creator.share])]);
+      })
+    ]);
+
+  return Buffer.concat([
+    encodeString(data.name),
+    encodeString(data.symbol),
+    encodeString(data.uri),
+    fee,
+    encodedCreators,
+    encodeOption(data.collection, collection => Buffer.concat([
+      Buffer.from([collection.verified ? 1 : 0]),
+      new PublicKey(collection.key).toBuffer()
+    ])),
+    Buffer.from([0]) // uses
+  ]);
+}
+
+/**
+ * Builds a CreateMetadataAccountV3 instruction for `data` (see encodeData).
+ * A collection NFT passes collectionSize, the number of items verified into
+ * it so far (normally 0); Metaplex keeps the count as items are verified.
+ */
+function createMetadataAccountV3Instruction({
+  programId,
+  mint,
+  mintAuthority,
+  payer,
+  updateAuthority,
+  data,
+  isMutable = true,
+  collectionSize = null
+}) {
+  const metadata = findMetadataAddress(mint, programId);
+
+  const instructionData = Buffer.concat([
+    Buffer.from([CREATE_METADATA_ACCOUNT_V3]),
+    encodeData(data, updateAuthority),
+    Buffer.from([isMutable ? 1 : 0]),
+    // CollectionDetails::V1 { size }
+    encodeOption(collectionSize, size => Buffer.concat([Buffer.from([0]), encodeU64(size)]))
+  ]);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: metadata, isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: mintAuthority, isSigner: true, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: updateAuthority, isSigner: true, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false }
+    ],
+    data: instructionData
+  });
+}
+
+/**
+ * Builds an UpdateMetadataAccountV2 instruction, signed by the current update
+ * authority. Every argument left null is unchanged; `data` (see encodeData)
+ * replaces all of name, symbol, uri, sellerFeeBasisPoints and creators, and
+ * clears a collection or uses set outside GlowMin. Setting isMutable to false
+ * cannot be undone.
+ */
+function updateMetadataAccountV2Instruction({
+  programId,
+  metadata,
+  updateAuthority,
+  data = null,
+  newUpdateAuthority = null,
+  primarySaleHappened = null,
+  isMutable = null
+}) {
+  const instructionData = Buffer.concat([
+    Buffer.from([UPDATE_METADATA_ACCOUNT_V2]),
+    encodeOption(data, value => encodeData(value, updateAuthority)),
+    encodeOption(newUpdateAuthority, value => value.toBuffer()),
+    encodeOption(primarySaleHappened, value => Buffer.from([value ? 1 : 0])),
+    encodeOption(isMutable, value => Buffer.from([value ? 1 : 0]))
+  ]);
+
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: metadata, isSigner: false, isWritable: true },
+      { pubkey: updateAuthority, isSigner: true, isWritable: false }
+    ],
+    data: instructionData
+  });
+}
+
+/**
+ * Decodes the arguments of an UpdateMetadataAccountV2 instruction, or returns
+ * null for any other instruction. Arguments left unchanged are null; `data`
+ * holds name, symbol, uri, sellerFeeBasisPoints and creators.
+ */
+function decodeUpdateMetadataInstruction(data) {
+  if (data[0] !== UPDATE_METADATA_ACCOUNT_V2) {
+    return null;
+  }
+
+  let offset = 1;
+
+  const readPublicKey = () => {
+    const key = new PublicKey(data.subarray(offset, offset + 32));
+    offset += 32;
+    return key;
+  };
+
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8');
+    offset += 4 + length;
+    return value;
+  };
+
+  const readBool = () => data[offset++] === 1;
+  const readOption = read => (data[offset++] === 1 ? read() : null);
+
+  const readCreators = () => {
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    return Array.from({ length: count }, () => {
+      const address = readPublicKey();
+      const creator = { address, verified: data[offset] === 1, share: data[offset + 1] };
+      offset += 2;
+      return creator;
+    });
+  };
+
+  const readData = () => {
+    const name = readString();
+    const symbol = readString();
+    const uri = readString();
+    const sellerFeeBasisPoints = data.readUInt16LE(offset);
+    offset += 2;
+    const creators = readOption(readCreators);
+    readOption(() => { offset += 33; }); // collection
+    readOption(() => { offset += 17; }); // uses
+    return { name, symbol, uri, sellerFeeBasisPoints, creators };
+  };
+
+  return {
+    data: readOption(readData),
+    newUpdateAuthority: readOption(readPublicKey),
+    primarySaleHappened: readOption(readBool),
+    isMutable: readOption(readBool)
+  };
+}
+
+/**
+ * Builds a CreateMasterEditionV3 instruction, which turns a mint with a
+ * supply of 1 into an NFT: the mint and freeze authorities move to the
+ * edition account, so nothing more can be minted. maxSupply 0 allows no
+ * prints.
+ */
+function createMasterEditionV3Instruction({ programId, mint, mintAuthority, payer, updateAuthority, tokenProgram, maxSupply = 0 }) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: findMasterEditionAddress(mint, programId), isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: true },
+      { pubkey: updateAuthority, isSigner: true, isWritable: false },
+      { pubkey: mintAuthority, isSigner: true, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: findMetadataAddress(mint, programId), isSigner: false, isWritable: true },
+      { pubkey: tokenProgram, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false }
+    ],
+    data: Buffer.concat([
+      Buffer.from([CREATE_MASTER_EDITION_V3]),
+      encodeOption(maxSupply, encodeU64)
+    ])
+  });
+}
+
+/**
+ * Builds a VerifySizedCollectionItem instruction, signed by the update
+ * authority of collectionMint, marking the item's collection as verified and
+ * counting it in the collection's size.
+ */
+function verifySizedCollectionItemInstruction({ programId, mint, collectionMint, collectionAuthority, payer }) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: findMetadataAddress(mint, programId), isSigner: false, isWritable: true },
+      { pubkey: collectionAuthority, isSigner: true, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: collectionMint, isSigner: false, isWritable: false },
+      { pubkey: findMetadataAddress(collectionMint, programId), isSigner: false, isWritable: true },
+      { pubkey: findMasterEditionAddress(collectionMint, programId), isSigner: false, isWritable: false }
+    ],
+    data: Buffer.from([VERIFY_SIZED_COLLECTION_ITEM])
+  });
+}
+
+module.exports = {
+  findMetadataAddress,
+  findMasterEditionAddress,
+  decodeMetadata,
+  createMetadataAccountV3Instruction,
+  updateMetadataAccountV2Instruction,
+  decodeUpdateMetadataInstruction,
+  createMasterEditionV3Instruction,
+  verifySizedCollectionItemInstruction
+};
@@ -0,0 +1,168 @@
+/**
+ * GlowMin Token Program
+ *
+ * token.program selects the program the mint is created under: "spl-token"
+ * (the default) or "token-2022". Token-2022 mints enable the extensions in
+ * token.extensions when they are created; extensions cannot be added later.
+ *
+ *   "program": "token-2022",
+ *   "extensions": {
+ *     "metadata_pointer": { "enabled": true },
+ *     "transfer_fee": { "enabled": true, "basis_points": 100, "maximum_fee": "1000000000000" },
+ *     "permanent_delegate": { "enabled": false, "delegate": "<address>" }
+ *   }
+ *
+ * - metadata_pointer points the mint at itself and stores the name, symbol
+ *   and URI from token-metadata.json in the mint account, with
+ *   metadata.update_authority as the update authority.
+ * - transfer_fee withholds basis_points of every transfer, up to maximum_fee
+ *   base units, in the receiving token account. The mint authority (the
+ *   multisig when enabled) can change the fee and withdraw what is withheld.
+ * - permanent_delegate can transfer or burn tokens from any account.
+ *
+ * Token accounts are always associated token accounts, which Token-2022
+ * creates with the immutable owner extension, so their owner cannot be
+ * reassigned.
+ */
+
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ExtensionType,
+  TYPE_SIZE,
+  LENGTH_SIZE,
+  getMintLen,
+  createInitializeMetadataPointerInstruction,
+  createInitializeTransferFeeConfigInstruction,
+  createInitializePermanentDelegateInstruction,
+  createInitializeInstruction
+} = require('@solana/spl-token');
+const { BASIS_POINTS_TOTAL, parseAmount } = require('./amount');
+const { toPublicKey } = require('./pubkey');
+const { ConfigError } = require('./errors');
+
+const TOKEN_PROGRAMS = {
+  'spl-token': TOKEN_PROGRAM_ID,
+  'token-2022': TOKEN_2022_PROGRAM_ID
+};
+
+const DEFAULT_TOKEN_PROGRAM = 'spl-token';
+
+/**
+ * Reads token.program and token.extensions. Extensions are only read for
+ * Token-2022 mints.
+ */
+function getTokenSettings(config) {
+  const program = config.token?.program || DEFAULT_TOKEN_PROGRAM;
+
+  if (!TOKEN_PROGRAMS[program]) {
+    throw new ConfigError(`token.program must be one of ${Object.keys(TOKEN_PROGRAMS).join(', ')}, got ${program}`);
+  }
+
+  const extensions = program === 'token-2022' ? config.token.extensions || {} : {};
+  const transferFee = extensions.transfer_fee?.enabled ? extensions.transfer_fee : null;
+  const permanentDelegate = extensions.permanent_delegate?.enabled ? extensions.permanent_delegate : null;
+
+  try {
+    if (transferFee && !(Number.isInteger(transferFee.basis_points) && transferFee.basis_points >= 0 && transferFee.basis_points <= BASIS_POINTS_TOTAL)) {
+      throw new Error(`token.extensions.transfer_fee.basis_points must be between 0 and ${BASIS_POINTS_TOTAL}, got ${transferFee.basis_points}`);
+    }
+
+    return {
+      program,
+      programId: TOKEN_PROGRAMS[program],
+      metadataPointer: Boolean(extensions.metadata_pointer?.enabled),
+      transferFee: transferFee && {
+        basisPoints: transferFee.basis_points,
+        maximumFee: parseAmount(transferFee.maximum_fee, 'token.extensions.transfer_fee.maximum_fee')
+      },
+      permanentDelegate: permanentDelegate && toPublicKey(permanentDelegate.delegate, 'token.extensions.permanent_delegate.delegate')
+    };
+  } catch (error) {
+    throw new ConfigError(`Invalid token extension configuration: ${error.message}`, { cause: error });
+  }
+}
+
+function getMintExtensionTypes(settings) {
+  return [
+    settings.metadataPointer && ExtensionType.MetadataPointer,
+    settings.transferFee && ExtensionType.TransferFeeConfig,
+    settings.permanentDelegate && ExtensionType.PermanentDelegate
+  ].filter(type => typeof type === 'number');
+}
+
+/**
+ * The size of the mint account when it is created.
+ */
+function getMintSpace(settings) {
+  return getMintLen(getMintExtensionTypes(settings));
+}
+
+/**
+ * The bytes the on-mint metadata adds when it is initialized. The mint
+ * account grows by this much, so its rent is paid when the mint is created.
+ */
+function getTokenMetadataSpace({ name, symbol, uri }) {
+  const field = value => 4 + Buffer.byteLength(value, 'utf8');
+  // update authority, mint, three strings and an empty additional metadata list
+  return TYPE_SIZE + LENGTH_SIZE + 32 + 32 + field(name) + field(symbol) + field(uri) + 4;
+}
+
+/**
+ * Extension instructions that must run between the mint's account creation
+ * and InitializeMint2. updateAuthority may update the metadata pointer,
+ * feeAuthority may change the transfer fee and withdraw withheld fees.
+ */
+function buildMintExtensionInstructions(mint, settings, { updateAuthority, feeAuthority }) {
+  const instructions = [];
+
+  if (settings.metadataPointer) {
+    instructions.push(createInitializeMetadataPointerInstruction(mint, updateAuthority, mint, settings.programId));
+  }
+
+  if (settings.transferFee) {
+    instructions.push(createInitializeTransferFeeConfigInstruction(
+      mint,
+      feeAuthority,
+      feeAuthority,
+      settings.transferFee.basisPoints,
+      settings.transferFee.maximumFee,
+      settings.programId
+    ));
+  }
+
+  if (settings.permanentDelegate) {
+    instructions.push(createInitializePermanentDelegateInstruction(mint, settings.permanentDelegate, settings.programId));
+  }
+
+  return instructions;
+}
+
+/**
+ * Writes the name, symbol and URI into a mint with the metadata pointer
+ * extension. Runs after InitializeMint2 and needs the mint authority's
+ * signature.
+ */
+function buildTokenMetadataInstruction(mint, settings, { mintAuthority, updateAuthority, name, symbol, uri }) {
+  return createInitializeInstruction({
+    programId: settings.programId,
+    metadata: mint,
+    updateAuthority,
+    mint,
+    mintAuthority,
+    name,
+    symbol,
+    uri
+  });
+}
+
+module.exports = {
+  TOKEN_PROGRAMS,
+  DEFAULT_TOKEN_PROGRAM,
+  getTokenSettings,
+  getMintExtensionTypes,
+  getMintSpace,
+  getTokenMetadataSpace,
+  buildMintExtensionInstructions,
+  buildTokenMetadataInstruction
+};
@@ -0,0 +1,594 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Merkle Airdrop Script
+ *
+ * This script distributes the Community bucket through a merkle distributor instead of
+ * direct transfers: recipients claim their tokens themselves and pay their own fees.
+ *
+ *   build     Build the Merkle tree of an airdrop list (the CSV format of airdrop.js) and
+ *             write the root and every recipient's proof to a claims file (see lib/merkle.js)
+ *   verify    Check every proof in a claims file against its root
+ *   create    Create the distributor for the root of a claims file and fund its vault from
+ *             the Community wallet, open for claims until --expires
+ *   claim     Produce the claim transaction of one wallet, for that wallet to sign and submit
+ *   clawback  Return the unclaimed tokens to the Community wallet once the claims have expired
+ *
+ * build and verify work offline. The distributors created on a network are recorded in
+ * deployments/merkle-distributor-<network>.json by root, so claim and clawback find the
+ * distributor of a claims file there. Each root gets its own distributor, numbered by its
+ * version in the order they are created. The distributor is recorded as pending before its
+ * creation is broadcast, and create run again after a crash checks whether it exists on chain.
+ *
+ * Usage: glowmin merkle build|verify|create|claim|clawback [options]
+ *        (or node merkle-airdrop.js build|verify|create|claim|clawback [options])
+ * Options:
+ *   --file <path>          Airdrop list (build)
+ *   --claims <path>        Claims file (verify, create, claim, clawback; written by build, default:
+ *                          <list>-claims.json next to the list)
+ *   --wallet <address>     Wallet to verify or claim for (verify, claim)
+ *   --expires <date>       When claims close and the clawback opens, ISO 8601 (create)
+ *   --output <path>        Write the claim transaction to a file (claim)
+ *   --mint <address>       Mint to distribute (create, default: the mint in the deployment manifest)
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --dry-run             Simulate without sending (create, clawback)
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const {
+  getAccount,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const { parseAmount, formatAmount } = require('./lib/amount');
+const { toPublicKey } = require('./lib/pubkey');
+const {
+  GlowMinError,
+  ConfigError,
+  NetworkError,
+  PrerequisiteError,
+  InsufficientFundsError
+} = require('./lib/errors');
+const {
+  readConfigFile,
+  readClaimsFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  writeDeploymentRecord
+} = require('./lib/core');
+const { getTokenSettings } = require('./lib/token-program');
+const {
+  COMMUNITY_BUCKET,
+  COMMUNITY_KEYPAIR_FILE,
+  readAirdropList,
+  getCommunitySource
+} = require('./lib/airdrop');
+const { createClaims, verifyClaims } = require('./lib/merkle');
+const {
+  MIN_CLAWBACK_DELAY,
+  findDistributorAddress,
+  findClaimStatusAddress,
+  getVaultAddress,
+  createNewDistributorInstruction,
+  createNewClaimInstruction,
+  createClawbackInstruction
+} = require('./lib/merkle-distributor');
+const { DeploymentManifest } = require('./lib/manifest');
+const { StateJournal } = require('./lib/state-journal');
+const { TransactionSimulator } = require('./lib/simulation');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const KEYPAIR_FILES = {
+  main: 'main-keypair.json',
+  community: COMMUNITY_KEYPAIR_FILE
+};
+
+// Vesting has to end in the future; claims are unlocked in full, so it ends right away
+const VESTING_START_DELAY = 60;
+
+class MerkleAirdrop {
+  /**
+   * Options: config or configPath, keypairDir, deploymentsDir, rpcUrl and wsUrl, an
+   * injected connection, signers ({ main, community }) to use instead of the keyfiles,
+   * and mint to use instead of the mint in the deployment manifest.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, keypairDir = KEYPAIR_DIR, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || readConfigFile(configPath);
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.keypairs = this.loadKeypairs(options.signers);
+    this.manifest = new DeploymentManifest(this.deploymentsDir, this.network);
+    this.journal = new StateJournal(path.join(this.deploymentsDir, `merkle-distributor-${this.network}.json`));
+    this.journal.load();
+    this.mint = options.mint || null;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  loadKeypairs(signers) {
+    const keypairs = loadKeypairFiles(this.keypairDir, KEYPAIR_FILES, signers);
+
+    if (this.verbose) {
+      console.log('✅ Keypairs loaded successfully');
+      Object.keys(keypairs).forEach(key => {
+        console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
+      });
+    }
+
+    return keypairs;
+  }
+
+  async checkNetworkHealth() {
+    try {
+      const version = await this.connection.getVersion();
+      const slot = await this.connection.getSlot();
+
+      if (this.verbose) {
+        console.log('✅ Network health check passed');
+        console.log(`   Solana Version: ${version['solana-core']}`);
+        console.log(`   Current Slot: ${slot}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Network health check failed:', error.message);
+      return false;
+    }
+  }
+
+  async requireNetwork(action) {
+    if (!await this.checkNetworkHealth()) {
+      throw new NetworkError(`Network health check failed, aborting ${action}`);
+    }
+  }
+
+  formatTokens(amount) {
+    return formatAmount(amount, this.config.token.decimals, this.config.token.symbol);
+  }
+
+  getProgramId() {
+    try {
+      return toPublicKey(this.config.programs?.merkle_distributor, 'programs.merkle_distributor');
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+  }
+
+  static defaultClaimsPath(listPath) {
+    return path.join(path.dirname(listPath), `${path.basename(listPath, path.extname(listPath))}-claims.json`);
+  }
+
+  readClaims(claimsPath) {
+    const claims = readClaimsFile(claimsPath);
+
+    if (!claims.root || !claims.claims) {
+      throw new ConfigError(`${claimsPath} is not a claims file, build one with: glowmin merkle build`);
+    }
+
+    return claims;
+  }
+
+  // The distributor recorded for the root of a claims file
+  requireDistributor(claims) {
+    const record = (this.journal.get('distributors') || {})[claims.root];
+
+    if (!record) {
+      throw new PrerequisiteError(
+        `No distributor for root ${claims.root} recorded in ${this.journal.filePath}, create it first with: glowmin merkle create --network ${this.network}`
+      );
+    }
+
+    if (record.pending) {
+      throw new PrerequisiteError(
+        `The creation of distributor ${record.distributor} was not confirmed, settle it with: glowmin merkle create --network ${this.network}`
+      );
+    }
+
+    return {
+      ...record,
+      distributor: new PublicKey(record.distributor),
+      mint: new PublicKey(record.mint),
+      clawbackReceiver: new PublicKey(record.clawbackReceiver)
+    };
+  }
+
+  /**
+   * Builds the Merkle tree of an airdrop list and writes the claims file.
+   * Works offline.
+   */
+  async buildClaims(listPath, claimsPath = null) {
+    console.log('\n🌳 Building the airdrop Merkle tree...\n');
+
+    const { recipients, duplicates } = readAirdropList(listPath, this.config.token.decimals);
+    duplicates.forEach(duplicate => {
+      console.log(`⚠️  ${path.basename(listPath)} line ${duplicate.line}: ${duplicate.wallet} is already listed on line ${duplicate.firstLine}, skipping`);
+    });
+
+    const claims = createClaims(recipients);
+    const outputPath = claimsPath || MerkleAirdrop.defaultClaimsPath(listPath);
+    const depth = Math.max(...Object.values(claims.claims).map(claim => claim.proof.length));
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(claims, null, 2));
+
+    console.log('✅ Merkle tree built successfully!');
+    console.log(`   Root: ${claims.root}`);
+    console.log(`   Recipients: ${claims.recipients}`);
+    console.log(`   Total: ${this.formatTokens(parseAmount(claims.total))}`);
+    console.log(`   Longest Proof: ${depth} node(s)`);
+    console.log(`📄 Claims saved to: ${outputPath}`);
+
+    console.log('\nNext steps:');
+    console.log(`1. Check the proofs: glowmin merkle verify --claims ${outputPath}`);
+    console.log(`2. Create the distributor: glowmin merkle create --network ${this.network} --claims ${outputPath} --expires <date>`);
+    console.log('3. Publish the claims file so recipients can find their proof');
+
+    return { root: claims.root, recipients: claims.recipients, total: parseAmount(claims.total), claimsFile: outputPath };
+  }
+
+  /**
+   * Checks every proof in a claims file, or only `wallet`'s, against its root.
+   * Works offline.
+   */
+  async verifyClaims(claimsPath, wallet = null) {
+    console.log('\n🔎 Verifying the airdrop proofs...\n');
+
+    const claims = this.readClaims(claimsPath);
+    const wallets = wallet ? [wallet.toString()] : null;
+
+    if (wallet && !claims.claims[wallet.toString()]) {
+      throw new GlowMinError(`${wallet.toString()} has no claim in ${claimsPath}`);
+    }
+
+    const { verified, failed, problems } = verifyClaims(claims, wallets);
+
+    console.log(`   Root: ${claims.root}`);
+    console.log(`   Recipients: ${claims.recipients}`);
+    problems.forEach(problem => console.log(`❌ ${problem}`));
+    failed.forEach(address => console.log(`❌ The proof of ${address} does not lead to the root`));
+
+    const passed = problems.length === 0 && failed.length === 0;
+    if (passed) {
+      console.log(`\n✅ ${verified} proof(s) verified`);
+    } else {
+      console.log(`\n❌ ${failed.length} proof(s) failed, ${problems.length} problem(s) with the claims file`);
+    }
+
+    return { root: claims.root, verified, failed, problems, passed };
+  }
+
+  /**
+   * Creates the distributor for the root of a claims file and moves the total
+   * from the Community wallet into its vault, in one transaction. Claims
+   * close and the clawback opens at `expires`.
+   */
+  async createDistributor(claimsPath, expires, dryRun = false) {
+    console.log('\n🚀 Creating the GlowMin merkle distributor...\n');
+
+    await this.requireNetwork('distributor creation');
+
+    if (getTokenSettings(this.config).program !== 'spl-token') {
+      throw new ConfigError('The merkle distributor program only takes SPL Token mints, not token.program token-2022');
+    }
+
+    const programId = this.getProgramId();
+    const main = requireSigner(this.keypairs, 'main');
+    const source = getCommunitySource(this.config, this.keypairs);
+    const mint = this.mint || this.manifest.requireMint();
+    const claims = this.readClaims(claimsPath);
+    const total = parseAmount(claims.total, 'total');
+
+    const existing = (this.journal.get('distributors') || {})[claims.root];
+    if (existing?.pending) {
+      const settled = await this.settlePendingDistributor(existing);
+      if (settled) {
+        return settled;
+      }
+    } else if (existing) {
+      console.log(`⏭️  The distributor for this root already exists: ${existing.distributor}`);
+      return { network: this.network, ...existing };
+    }
+
+    const { problems, failed } = verifyClaims(claims);
+    if (problems.length > 0 || failed.length > 0) {
+      throw new ConfigError(`${claimsPath} does not verify, check it with: glowmin merkle verify --claims ${claimsPath}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const startVestingTs = now + VESTING_START_DELAY;
+    const endVestingTs = startVestingTs + 1;
+    const clawbackStartTs = Math.floor(expires.getTime() / 1000);
+
+    if (clawbackStartTs - endVestingTs < MIN_CLAWBACK_DELAY) {
+      throw new ConfigError(`--expires must be at least a day from now, got ${expires.toISOString()}`);
+    }
+
+    const version = Object.values(this.journal.get('distributors') || {}).filter(record => record.mint === mint.toString()).length;
+    const distributor = findDistributorAddress(programId, mint, version);
+    const vault = getVaultAddress(mint, distributor);
+    const sourceAccount = getAssociatedTokenAddressSync(mint, source);
+
+    let available = 0n;
+    try {
+      available = (await getAccount(this.connection, sourceAccount)).amount;
+    } catch (error) {
+      // The community wallet has no token account yet
+    }
+
+    if (available < total) {
+      throw new InsufficientFundsError(
+        `Insufficient ${this.config.token.symbol} balance in ${sourceAccount.toString()}. Required: ${this.formatTokens(total)}, Available: ${this.formatTokens(available)}`,
+        { asset: this.config.token.symbol, required: total, available }
+      );
+    }
+
+    console.log(`   Root: ${claims.root}`);
+    console.log(`   Mint: ${mint.toString()}`);
+    console.log(`   Distributor: ${distributor.toString()} (version ${version})`);
+    console.log(`   Vault: ${vault.toString()}`);
+    console.log(`   Recipients: ${claims.recipients}`);
+    console.log(`   Total: ${this.formatTokens(total)} from ${source.toString()} (${COMMUNITY_BUCKET})`);
+    console.log(`   Claims Close: ${expires.toISOString()}\n`);
+
+    const instructions = [
+      createNewDistributorInstruction({
+        programId,
+        mint,
+        version,
+        root: Buffer.from(claims.root, 'hex'),
+        maxTotalClaim: total,
+        maxNumNodes: claims.recipients,
+        startVestingTs,
+        endVestingTs,
+        clawbackStartTs,
+        clawbackReceiver: sourceAccount,
+        admin: main.publicKey
+      }),
+      createTransferCheckedInstruction(sourceAccount, mint, vault, source, total, this.config.token.decimals)
+    ];
+
+    if (dryRun) {
+      console.log('🔍 DRY RUN MODE - Simulating the distributor creation, nothing will be sent\n');
+
+      const simulator = new TransactionSimulator(this.connection, main.publicKey, this.config.fees, this.verbose, this.sender);
+      simulator.name(distributor, 'Distributor');
+      simulator.name(vault, 'Vault');
+      simulator.name(sourceAccount, 'Community Token Account');
+      // The distributor account's rent is not in config.fees
+      await simulator.simulate('Create distributor', instructions, { rent: parseAmount(this.config.fees.rent_exempt, 'fees.rent_exempt') });
+
+      return { network: this.network, dryRun: true, distributor: distributor.toString(), simulation: await simulator.summarize() };
+    }
+
+    const details = {
+      root: claims.root,
+      version,
+      distributor: distributor.toString(),
+      vault: vault.toString(),
+      mint: mint.toString(),
+      clawbackReceiver: sourceAccount.toString(),
+      total: total.toString(),
+      recipients: claims.recipients,
+      clawbackStartTs,
+      expires: expires.toISOString()
+    };
+
+    // Journaled before broadcast, so a rerun finds a distributor that landed after a crash
+    const signature = await this.sender.send(instructions, [main, this.keypairs.community], 'Create merkle distributor', {
+      onSigned: (signature, lastValidBlockHeight) => {
+        this.journal.setEntry('distributors', claims.root, { ...details, signature, lastValidBlockHeight, pending: true });
+      }
+    });
+
+    return this.recordDistributor({ ...details, signature, createdAt: new Date().toISOString() });
+  }
+
+  recordDistributor(record) {
+    this.journal.setEntry('distributors', record.root, record);
+
+    const infoPath = writeDeploymentRecord(this.deploymentsDir, 'merkle-distributor', this.network, { network: this.network, ...record });
+
+    console.log('✅ Distributor created and funded successfully!');
+    console.log(`   Transaction: ${record.signature}`);
+    console.log(`📄 Deployment info saved to: ${infoPath}`);
+    console.log(`\n🎉 Recipients can claim until ${record.expires}`);
+
+    return { network: this.network, ...record };
+  }
+
+  /**
+   * Settles a distributor journaled as signed but not confirmed by an
+   * interrupted run. Returns its record once the distributor exists on
+   * chain, or null after dropping it when its transaction expired, so it is
+   * created again with the same version.
+   */
+  async settlePendingDistributor(pending) {
+    if (await this.connection.getAccountInfo(new PublicKey(pending.distributor))) {
+      console.log(`♻️  The distributor ${pending.distributor} was created by the interrupted run`);
+
+      const record = { ...pending, createdAt: new Date().toISOString() };
+      delete record.lastValidBlockHeight;
+      delete record.pending;
+      return this.recordDistributor(record);
+    }
+
+    if (await this.connection.getBlockHeight() <= pending.lastValidBlockHeight) {
+      throw new GlowMinError(
+        `The creation of distributor ${pending.distributor} (${pending.signature}) may still confirm, ` +
+        `rerun glowmin merkle create --network ${this.network} in a minute`
+      );
+    }
+
+    console.log(`⚠️  The creation of distributor ${pending.distributor} expired without confirming, creating it again\n`);
+
+    const distributors = { ...this.journal.get('distributors') };
+    delete distributors[pending.root];
+    this.journal.update({ distributors });
+    return null;
+  }
+
+  /**
+   * Builds `wallet`'s claim transaction, which creates its token account if
+   * needed and claims its amount. The wallet pays the fee and signs; the
+   * transaction is returned unsigned, base64 encoded, and is valid until its
+   * blockhash expires, about a minute.
+   */
+  async buildClaimTransaction(claimsPath, wallet, outputPath = null) {
+    console.log('\n🎁 Building the claim transaction...\n');
+
+    await this.requireNetwork('claim');
+
+    const programId = this.getProgramId();
+    const claims = this.readClaims(claimsPath);
+    const claim = claims.claims[wallet.toString()];
+
+    if (!claim) {
+      throw new GlowMinError(`${wallet.toString()} has no claim in ${claimsPath}`);
+    }
+
+    const { distributor, mint } = this.requireDistributor(claims);
+    const claimStatus = findClaimStatusAddress(programId, wallet, distributor);
+
+    if (await this.connection.getAccountInfo(claimStatus)) {
+      throw new PrerequisiteError(`${wallet.toString()} has already claimed from ${distributor.toString()}`);
+    }
+
+    const destination = getAssociatedTokenAddressSync(mint, wallet);
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: wallet, blockhash, lastValidBlockHeight }).add(
+      createAssociatedTokenAccountIdempotentInstruction(wallet, destination, wallet, mint),
+      createNewClaimInstruction({
+        programId,
+        distributor,
+        mint,
+        claimant: wallet,
+        destination,
+        amount: claim.amount,
+        proof: claim.proof.map(node => Buffer.from(node, 'hex'))
+      })
+    );
+
+    const result = {
+      network: this.network,
+      wallet: wallet.toString(),
+      amount: parseAmount(claim.amount),
+      distributor: distributor.toString(),
+      transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+      lastValidBlockHeight
+    };
+
+    console.log(`   Wallet: ${result.wallet}`);
+    console.log(`   Amount: ${this.formatTokens(result.amount)}`);
+    console.log(`   Distributor: ${result.distributor}`);
+
+    if (outputPath) {
+      fs.writeFileSync(outputPath, JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+      console.log(`📄 Claim transaction saved to: ${outputPath}`);
+    } else {
+      console.log(`\n${result.transaction}`);
+    }
+
+    console.log('\n✅ Sign the transaction with the wallet and submit it before its blockhash expires');
+
+    return result;
+  }
+
+  /**
+   * Moves the unclaimed tokens back to the Community wallet once the claims
+   * of a claims file's distributor have closed.
+   */
+  async clawback(claimsPath, dryRun = false) {
+    console.log('\n↩️  Clawing back the unclaimed airdrop...\n');
+
+    await this.requireNetwork('clawback');
+
+    const programId = this.getProgramId();
+    const main = requireSigner(this.keypairs, 'main');
+    const claims = this.readClaims(claimsPath);
+    const record = this.requireDistributor(claims);
+
+    if (record.clawback) {
+      console.log(`⏭️  Already clawed back in ${record.clawback.signature}`);
+      return { network: this.network, ...record.clawback };
+    }
+
+    if (Date.now() / 1000 < record.clawbackStartTs) {
+      throw new PrerequisiteError(`Claims on ${record.distributor.toString()} are open until ${record.expires}, the clawback opens then`);
+    }
+
+    const vault = getVaultAddress(record.mint, record.distributor);
+    const unclaimed = (await getAccount(this.connection, vault)).amount;
+
+    console.log(`   Distributor: ${record.distributor.toString()}`);
+    console.log(`   Unclaimed: ${this.formatTokens(unclaimed)} of ${this.formatTokens(parseAmount(record.total))}`);
+    console.log(`   Receiver: ${record.clawbackReceiver.toString()}\n`);
+
+    const instructions = [createClawbackInstruction({
+      programId,
+      distributor: record.distributor,
+      mint: record.mint,
+      clawbackReceiver: record.clawbackReceiver,
+      signer: main.publicKey
+    })];
+
+    if (dryRun) {
+      console.log('🔍 DRY RUN MODE - Simulating the clawback, nothing will be sent\n');
+
+      const simulator = new TransactionSimulator(this.connection, main.publicKey, this.config.fees, this.verbose, this.sender);
+      simulator.name(vault, 'Vault');
+      simulator.name(record.clawbackReceiver, 'Community Token Account');
+      await simulator.simulate('Claw back', instructions);
+
+      return { network: this.network, dryRun: true, unclaimed, simulation: await simulator.summarize() };
+    }
+
+    const signature = await this.sender.send(instructions, [main], 'Claw back merkle distributor');
+    const clawback = { signature, amount: unclaimed.toString(), clawedBackAt: new Date().toISOString() };
+    this.journal.setEntry('distributors', claims.root, { ...this.journal.get('distributors')[claims.root], clawback });
+
+    console.log('✅ Unclaimed tokens returned successfully!');
+    console.log(`   Amount: ${this.formatTokens(unclaimed)}`);
+    console.log(`   Transaction: ${signature}`);
+
+    return { network: this.network, ...clawback };
+  }
+}
+
+module.exports = { MerkleAirdrop };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['merkle', ...process.argv.slice(2)]);
+}
@@ -6,123 +6,352 @@
  * This script mints GLOWMIN tokens according to the tokenomics defined in the configuration.
  * It handles initial token distribution, liquidity allocation, and community distribution.
  * 
- * Usage: node mint-token.js [options]
+ * When security.multisig is enabled, the mint and freeze authorities are the SPL multisig
+ * account in security.multisig.address (created with multisig.js). Minting and revoking then
+ * need signatures from the configured signers; see lib/multisig.js for how they are collected.
+ * The mint is created with the mint authority keypair as its mint authority all the same,
+ * since Metaplex needs that authority's own signature to create the metadata, and
+ * handOffMintAuthority moves it to the multisig before anything is minted. The main keypair
+ * pays for the transactions in that case, so the mint authority keypair can stay offline
+ * once it has been handed off.
+ * 
+ * When security.timelock is enabled, revoking the mint authority after distribution is queued
+ * as a timelock proposal instead, to be executed with timelock.js once the delay has passed.
+ * 
+ * With --export, the transactions are written to a file for the mint authority to sign on an
+ * offline machine, and the main keypair pays for them; see lib/offline.js.
+ * 
+ * token.program selects SPL Token or Token-2022, and token.extensions the Token-2022 extensions
+ * enabled when the mint is created; see lib/token-program.js. `glowmin fees harvest` and
+ * `glowmin fees withdraw [--destination <address>]` collect the fees withheld by the transfer
+ * fee extension, for the mint in the deployment manifest or the one given with --mint.
+ * 
+ * The mint is recorded in the deployment manifest (lib/manifest.js) as soon as it is created,
+ * and the distribution once it has completed, for the metadata and liquidity steps to use.
+ * Its address is journaled before the creation is sent, so --resume picks up a mint whose
+ * creation confirmed after the run stopped, and creates a new one if it expired instead.
+ * 
+ * Usage: glowmin mint [options] (or node mint-token.js [options])
  * Options:
- *   --network <network>    Target network (devnet, testnet, mainnet-beta)
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
  *   --amount <amount>      Amount to mint (in smallest units)
- *   --dry-run             Show what would be minted without executing
+ *   --dry-run             Simulate the minting transactions without sending them
+ *   --export <path>        Write the transactions to a file for offline signing instead of sending them
+ *   --resume              Continue an interrupted run from its state journal
+ *   --json                Print the minting summary as JSON on stdout
  *   --verbose             Enable verbose logging
  */
 
-const fs = require('fs');
 const path = require('path');
-const { Connection, PublicKey, Keypair, Transaction } = require('@solana/web3.js');
-const { createMint, getOrCreateAssociatedTokenAccount, mintTo, setAuthority, AuthorityType } = require('@solana/spl-token');
+const { PublicKey, Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  getAssociatedTokenAddressSync,
+  getAccount,
+  getMint,
+  unpackAccount,
+  getTransferFeeAmount,
+  getTransferFeeConfig,
+  createInitializeMint2Instruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToInstruction,
+  createSetAuthorityInstruction,
+  createHarvestWithheldTokensToMintInstruction,
+  createWithdrawWithheldTokensFromMintInstruction,
+  AuthorityType,
+  TokenAccountNotFoundError
+} = require('@solana/spl-token');
+const { BASIS_POINTS_TOTAL, parseAmount, formatAmount, percentOf } = require('./lib/amount');
+const { GlowMinError, ConfigError, KeypairError, PrerequisiteError } = require('./lib/errors');
+const {
+  readConfigFile,
+  readMetadataFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  resolvePublicKey,
+  writeDeploymentRecord,
+  findLatestRecord
+} = require('./lib/core');
+const { StateJournal } = require('./lib/state-journal');
+const { DeploymentManifest } = require('./lib/manifest');
+const { toPublicKey } = require('./lib/pubkey');
+const { findMetadataAddress } = require('./lib/token-metadata');
+const {
+  MultisigSigner,
+  PendingSignaturesError,
+  getMultisigSettings,
+  loadSignerKeypairs,
+  verifyMultisigAccount
+} = require('./lib/multisig');
+const { ProposalQueue, getTimelockSettings } = require('./lib/timelock');
+const { TransactionSimulator } = require('./lib/simulation');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { OfflineExporter, getOfflineSettings } = require('./lib/offline');
+const {
+  getTokenSettings,
+  getMintSpace,
+  getTokenMetadataSpace,
+  buildMintExtensionInstructions,
+  buildTokenMetadataInstruction
+} = require('./lib/token-program');
 
 // Configuration
 const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const METADATA_PATH = path.join(__dirname, '../metadata/token-metadata.json');
 const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const KEYPAIR_FILES = {
+  mintAuthority: 'mint-authority.json',
+  freezeAuthority: 'freeze-authority.json',
+  // Pays for exported transactions, whose authorities sign offline, and for multisig runs
+  main: 'main-keypair.json'
+};
+// Withheld fees harvested into the mint per transaction
+const HARVEST_BATCH_SIZE = 20;
 
 class TokenMinter {
-  constructor(network = 'devnet', verbose = false) {
+  /**
+   * Options: config or configPath, metadata or metadataPath (read for on-mint metadata),
+   * keypairDir, deploymentsDir, rpcUrl and wsUrl, an injected connection, and signers
+   * ({ mintAuthority, freezeAuthority, main }) to use instead of the keyfiles.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, metadataPath = METADATA_PATH, keypairDir = KEYPAIR_DIR, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
     this.network = network;
     this.verbose = verbose;
-    this.config = this.loadConfig();
-    this.connection = this.createConnection();
-    this.keypairs = this.loadKeypairs();
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.metadataPath = metadataPath;
+    this.metadata = options.metadata || null;
+    this.config = options.config || this.loadConfig(configPath);
+    this.token = this.loadTokenProgram();
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.keypairs = this.loadKeypairs(options.signers);
+    this.multisig = this.loadMultisig();
+    this.timelock = this.loadTimelock();
+    this.journal = new StateJournal(path.join(this.deploymentsDir, `minting-state-${this.network}.json`));
+    this.manifest = new DeploymentManifest(this.deploymentsDir, this.network);
     this.mintAddress = null;
+    // Fee payer of the built transactions; null for getFeePayer
+    this.payer = null;
   }
 
-  loadConfig() {
-    try {
-      const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
-      const config = JSON.parse(configData);
-      
-      if (this.verbose) {
-        console.log('✅ Configuration loaded successfully');
-        console.log(`   Network: ${this.network}`);
-        console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
-        console.log(`   Decimals: ${config.token.decimals}`);
-        console.log(`   Total Supply: ${config.token.total_supply}`);
-      }
-      
-      return config;
-    } catch (error) {
-      console.error('❌ Failed to load configuration:', error.message);
-      process.exit(1);
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+    
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+      console.log(`   Decimals: ${config.token.decimals}`);
+      console.log(`   Total Supply: ${formatAmount(parseAmount(config.token.total_supply, 'token.total_supply'), config.token.decimals, config.token.symbol)}`);
     }
+    
+    return config;
   }
 
-  createConnection() {
-    const networkConfig = this.config.network[this.network];
-    if (!networkConfig) {
-      console.error(`❌ Network '${this.network}' not found in configuration`);
-      process.exit(1);
-    }
-
-    const connection = new Connection(networkConfig.url, 'confirmed');
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
     
     if (this.verbose) {
       console.log(`✅ Connected to ${this.network} network`);
-      console.log(`   RPC URL: ${networkConfig.url}`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
     }
     
     return connection;
   }
 
-  loadKeypairs() {
-    const keypairs = {};
+  loadKeypairs(signers) {
+    const keypairs = loadKeypairFiles(this.keypairDir, KEYPAIR_FILES, signers);
+
+    if (this.verbose) {
+      console.log('✅ Keypairs loaded successfully');
+      Object.keys(keypairs).forEach(key => {
+        console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
+      });
+    }
     
+    return keypairs;
+  }
+
+  loadTokenProgram() {
+    const settings = getTokenSettings(this.config);
+
+    // Initializing the on-mint metadata needs the mint authority's own signature
+    if (settings.metadataPointer && this.config.security?.multisig?.enabled) {
+      throw new ConfigError('token.extensions.metadata_pointer cannot be combined with security.multisig, the metadata is initialized with the mint authority\'s signature');
+    }
+
+    if (this.verbose) {
+      console.log(`✅ Token program: ${settings.program} (${settings.programId.toString()})`);
+      if (settings.metadataPointer) {
+        console.log('   Extension: metadata pointer');
+      }
+      if (settings.transferFee) {
+        console.log(`   Extension: transfer fee ${settings.transferFee.basisPoints} basis points, max ${this.formatTokens(settings.transferFee.maximumFee)}`);
+      }
+      if (settings.permanentDelegate) {
+        console.log(`   Extension: permanent delegate ${settings.permanentDelegate.toString()}`);
+      }
+    }
+
+    return settings;
+  }
+
+  getMetadata() {
+    if (!this.metadata) {
+      this.metadata = readMetadataFile(this.metadataPath);
+    }
+
+    return this.metadata;
+  }
+
+  loadMultisig() {
     try {
-      // Load mint authority keypair
-      const mintAuthorityPath = path.join(KEYPAIR_DIR, 'mint-authority.json');
-      if (fs.existsSync(mintAuthorityPath)) {
-        keypairs.mintAuthority = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(fs.readFileSync(mintAuthorityPath, 'utf8')))
-        );
+      const settings = getMultisigSettings(this.config);
+
+      if (!settings) {
+        return null;
       }
 
-      // Load freeze authority keypair
-      const freezeAuthorityPath = path.join(KEYPAIR_DIR, 'freeze-authority.json');
-      if (fs.existsSync(freezeAuthorityPath)) {
-        keypairs.freezeAuthority = Keypair.fromSecretKey(
-          new Uint8Array(JSON.parse(fs.readFileSync(freezeAuthorityPath, 'utf8')))
-        );
+      if (!settings.address) {
+        throw new ConfigError('security.multisig.address is not configured, create the multisig with multisig.js first');
       }
 
+      const keypairs = loadSignerKeypairs(this.keypairDir, settings);
+
       if (this.verbose) {
-        console.log('✅ Keypairs loaded successfully');
-        Object.keys(keypairs).forEach(key => {
-          console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
-        });
+        console.log(`✅ Multisig authority: ${settings.address.toString()} (${settings.threshold}-of-${settings.signers.length})`);
+        console.log(`   Local signer keyfiles: ${keypairs.length}`);
       }
-      
-      return keypairs;
+
+      if (!this.keypairs.main) {
+        throw new KeypairError(`security.multisig needs ${KEYPAIR_FILES.main} in ${this.keypairDir} to pay for the multisig transactions`);
+      }
+
+      return new MultisigSigner({
+        connection: this.connection,
+        sender: this.sender,
+        payer: this.keypairs.main,
+        settings,
+        keypairs,
+        pendingDir: path.join(this.deploymentsDir, 'pending')
+      });
+    } catch (error) {
+      if (error instanceof GlowMinError) {
+        throw error;
+      }
+
+      throw new ConfigError(`Invalid multisig configuration: ${error.message}`, { cause: error });
+    }
+  }
+
+  loadTimelock() {
+    try {
+      const settings = getTimelockSettings(this.config);
+
+      if (!settings) {
+        return null;
+      }
+
+      if (this.verbose) {
+        console.log(`✅ Timelock enabled: ${settings.delay}s delay for authority changes`);
+      }
+
+      return new ProposalQueue(path.join(this.deploymentsDir, `timelock-${this.network}.json`), settings.delay);
     } catch (error) {
-      console.error('❌ Failed to load keypairs:', error.message);
-      process.exit(1);
+      throw new ConfigError(`Invalid timelock configuration: ${error.message}`, { cause: error });
     }
   }
 
-  async createTokenMint() {
+  // The multisig's transactions are paid by the main keypair, the others by the mint authority
+  getFeePayer() {
+    return requireSigner(this.keypairs, this.multisig ? 'main' : 'mintAuthority');
+  }
+
+  getPayer() {
+    return this.payer || this.getFeePayer().publicKey;
+  }
+
+  // Authority keyfiles kept offline are replaced by the public keys in token.*_authority
+  getMintAuthorityKey() {
+    return resolvePublicKey(this.keypairs, 'mintAuthority', this.config.token.mint_authority?.public_key, 'token.mint_authority.public_key');
+  }
+
+  getMintAuthority() {
+    return this.multisig ? this.multisig.address : this.getMintAuthorityKey();
+  }
+
+  getFreezeAuthority() {
+    return this.multisig
+      ? this.multisig.address
+      : resolvePublicKey(this.keypairs, 'freezeAuthority', this.config.token.freeze_authority?.public_key, 'token.freeze_authority.public_key');
+  }
+
+  // The metadata authority's keyfile is not loaded here, only its configured public key
+  getUpdateAuthority() {
+    return resolvePublicKey(this.keypairs, 'metadataAuthority', this.config.metadata?.update_authority?.public_key, 'metadata.update_authority.public_key');
+  }
+
+  getTokenAccount(owner) {
+    return getAssociatedTokenAddressSync(this.mintAddress, owner, false, this.token.programId);
+  }
+
+  getOnMintMetadata() {
+    const metadata = this.getMetadata();
+
+    return {
+      name: metadata.name,
+      symbol: metadata.symbol,
+      uri: metadata.social.website + '/metadata/token-metadata.json'
+    };
+  }
+
+  // The on-mint metadata is written after the mint is initialized, but its rent is paid up front
+  async getMintRent() {
+    const space = getMintSpace(this.token) + (this.token.metadataPointer ? getTokenMetadataSpace(this.getOnMintMetadata()) : 0);
+    return this.connection.getMinimumBalanceForRentExemption(space);
+  }
+
+  // `onSigned` is passed on to the sender, to record the mint before its creation is broadcast
+  async createTokenMint(mintKeypair = Keypair.generate(), onSigned = null) {
     try {
       console.log('🪙 Creating token mint...');
-      
-      const mint = await createMint(
-        this.connection,
-        this.keypairs.mintAuthority,
-        this.keypairs.mintAuthority.publicKey,
-        this.keypairs.freezeAuthority.publicKey,
-        this.config.token.decimals
+
+      if (this.multisig) {
+        await verifyMultisigAccount(this.connection, this.multisig.settings);
+      }
+
+      const lamports = await this.getMintRent();
+
+      await this.sender.send(
+        this.buildCreateMintInstructions(mintKeypair.publicKey, lamports),
+        [this.getFeePayer(), mintKeypair],
+        'Create token mint',
+        { onSigned }
       );
 
+      const mint = mintKeypair.publicKey;
       this.mintAddress = mint;
       
       console.log('✅ Token mint created successfully!');
       console.log(`   Mint Address: ${mint.toString()}`);
+      console.log(`   Token Program: ${this.token.program}`);
       console.log(`   Decimals: ${this.config.token.decimals}`);
-      console.log(`   Mint Authority: ${this.keypairs.mintAuthority.publicKey.toString()}`);
-      console.log(`   Freeze Authority: ${this.keypairs.freezeAuthority.publicKey.toString()}`);
+      console.log(`   Mint Authority: ${this.getMintAuthorityKey().toString()}`);
+      if (this.multisig) {
+        console.log(`   Handed to the multisig ${this.multisig.address.toString()} before minting`);
+      }
+      console.log(`   Freeze Authority: ${this.getFreezeAuthority().toString()}`);
 
       return mint;
     } catch (error) {
@@ -131,42 +360,197 @@ class TokenMinter {
     }
   }
 
-  async createTokenAccount(owner) {
-    try {
-      const tokenAccount = await getOrCreateAssociatedTokenAccount(
-        this.connection,
-        this.keypairs.mintAuthority,
-        this.mintAddress,
-        owner
+  // A full run either starts fresh or resumes the journaled one, never both
+  loadJournalState(resume) {
+    const state = this.journal.load();
+
+    if (!resume && state?.mintAddress) {
+      throw new GlowMinError(
+        `A minting run already exists for ${this.network} (mint ${state.mintAddress}). ` +
+        `Rerun with --resume to continue it, or remove ${this.journal.filePath} to start over`
       );
+    }
 
-      if (this.verbose) {
-        console.log(`✅ Token account created/found for ${owner.toString()}`);
-        console.log(`   Token Account: ${tokenAccount.address.toString()}`);
-      }
+    if (resume && !state?.mintAddress) {
+      throw new PrerequisiteError(`No minting run to resume for ${this.network} (${this.journal.filePath} not found)`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Creates a new mint. Its address and the creation transaction are
+   * journaled before each send attempt is broadcast, so a run that stops
+   * before the creation confirms leaves no mint --resume does not know of.
+   */
+  async createJournaledMint() {
+    const mintKeypair = Keypair.generate();
+    const mint = await this.createTokenMint(mintKeypair, (signature, lastValidBlockHeight) => {
+      this.journal.update({
+        network: this.network,
+        mintAddress: mintKeypair.publicKey.toString(),
+        mintCreation: { signature, lastValidBlockHeight },
+        decimals: this.config.token.decimals,
+        totalSupply: parseAmount(this.config.token.total_supply).toString(),
+        distributions: {}
+      });
+    });
+
+    this.recordMint();
+    return mint;
+  }
+
+  // The journaled mint does not exist: its creation is either still pending or never landed
+  async recoverMintCreation(state) {
+    const creation = state.mintCreation;
+
+    if (!creation) {
+      throw new PrerequisiteError(`Journaled mint ${state.mintAddress} not found on ${this.network}`);
+    }
+
+    if (await this.connection.getBlockHeight() <= creation.lastValidBlockHeight) {
+      throw new GlowMinError(
+        `The creation of mint ${state.mintAddress} (${creation.signature}) may still confirm, ` +
+        'rerun with --resume in a minute'
+      );
+    }
+
+    console.log(`⚠️  The creation of mint ${state.mintAddress} expired without confirming, creating a new mint\n`);
+    return this.createJournaledMint();
+  }
+
+  async prepareMint(resume = false) {
+    const state = this.loadJournalState(resume);
+
+    if (!resume) {
+      return this.createJournaledMint();
+    }
+
+    this.mintAddress = new PublicKey(state.mintAddress);
+
+    if (!(await this.connection.getAccountInfo(this.mintAddress))) {
+      return this.recoverMintCreation(state);
+    }
+
+    const mintInfo = await getMint(this.connection, this.mintAddress, undefined, this.token.programId);
+
+    if (mintInfo.decimals !== this.config.token.decimals) {
+      throw new GlowMinError(`Journaled mint has ${mintInfo.decimals} decimals, configuration expects ${this.config.token.decimals}`);
+    }
+
+    console.log('♻️  Resuming previous minting run');
+    console.log(`   Mint Address: ${this.mintAddress.toString()}`);
+    console.log(`   Current Supply: ${this.formatTokens(mintInfo.supply)}`);
+
+    // Runs journaled before the manifest existed
+    if (!this.manifest.getMint()) {
+      this.recordMint();
+    }
+
+    return this.mintAddress;
+  }
+
+  recordMint() {
+    this.manifest.complete('mint', { address: this.mintAddress.toString(), tokenProgram: this.token.program });
+    console.log(`📄 Mint recorded in: ${this.manifest.filePath}`);
+  }
+
+  /**
+   * Creates the mint, or picks up the journaled one, without minting
+   * anything. The metadata can then be deployed while the mint authority
+   * can still sign, and executeMinting(null, false, true) continues with the
+   * distribution.
+   */
+  async executeMintCreation() {
+    console.log('\n🚀 Creating the GlowMin token mint...\n');
+
+    requireSigner(this.keypairs, 'mintAuthority');
+    this.validateDistribution();
+
+    const mint = await this.prepareMint(Boolean(this.journal.load()?.mintAddress));
 
-      return tokenAccount.address;
+    return { network: this.network, mint: mint.toString(), tokenProgram: this.token.program };
+  }
+
+  async getTokenBalance(tokenAccount) {
+    try {
+      const account = await getAccount(this.connection, tokenAccount, undefined, this.token.programId);
+      return account.amount;
     } catch (error) {
-      console.error(`❌ Failed to create token account for ${owner.toString()}:`, error.message);
+      if (error instanceof TokenAccountNotFoundError) {
+        return 0n;
+      }
       throw error;
     }
   }
 
+  // Buckets whose mint confirmed on chain but never reached the journal (for
+  // example after a crash) are detected from the mint supply and recipient
+  // balances, and recorded as done so they are not minted a second time.
+  async reconcileDistributions(distributions) {
+    const sumRecorded = filter => Object.values(this.journal.get('distributions') || {})
+      .filter(filter)
+      .reduce((sum, entry) => sum + parseAmount(entry.amount), 0n);
+
+    const { supply } = await getMint(this.connection, this.mintAddress, undefined, this.token.programId);
+    let unrecorded = supply - sumRecorded(() => true);
+
+    if (unrecorded === 0n) {
+      return;
+    }
+
+    console.log(`🔎 On-chain supply exceeds the journal by ${this.formatTokens(unrecorded < 0n ? -unrecorded : unrecorded)}, checking recipient balances...`);
+
+    for (const distribution of distributions) {
+      const recorded = (this.journal.get('distributions') || {})[distribution.name];
+      if (recorded || unrecorded < distribution.amount) {
+        continue;
+      }
+
+      const recipient = distribution.recipient.toString();
+      const tokenAccount = await getAssociatedTokenAddress(this.mintAddress, distribution.recipient, false, this.token.programId);
+      const balance = await this.getTokenBalance(tokenAccount);
+
+      if (balance >= sumRecorded(entry => entry.recipient === recipient) + distribution.amount) {
+        console.log(`   ${distribution.name} was already minted, recording it in the journal`);
+        this.journal.setEntry('distributions', distribution.name, {
+          recipient,
+          amount: distribution.amount.toString(),
+          tokenAccount: tokenAccount.toString(),
+          signature: null,
+          reconciled: true,
+          completedAt: new Date().toISOString()
+        });
+        unrecorded -= distribution.amount;
+      }
+    }
+
+    if (unrecorded !== 0n) {
+      throw new GlowMinError(
+        `On-chain supply does not match the state journal (${unrecorded} base units unaccounted for). ` +
+        'Refusing to mint until the journal is reconciled manually'
+      );
+    }
+  }
+
   async mintTokens(to, amount) {
     try {
-      const tokenAccount = await this.createTokenAccount(to);
+      const tokenAccount = this.getTokenAccount(to);
       
-      const signature = await mintTo(
-        this.connection,
-        this.keypairs.mintAuthority,
-        this.mintAddress,
-        tokenAccount,
-        this.keypairs.mintAuthority,
-        amount
-      );
+      const signature = this.multisig
+        ? await this.multisig.execute(
+          `Mint ${this.formatTokens(amount)} to ${to.toString()}`,
+          signers => this.buildMintToInstructions(to, amount, signers)
+        )
+        : await this.sender.send(
+          this.buildMintToInstructions(to, amount),
+          [this.keypairs.mintAuthority],
+          `Mint to ${to.toString()}`
+        );
 
       if (this.verbose) {
-        console.log(`✅ Minted ${amount} tokens to ${to.toString()}`);
+        console.log(`✅ Minted ${this.formatTokens(amount)} to ${to.toString()}`);
+        console.log(`   Token Account: ${tokenAccount.toString()}`);
         console.log(`   Transaction: ${signature}`);
       }
 
@@ -177,26 +561,103 @@ class TokenMinter {
     }
   }
 
-  async distributeTokens(dryRun = false) {
+  // Transaction builders, shared by real runs, dry-run simulations and offline
+  // exports. The fee payer (getPayer) pays for every transaction.
+
+  // Token-2022 extensions are initialized between the account creation and InitializeMint2.
+  // The mint authority keypair is the mint authority until handOffMintAuthority.
+  buildCreateMintInstructions(mint, lamports) {
+    const { programId } = this.token;
+    const updateAuthority = this.token.metadataPointer ? this.getUpdateAuthority() : null;
+
+    const instructions = [
+      SystemProgram.createAccount({
+        fromPubkey: this.getPayer(),
+        newAccountPubkey: mint,
+        space: getMintSpace(this.token),
+        lamports,
+        programId
+      }),
+      ...buildMintExtensionInstructions(mint, this.token, { updateAuthority, feeAuthority: this.getMintAuthority() }),
+      createInitializeMint2Instruction(mint, this.config.token.decimals, this.getMintAuthorityKey(), this.getFreezeAuthority(), programId)
+    ];
+
+    if (this.token.metadataPointer) {
+      instructions.push(buildTokenMetadataInstruction(mint, this.token, {
+        mintAuthority: this.getMintAuthorityKey(),
+        updateAuthority,
+        ...this.getOnMintMetadata()
+      }));
+    }
+
+    return instructions;
+  }
+
+  // The recipient's token account is created in the same transaction when it does not exist yet
+  buildMintToInstructions(to, amount, signers = []) {
+    const tokenAccount = this.getTokenAccount(to);
+
+    return [
+      createAssociatedTokenAccountIdempotentInstruction(this.getPayer(), tokenAccount, to, this.mintAddress, this.token.programId),
+      createMintToInstruction(this.mintAddress, tokenAccount, this.getMintAuthority(), amount, signers, this.token.programId)
+    ];
+  }
+
+  buildHandOffInstructions() {
+    return [createSetAuthorityInstruction(
+      this.mintAddress,
+      this.getMintAuthorityKey(),
+      AuthorityType.MintTokens,
+      this.multisig.address,
+      [],
+      this.token.programId
+    )];
+  }
+
+  buildRevokeInstructions(currentAuthority, signers = []) {
+    return [createSetAuthorityInstruction(this.mintAddress, currentAuthority, AuthorityType.MintTokens, null, signers, this.token.programId)];
+  }
+
+  async distributeTokens() {
     console.log('\n🎯 Starting token distribution...\n');
 
     const distributions = this.calculateDistributions();
-    
-    if (dryRun) {
-      console.log('🔍 DRY RUN MODE - No actual minting will occur\n');
-      this.showDistributionPlan(distributions);
-      return;
-    }
+
+    await this.reconcileDistributions(distributions);
 
     const results = [];
 
     for (const distribution of distributions) {
+      const recorded = (this.journal.get('distributions') || {})[distribution.name];
+
+      if (recorded) {
+        if (recorded.recipient !== distribution.recipient.toString() || parseAmount(recorded.amount) !== distribution.amount) {
+          throw new GlowMinError(`Journaled ${distribution.name} distribution does not match the current configuration`);
+        }
+
+        console.log(`⏭️  ${distribution.name} already distributed, skipping`);
+        results.push({
+          ...distribution,
+          tokenAccount: recorded.tokenAccount,
+          signature: recorded.signature,
+          skipped: true
+        });
+        continue;
+      }
+
       try {
         console.log(`📦 Distributing ${distribution.name}...`);
-        console.log(`   Amount: ${distribution.amount} tokens`);
+        console.log(`   Amount: ${this.formatTokens(distribution.amount)}`);
         console.log(`   Recipient: ${distribution.recipient.toString()}`);
         
         const result = await this.mintTokens(distribution.recipient, distribution.amount);
+        this.journal.setEntry('distributions', distribution.name, {
+          recipient: distribution.recipient.toString(),
+          amount: distribution.amount.toString(),
+          tokenAccount: result.tokenAccount.toString(),
+          signature: result.signature,
+          completedAt: new Date().toISOString()
+        });
         results.push({
           ...distribution,
           tokenAccount: result.tokenAccount.toString(),
@@ -204,11 +665,12 @@ class TokenMinter {
         });
 
         console.log(`✅ ${distribution.name} distribution completed`);
-        
-        // Add delay between distributions to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
       } catch (error) {
+        // Later buckets wait until the pending transaction has been signed and submitted
+        if (error instanceof PendingSignaturesError) {
+          throw error;
+        }
+
         console.error(`❌ Failed to distribute ${distribution.name}:`, error.message);
         results.push({
           ...distribution,
@@ -218,125 +680,661 @@ class TokenMinter {
     }
 
     this.saveDistributionResults(results);
+
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      throw new GlowMinError(`${failed.length} distribution(s) failed. Rerun with --resume to retry them`);
+    }
+
     return results;
   }
 
-  calculateDistributions() {
-    const totalSupply = this.config.token.total_supply;
-    
-    return [
-      {
-        name: 'Liquidity Pool',
-        amount: BigInt(Math.floor(totalSupply * 0.4)), // 40%
-        recipient: this.keypairs.mintAuthority.publicKey, // Will be moved to liquidity pool
-        purpose: 'Initial liquidity provision'
-      },
-      {
-        name: 'Community',
-        amount: BigInt(Math.floor(totalSupply * 0.3)), // 30%
-        recipient: this.keypairs.mintAuthority.publicKey, // Will be distributed to community
-        purpose: 'Community rewards and airdrops'
-      },
-      {
-        name: 'Team',
-        amount: BigInt(Math.floor(totalSupply * 0.15)), // 15%
-        recipient: this.keypairs.mintAuthority.publicKey, // Team wallet
-        purpose: 'Team allocation with vesting'
-      },
-      {
-        name: 'Marketing',
-        amount: BigInt(Math.floor(totalSupply * 0.1)), // 10%
-        recipient: this.keypairs.mintAuthority.publicKey, // Marketing wallet
-        purpose: 'Marketing campaigns and partnerships'
-      },
-      {
-        name: 'Reserve',
-        amount: BigInt(Math.floor(totalSupply * 0.05)), // 5%
-        recipient: this.keypairs.mintAuthority.publicKey, // Reserve wallet
-        purpose: 'Future development and emergency fund'
+  validateDistribution() {
+    const buckets = this.config.distribution;
+
+    if (!Array.isArray(buckets) || buckets.length === 0) {
+      throw new ConfigError('No distribution buckets defined in configuration');
+    }
+
+    let totalBasisPoints = 0;
+
+    const validated = buckets.map((bucket, index) => {
+      const label = bucket.name || `#${index + 1}`;
+
+      if (!Number.isInteger(bucket.basis_points) || bucket.basis_points <= 0) {
+        throw new ConfigError(`Distribution '${label}' has invalid basis_points: ${bucket.basis_points}`);
       }
-    ];
+
+      const recipient = toPublicKey(bucket.recipient, `Distribution '${label}' recipient`);
+
+      totalBasisPoints += bucket.basis_points;
+
+      return {
+        name: label,
+        basisPoints: bucket.basis_points,
+        recipient,
+        purpose: bucket.purpose || ''
+      };
+    });
+
+    if (totalBasisPoints !== BASIS_POINTS_TOTAL) {
+      throw new ConfigError(`Distribution basis points must sum to ${BASIS_POINTS_TOTAL}, got ${totalBasisPoints}`);
+    }
+
+    return validated;
+  }
+
+  calculateDistributions() {
+    const totalSupply = parseAmount(this.config.token.total_supply, 'token.total_supply');
+
+    const distributions = this.validateDistribution().map(bucket => ({
+      ...bucket,
+      amount: percentOf(totalSupply, bucket.basisPoints)
+    }));
+
+    // Rounding dust goes to the last bucket so the buckets add up to the exact supply
+    const allocated = distributions.reduce((sum, dist) => sum + dist.amount, 0n);
+    distributions[distributions.length - 1].amount += totalSupply - allocated;
+
+    return distributions;
   }
 
   showDistributionPlan(distributions) {
     console.log('📋 Token Distribution Plan:');
-    console.log(`   Total Supply: ${this.config.token.total_supply}`);
+    console.log(`   Total Supply: ${this.formatTokens(parseAmount(this.config.token.total_supply))}`);
     console.log(`   Mint Address: ${this.mintAddress?.toString() || 'Will be created'}`);
     console.log('\n   Distributions:');
     
     distributions.forEach((dist, index) => {
       console.log(`   ${index + 1}. ${dist.name}`);
-      console.log(`      Amount: ${dist.amount.toString()} tokens`);
-      console.log(`      Percentage: ${(Number(dist.amount) / this.config.token.total_supply * 100).toFixed(1)}%`);
+      console.log(`      Amount: ${this.formatTokens(dist.amount)} (${dist.amount.toString()} base units)`);
+      console.log(`      Percentage: ${(dist.basisPoints / 100).toFixed(2)}%`);
+      console.log(`      Recipient: ${dist.recipient.toString()}`);
       console.log(`      Purpose: ${dist.purpose}`);
       console.log('');
     });
   }
 
+  // Multisig runs keep their metadata in a Metaplex account, loadTokenProgram rules out the on-mint metadata
+  async hasMetadata() {
+    const programId = new PublicKey(this.config.programs.metadata_program);
+    return Boolean(await this.connection.getAccountInfo(findMetadataAddress(this.mintAddress, programId)));
+  }
+
+  /**
+   * With security.multisig, hands the mint authority from the mint authority
+   * keypair, which the mint was created with, to the multisig. The metadata
+   * has to be deployed first: Metaplex needs that keypair's signature.
+   * Returns the signature, or null when the keypair no longer holds the
+   * authority. Pass requireMetadata false for mints that get no metadata.
+   * The handoff of the manifest's mint is recorded in the manifest.
+   */
+  async handOffMintAuthority(requireMetadata = true) {
+    if (!this.multisig) {
+      return null;
+    }
+
+    const { mintAuthority } = await getMint(this.connection, this.mintAddress, undefined, this.token.programId);
+
+    if (mintAuthority?.equals(this.multisig.address)) {
+      console.log('⏭️  The multisig already holds the mint authority');
+      this.recordHandOff(null);
+      return null;
+    }
+
+    if (!mintAuthority || !mintAuthority.equals(this.getMintAuthorityKey())) {
+      console.log('⏭️  The mint authority keypair no longer holds the mint authority, nothing to hand off');
+      return null;
+    }
+
+    if (requireMetadata && !(await this.hasMetadata())) {
+      throw new PrerequisiteError(
+        `Mint ${this.mintAddress.toString()} has no metadata yet, and Metaplex needs the mint authority keypair to create it. ` +
+        `Deploy it with: node deploy-metadata.js --network ${this.network}, then rerun with --resume`
+      );
+    }
+
+    console.log(`🔑 Handing the mint authority to the multisig ${this.multisig.address.toString()}...`);
+
+    const signature = await this.sender.send(
+      this.buildHandOffInstructions(),
+      [this.getFeePayer(), requireSigner(this.keypairs, 'mintAuthority')],
+      'Hand the mint authority to the multisig'
+    );
+
+    console.log('✅ Mint authority handed to the multisig');
+    console.log(`   Transaction: ${signature}`);
+    this.recordHandOff(signature);
+
+    return signature;
+  }
+
+  recordHandOff(signature) {
+    if (this.manifest.isDone('authority') || !this.mintAddress.equals(this.manifest.getMint() || PublicKey.default)) {
+      return;
+    }
+
+    this.manifest.complete('authority', { multisig: this.multisig.address.toString(), signature });
+    console.log(`📄 Handoff recorded in: ${this.manifest.filePath}`);
+  }
+
+  /**
+   * The deploy-all step between the metadata and the distribution: hands the
+   * manifest's mint to the multisig, or simulates the handoff.
+   */
+  async executeAuthorityHandOff(dryRun = false) {
+    console.log('\n🔑 Handing the GlowMin mint authority to the multisig...\n');
+
+    if (!this.multisig) {
+      throw new ConfigError('security.multisig is not enabled, the mint authority keypair keeps the mint authority');
+    }
+
+    this.mintAddress = this.manifest.requireMint();
+    await verifyMultisigAccount(this.connection, this.multisig.settings);
+
+    if (dryRun) {
+      const simulator = new TransactionSimulator(this.connection, this.getPayer(), this.config.fees, this.verbose, this.sender);
+      simulator.name(this.mintAddress, 'Mint');
+      await simulator.simulate('Hand the mint authority to the multisig', this.buildHandOffInstructions());
+
+      return { network: this.network, dryRun: true, simulation: await simulator.summarize() };
+    }
+
+    const signature = await this.handOffMintAuthority();
+
+    if (!this.manifest.isDone('authority')) {
+      throw new PrerequisiteError(`The mint authority of ${this.mintAddress.toString()} is neither the mint authority keypair nor the multisig`);
+    }
+
+    return { network: this.network, mint: this.mintAddress.toString(), multisig: this.multisig.address.toString(), signature };
+  }
+
+  /**
+   * Dry run: builds the transactions a real run would send (mint creation, each
+   * mint-to and the revoke) and simulates them. A fresh mint is simulated
+   * unless --resume continues the journaled one, whose recorded buckets are
+   * skipped. Rent comes from config.fees.rent_exempt for each new token account.
+   */
+  async simulateMinting(amount = null, resume = false) {
+    console.log('🔍 DRY RUN MODE - Simulating the minting transactions, nothing will be sent\n');
+
+    const state = amount ? null : this.loadJournalState(resume);
+    const distributions = amount
+      ? [{ name: 'Mint', recipient: this.keypairs.mintAuthority.publicKey, amount: parseAmount(amount, '--amount') }]
+      : this.calculateDistributions();
+
+    if (!amount) {
+      this.showDistributionPlan(distributions);
+    }
+
+    if (this.multisig) {
+      await verifyMultisigAccount(this.connection, this.multisig.settings);
+    }
+
+    const simulator = new TransactionSimulator(this.connection, this.getPayer(), this.config.fees, this.verbose, this.sender);
+    const signers = this.multisig ? this.multisig.selectSigners() : [];
+    let mintStep = null;
+    let revoked = false;
+
+    // A journaled mint whose creation never landed is simulated as a new one
+    if (state?.mintAddress && await this.connection.getAccountInfo(new PublicKey(state.mintAddress))) {
+      this.mintAddress = simulator.name(new PublicKey(state.mintAddress), 'Mint');
+      const { mintAuthority } = await getMint(this.connection, this.mintAddress, undefined, this.token.programId);
+      revoked = !mintAuthority;
+
+      if (this.multisig && mintAuthority?.equals(this.getMintAuthorityKey())) {
+        mintStep = await simulator.simulate('Hand the mint authority to the multisig', this.buildHandOffInstructions());
+      }
+    } else {
+      // Later transactions need the mint, so they are simulated after its creation
+      const mintKeypair = Keypair.generate();
+      const lamports = await this.getMintRent();
+
+      this.mintAddress = simulator.name(mintKeypair.publicKey, 'Mint');
+
+      // A real run deploys the metadata between the two; the minting steps need both
+      mintStep = this.multisig
+        ? await simulator.simulate('Create token mint and hand the mint authority to the multisig', [
+          ...this.buildCreateMintInstructions(this.mintAddress, lamports),
+          ...this.buildHandOffInstructions()
+        ], { rent: lamports })
+        : await simulator.simulate('Create token mint', this.buildCreateMintInstructions(this.mintAddress, lamports), {
+          rent: lamports
+        });
+    }
+
+    const recorded = state?.distributions || {};
+    const rentExempt = parseAmount(this.config.fees.rent_exempt, 'fees.rent_exempt');
+
+    for (const distribution of distributions) {
+      if (recorded[distribution.name]) {
+        console.log(`⏭️  ${distribution.name} already distributed, skipping\n`);
+        continue;
+      }
+
+      const tokenAccount = simulator.name(
+        this.getTokenAccount(distribution.recipient),
+        `${distribution.name} Token Account`
+      );
+      const rent = await simulator.getAccount(tokenAccount) ? 0n : rentExempt;
+
+      await simulator.simulate(
+        `Mint ${this.formatTokens(distribution.amount)} to ${distribution.name}`,
+        this.buildMintToInstructions(distribution.recipient, distribution.amount, signers),
+        { rent, after: mintStep }
+      );
+    }
+
+    if (!amount && revoked) {
+      console.log('⏭️  Mint authority already revoked, skipping\n');
+    } else if (!amount && this.timelock) {
+      console.log('🕒 The mint authority revoke is queued as a timelock proposal, not sent, so it is not simulated\n');
+    } else if (!amount) {
+      await simulator.simulate('Revoke mint authority', this.buildRevokeInstructions(this.getMintAuthority(), signers), {
+        after: mintStep
+      });
+    }
+
+    return {
+      network: this.network,
+      dryRun: true,
+      mint: this.mintAddress.toString(),
+      simulation: await simulator.summarize()
+    };
+  }
+
+  /**
+   * Offline signing: builds the mint creation, each mint-to and the revoke and
+   * writes them to filePath, for the mint authority (or the multisig signers)
+   * to sign on another machine. With the multisig, the metadata creation and
+   * the mint authority handoff come between the creation and the mint-tos.
+   * The main keypair pays; the new mint's keypair signs its creation here and
+   * is not kept. Exported runs are not journaled, `glowmin offline submit`
+   * continues a partly submitted file instead.
+   */
+  async exportMinting(filePath, amount = null) {
+    console.log('\n📦 Exporting GlowMin minting transactions for offline signing...\n');
+
+    const payer = requireSigner(this.keypairs, 'main');
+
+    // Reject a bad distribution plan, or a journaled run this one would repeat
+    if (!amount) {
+      this.validateDistribution();
+      this.loadJournalState(false);
+    }
+
+    if (this.multisig) {
+      await verifyMultisigAccount(this.connection, this.multisig.settings);
+    }
+
+    const distributions = amount
+      ? [{ name: 'Mint', recipient: this.getMintAuthorityKey(), amount: parseAmount(amount, '--amount') }]
+      : this.calculateDistributions();
+    const mintKeypair = Keypair.generate();
+    const signers = this.multisig ? this.multisig.selectSigners() : [];
+
+    this.payer = payer.publicKey;
+    this.mintAddress = mintKeypair.publicKey;
+
+    if (amount) {
+      console.log(`🪙 Mint Address: ${this.mintAddress.toString()}\n`);
+    } else {
+      this.showDistributionPlan(distributions);
+    }
+
+    const steps = [{
+      description: 'Create token mint',
+      instructions: this.buildCreateMintInstructions(this.mintAddress, await this.getMintRent()),
+      signers: [mintKeypair]
+    }];
+    const metadata = amount || !this.multisig ? null : this.buildMetadataStep();
+
+    if (metadata) {
+      steps.push(metadata.step);
+    }
+    if (this.multisig) {
+      steps.push({ description: 'Hand the mint authority to the multisig', instructions: this.buildHandOffInstructions() });
+    }
+
+    steps.push(...distributions.map(distribution => ({
+      description: `Mint ${this.formatTokens(distribution.amount)} to ${distribution.name}`,
+      instructions: this.buildMintToInstructions(distribution.recipient, distribution.amount, signers)
+    })));
+
+    if (!amount && this.timelock) {
+      console.log('🕒 The mint authority revoke goes through the timelock, which offline exports do not cover\n');
+    } else if (!amount) {
+      steps.push({ description: 'Revoke mint authority', instructions: this.buildRevokeInstructions(this.getMintAuthority(), signers) });
+    }
+
+    const record = amount ? null : this.buildDistributionRecord(distributions.map(distribution => ({
+      ...distribution,
+      tokenAccount: this.getTokenAccount(distribution.recipient).toString()
+    })));
+
+    const exporter = new OfflineExporter({
+      connection: this.connection,
+      sender: this.sender,
+      payer,
+      settings: getOfflineSettings(this.config)
+    });
+    const manifest = amount ? null : {
+      mint: { address: this.mintAddress.toString(), tokenProgram: this.token.program },
+      ...(metadata && { metadata: metadata.manifest }),
+      distribution: { totalSupply: record.totalSupply }
+    };
+    const bundle = await exporter.export(filePath, { kind: 'minting', network: this.network, record, manifest }, steps);
+
+    return {
+      network: this.network,
+      mint: this.mintAddress.toString(),
+      exportFile: filePath,
+      transactions: bundle.transactions
+    };
+  }
+
+  /**
+   * The Metaplex metadata creation for an exported multisig run, which has to
+   * be signed by the mint authority keypair before the handoff.
+   */
+  buildMetadataStep() {
+    const { MetadataDeployer } = require('./deploy-metadata');
+    const deployer = new MetadataDeployer(this.network, this.verbose, {
+      config: this.config,
+      metadata: this.getMetadata(),
+      connection: this.connection,
+      keypairDir: this.keypairDir,
+      deploymentsDir: this.deploymentsDir,
+      mint: this.mintAddress
+    });
+    deployer.payer = this.getPayer();
+
+    return {
+      step: { description: 'Create metadata account', instructions: [deployer.buildMetadataInstruction()] },
+      manifest: deployer.buildManifestEntry(deployer.getMetadataAddress())
+    };
+  }
+
+  formatTokens(amount) {
+    return formatAmount(amount, this.config.token.decimals, this.config.token.symbol);
+  }
+
   async revokeMintAuthority() {
     try {
       console.log('🔒 Revoking mint authority...');
       
-      await setAuthority(
-        this.connection,
-        this.keypairs.mintAuthority,
-        this.mintAddress,
-        this.keypairs.mintAuthority,
-        AuthorityType.MintTokens,
-        null
-      );
+      const signature = this.multisig
+        ? await this.multisig.execute(
+          `Revoke mint authority of ${this.mintAddress.toString()}`,
+          signers => this.buildRevokeInstructions(this.multisig.address, signers)
+        )
+        : await this.sender.send(
+          this.buildRevokeInstructions(this.keypairs.mintAuthority.publicKey),
+          [this.keypairs.mintAuthority],
+          'Revoke mint authority'
+        );
 
       console.log('✅ Mint authority revoked successfully!');
       console.log('   Token is now non-mintable');
+
+      return signature;
     } catch (error) {
       console.error('❌ Failed to revoke mint authority:', error.message);
       throw error;
     }
   }
 
-  saveDistributionResults(results) {
-    const distributionInfo = {
-      timestamp: new Date().toISOString(),
+  async proposeRevokeMintAuthority(currentAuthority) {
+    const proposalId = this.journal.get('revokeProposal');
+    const existing = this.timelock.list().find(proposal => proposal.id === proposalId && proposal.status !== 'cancelled');
+
+    if (existing) {
+      console.log(`⏭️  Mint authority revoke already proposed as #${existing.id} (${existing.status})`);
+      return existing;
+    }
+
+    const { blockhash } = await this.connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: this.getPayer(), recentBlockhash: blockhash }).add(
+      ...this.buildRevokeInstructions(currentAuthority, this.multisig ? this.multisig.selectSigners() : [])
+    );
+
+    const proposal = this.timelock.propose({
+      action: 'revoke-mint-authority',
+      description: `Revoke mint authority of ${this.mintAddress.toString()}`,
+      transaction
+    });
+    this.journal.update({ revokeProposal: proposal.id });
+
+    console.log(`🕒 Mint authority revoke queued as timelock proposal #${proposal.id}`);
+    console.log(`   Executable after: ${proposal.notBefore}`);
+    console.log(`   Execute with: node timelock.js execute --id ${proposal.id} --network ${this.network}`);
+
+    return proposal;
+  }
+
+  // The mint in the manifest, or for runs from before it, the latest minting record or journaled run
+  loadMintAddress(mint = null) {
+    if (mint) {
+      return mint;
+    }
+
+    if (this.manifest.getMint()) {
+      return this.manifest.getMint();
+    }
+
+    const latest = findLatestRecord(this.deploymentsDir, 'minting', this.network);
+    const address = latest?.record.mintAddress || this.journal.load()?.mintAddress;
+
+    if (!address) {
+      throw new PrerequisiteError(`No minting record found for ${this.network}, mint the token first or pass --mint`);
+    }
+
+    return toPublicKey(address, 'Recorded mint address');
+  }
+
+  requireTransferFee() {
+    if (!this.token.transferFee) {
+      throw new ConfigError('The transfer fee extension is not enabled in token.extensions.transfer_fee');
+    }
+  }
+
+  /**
+   * Moves the fees withheld in the mint's token accounts into the mint, from
+   * where withdrawWithheldFees collects them. Harvesting needs no authority;
+   * the mint authority keypair only pays for the transactions.
+   */
+  async harvestWithheldFees(mint = null) {
+    console.log('\n🌾 Harvesting withheld transfer fees...\n');
+
+    const payer = requireSigner(this.keypairs, 'mintAuthority');
+    this.requireTransferFee();
+    this.mintAddress = this.loadMintAddress(mint);
+
+    const accounts = await this.connection.getProgramAccounts(this.token.programId, {
+      filters: [{ memcmp: { offset: 0, bytes: this.mintAddress.toBase58() } }]
+    });
+    const sources = accounts
+      .map(({ pubkey, account }) => ({
+        address: pubkey,
+        withheld: getTransferFeeAmount(unpackAccount(pubkey, account, this.token.programId))?.withheldAmount ?? 0n
+      }))
+      .filter(source => source.withheld > 0n);
+    const total = sources.reduce((sum, source) => sum + source.withheld, 0n);
+
+    console.log(`   Mint Address: ${this.mintAddress.toString()}`);
+    console.log(`   Token Accounts: ${accounts.length}, ${sources.length} with withheld fees`);
+    console.log(`   Withheld: ${this.formatTokens(total)}`);
+
+    const signatures = [];
+
+    for (let i = 0; i < sources.length; i += HARVEST_BATCH_SIZE) {
+      const batch = sources.slice(i, i + HARVEST_BATCH_SIZE).map(source => source.address);
+      const signature = await this.sender.send(
+        [createHarvestWithheldTokensToMintInstruction(this.mintAddress, batch, this.token.programId)],
+        [payer],
+        `Harvest withheld fees from ${batch.length} account(s)`
+      );
+
+      signatures.push(signature);
+      console.log(`✅ Harvested ${batch.length} account(s)`);
+      console.log(`   Transaction: ${signature}`);
+    }
+
+    console.log(sources.length > 0
+      ? `\n🎉 ${this.formatTokens(total)} harvested into the mint, withdraw it with: glowmin fees withdraw --network ${this.network}`
+      : '\n⏭️  No withheld fees to harvest');
+
+    return {
       network: this.network,
-      mintAddress: this.mintAddress.toString(),
-      totalSupply: this.config.token.total_supply,
-      distributions: results
+      mint: this.mintAddress.toString(),
+      accounts: sources.map(source => ({ address: source.address.toString(), withheld: source.withheld })),
+      harvested: total,
+      signatures
     };
+  }
 
-    const infoPath = path.join(__dirname, `../deployments/minting-${this.network}-${Date.now()}.json`);
-    
-    // Ensure deployments directory exists
-    const deploymentsDir = path.dirname(infoPath);
-    if (!fs.existsSync(deploymentsDir)) {
-      fs.mkdirSync(deploymentsDir, { recursive: true });
+  /**
+   * Withdraws the fees harvested into the mint to `destination`, a token
+   * account of the mint, or by default to the mint authority's associated
+   * token account, which is created when it does not exist yet. Needs the
+   * withdraw authority set at mint creation: the mint authority, or the
+   * multisig when it is enabled.
+   */
+  async withdrawWithheldFees(destination = null, mint = null) {
+    console.log('\n💸 Withdrawing withheld transfer fees...\n');
+
+    requireSigner(this.keypairs, 'mintAuthority');
+    this.requireTransferFee();
+    this.mintAddress = this.loadMintAddress(mint);
+
+    const mintInfo = await getMint(this.connection, this.mintAddress, undefined, this.token.programId);
+    const feeConfig = getTransferFeeConfig(mintInfo);
+    const authority = this.getMintAuthority();
+
+    if (!feeConfig) {
+      throw new PrerequisiteError(`Mint ${this.mintAddress.toString()} was created without the transfer fee extension`);
+    }
+    if (!feeConfig.withdrawWithheldAuthority.equals(authority)) {
+      throw new ConfigError(
+        `The withdraw authority of ${this.mintAddress.toString()} is ${feeConfig.withdrawWithheldAuthority.toString()}, not ${authority.toString()}`
+      );
+    }
+
+    const owner = this.getMintAuthorityKey();
+    const account = destination || this.getTokenAccount(owner);
+
+    console.log(`   Mint Address: ${this.mintAddress.toString()}`);
+    console.log(`   Withheld in mint: ${this.formatTokens(feeConfig.withheldAmount)}`);
+    console.log(`   Destination: ${account.toString()}`);
+
+    if (feeConfig.withheldAmount === 0n) {
+      console.log('\n⏭️  No fees withheld in the mint, harvest them first with: glowmin fees harvest');
+      return { network: this.network, mint: this.mintAddress.toString(), destination: account.toString(), withdrawn: 0n, signature: null };
     }
 
-    fs.writeFileSync(infoPath, JSON.stringify(distributionInfo, null, 2));
+    const buildInstructions = (signers = []) => [
+      ...(destination ? [] : [createAssociatedTokenAccountIdempotentInstruction(this.getPayer(), account, owner, this.mintAddress, this.token.programId)]),
+      createWithdrawWithheldTokensFromMintInstruction(this.mintAddress, account, authority, signers, this.token.programId)
+    ];
+
+    const signature = this.multisig
+      ? await this.multisig.execute(`Withdraw withheld fees of ${this.mintAddress.toString()}`, buildInstructions)
+      : await this.sender.send(buildInstructions(), [this.keypairs.mintAuthority], 'Withdraw withheld fees');
+
+    console.log(`\n🎉 Withdrew ${this.formatTokens(feeConfig.withheldAmount)}`);
+    console.log(`   Transaction: ${signature}`);
+
+    return {
+      network: this.network,
+      mint: this.mintAddress.toString(),
+      destination: account.toString(),
+      withdrawn: feeConfig.withheldAmount,
+      signature
+    };
+  }
+
+  buildDistributionRecord(results) {
+    return {
+      timestamp: new Date().toISOString(),
+      network: this.network,
+      mintAddress: this.mintAddress.toString(),
+      totalSupply: parseAmount(this.config.token.total_supply).toString(),
+      distributions: results.map(result => ({
+        ...result,
+        amount: result.amount.toString(),
+        recipient: result.recipient.toString()
+      }))
+    };
+  }
+
+  saveDistributionResults(results) {
+    const distributionInfo = this.buildDistributionRecord(results);
+    const infoPath = writeDeploymentRecord(this.deploymentsDir, 'minting', this.network, distributionInfo);
     console.log(`📄 Distribution results saved to: ${infoPath}`);
+
+    return distributionInfo;
   }
 
-  async executeMinting(amount = null, dryRun = false) {
+  async executeMinting(amount = null, dryRun = false, resume = false) {
     console.log('\n🚀 Starting GlowMin token minting...\n');
 
+    requireSigner(this.keypairs, 'mintAuthority');
+
     try {
-      // Create token mint
-      await this.createTokenMint();
+      // Reject a bad distribution plan before a mint is created
+      if (!amount) {
+        this.validateDistribution();
+      }
+
+      if (dryRun) {
+        return await this.simulateMinting(amount, resume);
+      }
+
+      if (amount) {
+        // A mint for a single amount gets no metadata, so the multisig takes over straight away
+        await this.createTokenMint();
+        await this.handOffMintAuthority(false);
+      } else {
+        // Full runs are journaled so an interrupted run can be resumed
+        await this.prepareMint(resume);
+        await this.handOffMintAuthority();
+      }
+
+      const summary = { network: this.network, mint: this.mintAddress.toString(), dryRun: false };
 
       if (amount) {
         // Mint specific amount
-        console.log(`💰 Minting ${amount} tokens...`);
-        const result = await this.mintTokens(this.keypairs.mintAuthority.publicKey, BigInt(amount));
+        const baseUnits = parseAmount(amount, '--amount');
+        console.log(`💰 Minting ${this.formatTokens(baseUnits)}...`);
+        const result = await this.mintTokens(this.keypairs.mintAuthority.publicKey, baseUnits);
         console.log(`✅ Minting completed!`);
         console.log(`   Token Account: ${result.tokenAccount.toString()}`);
         console.log(`   Transaction: ${result.signature}`);
+        Object.assign(summary, { amount: baseUnits.toString(), tokenAccount: result.tokenAccount.toString(), signature: result.signature });
       } else {
         // Full tokenomics distribution
-        await this.distributeTokens(dryRun);
+        summary.distributions = await this.distributeTokens();
       }
 
-      if (!dryRun && !amount) {
+      if (!amount) {
         // Revoke mint authority after full distribution
-        await this.revokeMintAuthority();
+        const { mintAuthority } = await getMint(this.connection, this.mintAddress, undefined, this.token.programId);
+
+        if (mintAuthority && this.timelock) {
+          summary.revokeProposal = (await this.proposeRevokeMintAuthority(mintAuthority)).id;
+        } else if (mintAuthority) {
+          const revokeSignature = await this.revokeMintAuthority();
+          this.journal.update({ revokeSignature, completedAt: new Date().toISOString() });
+          summary.revokeSignature = revokeSignature;
+        } else {
+          console.log('⏭️  Mint authority already revoked, skipping');
+        }
+
+        this.manifest.complete('distribution', {
+          totalSupply: parseAmount(this.config.token.total_supply).toString(),
+          revokeSignature: summary.revokeSignature || null,
+          revokeProposal: summary.revokeProposal ?? null
+        });
       }
 
       console.log('\n🎉 GlowMin token minting completed successfully!');
@@ -344,96 +1342,25 @@ class TokenMinter {
       console.log('1. Verify token on Solana Explorer');
       console.log('2. Deploy metadata if not already done');
       console.log('3. Create liquidity pool');
-      console.log('4. Update deployment-config.json with mint address');
 
+      return summary;
     } catch (error) {
-      console.error('❌ Token minting failed:', error.message);
-      
-      if (this.verbose) {
-        console.error('Full error details:', error);
+      if (error instanceof PendingSignaturesError) {
+        console.log(`\n⏸️  ${error.message}`);
+        console.log('\nNext steps:');
+        console.log(`1. Remaining signers run: node multisig.js sign --file ${error.filePath}`);
+        console.log(`2. Submit it: node multisig.js submit --file ${error.filePath}`);
+        console.log(`3. Continue minting: node mint-token.js --network ${this.network} --resume`);
       }
-      
-      process.exit(1);
+
+      throw error;
     }
   }
 }
 
-// CLI Interface
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    network: 'devnet',
-    amount: null,
-    dryRun: false,
-    verbose: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case '--network':
-        options.network = args[++i];
-        break;
-      case '--amount':
-        options.amount = BigInt(args[++i]);
-        break;
-      case '--dry-run':
-        options.dryRun = true;
-        break;
-      case '--verbose':
-        options.verbose = true;
-        break;
-      case '--help':
-        console.log(`
-Usage: node mint-token.js [options]
-
-Options:
-  --network <network>    Target network (devnet, testnet, mainnet-beta)
-  --amount <amount>      Amount to mint (in smallest units)
-  --dry-run             Show what would be minted without executing
-  --verbose             Enable verbose logging
-  --help                Show this help message
-
-Examples:
-  node mint-token.js --network devnet
-  node mint-token.js --network mainnet-beta --amount 1000000000000
-  node mint-token.js --dry-run
-        `);
-        process.exit(0);
-        break;
-    }
-  }
-
-  return options;
-}
-
-// Main execution
-async function main() {
-  const options = parseArgs();
-  
-  console.log('🌟 GlowMin Token Minting Script');
-  console.log('==============================\n');
-
-  const minter = new TokenMinter(options.network, options.verbose);
-  await minter.executeMinting(options.amount, options.dryRun);
-}
-
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error.message);
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+module.exports = { TokenMinter };
 
-// Run the script
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
 if (require.main === module) {
-  main().catch(error => {
-    console.error('❌ Script execution failed:', error.message);
-    process.exit(1);
-  });
+  require('./glowmin').run(['mint', ...process.argv.slice(2)]);
 }
-
-module.exports = { TokenMinter };
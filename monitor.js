@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Monitoring Script
+ *
+ * This script runs as a long-lived monitor driven by the monitoring section of
+ * deployment-config.json. Every health_checks.interval seconds it polls the health endpoints
+ * and the RPC node, and watches the deployed mint (supply and authorities), the liquidity pool
+ * reserves and large token transfers. Alerts go to the console and to every configured
+ * notifier in monitoring.alerts (Discord, Telegram, email).
+ *
+ * Conditions such as an endpoint being down alert once when they start and again when they
+ * resolve; events such as a supply change or a large transfer alert every time.
+ *
+ * Usage: glowmin monitor [options] (or node monitor.js [options])
+ * Options:
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --interval <seconds>   Poll interval, overrides health_checks.interval
+ *   --once                Run a single round of checks and exit (non-zero if anything is failing)
+ *   --verbose             Enable verbose logging
+ */
+
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const { getMint, getAccount, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { readConfigFile, resolveConnection, findLatestRecord } = require('./lib/core');
+const { parseAmount, formatAmount, BASIS_POINTS_TOTAL } = require('./lib/amount');
+const { isPlaceholder } = require('./lib/pubkey');
+const { getPoolKeys } = require('./lib/raydium');
+const { getTokenSettings } = require('./lib/token-program');
+const { createNotifiers } = require('./lib/notifiers');
+const { PrerequisiteError } = require('./lib/errors');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const REQUEST_TIMEOUT_MS = 10000;
+
+const DEFAULT_THRESHOLDS = {
+  rpc_latency_ms: 2000,
+  pool_reserve_drop_bps: 2000,
+  large_transfer_amount: null
+};
+
+class HealthMonitor {
+  /**
+   * Options: config or configPath, deploymentsDir, rpcUrl and wsUrl, and an
+   * injected connection. Without one, the RPC endpoint fails over to the
+   * network's fallback_urls (lib/network.js).
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || this.loadConfig(configPath);
+    this.connection = this.createConnection(options);
+    this.tokenProgramId = getTokenSettings(this.config).programId;
+    this.notifiers = createNotifiers(this.config.monitoring?.alerts);
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...this.config.monitoring?.thresholds };
+    this.activeConditions = new Map();
+    this.baseline = {};
+    this.lastSignatures = new Map();
+    this.running = false;
+  }
+
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+    }
+
+    return config;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  // Records are written as <kind>-<network>-<timestamp>.json; the newest wins
+  loadLatestRecord(kind) {
+    return findLatestRecord(this.deploymentsDir, kind, this.network)?.record || null;
+  }
+
+  loadTargets() {
+    const mintRecord = this.loadLatestRecord('minting');
+    const poolRecord = this.loadLatestRecord('pool');
+    const mint = mintRecord ? new PublicKey(mintRecord.mintAddress) : null;
+
+    let pool = null;
+    if (poolRecord && mint) {
+      const keys = getPoolKeys({
+        programId: new PublicKey(poolRecord.rayiumProgram),
+        marketId: new PublicKey(poolRecord.marketId),
+        marketProgramId: null,
+        baseMint: mint
+      });
+      pool = { address: poolRecord.poolAddress, baseVault: keys.baseVault, quoteVault: keys.quoteVault };
+    }
+
+    // Large transfers are found through the mint, the pool vault and the distribution wallets
+    const watched = [mint, pool?.baseVault].filter(Boolean);
+    if (mint) {
+      (this.config.distribution || [])
+        .filter(bucket => bucket.recipient && !isPlaceholder(bucket.recipient))
+        .forEach(bucket => watched.push(getAssociatedTokenAddressSync(mint, new PublicKey(bucket.recipient), true, this.tokenProgramId)));
+    }
+
+    return { mint, pool, watched };
+  }
+
+  formatTokens(amount) {
+    return formatAmount(amount, this.config.token.decimals, this.config.token.symbol);
+  }
+
+  async notify(severity, key, title, message) {
+    const alert = { key, severity, title, message, network: this.network, timestamp: new Date().toISOString() };
+
+    await Promise.all(this.notifiers.map(async notifier => {
+      try {
+        await notifier.send(alert);
+      } catch (error) {
+        console.error(`❌ Failed to send alert via ${notifier.name}:`, error.message);
+      }
+    }));
+  }
+
+  // Conditions alert when they start and when they clear, not on every round
+  async setCondition(key, failing, severity, title, message) {
+    const active = this.activeConditions.has(key);
+
+    if (failing && !active) {
+      this.activeConditions.set(key, title);
+      await this.notify(severity, key, title, message);
+    } else if (!failing && active) {
+      const previous = this.activeConditions.get(key);
+      this.activeConditions.delete(key);
+      await this.notify('resolved', key, `Resolved: ${previous}`, message);
+    } else if (this.verbose) {
+      console.log(`   ${failing ? '❌' : '✅'} ${title}: ${message}`);
+    }
+  }
+
+  async checkEndpoints() {
+    const healthChecks = this.config.monitoring?.health_checks || {};
+    if (healthChecks.enabled === false) {
+      return;
+    }
+
+    for (const url of healthChecks.endpoints || []) {
+      let failure = null;
+      try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        if (!response.ok) {
+          failure = `returned HTTP ${response.status}`;
+        }
+      } catch (error) {
+        failure = `request failed: ${error.message}`;
+      }
+
+      await this.setCondition(`endpoint:${url}`, Boolean(failure), 'critical', `Endpoint down: ${url}`, failure || `${url} is healthy`);
+    }
+  }
+
+  async checkRpc() {
+    const started = Date.now();
+    let slot;
+
+    try {
+      slot = await this.connection.getSlot();
+    } catch (error) {
+      await this.setCondition('rpc:error', true, 'critical', 'RPC unreachable', error.message);
+      return false;
+    }
+
+    const latency = Date.now() - started;
+    await this.setCondition('rpc:error', false, 'critical', 'RPC unreachable', `RPC answered at slot ${slot}`);
+    await this.setCondition(
+      'rpc:latency',
+      latency > this.thresholds.rpc_latency_ms,
+      'warning',
+      'RPC latency high',
+      `getSlot took ${latency} ms (threshold ${this.thresholds.rpc_latency_ms} ms)`
+    );
+
+    const stalled = this.baseline.slot !== undefined && slot <= this.baseline.slot;
+    await this.setCondition('rpc:stalled', stalled, 'critical', 'RPC slot not advancing', `Slot ${slot}, previously ${this.baseline.slot}`);
+    this.baseline.slot = slot;
+
+    return true;
+  }
+
+  async checkMint(mint) {
+    const mintInfo = await getMint(this.connection, mint, undefined, this.tokenProgramId);
+    const current = {
+      supply: mintInfo.supply,
+      mintAuthority: mintInfo.mintAuthority?.toString() || null,
+      freezeAuthority: mintInfo.freezeAuthority?.toString() || null
+    };
+    const previous = this.baseline.mint;
+    this.baseline.mint = current;
+
+    if (!previous) {
+      return;
+    }
+
+    if (current.supply !== previous.supply) {
+      await this.notify('critical', 'mint:supply', 'Token supply changed',
+        `Supply of ${mint.toString()} went from ${this.formatTokens(previous.supply)} to ${this.formatTokens(current.supply)}`);
+    }
+
+    for (const field of ['mintAuthority', 'freezeAuthority']) {
+      if (current[field] !== previous[field]) {
+        await this.notify('critical', `mint:${field}`, `${field === 'mintAuthority' ? 'Mint' : 'Freeze'} authority changed`,
+          `${mint.toString()}: ${previous[field] || 'none'} → ${current[field] || 'none'}`);
+      }
+    }
+  }
+
+  // Each vault is compared with the highest balance seen, so slow drains are caught too
+  async checkPool(pool) {
+    const dropBps = BigInt(this.thresholds.pool_reserve_drop_bps);
+
+    for (const [name, vault] of [['base', pool.baseVault], ['quote', pool.quoteVault]]) {
+      const { amount } = await getAccount(this.connection, vault);
+      const peakKey = `${name}Peak`;
+      const peak = this.baseline[peakKey] === undefined || amount > this.baseline[peakKey] ? amount : this.baseline[peakKey];
+      this.baseline[peakKey] = peak;
+
+      const dropped = peak > 0n && (peak - amount) * BigInt(BASIS_POINTS_TOTAL) >= peak * dropBps;
+      await this.setCondition(
+        `pool:${name}`,
+        dropped,
+        'warning',
+        `Pool ${name} reserve dropped`,
+        `Vault ${vault.toString()} holds ${amount} base units, peak ${peak} (threshold ${Number(dropBps) / 100}%)`
+      );
+    }
+  }
+
+  async checkTransfers(mint, watched) {
+    if (!this.thresholds.large_transfer_amount) {
+      return;
+    }
+
+    const threshold = parseAmount(this.thresholds.large_transfer_amount, 'monitoring.thresholds.large_transfer_amount');
+    const signatures = new Set();
+
+    for (const address of watched) {
+      const key = address.toString();
+      // An address without signatures yet is recorded as null, so its first transfer is still seen
+      const seen = this.lastSignatures.has(key);
+      const until = this.lastSignatures.get(key) || undefined;
+      const recent = await this.connection.getSignaturesForAddress(address, { until, limit: 100 });
+
+      if (recent.length > 0 || !seen) {
+        this.lastSignatures.set(key, recent[0]?.signature || null);
+      }
+
+      // The first round only records where to start; history is not alerted on
+      if (seen) {
+        recent.filter(entry => !entry.err).forEach(entry => signatures.add(entry.signature));
+      }
+    }
+
+    for (const signature of signatures) {
+      const transaction = await this.connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0 });
+      if (!transaction?.meta) {
+        continue;
+      }
+
+      const balances = new Map();
+      const mintAddress = mint.toString();
+      transaction.meta.preTokenBalances.filter(b => b.mint === mintAddress)
+        .forEach(b => balances.set(b.accountIndex, { owner: b.owner, pre: BigInt(b.uiTokenAmount.amount), post: 0n }));
+      transaction.meta.postTokenBalances.filter(b => b.mint === mintAddress)
+        .forEach(b => balances.set(b.accountIndex, { owner: b.owner, pre: 0n, ...balances.get(b.accountIndex), post: BigInt(b.uiTokenAmount.amount) }));
+
+      const moves = [...balances.values()].map(entry => ({ owner: entry.owner, delta: entry.post - entry.pre }));
+      const largest = moves.reduce((max, move) => (move.delta > max ? move.delta : max), 0n);
+
+      if (largest >= threshold) {
+        const details = moves
+          .filter(move => move.delta !== 0n)
+          .map(move => `${move.owner}: ${move.delta > 0n ? '+' : '-'}${this.formatTokens(move.delta > 0n ? move.delta : -move.delta)}`)
+          .join('\n');
+        await this.notify('warning', `transfer:${signature}`, `Large transfer of ${this.formatTokens(largest)}`,
+          `Transaction ${signature}\n${details}`);
+      }
+    }
+  }
+
+  // A check that throws raises its own condition, so one failing RPC call does not stop the round
+  async runCheck(name, check) {
+    try {
+      await check();
+    } catch (error) {
+      await this.setCondition(`check:${name}`, true, 'warning', `${name} check failed`, error.message);
+      return;
+    }
+
+    await this.setCondition(`check:${name}`, false, 'warning', `${name} check failed`, `${name} check ran`);
+  }
+
+  async runChecks() {
+    await this.runCheck('Health endpoint', () => this.checkEndpoints());
+
+    if (!(await this.checkRpc())) {
+      return;
+    }
+
+    let targets = {};
+    await this.runCheck('Deployment record', () => {
+      targets = this.loadTargets();
+    });
+
+    if (!targets.mint) {
+      if (this.verbose) {
+        console.log(`   ℹ️  No minting record for ${this.network}, skipping on-chain checks`);
+      }
+      return;
+    }
+
+    await this.runCheck('Mint', () => this.checkMint(targets.mint));
+    if (targets.pool) {
+      await this.runCheck('Pool', () => this.checkPool(targets.pool));
+    }
+    await this.runCheck('Transfer', () => this.checkTransfers(targets.mint, targets.watched));
+  }
+
+  async start(intervalSeconds = null, once = false) {
+    if (typeof fetch !== 'function') {
+      throw new PrerequisiteError('The monitor requires Node.js 18 or newer');
+    }
+
+    const interval = intervalSeconds || this.config.monitoring?.health_checks?.interval || 300;
+
+    console.log(`\n👀 Monitoring GlowMin on ${this.network}${once ? '' : ` every ${interval}s`}...`);
+    console.log(`   Notifiers: ${this.notifiers.map(notifier => notifier.name).join(', ')}\n`);
+
+    this.running = true;
+    const stop = () => {
+      console.log('\n🛑 Stopping monitor');
+      this.running = false;
+      clearTimeout(this.timer);
+      this.wake?.();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    while (this.running) {
+      if (this.verbose) {
+        console.log(`🔄 Running checks at ${new Date().toISOString()}`);
+      }
+
+      await this.runChecks();
+
+      if (once) {
+        break;
+      }
+
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, interval * 1000);
+      });
+    }
+
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+
+    return this.activeConditions.size;
+  }
+}
+
+module.exports = { HealthMonitor };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['monitor', ...process.argv.slice(2)]);
+}
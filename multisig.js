@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Multisig Script
+ *
+ * This script creates the SPL multisig account described by security.multisig and collects
+ * signatures for the pending transactions that mint-token.js writes when not enough signer
+ * keyfiles are available locally.
+ *
+ * Commands:
+ *   create    Create the multisig account (and optionally a durable nonce account) and write
+ *             their addresses to deployment-config.json
+ *   status    Show which signers have signed a pending transaction
+ *   sign      Add signatures from signer keyfiles, or merge copies signed elsewhere
+ *   submit    Send a fully signed pending transaction
+ *
+ * Usage: glowmin multisig <command> [options] (or node multisig.js <command> [options])
+ * Options:
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --file <path>          Pending transaction file
+ *   --keypair <path>       Signer keyfile (repeatable, default: keypairs/multisig/*.json)
+ *   --merge <path>         Copy of the pending transaction to merge signatures from (repeatable)
+ *   --with-nonce          Also create a durable nonce account for pending transactions
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Keypair, PublicKey, SystemProgram, NONCE_ACCOUNT_LENGTH } = require('@solana/web3.js');
+const {
+  MULTISIG_SIZE,
+  createInitializeMultisigInstruction,
+  getMinimumBalanceForRentExemptMultisig
+} = require('@solana/spl-token');
+const { ConfigError, PrerequisiteError } = require('./lib/errors');
+const { readConfigFile, resolveConnection, loadKeypairFiles, requireSigner } = require('./lib/core');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { loadKeypairFile } = require('./lib/keystore');
+const {
+  getMultisigSettings,
+  loadSignerKeypairs,
+  verifyMultisigAccount,
+  readPendingTransaction,
+  writePendingTransaction,
+  getSignatureStatus,
+  addSignatures
+} = require('./lib/multisig');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+
+class MultisigManager {
+  /**
+   * Options: configPath, keypairDir, rpcUrl and wsUrl, and an injected
+   * connection. create writes the new addresses back to configPath.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, keypairDir = KEYPAIR_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.configPath = configPath;
+    this.keypairDir = keypairDir;
+    this.config = this.loadConfig();
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+  }
+
+  loadConfig() {
+    const config = readConfigFile(this.configPath);
+
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+    }
+
+    return config;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  getSettings() {
+    const settings = getMultisigSettings(this.config);
+
+    if (!settings) {
+      throw new ConfigError('security.multisig is not enabled in the configuration');
+    }
+
+    return settings;
+  }
+
+  // The main keypair pays for multisig transactions in mint-token.js, so it also funds
+  // the accounts and controls the nonce
+  loadPayer() {
+    return requireSigner(loadKeypairFiles(this.keypairDir, { main: 'main-keypair.json' }), 'main');
+  }
+
+  async createNonceAccount(payer) {
+    const nonceAccount = Keypair.generate();
+    const lamports = await this.connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH);
+
+    const instructions = SystemProgram.createNonceAccount({
+      fromPubkey: payer.publicKey,
+      noncePubkey: nonceAccount.publicKey,
+      authorizedPubkey: payer.publicKey,
+      lamports
+    }).instructions;
+
+    await this.sender.send(instructions, [payer, nonceAccount], 'Create nonce account');
+    return nonceAccount.publicKey;
+  }
+
+  async createMultisigAccount(payer, settings) {
+    const multisig = Keypair.generate();
+    const lamports = await getMinimumBalanceForRentExemptMultisig(this.connection);
+
+    await this.sender.send([
+      SystemProgram.createAccount({
+        fromPubkey: payer.publicKey,
+        newAccountPubkey: multisig.publicKey,
+        space: MULTISIG_SIZE,
+        lamports,
+        programId: settings.programId
+      }),
+      createInitializeMultisigInstruction(multisig.publicKey, settings.signers, settings.threshold, settings.programId)
+    ], [payer, multisig], 'Create multisig account');
+
+    return multisig.publicKey;
+  }
+
+  updateConfig(changes) {
+    const raw = fs.readFileSync(this.configPath, 'utf8');
+    const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+    const config = JSON.parse(raw);
+
+    Object.assign(config.security.multisig, changes);
+
+    const output = JSON.stringify(config, null, 2).replace(/\n/g, eol) + (raw.endsWith(eol) ? eol : '');
+    fs.writeFileSync(this.configPath, output);
+    console.log(`📄 Multisig addresses written to: ${this.configPath}`);
+  }
+
+  async create(withNonce = false) {
+    const settings = this.getSettings();
+    const payer = this.loadPayer();
+    const changes = {};
+
+    console.log(`🔐 Multisig: ${settings.threshold}-of-${settings.signers.length}`);
+    settings.signers.forEach(signer => console.log(`   ${signer.toString()}`));
+
+    if (settings.address) {
+      await verifyMultisigAccount(this.connection, settings);
+      console.log(`⏭️  Multisig account already exists: ${settings.address.toString()}`);
+    } else {
+      const address = await this.createMultisigAccount(payer, settings);
+      changes.address = address.toString();
+      console.log(`✅ Multisig account created: ${address.toString()}`);
+    }
+
+    if (withNonce) {
+      if (settings.nonceAccount) {
+        console.log(`⏭️  Nonce account already configured: ${settings.nonceAccount.toString()}`);
+      } else {
+        const nonceAccount = await this.createNonceAccount(payer);
+        changes.nonce_account = nonceAccount.toString();
+        console.log(`✅ Nonce account created: ${nonceAccount.toString()}`);
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.updateConfig(changes);
+    }
+
+    return {
+      network: this.network,
+      address: changes.address || settings.address.toString(),
+      nonceAccount: changes.nonce_account || settings.nonceAccount?.toString() || null
+    };
+  }
+
+  async status(filePath) {
+    const { pending, transaction } = readPendingTransaction(filePath);
+    const status = getSignatureStatus(pending, transaction);
+    const feePayerSigned = Boolean(transaction.signatures.find(entry => entry.publicKey.equals(transaction.feePayer))?.signature);
+
+    console.log(`📋 ${pending.description}`);
+    console.log(`   Multisig: ${pending.multisig}`);
+    console.log(`   Created: ${pending.createdAt}`);
+    console.log(`   Fee payer: ${transaction.feePayer.toString()} ${feePayerSigned ? '✅' : '❌'}`);
+    status.forEach(({ signer, signed }) => console.log(`   Signer: ${signer} ${signed ? '✅' : '❌'}`));
+
+    if (pending.submittedSignature) {
+      console.log(`   Submitted: ${pending.submittedSignature} (${pending.submittedAt})`);
+    } else if (pending.nonceAccount) {
+      console.log(`   Durable nonce: ${pending.nonceAccount}`);
+    } else if (pending.lastValidBlockHeight) {
+      const blockHeight = await this.connection.getBlockHeight();
+      console.log(blockHeight > pending.lastValidBlockHeight
+        ? '   ⚠️  Blockhash expired, the transaction can no longer be submitted'
+        : `   Blockhash valid for ${pending.lastValidBlockHeight - blockHeight} more blocks`);
+    }
+
+    return status;
+  }
+
+  sign(filePath, keypairPaths = [], mergePaths = []) {
+    const { pending, transaction } = readPendingTransaction(filePath);
+    const required = { signers: pending.signers.map(signer => new PublicKey(signer)) };
+
+    const keypairs = keypairPaths.length > 0
+      ? keypairPaths.map(keypairPath => loadKeypairFile(keypairPath))
+      : loadSignerKeypairs(this.keypairDir, required);
+    const others = mergePaths.map(mergePath => readPendingTransaction(mergePath).transaction);
+
+    const added = addSignatures(pending, transaction, keypairs, others);
+    writePendingTransaction(filePath, pending, transaction);
+
+    if (added.length === 0) {
+      console.log('ℹ️  No new signatures for this transaction');
+    } else {
+      added.forEach(signer => console.log(`✅ Signed by ${signer}`));
+    }
+
+    const missing = getSignatureStatus(pending, transaction).filter(entry => !entry.signed);
+    console.log(missing.length === 0
+      ? '\n🎉 All required signatures collected, ready to submit'
+      : `\n⏳ Waiting for ${missing.length} more signature(s): ${missing.map(entry => entry.signer).join(', ')}`);
+
+    return { added, missing: missing.map(entry => entry.signer) };
+  }
+
+  async submit(filePath) {
+    const { pending, transaction } = readPendingTransaction(filePath);
+
+    if (pending.submittedSignature) {
+      throw new PrerequisiteError(`Transaction was already submitted: ${pending.submittedSignature}`);
+    }
+
+    const missing = getSignatureStatus(pending, transaction).filter(entry => !entry.signed);
+    if (missing.length > 0) {
+      throw new PrerequisiteError(`Missing signatures from: ${missing.map(entry => entry.signer).join(', ')}`);
+    }
+
+    console.log(`📤 Submitting: ${pending.description}`);
+    const signature = await this.sender.submit(transaction, pending.nonceAccount ? null : pending.lastValidBlockHeight);
+
+    pending.submittedSignature = signature;
+    pending.submittedAt = new Date().toISOString();
+    writePendingTransaction(filePath, pending, transaction);
+
+    console.log('✅ Transaction confirmed');
+    console.log(`   Transaction: ${signature}`);
+
+    return { signature };
+  }
+}
+
+module.exports = { MultisigManager };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['multisig', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,700 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin NFT Collection Script
+ *
+ * This script generates the GlowMin NFT collection described by nft-metadata.json and mints it.
+ *
+ *   generate  Roll the traits of every token from a seed (see lib/nft-generator.js) and write
+ *             collection.json, one <id>.json per token and rarity-report.json to the output
+ *             directory. The same seed and supply always produce the same files.
+ *   stats     Check the generated token files against nft-metadata.json and rank them by rarity
+ *             (see lib/nft-stats.js), writing rarity-stats.json and rarity-ranks.csv
+ *   mint      Create the collection NFT and mint the generated tokens into it, each verified as
+ *             a member of the collection
+ *
+ * The JSON files are uploaded to nft.base_uri before minting: every NFT points at
+ * <base_uri>/<id>.json and the collection NFT at <base_uri>/collection.json. The metadata
+ * authority keypair is the update authority of every NFT and signs the collection
+ * verification; the main keypair pays and receives the NFTs. Each minted NFT is recorded in
+ * deployments/nft-mint-state-<network>.json, so running mint again continues with the next
+ * token; --count limits how many are minted in one run. Every NFT is recorded as pending before
+ * its transaction is broadcast, and a run that stopped mid-send checks on chain whether its mint
+ * exists before minting that token again.
+ *
+ * Usage: glowmin nft generate|stats|mint [options] (or node nft-minter.js generate|stats|mint [options])
+ * Options:
+ *   --seed <seed>          Seed for the trait rolls (generate, default: random, printed)
+ *   --supply <count>       Number of tokens (generate, default: the collection's "Total Supply")
+ *   --output <path>        Directory for the generated files (generate, default: nft/) or the
+ *                          statistics (stats, default: the input directory)
+ *   --input <path>         Directory holding the generated files (stats, mint, default: nft/)
+ *   --count <count>        Mint at most this many NFTs in this run (mint)
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --dry-run             Simulate the collection and the next NFT without sending them (mint)
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PublicKey, Keypair, SystemProgram } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  MINT_SIZE,
+  getAssociatedTokenAddressSync,
+  getMinimumBalanceForRentExemptMint,
+  createInitializeMint2Instruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToInstruction
+} = require('@solana/spl-token');
+const { parseAmount } = require('./lib/amount');
+const { GlowMinError, ConfigError, NetworkError, PrerequisiteError } = require('./lib/errors');
+const {
+  readConfigFile,
+  readNftMetadataFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  writeDeploymentRecord
+} = require('./lib/core');
+const {
+  findMetadataAddress,
+  findMasterEditionAddress,
+  createMetadataAccountV3Instruction,
+  createMasterEditionV3Instruction,
+  verifySizedCollectionItemInstruction
+} = require('./lib/token-metadata');
+const { generateCollection } = require('./lib/nft-generator');
+const { analyzeCollection, toRankingCsv } = require('./lib/nft-stats');
+const { StateJournal } = require('./lib/state-journal');
+const { TransactionSimulator } = require('./lib/simulation');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const NFT_METADATA_PATH = path.join(__dirname, '../metadata/nft-metadata.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const COLLECTION_DIR = path.join(__dirname, '../nft');
+const KEYPAIR_FILES = {
+  main: 'main-keypair.json',
+  metadataAuthority: 'metadata-authority.json'
+};
+const REPORT_FILE = 'rarity-report.json';
+const COLLECTION_FILE = 'collection.json';
+const STATS_FILE = 'rarity-stats.json';
+const RANKING_FILE = 'rarity-ranks.csv';
+
+// Metaplex limits on the on-chain fields
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_URI_LENGTH = 200;
+
+class NftMinter {
+  /**
+   * Options: config or configPath, nftMetadata or nftMetadataPath, collectionDir (the
+   * directory generate writes and mint reads), keypairDir, deploymentsDir, rpcUrl and wsUrl,
+   * an injected connection, and signers ({ main, metadataAuthority }) to use instead of the
+   * keyfiles.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const {
+      configPath = CONFIG_PATH,
+      nftMetadataPath = NFT_METADATA_PATH,
+      collectionDir = COLLECTION_DIR,
+      keypairDir = KEYPAIR_DIR,
+      deploymentsDir = DEPLOYMENTS_DIR
+    } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.collectionDir = collectionDir;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || readConfigFile(configPath);
+    this.nftMetadata = options.nftMetadata || this.loadNftMetadata(nftMetadataPath);
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.keypairs = this.loadKeypairs(options.signers);
+    this.journal = new StateJournal(path.join(this.deploymentsDir, `nft-mint-state-${this.network}.json`));
+  }
+
+  loadNftMetadata(nftMetadataPath) {
+    const nftMetadata = readNftMetadataFile(nftMetadataPath);
+
+    if (this.verbose) {
+      console.log('✅ NFT metadata loaded successfully');
+      console.log(`   Collection: ${nftMetadata.collection?.name}`);
+      console.log(`   Traits: ${Object.keys(nftMetadata.traits || {}).join(', ')}`);
+    }
+
+    return nftMetadata;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  loadKeypairs(signers) {
+    const keypairs = loadKeypairFiles(this.keypairDir, KEYPAIR_FILES, signers);
+
+    if (this.verbose) {
+      console.log('✅ Keypairs loaded successfully');
+      Object.keys(keypairs).forEach(key => {
+        console.log(`   ${key}: ${keypairs[key].publicKey.toString()}`);
+      });
+    }
+
+    return keypairs;
+  }
+
+  async checkNetworkHealth() {
+    try {
+      const version = await this.connection.getVersion();
+      const slot = await this.connection.getSlot();
+
+      if (this.verbose) {
+        console.log('✅ Network health check passed');
+        console.log(`   Solana Version: ${version['solana-core']}`);
+        console.log(`   Current Slot: ${slot}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Network health check failed:', error.message);
+      return false;
+    }
+  }
+
+  readGeneratedFile(name) {
+    const filePath = path.join(this.collectionDir, name);
+
+    if (!fs.existsSync(filePath)) {
+      throw new PrerequisiteError(`${filePath} not found, generate the collection first with: glowmin nft generate`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`${filePath} is not valid JSON: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Rolls the collection and writes its files to the collection directory. A
+   * directory holding a collection from another seed or supply is left alone,
+   * since its files may already be uploaded or minted.
+   */
+  async generateCollection(seed = null, supply = null) {
+    console.log('\n🎨 Generating the GlowMin NFT collection...\n');
+
+    const generated = generateCollection(this.nftMetadata, {
+      seed: seed ?? crypto.randomBytes(16).toString('hex'),
+      supply
+    });
+
+    const reportPath = path.join(this.collectionDir, REPORT_FILE);
+    if (fs.existsSync(reportPath)) {
+      const existing = this.readGeneratedFile(REPORT_FILE);
+
+      if (existing.seed !== generated.seed || existing.supply !== generated.supply) {
+        throw new GlowMinError(
+          `${this.collectionDir} already holds a collection of ${existing.supply} generated with seed ${existing.seed}, choose another --output`
+        );
+      }
+    }
+
+    fs.mkdirSync(this.collectionDir, { recursive: true });
+    fs.writeFileSync(path.join(this.collectionDir, COLLECTION_FILE), JSON.stringify(generated.collection, null, 2));
+    generated.tokens.forEach(token => {
+      fs.writeFileSync(path.join(this.collectionDir, `${token.id}.json`), JSON.stringify(token.json, null, 2));
+    });
+    fs.writeFileSync(reportPath, JSON.stringify(generated.report, null, 2));
+
+    console.log('✅ Collection generated successfully!');
+    console.log(`   Seed: ${generated.seed}`);
+    console.log(`   Supply: ${generated.supply} of ${generated.combinations} possible trait combinations`);
+    console.log(`   Output: ${this.collectionDir}`);
+    generated.report.tiers.forEach(tier => console.log(`   ${tier.name}: ${tier.count} (${tier.share}%)`));
+
+    if (this.verbose) {
+      Object.entries(generated.report.traits).forEach(([trait, values]) => {
+        console.log(`\n   ${trait}:`);
+        values.forEach(value => console.log(`      ${value.name}: ${value.count} (expected ${value.expected})`));
+      });
+    }
+
+    console.log('\nNext steps:');
+    console.log('1. Upload the JSON files and images so they are served from nft.base_uri');
+    console.log(`2. Mint the collection: glowmin nft mint --network ${this.network} --input ${this.collectionDir}`);
+
+    return {
+      seed: generated.seed,
+      supply: generated.supply,
+      combinations: generated.combinations,
+      outputDir: this.collectionDir,
+      tiers: generated.report.tiers
+    };
+  }
+
+  // The <id>.json token files in the collection directory, in id order
+  readTokenFiles() {
+    if (!fs.existsSync(this.collectionDir)) {
+      throw new PrerequisiteError(`${this.collectionDir} not found, generate the collection first with: glowmin nft generate`);
+    }
+
+    const ids = fs.readdirSync(this.collectionDir)
+      .map(file => /^(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+
+    if (ids.length === 0) {
+      throw new PrerequisiteError(`No token files in ${this.collectionDir}, generate the collection first with: glowmin nft generate`);
+    }
+
+    return ids.map(id => ({ id, json: this.readGeneratedFile(`${id}.json`) }));
+  }
+
+  /**
+   * Checks the generated token files against nft-metadata.json and writes the
+   * statistics as JSON and the rarity ranking as CSV to outputDir. The result
+   * does not pass when tokens are duplicated, missing or have traits missing
+   * or undefined; deviations from the probabilities are only reported.
+   */
+  async analyzeCollection(outputDir = null) {
+    console.log('\n📊 Analyzing the GlowMin NFT collection...\n');
+
+    const tokens = this.readTokenFiles();
+    const reportPath = path.join(this.collectionDir, REPORT_FILE);
+    const supply = fs.existsSync(reportPath) ? this.readGeneratedFile(REPORT_FILE).supply : null;
+    const stats = analyzeCollection(this.nftMetadata, tokens, supply);
+    const targetDir = outputDir || this.collectionDir;
+
+    console.log(`   Collection: ${this.collectionDir}`);
+    console.log(`   Tokens: ${stats.supply}\n`);
+
+    const printTest = (label, test) => {
+      const icon = test.deviates ? '⚠️ ' : '✅';
+      console.log(`${icon} ${label}: chi-square ${test.statistic} (${test.degreesOfFreedom} degrees of freedom), p = ${test.pValue}`);
+    };
+    const printValues = entries => {
+      if (this.verbose) {
+        entries.forEach(entry => console.log(`      ${entry.name}: ${entry.observed} (expected ${entry.expected})`));
+      }
+    };
+
+    Object.values(stats.traits).forEach(trait => {
+      printTest(trait.traitType, trait.chiSquare);
+      printValues(trait.values);
+    });
+
+    if (stats.tiers) {
+      printTest(`${stats.tiers.traitType} (rarity_distribution)`, stats.tiers.chiSquare);
+      printValues(stats.tiers.values);
+    }
+
+    const { duplicates, missingTraits, unknownValues, missingTokens } = stats.problems;
+    duplicates.forEach(ids => console.log(`❌ Same trait combination: #${ids.join(', #')}`));
+    missingTraits.forEach(({ id, trait }) => console.log(`❌ #${id} has no ${trait}`));
+    unknownValues.forEach(({ id, trait, value }) => console.log(`❌ #${id} has ${trait} "${value}", which nft-metadata.json does not define`));
+    if (missingTokens.length > 0) {
+      console.log(`❌ Missing token files: #${missingTokens.join(', #')}`);
+    }
+
+    console.log('\n🏆 Rarest tokens:');
+    stats.tokens.slice(0, 10).forEach(token => {
+      console.log(`   ${token.rank}. ${token.name} (score ${token.score}${token.rarity ? `, ${token.rarity}` : ''})`);
+    });
+
+    fs.mkdirSync(targetDir, { recursive: true });
+    const statsPath = path.join(targetDir, STATS_FILE);
+    const rankingPath = path.join(targetDir, RANKING_FILE);
+    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
+    fs.writeFileSync(rankingPath, toRankingCsv(stats));
+
+    console.log(`\n📄 Statistics saved to: ${statsPath}`);
+    console.log(`📄 Rarity ranking saved to: ${rankingPath}`);
+
+    if (stats.passed) {
+      console.log('\n✅ Every token is unique and has every trait');
+    } else {
+      console.log('\n❌ The collection has problems, see above');
+    }
+
+    return { ...stats, statsFile: statsPath, rankingFile: rankingPath };
+  }
+
+  getSettings() {
+    if (!this.config.nft) {
+      throw new ConfigError('deployment-config.json has no nft section, add nft.base_uri and nft.seller_fee_basis_points');
+    }
+
+    return this.config.nft;
+  }
+
+  getProgramId() {
+    return new PublicKey(this.config.programs.metadata_program);
+  }
+
+  getPayer() {
+    return this.keypairs.main.publicKey;
+  }
+
+  getUpdateAuthority() {
+    return this.keypairs.metadataAuthority.publicKey;
+  }
+
+  getUri(file) {
+    return `${this.getSettings().base_uri.replace(/\/+$/, '')}/${file}`;
+  }
+
+  // The on-chain fields of an NFT, from its generated JSON file
+  getNftData(file, collectionMint = null) {
+    const json = this.readGeneratedFile(file);
+    const uri = this.getUri(file);
+
+    [['name', json.name, MAX_NAME_LENGTH], ['symbol', json.symbol, MAX_SYMBOL_LENGTH], ['uri', uri, MAX_URI_LENGTH]]
+      .forEach(([field, value, max]) => {
+        if (typeof value !== 'string' || Buffer.byteLength(value, 'utf8') > max) {
+          throw new ConfigError(`The ${field} of ${file} must be a string of at most ${max} bytes, got ${JSON.stringify(value)}`);
+        }
+      });
+
+    return {
+      name: json.name,
+      symbol: json.symbol,
+      uri,
+      sellerFeeBasisPoints: this.getSettings().seller_fee_basis_points,
+      creators: [{ address: this.getUpdateAuthority().toBase58(), share: 100 }],
+      collection: collectionMint ? { key: collectionMint, verified: false } : null
+    };
+  }
+
+  // Creates a mint, mints its single token to the main keypair and makes it a master edition
+  buildNftInstructions(mint, lamports, data, collectionSize = null) {
+    const programId = this.getProgramId();
+    const payer = this.getPayer();
+    const authority = this.getUpdateAuthority();
+    const tokenAccount = getAssociatedTokenAddressSync(mint, payer);
+
+    return [
+      SystemProgram.createAccount({
+        fromPubkey: payer,
+        newAccountPubkey: mint,
+        space: MINT_SIZE,
+        lamports,
+        programId: TOKEN_PROGRAM_ID
+      }),
+      createInitializeMint2Instruction(mint, 0, authority, authority),
+      createAssociatedTokenAccountIdempotentInstruction(payer, tokenAccount, payer, mint),
+      createMintToInstruction(mint, tokenAccount, authority, 1),
+      createMetadataAccountV3Instruction({
+        programId,
+        mint,
+        mintAuthority: authority,
+        payer,
+        updateAuthority: authority,
+        data,
+        isMutable: this.getSettings().is_mutable !== false,
+        collectionSize
+      }),
+      createMasterEditionV3Instruction({
+        programId,
+        mint,
+        mintAuthority: authority,
+        payer,
+        updateAuthority: authority,
+        tokenProgram: TOKEN_PROGRAM_ID
+      })
+    ];
+  }
+
+  buildCollectionInstructions(mint, lamports) {
+    return this.buildNftInstructions(mint, lamports, this.getNftData(COLLECTION_FILE), 0);
+  }
+
+  buildItemInstructions(id, mint, collectionMint, lamports) {
+    return [
+      ...this.buildNftInstructions(mint, lamports, this.getNftData(`${id}.json`, collectionMint)),
+      verifySizedCollectionItemInstruction({
+        programId: this.getProgramId(),
+        mint,
+        collectionMint,
+        collectionAuthority: this.getUpdateAuthority(),
+        payer: this.getPayer()
+      })
+    ];
+  }
+
+  // Mint account, token account and metadata account; the edition account is not in config.fees
+  getRent(lamports) {
+    return BigInt(lamports)
+      + parseAmount(this.config.fees.rent_exempt, 'fees.rent_exempt')
+      + parseAmount(this.config.fees.metadata_creation, 'fees.metadata_creation');
+  }
+
+  /**
+   * Loads the rarity report and the mint state, which has to belong to the
+   * same generated collection.
+   */
+  loadState() {
+    const report = this.readGeneratedFile(REPORT_FILE);
+    const state = this.journal.load();
+
+    if (state && (state.seed !== report.seed || state.supply !== report.supply)) {
+      throw new PrerequisiteError(
+        `${this.journal.filePath} records the minting of a collection of ${state.supply} generated with seed ${state.seed}, ` +
+        `but ${this.collectionDir} holds ${report.supply} generated with seed ${report.seed}`
+      );
+    }
+
+    return { report, state: state || {} };
+  }
+
+  /**
+   * Mints the generated collection: the collection NFT first, then every
+   * token not yet recorded in the mint state, in id order, up to `count`.
+   */
+  async mintCollection(count = null, dryRun = false) {
+    console.log('\n🚀 Starting GlowMin NFT minting...\n');
+
+    const isHealthy = await this.checkNetworkHealth();
+    if (!isHealthy) {
+      throw new NetworkError('Network health check failed, aborting minting');
+    }
+
+    this.getSettings();
+    requireSigner(this.keypairs, 'main');
+    requireSigner(this.keypairs, 'metadataAuthority');
+
+    const { report, state: journaled } = this.loadState();
+    const state = dryRun ? journaled : await this.settlePendingMints(journaled);
+    const minted = state.items || {};
+    const remaining = Array.from({ length: report.supply }, (_, index) => index + 1).filter(id => !minted[id]);
+    const pending = count ? remaining.slice(0, count) : remaining;
+
+    console.log(`   Collection: ${this.collectionDir} (seed ${report.seed})`);
+    console.log(`   Base URI: ${this.getSettings().base_uri}`);
+    console.log(`   Update Authority: ${this.getUpdateAuthority().toString()}`);
+    console.log(`   Owner: ${this.getPayer().toString()}`);
+    console.log(`   Minted: ${report.supply - remaining.length} of ${report.supply}`);
+    console.log(`   Minting now: ${pending.length}\n`);
+
+    if (dryRun) {
+      return this.simulateMinting(state, pending);
+    }
+
+    const lamports = await getMinimumBalanceForRentExemptMint(this.connection);
+    const collection = state.collection || await this.createCollectionNft(report, lamports);
+    const collectionMint = new PublicKey(collection.mint);
+    const results = [];
+
+    for (const id of pending) {
+      results.push(await this.mintItem(id, collectionMint, lamports));
+    }
+
+    const total = Object.keys(this.journal.get('items') || {}).length;
+    const complete = total === report.supply;
+
+    console.log(`\n✅ ${results.length} NFT(s) minted, ${total} of ${report.supply} in total`);
+
+    if (complete) {
+      const infoPath = writeDeploymentRecord(this.deploymentsDir, 'nft', this.network, {
+        timestamp: new Date().toISOString(),
+        network: this.network,
+        seed: report.seed,
+        supply: report.supply,
+        collection,
+        updateAuthority: this.getUpdateAuthority().toString(),
+        owner: this.getPayer().toString(),
+        baseUri: this.getSettings().base_uri,
+        items: this.journal.get('items')
+      });
+      console.log(`📄 Deployment info saved to: ${infoPath}`);
+      console.log('\n🎉 GlowMin NFT collection minted successfully!');
+    } else {
+      console.log(`\n⏭️  ${report.supply - total} NFT(s) left, run glowmin nft mint --network ${this.network} again to continue`);
+    }
+
+    return {
+      network: this.network,
+      collection: collection.mint,
+      minted: results,
+      total,
+      supply: report.supply,
+      complete
+    };
+  }
+
+  // A pending mint exists once its transaction landed, and may still land until its blockhash expires
+  async isPendingMintCreated(entry, label) {
+    if (await this.connection.getAccountInfo(new PublicKey(entry.mint))) {
+      return true;
+    }
+
+    if (await this.connection.getBlockHeight() <= entry.lastValidBlockHeight) {
+      throw new GlowMinError(
+        `${label} (mint ${entry.mint}, ${entry.signature}) may still confirm, ` +
+        `rerun glowmin nft mint --network ${this.network} in a minute`
+      );
+    }
+
+    console.log(`⚠️  ${label} (mint ${entry.mint}) expired without confirming, minting it again`);
+    return false;
+  }
+
+  /**
+   * Settles the NFTs an interrupted run journaled as signed but not
+   * confirmed: those whose mint exists on chain are recorded as minted, those
+   * whose transaction expired are dropped so they are minted again.
+   */
+  async settlePendingMints(state) {
+    if (state.collection?.pending) {
+      const { mint, metadata, masterEdition, signature } = state.collection;
+      const created = await this.isPendingMintCreated(state.collection, 'The collection NFT');
+      this.journal.update({ collection: created ? { mint, metadata, masterEdition, signature } : null });
+    }
+
+    for (const [id, item] of Object.entries(state.items || {})) {
+      if (!item.pending) {
+        continue;
+      }
+
+      if (await this.isPendingMintCreated(item, `NFT #${id}`)) {
+        this.journal.setEntry('items', id, { mint: item.mint, signature: item.signature });
+      } else {
+        const items = { ...this.journal.get('items') };
+        delete items[id];
+        this.journal.update({ items });
+      }
+    }
+
+    return { ...state, collection: this.journal.get('collection'), items: this.journal.get('items') };
+  }
+
+  /**
+   * Creates the collection NFT, recorded before any item, which all name it.
+   * Its mint is journaled before each send attempt is broadcast and marked
+   * pending until the creation confirms, so an interrupted run never creates
+   * a second collection unnoticed.
+   */
+  async createCollectionNft(report, lamports) {
+    console.log('🖼️  Creating the collection NFT...');
+
+    const mintKeypair = Keypair.generate();
+    const mint = mintKeypair.publicKey;
+    const accounts = {
+      mint: mint.toString(),
+      metadata: findMetadataAddress(mint, this.getProgramId()).toString(),
+      masterEdition: findMasterEditionAddress(mint, this.getProgramId()).toString()
+    };
+
+    const signature = await this.sender.send(
+      this.buildCollectionInstructions(mint, lamports),
+      [this.keypairs.main, this.keypairs.metadataAuthority, mintKeypair],
+      'Create collection NFT',
+      {
+        onSigned: (signature, lastValidBlockHeight) => {
+          this.journal.update({
+            network: this.network,
+            seed: report.seed,
+            supply: report.supply,
+            collection: { ...accounts, signature, lastValidBlockHeight, pending: true }
+          });
+        }
+      }
+    );
+
+    const collection = { ...accounts, signature };
+    this.journal.update({ collection });
+
+    console.log('✅ Collection NFT created successfully!');
+    console.log(`   Mint: ${collection.mint}`);
+    console.log(`   Metadata Account: ${collection.metadata}`);
+    console.log(`   Transaction: ${signature}\n`);
+
+    return collection;
+  }
+
+  // Journaled as pending before broadcast, like the collection NFT
+  async mintItem(id, collectionMint, lamports) {
+    const mintKeypair = Keypair.generate();
+    const mint = mintKeypair.publicKey.toString();
+    const signature = await this.sender.send(
+      this.buildItemInstructions(id, mintKeypair.publicKey, collectionMint, lamports),
+      [this.keypairs.main, this.keypairs.metadataAuthority, mintKeypair],
+      `Mint NFT #${id}`,
+      {
+        onSigned: (signature, lastValidBlockHeight) => {
+          this.journal.setEntry('items', String(id), { mint, signature, lastValidBlockHeight, pending: true });
+        }
+      }
+    );
+
+    const item = { mint, signature };
+    this.journal.setEntry('items', String(id), item);
+
+    console.log(`✅ NFT #${id} minted: ${item.mint}`);
+
+    return { id, ...item };
+  }
+
+  async simulateMinting(state, pending) {
+    console.log('🔍 DRY RUN MODE - Simulating the NFT transactions, nothing will be sent\n');
+
+    const simulator = new TransactionSimulator(this.connection, this.getPayer(), this.config.fees, this.verbose, this.sender);
+    const lamports = await getMinimumBalanceForRentExemptMint(this.connection);
+    let collectionMint;
+    let collectionStep = null;
+
+    if (state.collection) {
+      collectionMint = simulator.name(new PublicKey(state.collection.mint), 'Collection Mint');
+    } else {
+      // Items need the collection, so the first one is simulated after its creation
+      collectionMint = simulator.name(Keypair.generate().publicKey, 'Collection Mint');
+      collectionStep = await simulator.simulate('Create collection NFT', this.buildCollectionInstructions(collectionMint, lamports), {
+        rent: this.getRent(lamports)
+      });
+    }
+
+    if (pending.length > 0) {
+      const [id] = pending;
+      const mint = simulator.name(Keypair.generate().publicKey, `NFT #${id}`);
+
+      await simulator.simulate(`Mint NFT #${id}`, this.buildItemInstructions(id, mint, collectionMint, lamports), {
+        rent: this.getRent(lamports),
+        after: collectionStep
+      });
+
+      if (pending.length > 1) {
+        console.log(`   The other ${pending.length - 1} NFT(s) are minted the same way, one transaction each\n`);
+      }
+    }
+
+    return { network: this.network, dryRun: true, pending: pending.length, simulation: await simulator.summarize() };
+  }
+}
+
+module.exports = { NftMinter };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['nft', ...process.argv.slice(2)]);
+}
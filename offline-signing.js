@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Offline Signing Script
+ *
+ * This script handles the durable nonce accounts and the signing and submission steps of the
+ * offline signing workflow, for authority keys that never touch an online machine. The
+ * transactions are exported with `glowmin mint --export` or `glowmin metadata --export`; the
+ * bundle format is described in lib/offline.js.
+ *
+ * Commands:
+ *   nonces    Create durable nonce accounts and add them to security.offline_signing.nonce_accounts
+ *   status    Show the transactions in a bundle and which signers have signed them
+ *   sign      Add signatures from keystores, without any network access
+ *   submit    Send the signed transactions in order and write the deployment record
+ *
+ * Usage: glowmin offline <command> [options] (or node offline-signing.js <command> [options])
+ * Options:
+ *   --network <network>    Target network (default: network.default, or the bundle's network for submit)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --count <n>            Number of nonce accounts to create
+ *   --file <path>          Offline bundle file
+ *   --keypair <path>       Keyfile to sign with (repeatable, default: every keyfile in the keypair directory)
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Keypair, PublicKey, SystemProgram, NONCE_ACCOUNT_LENGTH } = require('@solana/web3.js');
+const { GlowMinError, PrerequisiteError } = require('./lib/errors');
+const {
+  readConfigFile,
+  resolveConnection,
+  loadKeypairFiles,
+  requireSigner,
+  writeDeploymentRecord
+} = require('./lib/core');
+const { loadKeypairFile, readPublicKey } = require('./lib/keystore');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { getSignatureStatus, addSignatures } = require('./lib/multisig');
+const { getOfflineSettings, readOfflineBundle, writeOfflineBundle } = require('./lib/offline');
+const { DeploymentManifest } = require('./lib/manifest');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+class OfflineSigningManager {
+  /**
+   * Options: configPath, keypairDir, deploymentsDir, rpcUrl and wsUrl. The
+   * config and connection are only loaded by the online commands, so sign
+   * and status work on a machine without either.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, keypairDir = KEYPAIR_DIR, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.configPath = configPath;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.options = options;
+    this.config = null;
+    this.connection = null;
+    this.sender = null;
+  }
+
+  connect() {
+    this.config = readConfigFile(this.configPath);
+
+    const { network, connection, settings } = resolveConnection(this.config, this.network, this.options);
+    this.network = network;
+    this.connection = connection;
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+  }
+
+  // The main keypair pays for exported transactions, so it also funds and controls their nonces
+  loadPayer() {
+    return requireSigner(loadKeypairFiles(this.keypairDir, { main: 'main-keypair.json' }), 'main');
+  }
+
+  updateConfig(nonceAccounts) {
+    const raw = fs.readFileSync(this.configPath, 'utf8');
+    const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+    const config = JSON.parse(raw);
+
+    config.security = config.security || {};
+    config.security.offline_signing = config.security.offline_signing || {};
+    config.security.offline_signing.nonce_accounts = nonceAccounts;
+
+    const output = JSON.stringify(config, null, 2).replace(/\n/g, eol) + (raw.endsWith(eol) ? eol : '');
+    fs.writeFileSync(this.configPath, output);
+    console.log(`📄 Nonce accounts written to: ${this.configPath}`);
+  }
+
+  async createNonceAccounts(count) {
+    this.connect();
+
+    const payer = this.loadPayer();
+    const existing = getOfflineSettings(this.config).nonceAccounts.map(account => account.toBase58());
+    const lamports = await this.connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH);
+    const created = [];
+
+    console.log(`🔑 Creating ${count} nonce account(s), authority ${payer.publicKey.toString()}`);
+
+    try {
+      for (let i = 0; i < count; i++) {
+        const nonceAccount = Keypair.generate();
+
+        await this.sender.send(SystemProgram.createNonceAccount({
+          fromPubkey: payer.publicKey,
+          noncePubkey: nonceAccount.publicKey,
+          authorizedPubkey: payer.publicKey,
+          lamports
+        }).instructions, [payer, nonceAccount], 'Create nonce account');
+
+        created.push(nonceAccount.publicKey.toBase58());
+        console.log(`✅ Nonce account created: ${nonceAccount.publicKey.toString()}`);
+      }
+    } finally {
+      // Accounts created before a failure are still recorded
+      if (created.length > 0) {
+        this.updateConfig([...existing, ...created]);
+      }
+    }
+
+    return { network: this.network, created, nonceAccounts: [...existing, ...created] };
+  }
+
+  status(filePath) {
+    const { bundle, transactions } = readOfflineBundle(filePath);
+
+    console.log(`📋 ${bundle.kind} bundle for ${bundle.network}`);
+    console.log(`   Created: ${bundle.createdAt}`);
+    console.log(`   Fee payer: ${bundle.feePayer}\n`);
+
+    const entries = bundle.transactions.map((entry, index) => {
+      const signatures = getSignatureStatus(entry, transactions[index]);
+
+      console.log(`${index + 1}. ${entry.description}`);
+      console.log(`   Nonce Account: ${entry.nonceAccount}`);
+      signatures.forEach(({ signer, signed }) => console.log(`   Signer: ${signer} ${signed ? '✅' : '❌'}`));
+      if (signatures.length === 0) {
+        console.log('   Signed at export, no offline signatures needed');
+      }
+      if (entry.submittedSignature) {
+        console.log(`   Submitted: ${entry.submittedSignature} (${entry.submittedAt})`);
+      }
+      console.log('');
+
+      return { description: entry.description, signatures, submittedSignature: entry.submittedSignature };
+    });
+
+    return { kind: bundle.kind, network: bundle.network, transactions: entries };
+  }
+
+  // Keystores are only unlocked when they belong to a signer the bundle needs
+  loadSigningKeypairs(keypairPaths, required) {
+    const candidates = keypairPaths.length > 0
+      ? keypairPaths
+      : [this.keypairDir, path.join(this.keypairDir, 'multisig')]
+        .filter(dir => fs.existsSync(dir))
+        .flatMap(dir => fs.readdirSync(dir)
+          .filter(file => file.endsWith('.json'))
+          .sort()
+          .map(file => path.join(dir, file)));
+
+    return candidates.filter(filePath => {
+      try {
+        return required.has(readPublicKey(filePath).toBase58());
+      } catch (error) {
+        if (keypairPaths.length > 0) {
+          throw new GlowMinError(`${filePath} is not a keypair file: ${error.message}`, { cause: error });
+        }
+
+        return false;
+      }
+    }).map(filePath => loadKeypairFile(filePath));
+  }
+
+  sign(filePath, keypairPaths = []) {
+    const { bundle, transactions } = readOfflineBundle(filePath);
+    const required = new Set(bundle.transactions.flatMap(entry => entry.signers));
+    const keypairs = this.loadSigningKeypairs(keypairPaths, required);
+
+    console.log(`📋 ${bundle.kind} bundle for ${bundle.network}, fee payer ${bundle.feePayer}\n`);
+
+    if (keypairs.length === 0) {
+      console.log('ℹ️  None of the keyfiles is a signer of this bundle');
+    }
+
+    const signed = bundle.transactions.map((entry, index) => {
+      const transaction = transactions[index];
+      const added = addSignatures(entry, transaction, keypairs);
+
+      console.log(`${index + 1}. ${entry.description}`);
+      transaction.instructions.forEach(instruction => console.log(`   Program: ${instruction.programId.toString()}`));
+      added.forEach(signer => console.log(`   ✅ Signed by ${signer}`));
+      console.log('');
+
+      return { description: entry.description, added };
+    });
+
+    writeOfflineBundle(filePath, bundle, transactions);
+
+    const missing = bundle.transactions.flatMap((entry, index) =>
+      getSignatureStatus(entry, transactions[index]).filter(status => !status.signed).map(status => status.signer)
+    );
+    console.log(missing.length === 0
+      ? '🎉 All required signatures collected, copy the file back and submit it'
+      : `⏳ Still missing signatures from: ${[...new Set(missing)].join(', ')}`);
+
+    return { kind: bundle.kind, network: bundle.network, transactions: signed };
+  }
+
+  async submit(filePath) {
+    const { bundle, transactions } = readOfflineBundle(filePath);
+
+    if (this.network && this.network !== bundle.network) {
+      throw new GlowMinError(`The bundle was exported for ${bundle.network}, not ${this.network}`);
+    }
+
+    this.network = bundle.network;
+    this.connect();
+
+    // Nothing is sent until every remaining transaction is fully signed
+    const missing = bundle.transactions.flatMap((entry, index) => entry.submittedSignature
+      ? []
+      : getSignatureStatus(entry, transactions[index]).filter(status => !status.signed).map(status => status.signer));
+
+    if (missing.length > 0) {
+      throw new PrerequisiteError(`Missing signatures from: ${[...new Set(missing)].join(', ')}`);
+    }
+
+    for (const [index, entry] of bundle.transactions.entries()) {
+      if (entry.submittedSignature) {
+        console.log(`⏭️  ${entry.description} already submitted, skipping`);
+        continue;
+      }
+
+      const transaction = transactions[index];
+      const nonce = await this.sender.rpc('getNonce', () => this.connection.getNonce(new PublicKey(entry.nonceAccount)));
+
+      if (nonce?.nonce !== transaction.recentBlockhash) {
+        throw new PrerequisiteError(
+          `The nonce of ${entry.nonceAccount} has advanced since "${entry.description}" was exported, export and sign it again`
+        );
+      }
+
+      console.log(`📤 Submitting: ${entry.description}`);
+      entry.submittedSignature = await this.sender.submit(transaction, null);
+      entry.submittedAt = new Date().toISOString();
+      writeOfflineBundle(filePath, bundle, transactions);
+
+      console.log('✅ Transaction confirmed');
+      console.log(`   Transaction: ${entry.submittedSignature}`);
+    }
+
+    if (bundle.record && !bundle.recordPath) {
+      bundle.recordPath = writeDeploymentRecord(this.deploymentsDir, bundle.kind, bundle.network, {
+        ...bundle.record,
+        timestamp: new Date().toISOString(),
+        transactions: bundle.transactions.map(entry => ({ description: entry.description, signature: entry.submittedSignature }))
+      });
+      writeOfflineBundle(filePath, bundle, transactions);
+      console.log(`📄 Deployment info saved to: ${bundle.recordPath}`);
+
+      // Recorded together with the record, so resubmitting the bundle does not complete the steps again
+      if (bundle.manifest) {
+        const manifest = new DeploymentManifest(this.deploymentsDir, bundle.network);
+        Object.entries(bundle.manifest).forEach(([step, details]) => manifest.complete(step, details));
+        console.log(`📄 Recorded in: ${manifest.filePath}`);
+      }
+    }
+
+    console.log('\n🎉 All transactions in the bundle are confirmed');
+
+    return {
+      kind: bundle.kind,
+      network: bundle.network,
+      record: bundle.recordPath || null,
+      transactions: bundle.transactions.map(entry => ({ description: entry.description, signature: entry.submittedSignature }))
+    };
+  }
+}
+
+module.exports = { OfflineSigningManager };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['offline', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair, PublicKey, ComputeBudgetProgram, Transaction, PACKET_DATA_SIZE } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { AirdropDistributor } = require('../airdrop');
+const { parseAirdropCsv, AirdropLedger } = require('../lib/airdrop');
+const { MAX_COMPUTE_UNITS } = require('../lib/sender');
+const { PrerequisiteError } = require('../lib/errors');
+const { address, deploymentConfig } = require('./fixtures');
+
+const mint = new PublicKey(address(80));
+const main = Keypair.fromSeed(Buffer.alloc(32, 90));
+const community = Keypair.fromSeed(Buffer.alloc(32, 11));
+// A program derived address, which has no private key
+const [offCurve] = PublicKey.findProgramAddressSync([Buffer.from('vault')], new PublicKey(address(81)));
+
+describe('parseAirdropCsv', () => {
+  test('reads wallets and whole-token amounts, skipping the header, comments and blank lines', () => {
+    const csv = [
+      'wallet,amount',
+      `${address(1)},1500`,
+      '# second round',
+      '',
+      `${address(2)},"1,000.25"`,
+      `  ${address(3)} , 0.000000001 `
+    ].join('\r\n');
+
+    const { recipients, duplicates, problems } = parseAirdropCsv(csv, 9);
+
+    expect(problems).toEqual([]);
+    expect(duplicates).toEqual([]);
+    expect(recipients.map(({ wallet, amount, line }) => [wallet.toBase58(), amount, line])).toEqual([
+      [address(1), 1500000000000n, 2],
+      [address(2), 1000250000000n, 5],
+      [address(3), 1n, 6]
+    ]);
+  });
+
+  test('reports every invalid line with its line number', () => {
+    const csv = [
+      `${address(1)},10`,
+      'not-a-wallet,10',
+      `${offCurve.toBase58()},10`,
+      `${address(2)},0`,
+      `${address(3)},1.0000000001`,
+      `${address(4)},10,extra`,
+      'COMMUNITY_WALLET_ADDRESS,10'
+    ].join('\n');
+
+    const { recipients, problems } = parseAirdropCsv(csv, 9, 'list.csv');
+
+    expect(recipients).toHaveLength(1);
+    expect(problems.map(({ file, path: line, message, placeholder }) => [file, line, message, placeholder])).toEqual([
+      ['list.csv', 'line 2', '"not-a-wallet" is not a valid address', false],
+      ['list.csv', 'line 3', `${offCurve.toBase58()} is a program address, not a wallet`, false],
+      ['list.csv', 'line 4', 'amount must be greater than zero', false],
+      ['list.csv', 'line 5', expect.stringMatching(/^"1.0000000001" is not a valid amount/), false],
+      ['list.csv', 'line 6', 'expected two columns, wallet and amount', false],
+      ['list.csv', 'line 7', 'COMMUNITY_WALLET_ADDRESS is a placeholder', true]
+    ]);
+  });
+
+  test('pays a repeated wallet once, at its first line', () => {
+    const csv = [`${address(1)},10`, `${address(2)},20`, `${address(1)},30`].join('\n');
+
+    const { recipients, duplicates } = parseAirdropCsv(csv, 0);
+
+    expect(recipients.map(recipient => recipient.amount)).toEqual([10n, 20n]);
+    expect(duplicates).toEqual([{ wallet: address(1), amount: 30n, line: 3, firstLine: 1 }]);
+  });
+
+  test('treats a header-like line after the first recipient as invalid', () => {
+    const { problems } = parseAirdropCsv([`${address(1)},10`, 'wallet,amount'].join('\n'), 0);
+
+    expect(problems.map(problem => problem.path)).toEqual(['line 2']);
+  });
+});
+
+describe('AirdropDistributor', () => {
+  let tmpDir;
+  let statuses;
+  let blockHeight;
+
+  function createDistributor() {
+    const connection = {
+      rpcEndpoint: 'http://127.0.0.1:8899',
+      commitment: 'confirmed',
+      getSignatureStatuses: async signatures => ({ value: signatures.map(signature => statuses[signature] || null) }),
+      getBlockHeight: async () => blockHeight
+    };
+
+    return new AirdropDistributor('devnet', false, {
+      config: deploymentConfig(),
+      connection,
+      signers: { main, community },
+      keypairDir: path.join(tmpDir, 'keypairs'),
+      deploymentsDir: path.join(tmpDir, 'deployments'),
+      mint
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-airdrop-'));
+    statuses = {};
+    blockHeight = 150;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('packTransfers', () => {
+    const sourceAccount = getAssociatedTokenAddressSync(mint, community.publicKey);
+
+    // The wire size of a transaction with the compute budget instructions the sender adds
+    function wireSize(instructions) {
+      const transaction = new Transaction({ feePayer: main.publicKey, recentBlockhash: PublicKey.default.toBase58() }).add(
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1000000 }),
+        ...instructions
+      );
+      const message = transaction.compileMessage();
+      return 1 + message.header.numRequiredSignatures * 64 + message.serialize().length;
+    }
+
+    function transfers(count, create) {
+      return Array.from({ length: count }, (_, i) => {
+        const wallet = Keypair.fromSeed(Buffer.alloc(32, 100 + i)).publicKey;
+        return { wallet, amount: BigInt(i + 1), tokenAccount: getAssociatedTokenAddressSync(mint, wallet), create: create(i) };
+      });
+    }
+
+    test.each([
+      ['existing token accounts', () => false],
+      ['token accounts to create', () => true],
+      ['a mix of both', i => i % 3 === 0]
+    ])('fills each transaction up to the packet size with %s', (label, create) => {
+      const distributor = createDistributor();
+      const list = transfers(40, create);
+
+      const batches = distributor.packTransfers(list, mint, sourceAccount, 9);
+
+      expect(batches.length).toBeGreaterThan(1);
+      expect(batches.flatMap(batch => batch.transfers)).toEqual(list);
+      batches.forEach((batch, i) => {
+        expect(wireSize(batch.instructions)).toBeLessThanOrEqual(PACKET_DATA_SIZE);
+
+        // The next transfer did not fit
+        const next = batches[i + 1]?.transfers[0];
+        if (next) {
+          const extra = distributor.buildTransferInstructions(next, mint, sourceAccount, 9);
+          expect(wireSize([...batch.instructions, ...extra])).toBeGreaterThan(PACKET_DATA_SIZE);
+        }
+      });
+    });
+  });
+
+  describe('reconcilePending', () => {
+    function pendingLedger() {
+      const ledger = new AirdropLedger(path.join(tmpDir, 'deployments/airdrop-ledger-list-devnet.json'));
+      ledger.begin({ network: 'devnet', mint, source: community.publicKey });
+
+      const pending = [
+        ['confirmed', [1, 2], 100],
+        ['failed', [3], 100],
+        ['expired', [4, 5], 100],
+        ['live', [6], 200]
+      ];
+      pending.forEach(([signature, seeds, lastValidBlockHeight]) => {
+        ledger.markPending(seeds.map(seed => ({ wallet: new PublicKey(address(seed)), amount: BigInt(seed) })), signature, lastValidBlockHeight);
+      });
+      ledger.markPaid([{ wallet: new PublicKey(address(7)), amount: 7n }], 'earlier');
+
+      statuses = {
+        confirmed: { confirmationStatus: 'confirmed', err: null },
+        failed: { confirmationStatus: 'confirmed', err: { InstructionError: [1, 'Custom'] } }
+      };
+      return ledger;
+    }
+
+    test('settles the transactions a crashed run left pending and stops on one that may still land', async () => {
+      const ledger = pendingLedger();
+
+      await expect(createDistributor().reconcilePending(ledger)).rejects.toThrow('1 transaction(s) from a previous run may still confirm (live)');
+
+      const resumed = new AirdropLedger(ledger.filePath);
+      expect(resumed.entries().map(([wallet, entry]) => [wallet, entry.status, entry.signature])).toEqual([
+        [address(1), 'paid', 'confirmed'],
+        [address(2), 'paid', 'confirmed'],
+        [address(6), 'pending', 'live'],
+        [address(7), 'paid', 'earlier']
+      ]);
+    });
+
+    test('continues once every pending transaction is settled', async () => {
+      const ledger = pendingLedger();
+      statuses.live = { confirmationStatus: 'finalized', err: null };
+
+      await createDistributor().reconcilePending(ledger);
+
+      expect(ledger.entries().filter(([, entry]) => entry.status === 'pending')).toEqual([]);
+      expect(ledger.get(address(6))).toMatchObject({ status: 'paid', amount: '6', signature: 'live' });
+      expect(ledger.get(address(3))).toBeNull();
+      expect(ledger.get(address(4))).toBeNull();
+    });
+
+    test('refuses a ledger started for another mint', () => {
+      const ledger = pendingLedger();
+
+      expect(() => ledger.begin({ network: 'devnet', mint: new PublicKey(address(82)), source: community.publicKey }))
+        .toThrow(PrerequisiteError);
+    });
+  });
+});
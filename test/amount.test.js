@@ -0,0 +1,69 @@
+const { parseAmount, toBaseUnits, fromBaseUnits, formatAmount, percentOf } = require('../lib/amount');
+
+describe('parseAmount', () => {
+  test('accepts decimal strings beyond Number.MAX_SAFE_INTEGER', () => {
+    expect(parseAmount('100000000000000000')).toBe(100000000000000000n);
+    expect(parseAmount(' 42 ')).toBe(42n);
+  });
+
+  test('accepts bigints and safe integers', () => {
+    expect(parseAmount(7n)).toBe(7n);
+    expect(parseAmount(5000)).toBe(5000n);
+  });
+
+  test('rejects negative, fractional and unsafe values, naming the setting', () => {
+    expect(() => parseAmount(-1n, 'fees.transaction_fee')).toThrow('Invalid fees.transaction_fee: must not be negative');
+    expect(() => parseAmount(1.5)).toThrow('is not a safe non-negative integer');
+    expect(() => parseAmount(2 ** 60)).toThrow('store it as a string');
+    expect(() => parseAmount('1.5')).toThrow('is not a whole number of base units');
+    expect(() => parseAmount('1e9')).toThrow('is not a whole number of base units');
+    expect(() => parseAmount(null)).toThrow('is not a whole number of base units');
+  });
+});
+
+describe('toBaseUnits', () => {
+  test('scales whole and fractional UI amounts exactly', () => {
+    expect(toBaseUnits('1.5', 9)).toBe(1500000000n);
+    expect(toBaseUnits('100000000', 9)).toBe(100000000000000000n);
+    expect(toBaseUnits('0.000000001', 9)).toBe(1n);
+    expect(toBaseUnits('3.', 2)).toBe(300n);
+  });
+
+  test('rejects more decimal places than the token has', () => {
+    expect(() => toBaseUnits('0.0000000001', 9)).toThrow('has more than 9 decimal places');
+  });
+
+  test('rejects signs, exponents and separators', () => {
+    ['-1', '1e3', '1,000', '', '.5'].forEach(value => {
+      expect(() => toBaseUnits(value, 9)).toThrow('Invalid UI amount');
+    });
+  });
+});
+
+describe('fromBaseUnits', () => {
+  test('round-trips with toBaseUnits without trailing zeros', () => {
+    ['0', '1', '1.5', '0.000000001', '123456789.987654321'].forEach(value => {
+      expect(fromBaseUnits(toBaseUnits(value, 9), 9)).toBe(value);
+    });
+  });
+
+  test('handles zero decimals', () => {
+    expect(fromBaseUnits(1234n, 0)).toBe('1234');
+  });
+});
+
+describe('formatAmount', () => {
+  test('groups thousands and appends the symbol', () => {
+    expect(formatAmount(100000000000000000n, 9, 'GLOWMIN')).toBe('100,000,000 GLOWMIN');
+    expect(formatAmount(1234567891n, 9)).toBe('1.234567891');
+    expect(formatAmount('2000000000', 9, 'SOL')).toBe('2 SOL');
+  });
+});
+
+describe('percentOf', () => {
+  test('takes basis points of an amount, rounding down', () => {
+    expect(percentOf(100000000000000000n, 4000)).toBe(40000000000000000n);
+    expect(percentOf(999n, 1)).toBe(0n);
+    expect(percentOf('10001', 5000)).toBe(5000n);
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_SINGLE_BLOCK_SIZE, computeCid, getCidCodec, buildFileBlocks, decodeFileNode } = require('../lib/cid');
+const { LocalDirectoryBackend, getVerifiedFile } = require('../lib/backup-storage');
+const { MetadataBackup } = require('../backup-metadata');
+const { deploymentConfig } = require('./fixtures');
+
+// Deterministic content that does not repeat within a block
+function content(size) {
+  const data = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    data[i] = (i * 31 + 7) % 251;
+  }
+  return data;
+}
+
+describe('buildFileBlocks', () => {
+  // CIDs reported by `ipfs add --cid-version=1 --raw-leaves` for the same content
+  test.each([
+    [0, 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'],
+    [262144, 'bafkreieiuj5mzeuqor24l4lmo2yumm6665yv4gq7ozzp2nrfmqrjyboosy'],
+    [262145, 'bafybeich6cqd6yabw3cku6edwmz4rvwe275nx2l6ootvc2bpbt5bdvarua'],
+    [3145745, 'bafybeiebqbx6xl3nhiexhfac7fbniehz7dqyi2b4sl2sjkllzjinpbrjrm']
+  ])('addresses %i bytes as IPFS does', (size, cid) => {
+    expect(buildFileBlocks(content(size)).cid).toBe(cid);
+  });
+
+  test('links 256 KiB raw leaves from a UnixFS file node', () => {
+    const data = content(600 * 1024);
+    const { cid, blocks } = buildFileBlocks(data);
+    const root = blocks[blocks.length - 1];
+
+    expect(root.cid).toBe(cid);
+    expect(getCidCodec(cid)).toBe('dag-pb');
+    expect(blocks.slice(0, -1).map(block => getCidCodec(block.cid))).toEqual(['raw', 'raw', 'raw']);
+    expect(blocks.slice(0, -1).map(block => block.data.length)).toEqual([MAX_SINGLE_BLOCK_SIZE, MAX_SINGLE_BLOCK_SIZE, 90112]);
+    expect(decodeFileNode(root.data)).toEqual({
+      links: blocks.slice(0, -1).map(block => ({ cid: block.cid, size: block.data.length })),
+      fileSize: data.length
+    });
+  });
+
+  test('rejects content too large for a single-level DAG', () => {
+    expect(() => buildFileBlocks(Buffer.alloc(175 * MAX_SINGLE_BLOCK_SIZE))).toThrow('more than the 174');
+  });
+});
+
+describe('getVerifiedFile', () => {
+  let tmpDir;
+  let backend;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-blocks-'));
+    backend = new LocalDirectoryBackend({ local_directory: tmpDir }, tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reassembles a multi-block file', async () => {
+    const data = content(700 * 1024);
+    const { cid, blocks } = buildFileBlocks(data);
+    for (const block of blocks) {
+      await backend.put(block.cid, block.data);
+    }
+
+    expect((await getVerifiedFile(backend, cid)).equals(data)).toBe(true);
+  });
+
+  test('rejects a leaf whose content was altered', async () => {
+    const { cid, blocks } = buildFileBlocks(content(700 * 1024));
+    for (const block of blocks) {
+      await backend.put(block.cid, block.data);
+    }
+
+    const leaf = backend.blockPath(blocks[1].cid);
+    const altered = fs.readFileSync(leaf);
+    altered[0] ^= 1;
+    fs.writeFileSync(leaf, altered);
+
+    await expect(getVerifiedFile(backend, cid)).rejects.toThrow(`Block ${blocks[1].cid} failed verification`);
+  });
+});
+
+describe('MetadataBackup', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-backup-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('snapshots and restores a deployment record larger than one block', async () => {
+    const config = deploymentConfig();
+    config.backup.storage = { type: 'local', local_directory: path.join(tmpDir, 'backups') };
+    const configPath = path.join(tmpDir, 'deployment-config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+
+    const deploymentsDir = path.join(tmpDir, 'deployments');
+    const items = Array.from({ length: 10000 }, (_, id) => ({ id, mint: computeCid(Buffer.from(String(id))), signature: 'x'.repeat(88) }));
+    const state = JSON.stringify({ network: 'devnet', items }, null, 2);
+    fs.mkdirSync(deploymentsDir);
+    fs.writeFileSync(path.join(deploymentsDir, 'nft-mint-state-devnet.json'), state);
+    expect(state.length).toBeGreaterThan(MAX_SINGLE_BLOCK_SIZE);
+
+    const backup = new MetadataBackup('devnet', false, { configPath, metadataPath: path.join(tmpDir, 'missing.json'), deploymentsDir });
+    const snapshot = await backup.executeBackup(true);
+    const entry = snapshot.files.find(file => file.path === 'deployments/nft-mint-state-devnet.json');
+
+    expect(getCidCodec(entry.cid)).toBe('dag-pb');
+    expect(entry.size).toBe(state.length);
+
+    const output = path.join(tmpDir, 'restored');
+    await backup.executeRestore(String(snapshot.snapshot), output);
+
+    expect(fs.readFileSync(path.join(output, 'deployments/nft-mint-state-devnet.json'), 'utf8')).toBe(state);
+    expect(JSON.parse(fs.readFileSync(path.join(output, 'metadata/deployment-config.json'), 'utf8'))).toEqual(config);
+  });
+});
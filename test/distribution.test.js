@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenMinter } = require('../mint-token');
+const { ConfigError } = require('../lib/errors');
+const { address, deploymentConfig } = require('./fixtures');
+
+describe('TokenMinter distribution plan', () => {
+  let tmpDir;
+
+  function createMinter(change = () => {}) {
+    const config = deploymentConfig();
+    config.security.multisig.enabled = false;
+    config.security.timelock.enabled = false;
+    change(config);
+
+    return new TokenMinter('devnet', false, {
+      config,
+      connection: { rpcEndpoint: 'http://127.0.0.1:8899', commitment: 'confirmed' },
+      keypairDir: path.join(tmpDir, 'keypairs'),
+      deploymentsDir: path.join(tmpDir, 'deployments')
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-distribution-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reads every bucket and its recipient from the config', () => {
+    const buckets = createMinter().validateDistribution();
+
+    expect(buckets.map(bucket => [bucket.name, bucket.basisPoints, bucket.recipient.toBase58()])).toEqual([
+      ['Liquidity Pool', 4000, address(10)],
+      ['Community', 3000, address(11)],
+      ['Team', 1500, address(12)],
+      ['Marketing', 1000, address(13)],
+      ['Reserve', 500, address(14)]
+    ]);
+  });
+
+  test.each([
+    [config => { config.distribution[4].basis_points = 499; }, 'must sum to 10000, got 9999'],
+    [config => { config.distribution[0].basis_points = 4001; }, 'must sum to 10000, got 10001'],
+    [config => { config.distribution[2].basis_points = 0; }, "'Team' has invalid basis_points: 0"],
+    [config => { config.distribution[2].basis_points = 1500.5; }, "'Team' has invalid basis_points: 1500.5"],
+    [config => { config.distribution = []; }, 'No distribution buckets defined']
+  ])('rejects a plan whose basis points are wrong (%#)', (change, message) => {
+    const minter = createMinter(change);
+
+    expect(() => minter.validateDistribution()).toThrow(ConfigError);
+    expect(() => minter.validateDistribution()).toThrow(message);
+  });
+
+  test('rejects a placeholder recipient before anything is minted', () => {
+    const minter = createMinter(config => { config.distribution[2].recipient = 'TEAM_WALLET_PUBLIC_KEY'; });
+
+    expect(() => minter.calculateDistributions()).toThrow("Distribution 'Team' recipient is not configured: TEAM_WALLET_PUBLIC_KEY");
+  });
+
+  test('splits the supply by basis points and gives the rounding dust to the last bucket', () => {
+    const minter = createMinter(config => { config.token.total_supply = '100000000000000007'; });
+
+    const amounts = minter.calculateDistributions().map(distribution => distribution.amount);
+
+    expect(amounts).toEqual([40000000000000002n, 30000000000000002n, 15000000000000001n, 10000000000000000n, 5000000000000002n]);
+    expect(amounts.reduce((sum, amount) => sum + amount, 0n)).toBe(100000000000000007n);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Deployment files for the tests: deployment-config.json and
+ * token-metadata.json as shipped, with every placeholder filled in, so they
+ * validate cleanly. Each call returns a fresh copy to modify.
+ */
+
+const { Keypair } = require('@solana/web3.js');
+
+// Deterministic addresses, one per seed byte
+function address(seed) {
+  return Keypair.fromSeed(Buffer.alloc(32, seed)).publicKey.toBase58();
+}
+
+function deploymentConfig() {
+  return {
+    network: {
+      default: 'devnet',
+      commitment: 'confirmed',
+      devnet: { url: 'https://api.devnet.solana.com', ws_url: 'wss://api.devnet.solana.com', fallback_urls: [] },
+      mainnet: { url: 'https://api.mainnet-beta.solana.com', ws_url: 'wss://api.mainnet-beta.solana.com', fallback_urls: [] },
+      localnet: { url: 'http://127.0.0.1:8899', ws_url: 'ws://127.0.0.1:8900' }
+    },
+    token: {
+      name: 'GlowMin',
+      symbol: 'GLOWMIN',
+      decimals: 9,
+      total_supply: '100000000000000000',
+      mint_authority: { keypair_path: './keypairs/mint-authority.json', public_key: address(1) },
+      freeze_authority: { keypair_path: './keypairs/freeze-authority.json', public_key: address(2) },
+      program: 'spl-token',
+      extensions: {
+        metadata_pointer: { enabled: false },
+        transfer_fee: { enabled: false, basis_points: 100, maximum_fee: '1000000000000' }
+      }
+    },
+    distribution: [
+      { name: 'Liquidity Pool', basis_points: 4000, recipient: address(10), purpose: 'Initial liquidity provision' },
+      { name: 'Community', basis_points: 3000, recipient: address(11), purpose: 'Community rewards and airdrops' },
+      { name: 'Team', basis_points: 1500, recipient: address(12), purpose: 'Team allocation with vesting' },
+      { name: 'Marketing', basis_points: 1000, recipient: address(13), purpose: 'Marketing campaigns and partnerships' },
+      { name: 'Reserve', basis_points: 500, recipient: address(14), purpose: 'Future development and emergency fund' }
+    ],
+    liquidity: {
+      initial_supply: '40000000000000000',
+      lock_period: 63072000,
+      lock_program: { type: 'token-vesting', program_id: 'CChTq6PthWU82YZkbveA3WDf7s97BWhBK4Vx9bmsT743' },
+      lock_authority: { keypair_path: './keypairs/lock-authority.json', public_key: address(3) }
+    },
+    metadata: {
+      update_authority: { keypair_path: './keypairs/metadata-authority.json', public_key: address(4) },
+      uri: 'https://glowmin.alfanestlabs.xyz/metadata/token-metadata.json',
+      is_mutable: true
+    },
+    nft: {
+      base_uri: 'https://glowmin.alfanestlabs.xyz/nft/metadata',
+      seller_fee_basis_points: 500,
+      is_mutable: true
+    },
+    programs: {
+      token_program: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+      associated_token_program: 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',
+      system_program: '11111111111111111111111111111111',
+      rent_program: 'SysvarRent111111111111111111111111111111111',
+      metadata_program: 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s',
+      merkle_distributor: 'mERKcfxMC5SqJn4Ld4BUris3WKZZ1ojjWJ3A3J5CKxv'
+    },
+    raydium: {
+      program_id: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+      amm_program_id: '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP',
+      market_program_id: 'srmqPvymJeFKQ4zGQed1GFppgkRHL9kaELCbyksJtPX',
+      market_id: address(20),
+      fee_destination: '7YttLkHDoNj9wyDur5pM1ejNaAvT9X4eqaYcHQqtj2G5',
+      pool_creation_fee: '400000000',
+      open_time: 0,
+      initial_liquidity: { sol_amount: '2000000000', glowmin_amount: '40000000000000000' }
+    },
+    fees: {
+      transaction_fee: 5000,
+      rent_exempt: 2039280,
+      metadata_creation: 1000000,
+      priority_fee: { mode: 'auto', percentile: 75, max_micro_lamports: 1000000, compute_unit_margin_bps: 1000 }
+    },
+    sending: { max_attempts: 3, rebroadcast_interval_ms: 2000, rate_limit_retries: 5 },
+    security: {
+      multisig: {
+        enabled: true,
+        address: address(30),
+        nonce_account: address(31),
+        threshold: 3,
+        signers: [address(32), address(33), address(34), address(35), address(36)]
+      },
+      timelock: { enabled: true, delay: 86400 },
+      offline_signing: { compute_unit_limit: 200000, nonce_accounts: [] }
+    },
+    monitoring: {
+      health_checks: { enabled: true, interval: 300, endpoints: ['https://glowmin.alfanestlabs.xyz/health'] },
+      thresholds: { rpc_latency_ms: 2000, pool_reserve_drop_bps: 2000, large_transfer_amount: '10000000000000000' },
+      alerts: {
+        discord_webhook: 'https://discord.com/api/webhooks/1/glowmin',
+        telegram_bot: '123456:glowmin',
+        telegram_chat_id: '-100123',
+        email: 'alerts@alfanestlabs.xyz',
+        smtp: { host: 'smtp.alfanestlabs.xyz', port: 465, secure: true, user: 'monitor', from: 'monitor@alfanestlabs.xyz' }
+      }
+    },
+    backup: {
+      enabled: true,
+      frequency: 'daily',
+      storage: { type: 'ipfs', gateway: 'https://ipfs.io/ipfs/', api_url: 'http://127.0.0.1:5001', local_directory: 'backups' }
+    }
+  };
+}
+
+function tokenMetadata() {
+  return {
+    name: 'GlowMin',
+    symbol: 'GLOWMIN',
+    description: 'GlowMin is a vibrant Solana-based meme token shining bright for a minute!',
+    image: 'https://glowmin.alfanestlabs.xyz/wp-content/images/GLOWMIN.png',
+    external_url: 'https://glowmin.alfanestlabs.xyz',
+    attributes: [
+      { trait_type: 'Blockchain', value: 'Solana' },
+      { trait_type: 'Total Supply', value: '100,000,000' },
+      { trait_type: 'Liquidity Pool', value: '40% (Locked 2 years)' },
+      { trait_type: 'Community', value: '30%' },
+      { trait_type: 'Team', value: '15%' },
+      { trait_type: 'Marketing', value: '10%' },
+      { trait_type: 'Reserve', value: '5%' }
+    ],
+    properties: {
+      files: [{ uri: 'https://glowmin.alfanestlabs.xyz/wp-content/images/GLOWMIN.png', type: 'image/png' }],
+      category: 'image',
+      creators: [{ address: address(40), share: 100 }]
+    },
+    collection: { name: 'GlowMin Token Collection', family: 'GlowMin' },
+    social: { website: 'https://glowmin.alfanestlabs.xyz', twitter: 'https://x.com/GlowMinOfficial' },
+    deployment: {
+      network: 'mainnet-beta',
+      cluster: 'solana',
+      program_id: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+      mint_address: address(41),
+      mint_authority: address(1),
+      freeze_authority: address(2)
+    }
+  };
+}
+
+// The traits and rarity tiers of the shipped nft-metadata.json
+function nftMetadata() {
+  const values = entries => entries.map(([name, rarity, probability]) => ({ name, rarity, probability }));
+
+  return {
+    collection: {
+      name: 'GlowMin NFT Collection',
+      family: 'GlowMin',
+      description: 'Official GlowMin NFT collection featuring the magical GLOWMINU mascot and community members.',
+      image: 'https://glowmin.alfanestlabs.xyz/wp-content/images/GLOWMIN-NFT.png',
+      external_url: 'https://glowmin.alfanestlabs.xyz/nft',
+      attributes: [
+        { trait_type: 'Blockchain', value: 'Solana' },
+        { trait_type: 'Total Supply', value: '10,000' }
+      ]
+    },
+    nft_template: {
+      name: 'GlowMin NFT #{{id}}',
+      symbol: 'GLOWNFT',
+      description: 'A unique GlowMin NFT featuring GLOWMINU and special traits.',
+      image: 'https://glowmin.alfanestlabs.xyz/wp-content/images/nft/{{id}}.png',
+      attributes: [
+        { trait_type: 'Background', value: '{{background}}' },
+        { trait_type: 'GLOWMINU Style', value: '{{glowminu_style}}' },
+        { trait_type: 'Accessory', value: '{{accessory}}' },
+        { trait_type: 'Rarity', value: '{{rarity}}' },
+        { trait_type: 'Generation', value: '{{generation}}' }
+      ]
+    },
+    generation: 'Genesis',
+    traits: {
+      background: values([
+        ['Cosmic Purple', 'Common', 30], ['Neon Cyan', 'Common', 25], ['Galaxy Blue', 'Uncommon', 20],
+        ['Solar Gold', 'Rare', 15], ['Rainbow Aurora', 'Epic', 8], ['Diamond Shine', 'Legendary', 2]
+      ]),
+      glowminu_style: values([
+        ['Classic Glow', 'Common', 35], ['Electric Spark', 'Common', 25], ['Mystical Aura', 'Uncommon', 20],
+        ['Golden Shine', 'Rare', 12], ['Cosmic Burst', 'Epic', 6], ['Divine Light', 'Legendary', 2]
+      ]),
+      accessory: values([
+        ['None', 'Common', 40], ['Shining Crown', 'Common', 20], ['Crypto Glasses', 'Uncommon', 15],
+        ['Diamond Chain', 'Rare', 12], ['Lightning Wings', 'Epic', 8], ['Cosmic Orb', 'Legendary', 5]
+      ])
+    },
+    rarity_distribution: { Common: 60, Uncommon: 25, Rare: 10, Epic: 4, Legendary: 1 }
+  };
+}
+
+module.exports = { address, deploymentConfig, tokenMetadata, nftMetadata };
@@ -0,0 +1,8 @@
+const { createProgram } = require('../glowmin');
+const { version } = require('../package.json');
+
+describe('createProgram', () => {
+  test('reports the version of the package it ships in', () => {
+    expect(createProgram().version()).toBe(version);
+  });
+});
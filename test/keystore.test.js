@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const {
+  isKeystore,
+  encryptKeypair,
+  decryptKeypair,
+  loadKeypairFile,
+  readPublicKey,
+  writeKeystoreFile
+} = require('../lib/keystore');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('keystore', () => {
+  let dir;
+  let keypair;
+  let keystore;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-keystore-'));
+    keypair = Keypair.generate();
+    keystore = encryptKeypair(keypair, PASSPHRASE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('encrypts without the secret key in the clear', () => {
+    expect(isKeystore(keystore)).toBe(true);
+    expect(keystore.publicKey).toBe(keypair.publicKey.toBase58());
+    expect(keystore.crypto).toMatchObject({ cipher: 'aes-256-gcm', kdf: 'scrypt' });
+    expect(JSON.stringify(keystore)).not.toContain(Buffer.from(keypair.secretKey).toString('hex'));
+  });
+
+  test('decrypts with the passphrase', () => {
+    expect(decryptKeypair(keystore, PASSPHRASE).secretKey).toEqual(keypair.secretKey);
+  });
+
+  test('rejects a wrong passphrase', () => {
+    expect(() => decryptKeypair(keystore, 'wrong')).toThrow('Wrong passphrase or corrupted keystore');
+  });
+
+  test('rejects a relabelled keystore', () => {
+    const relabelled = { ...keystore, publicKey: Keypair.generate().publicKey.toBase58() };
+    expect(() => decryptKeypair(relabelled, PASSPHRASE)).toThrow('Wrong passphrase or corrupted keystore');
+  });
+
+  test('loads both keyfile formats and reads public keys without unlocking', () => {
+    const plainPath = path.join(dir, 'plain.json');
+    const encryptedPath = path.join(dir, 'keys', 'encrypted.json');
+    fs.writeFileSync(plainPath, JSON.stringify(Array.from(keypair.secretKey)));
+    writeKeystoreFile(encryptedPath, keypair, PASSPHRASE);
+
+    expect(isKeystore(JSON.parse(fs.readFileSync(plainPath, 'utf8')))).toBe(false);
+    expect(loadKeypairFile(plainPath).publicKey.equals(keypair.publicKey)).toBe(true);
+    expect(loadKeypairFile(encryptedPath, PASSPHRASE).publicKey.equals(keypair.publicKey)).toBe(true);
+    expect(readPublicKey(encryptedPath).equals(keypair.publicKey)).toBe(true);
+    expect(fs.statSync(encryptedPath).mode & 0o777).toBe(0o600);
+  });
+
+  test('names the file it cannot unlock', () => {
+    const encryptedPath = path.join(dir, 'locked.json');
+    writeKeystoreFile(encryptedPath, keypair, PASSPHRASE);
+
+    expect(() => loadKeypairFile(encryptedPath, '')).toThrow('locked.json is encrypted, set GLOWMIN_KEYSTORE_PASSPHRASE to unlock it');
+    expect(() => loadKeypairFile(encryptedPath, 'wrong')).toThrow('locked.json: Wrong passphrase or corrupted keystore');
+  });
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Transfer Fee Localnet Check
+ *
+ * Runs the Token-2022 transfer fee flow against a fresh solana-test-validator:
+ * creates a mint with the transfer_fee extension, mints to the mint authority,
+ * sends a transfer that withholds the fee in the recipient's account, then
+ * harvests the fee into the mint and withdraws it with the same code as
+ * `glowmin fees harvest` and `glowmin fees withdraw`. Exits with an error if
+ * any amount differs from what the fee configuration predicts.
+ *
+ * Needs solana-test-validator from the Solana CLI on the PATH and port 8899
+ * free. The validator's ledger lives in a temporary directory and the
+ * validator is stopped when the check ends.
+ *
+ * Usage: npm run test:localnet (or node test/localnet/transfer-fee.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Connection, Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  TOKEN_2022_PROGRAM_ID,
+  calculateFee,
+  createAssociatedTokenAccountIdempotent,
+  getAccount,
+  getMint,
+  getTransferFeeConfig,
+  transferCheckedWithFee
+} = require('@solana/spl-token');
+const { TokenMinter } = require('../../mint-token');
+const { PrerequisiteError } = require('../../lib/errors');
+const { deploymentConfig, tokenMetadata } = require('../fixtures');
+
+const RPC_URL = 'http://127.0.0.1:8899';
+const STARTUP_TIMEOUT_MS = 60000;
+const MINT_AMOUNT = 1000000000000n;
+const TRANSFER_AMOUNT = 250000000000n;
+
+function startValidator(ledgerDir) {
+  const validator = spawn('solana-test-validator', ['--reset', '--quiet', '--ledger', ledgerDir], { stdio: 'ignore' });
+
+  const exited = new Promise((resolve, reject) => {
+    validator.on('error', error => reject(error.code === 'ENOENT'
+      ? new PrerequisiteError('solana-test-validator not found, install the Solana CLI first')
+      : error));
+    validator.on('exit', code => reject(new PrerequisiteError(`solana-test-validator exited with code ${code}`)));
+  });
+
+  return { validator, exited };
+}
+
+async function waitForValidator(connection, exited) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    try {
+      return await Promise.race([connection.getSlot(), exited]);
+    } catch (error) {
+      if (error instanceof PrerequisiteError) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  throw new PrerequisiteError(`solana-test-validator did not answer on ${RPC_URL} within ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+async function fund(connection, keypair) {
+  const signature = await connection.requestAirdrop(keypair.publicKey, 10 * LAMPORTS_PER_SOL);
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight });
+}
+
+function expectEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+  console.log(`✅ ${label}: ${actual}`);
+}
+
+async function checkTransferFee(workDir) {
+  const config = deploymentConfig();
+  const mintAuthority = Keypair.generate();
+  const recipient = Keypair.generate();
+
+  config.network.default = 'localnet';
+  config.token.program = 'token-2022';
+  config.token.extensions.transfer_fee = { enabled: true, basis_points: 100, maximum_fee: '1000000000' };
+  config.token.mint_authority.public_key = mintAuthority.publicKey.toBase58();
+  config.security.multisig.enabled = false;
+  config.security.timelock.enabled = false;
+
+  const connection = new Connection(RPC_URL, 'confirmed');
+  await fund(connection, mintAuthority);
+  await fund(connection, recipient);
+
+  const minter = new TokenMinter('localnet', false, {
+    config,
+    metadata: tokenMetadata(),
+    signers: { mintAuthority },
+    keypairDir: path.join(workDir, 'keypairs'),
+    deploymentsDir: path.join(workDir, 'deployments')
+  });
+
+  await minter.executeMinting(MINT_AMOUNT.toString());
+  const mint = minter.mintAddress;
+  const source = minter.getTokenAccount(mintAuthority.publicKey);
+
+  const feeConfig = getTransferFeeConfig(await getMint(connection, mint, undefined, TOKEN_2022_PROGRAM_ID));
+  const fee = calculateFee(feeConfig.newerTransferFee, TRANSFER_AMOUNT);
+  expectEqual(feeConfig.withdrawWithheldAuthority.toBase58(), mintAuthority.publicKey.toBase58(), 'Withdraw authority');
+
+  console.log(`\n💸 Transferring ${TRANSFER_AMOUNT} base units with a fee of ${fee}...`);
+  const destination = await createAssociatedTokenAccountIdempotent(
+    connection, recipient, mint, recipient.publicKey, undefined, TOKEN_2022_PROGRAM_ID
+  );
+  await transferCheckedWithFee(
+    connection, mintAuthority, source, mint, destination, mintAuthority, TRANSFER_AMOUNT,
+    config.token.decimals, fee, [], undefined, TOKEN_2022_PROGRAM_ID
+  );
+
+  const received = await getAccount(connection, destination, undefined, TOKEN_2022_PROGRAM_ID);
+  expectEqual(received.amount, TRANSFER_AMOUNT - fee, 'Received after fee');
+
+  const harvest = await minter.harvestWithheldFees(mint);
+  expectEqual(harvest.harvested, fee, 'Harvested');
+
+  const withdrawal = await minter.withdrawWithheldFees(null, mint);
+  expectEqual(withdrawal.withdrawn, fee, 'Withdrawn');
+
+  const balance = await getAccount(connection, source, undefined, TOKEN_2022_PROGRAM_ID);
+  expectEqual(balance.amount, MINT_AMOUNT - TRANSFER_AMOUNT + fee, 'Mint authority balance');
+
+  const after = getTransferFeeConfig(await getMint(connection, mint, undefined, TOKEN_2022_PROGRAM_ID));
+  expectEqual(after.withheldAmount, 0n, 'Left in the mint');
+}
+
+async function main() {
+  const connection = new Connection(RPC_URL, 'confirmed');
+
+  try {
+    await connection.getSlot();
+    throw new PrerequisiteError(`Something is already listening on ${RPC_URL}, stop it first`);
+  } catch (error) {
+    if (error instanceof PrerequisiteError) {
+      throw error;
+    }
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-localnet-'));
+  console.log('🚀 Starting solana-test-validator...');
+  const { validator, exited } = startValidator(path.join(workDir, 'ledger'));
+  exited.catch(() => {});
+
+  try {
+    await waitForValidator(connection, exited);
+    await checkTransferFee(workDir);
+    console.log('\n🎉 Transfer fee check passed');
+  } finally {
+    validator.removeAllListeners('exit');
+
+    // Only a validator that started has an exit to wait for before its ledger is removed
+    if (validator.pid && validator.exitCode === null && validator.signalCode === null) {
+      const stopped = new Promise(resolve => validator.once('exit', resolve));
+      validator.kill('SIGTERM');
+      await stopped;
+    }
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`\n❌ Transfer fee check failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
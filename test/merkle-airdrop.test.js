@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, ACCOUNT_SIZE, AccountLayout, AccountState, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { MerkleAirdrop } = require('../merkle-airdrop');
+const { createClaims } = require('../lib/merkle');
+const { findDistributorAddress } = require('../lib/merkle-distributor');
+const { NetworkError } = require('../lib/errors');
+const { address, deploymentConfig } = require('./fixtures');
+
+const mint = new PublicKey(address(80));
+const main = Keypair.fromSeed(Buffer.alloc(32, 90));
+// The Community bucket's recipient in the fixture config
+const community = Keypair.fromSeed(Buffer.alloc(32, 11));
+const programId = new PublicKey(deploymentConfig().programs.merkle_distributor);
+const expires = new Date(Date.now() + 7 * 86400 * 1000);
+
+function tokenAccount(owner, amount) {
+  const data = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode({
+    mint,
+    owner,
+    amount,
+    delegateOption: 0,
+    delegate: PublicKey.default,
+    state: AccountState.Initialized,
+    isNativeOption: 0,
+    isNative: 0n,
+    delegatedAmount: 0n,
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default
+  }, data);
+
+  return { executable: false, owner: TOKEN_PROGRAM_ID, lamports: 2039280, data, rentEpoch: 0 };
+}
+
+describe('MerkleAirdrop.createDistributor', () => {
+  let tmpDir;
+  let claimsPath;
+  let chain;
+  let sent;
+
+  function createAirdrop(crash = false) {
+    const connection = {
+      rpcEndpoint: 'http://127.0.0.1:8899',
+      commitment: 'confirmed',
+      getVersion: async () => ({ 'solana-core': '1.18.0' }),
+      getSlot: async () => 1,
+      getBlockHeight: async () => chain.blockHeight,
+      getAccountInfo: async key => chain.accounts.get(key.toBase58()) || null
+    };
+
+    const airdrop = new MerkleAirdrop('devnet', false, {
+      config: deploymentConfig(),
+      connection,
+      signers: { main, community },
+      keypairDir: path.join(tmpDir, 'keypairs'),
+      deploymentsDir: path.join(tmpDir, 'deployments'),
+      mint
+    });
+
+    jest.spyOn(airdrop.sender, 'send').mockImplementation(async (instructions, signers, description, { onSigned }) => {
+      const signature = `signature-${sent.length + 1}`;
+      sent.push(description);
+      await onSigned(signature, 100);
+
+      if (crash) {
+        throw new NetworkError('connection reset');
+      }
+      return signature;
+    });
+
+    return airdrop;
+  }
+
+  function readDistributors() {
+    return JSON.parse(fs.readFileSync(path.join(tmpDir, 'deployments/merkle-distributor-devnet.json'), 'utf8')).distributors;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-merkle-'));
+    claimsPath = path.join(tmpDir, 'claims.json');
+    fs.writeFileSync(claimsPath, JSON.stringify(createClaims([1, 2, 3].map(seed => ({ wallet: address(seed), amount: 1000000000n })))));
+
+    const source = getAssociatedTokenAddressSync(mint, community.publicKey);
+    chain = { accounts: new Map([[source.toBase58(), tokenAccount(community.publicKey, 5000000000n)]]), blockHeight: 50 };
+    sent = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('journals the distributor as pending before its creation is broadcast', async () => {
+    await expect(createAirdrop(true).createDistributor(claimsPath, expires)).rejects.toThrow(NetworkError);
+
+    const [record] = Object.values(readDistributors());
+    expect(record).toMatchObject({
+      version: 0,
+      distributor: findDistributorAddress(programId, mint, 0).toBase58(),
+      signature: 'signature-1',
+      lastValidBlockHeight: 100,
+      pending: true
+    });
+  });
+
+  test('records a distributor that landed before the run stopped', async () => {
+    await expect(createAirdrop(true).createDistributor(claimsPath, expires)).rejects.toThrow(NetworkError);
+    const distributor = findDistributorAddress(programId, mint, 0);
+    chain.accounts.set(distributor.toBase58(), { owner: programId, lamports: 1, data: Buffer.alloc(0), executable: false });
+
+    const result = await createAirdrop().createDistributor(claimsPath, expires);
+
+    expect(sent).toEqual(['Create merkle distributor']);
+    expect(result).toMatchObject({ distributor: distributor.toBase58(), signature: 'signature-1' });
+    expect(Object.values(readDistributors())[0]).not.toHaveProperty('pending');
+  });
+
+  test('creates the distributor again once its creation has expired', async () => {
+    await expect(createAirdrop(true).createDistributor(claimsPath, expires)).rejects.toThrow(NetworkError);
+    chain.blockHeight = 101;
+
+    const result = await createAirdrop().createDistributor(claimsPath, expires);
+
+    expect(sent).toHaveLength(2);
+    expect(result).toMatchObject({ version: 0, signature: 'signature-2' });
+    expect(Object.values(readDistributors())[0]).not.toHaveProperty('pending');
+  });
+
+  test('stops while the creation may still confirm', async () => {
+    await expect(createAirdrop(true).createDistributor(claimsPath, expires)).rejects.toThrow(NetworkError);
+
+    await expect(createAirdrop().createDistributor(claimsPath, expires)).rejects.toThrow('(signature-1) may still confirm');
+    expect(sent).toHaveLength(1);
+  });
+});
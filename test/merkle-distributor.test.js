@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const {
+  findDistributorAddress,
+  findClaimStatusAddress,
+  getVaultAddress,
+  createNewDistributorInstruction,
+  createNewClaimInstruction,
+  createClawbackInstruction
+} = require('../lib/merkle-distributor');
+const { address } = require('./fixtures');
+
+const PROGRAM_ID = new PublicKey('mERKcfxMC5SqJn4Ld4BUris3WKZZ1ojjWJ3A3J5CKxv');
+const mint = new PublicKey(address(50));
+const admin = new PublicKey(address(51));
+const claimant = new PublicKey(address(52));
+const receiver = new PublicKey(address(53));
+
+const discriminator = name => crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+
+describe('addresses', () => {
+  test('derive the distributor from the mint and version', () => {
+    const version = Buffer.alloc(8);
+    version.writeBigUInt64LE(1n);
+    const [expected] = PublicKey.findProgramAddressSync([Buffer.from('MerkleDistributor'), mint.toBuffer(), version], PROGRAM_ID);
+
+    expect(findDistributorAddress(PROGRAM_ID, mint, 1).equals(expected)).toBe(true);
+    expect(findDistributorAddress(PROGRAM_ID, mint, 0).equals(expected)).toBe(false);
+  });
+
+  test('derive one claim status per claimant and distributor', () => {
+    const distributor = findDistributorAddress(PROGRAM_ID, mint, 0);
+    const [expected] = PublicKey.findProgramAddressSync(
+      [Buffer.from('ClaimStatus'), claimant.toBuffer(), distributor.toBuffer()],
+      PROGRAM_ID
+    );
+
+    expect(findClaimStatusAddress(PROGRAM_ID, claimant, distributor).equals(expected)).toBe(true);
+  });
+
+  test('use the distributor-owned associated token account as the vault', () => {
+    const distributor = findDistributorAddress(PROGRAM_ID, mint, 0);
+    expect(getVaultAddress(mint, distributor).equals(getAssociatedTokenAddressSync(mint, distributor, true))).toBe(true);
+  });
+});
+
+describe('instructions', () => {
+  const distributor = findDistributorAddress(PROGRAM_ID, mint, 2);
+
+  test('encode new_distributor', () => {
+    const root = Buffer.alloc(32, 7);
+    const instruction = createNewDistributorInstruction({
+      programId: PROGRAM_ID,
+      mint,
+      version: 2,
+      root,
+      maxTotalClaim: 15000000000n,
+      maxNumNodes: 5,
+      startVestingTs: 1700000000,
+      endVestingTs: 1700000001,
+      clawbackStartTs: 1700086401,
+      clawbackReceiver: receiver,
+      admin
+    });
+
+    const { data } = instruction;
+    expect(data.subarray(0, 8).equals(discriminator('new_distributor'))).toBe(true);
+    expect(data.readBigUInt64LE(8)).toBe(2n);
+    expect(data.subarray(16, 48).equals(root)).toBe(true);
+    expect(data.readBigUInt64LE(48)).toBe(15000000000n);
+    expect(data.readBigUInt64LE(56)).toBe(5n);
+    expect(data.readBigInt64LE(64)).toBe(1700000000n);
+    expect(data.readBigInt64LE(72)).toBe(1700000001n);
+    expect(data.readBigInt64LE(80)).toBe(1700086401n);
+    expect(data.length).toBe(88);
+    expect(instruction.keys.map(key => key.pubkey.toBase58()).slice(0, 5)).toEqual([
+      distributor.toBase58(),
+      receiver.toBase58(),
+      mint.toBase58(),
+      getVaultAddress(mint, distributor).toBase58(),
+      admin.toBase58()
+    ]);
+    expect(instruction.keys[4]).toMatchObject({ isSigner: true, isWritable: true });
+  });
+
+  test('encode new_claim with the proof as a length-prefixed vector', () => {
+    const proof = [Buffer.alloc(32, 1), Buffer.alloc(32, 2)];
+    const destination = getAssociatedTokenAddressSync(mint, claimant);
+    const instruction = createNewClaimInstruction({ programId: PROGRAM_ID, distributor, mint, claimant, destination, amount: 3000000000n, proof });
+
+    const { data } = instruction;
+    expect(data.subarray(0, 8).equals(discriminator('new_claim'))).toBe(true);
+    expect(data.readBigUInt64LE(8)).toBe(3000000000n);
+    expect(data.readBigUInt64LE(16)).toBe(0n);
+    expect(data.readUInt32LE(24)).toBe(2);
+    expect(data.subarray(28).equals(Buffer.concat(proof))).toBe(true);
+    expect(instruction.keys[1].pubkey.equals(findClaimStatusAddress(PROGRAM_ID, claimant, distributor))).toBe(true);
+    expect(instruction.keys[3].pubkey.equals(destination)).toBe(true);
+    expect(instruction.keys[4]).toMatchObject({ pubkey: claimant, isSigner: true });
+    expect(instruction.keys[5].pubkey.equals(TOKEN_PROGRAM_ID)).toBe(true);
+    expect(instruction.keys[6].pubkey.equals(SystemProgram.programId)).toBe(true);
+  });
+
+  test('encode clawback', () => {
+    const instruction = createClawbackInstruction({ programId: PROGRAM_ID, distributor, mint, clawbackReceiver: receiver, signer: admin });
+
+    expect(instruction.data.equals(discriminator('clawback'))).toBe(true);
+    expect(instruction.keys[1].pubkey.equals(getVaultAddress(mint, distributor))).toBe(true);
+    expect(instruction.keys[2]).toMatchObject({ pubkey: receiver, isWritable: true });
+    expect(instruction.keys[3]).toMatchObject({ pubkey: admin, isSigner: true });
+  });
+});
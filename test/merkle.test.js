@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const {
+  hashLeaf,
+  buildMerkleTree,
+  getProof,
+  verifyProof,
+  createClaims,
+  verifyClaims
+} = require('../lib/merkle');
+const { address } = require('./fixtures');
+
+// Five wallets claiming 1 to 5 tokens of 9 decimals
+const RECIPIENTS = [1, 2, 3, 4, 5].map(seed => ({ wallet: address(seed), amount: BigInt(seed) * 1000000000n }));
+const ROOT = 'e88632dd354d6be15f0b209a0aa3a7fa055b7335e9c9ec834e32d229791e7386';
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+const u64 = value => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(value);
+  return buffer;
+};
+
+describe('hashing', () => {
+  test('hashes a leaf as sha256(0x00 || sha256(wallet || unlocked || locked))', () => {
+    const { wallet, amount } = RECIPIENTS[0];
+    const expected = sha256(Buffer.from([0]), sha256(new PublicKey(wallet).toBuffer(), u64(amount), u64(0n)));
+
+    expect(hashLeaf(wallet, amount).equals(expected)).toBe(true);
+    expect(hashLeaf(wallet, amount).toString('hex')).toBe('61d73258d58a2d2f80ca235dde4f75cc9e782bb240a85c870f60ace3565da71f');
+  });
+
+  test('hashes a parent over its children in byte order', () => {
+    const [a, b] = RECIPIENTS.map(({ wallet, amount }) => hashLeaf(wallet, amount));
+    const [lower, higher] = Buffer.compare(a, b) <= 0 ? [a, b] : [b, a];
+    const levels = buildMerkleTree(RECIPIENTS.slice(0, 2));
+
+    expect(levels[1][0].equals(sha256(Buffer.from([1]), lower, higher))).toBe(true);
+    expect(buildMerkleTree([RECIPIENTS[1], RECIPIENTS[0]])[1][0].equals(levels[1][0])).toBe(true);
+  });
+
+  test('moves a node without a sibling up unchanged', () => {
+    const levels = buildMerkleTree(RECIPIENTS);
+
+    expect(levels.map(level => level.length)).toEqual([5, 3, 2, 1]);
+    expect(levels[1][2].equals(levels[0][4])).toBe(true);
+  });
+
+  test('needs at least one recipient', () => {
+    expect(() => buildMerkleTree([])).toThrow('at least one recipient');
+  });
+});
+
+describe('proofs', () => {
+  const levels = buildMerkleTree(RECIPIENTS);
+  const root = levels[levels.length - 1][0];
+
+  test('builds the fixed root', () => {
+    expect(root.toString('hex')).toBe(ROOT);
+  });
+
+  test('leads every leaf to the root', () => {
+    RECIPIENTS.forEach(({ wallet, amount }, index) => {
+      expect(verifyProof(getProof(levels, index), root, hashLeaf(wallet, amount))).toBe(true);
+    });
+  });
+
+  test('is a single sibling for the promoted last leaf', () => {
+    expect(getProof(levels, 4)).toHaveLength(1);
+  });
+
+  test('does not prove another amount or wallet', () => {
+    const proof = getProof(levels, 0);
+
+    expect(verifyProof(proof, root, hashLeaf(RECIPIENTS[0].wallet, RECIPIENTS[0].amount + 1n))).toBe(false);
+    expect(verifyProof(proof, root, hashLeaf(address(9), RECIPIENTS[0].amount))).toBe(false);
+  });
+
+  test('builds a single-recipient tree whose root is the leaf', () => {
+    const [{ wallet, amount }] = RECIPIENTS;
+    const single = buildMerkleTree([{ wallet, amount }]);
+
+    expect(getProof(single, 0)).toEqual([]);
+    expect(verifyProof([], single[0][0], hashLeaf(wallet, amount))).toBe(true);
+  });
+});
+
+describe('claims files', () => {
+  const claims = createClaims(RECIPIENTS);
+
+  test('publish the root, total, amounts and proofs', () => {
+    expect(claims.root).toBe(ROOT);
+    expect(claims.total).toBe('15000000000');
+    expect(claims.recipients).toBe(5);
+    expect(claims.claims[address(3)]).toEqual({
+      index: 2,
+      amount: '3000000000',
+      proof: [
+        'ab98694701f764ec064869141f3fe9cbf5b4d8b2c24dc2024a50a50b12704a28',
+        '828ffd1d212c6976851b633151454e45b95d33e198d5244e7dc4bad9980661ba',
+        '429a261b27f98f93dfa247b2c09ed69b06e86d3ec7801d93ee401333850c1a10'
+      ]
+    });
+  });
+
+  test('verify when untouched', () => {
+    expect(verifyClaims(claims)).toEqual({ verified: 5, failed: [], problems: [] });
+    expect(verifyClaims(claims, [address(5)])).toEqual({ verified: 1, failed: [], problems: [] });
+  });
+
+  test('reject a tampered proof', () => {
+    const tampered = JSON.parse(JSON.stringify(claims));
+    tampered.claims[address(2)].proof[0] = 'ab98694701f764ec064869141f3fe9cbf5b4d8b2c24dc2024a50a50b12704a28';
+
+    expect(verifyClaims(tampered)).toEqual({ verified: 4, failed: [address(2)], problems: [] });
+  });
+
+  test('reject a raised amount against the root and the total', () => {
+    const tampered = JSON.parse(JSON.stringify(claims));
+    tampered.claims[address(1)].amount = '9000000000';
+
+    const { failed, problems } = verifyClaims(tampered);
+    expect(failed).toEqual([address(1)]);
+    expect(problems).toEqual([
+      'the tree built from the claims does not have the published root',
+      'the claims add up to 23000000000, not the published total 15000000000'
+    ]);
+  });
+
+  test('reject a dropped claim and a malformed root', () => {
+    const dropped = JSON.parse(JSON.stringify(claims));
+    delete dropped.claims[address(4)];
+
+    expect(verifyClaims(dropped).problems).toContain('the claims are not indexed 0 to 3 for 5 recipients');
+    expect(verifyClaims({ ...claims, root: 'abc' }).problems).toEqual(['root "abc" is not a 32-byte hex string']);
+  });
+
+  test.each([
+    [-1, 'index -1 is not an integer from 0 to 4'],
+    [5, 'index 5 is not an integer from 0 to 4'],
+    [1.5, 'index 1.5 is not an integer from 0 to 4'],
+    ['3', 'index "3" is not an integer from 0 to 4']
+  ])('reject the claim index %p', (index, message) => {
+    const tampered = JSON.parse(JSON.stringify(claims));
+    tampered.claims[address(4)].index = index;
+
+    expect(verifyClaims(tampered).problems).toEqual([`${address(4)}: ${message}`]);
+  });
+
+  test('reject an index given to two claims', () => {
+    const tampered = JSON.parse(JSON.stringify(claims));
+    tampered.claims[address(4)].index = 1;
+
+    expect(verifyClaims(tampered).problems).toEqual([`${address(4)}: index 1 is already taken by ${address(2)}`]);
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const { MINT_SIZE, MintLayout, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { HealthMonitor } = require('../monitor');
+const { writeDeploymentRecord } = require('../lib/core');
+const { PrerequisiteError } = require('../lib/errors');
+const { address, deploymentConfig } = require('./fixtures');
+
+const mint = new PublicKey(address(41));
+
+// One local server plays the health endpoint, a failing and a working RPC node and the Discord webhook
+function startStubs() {
+  const stubs = {
+    healthStatus: 200,
+    slot: 100,
+    downRequests: 0,
+    signatures: new Map(),
+    transactions: new Map(),
+    alerts: []
+  };
+
+  const mintData = Buffer.alloc(MINT_SIZE);
+  MintLayout.encode({
+    mintAuthorityOption: 0,
+    mintAuthority: PublicKey.default,
+    supply: 1000000n,
+    decimals: 9,
+    isInitialized: true,
+    freezeAuthorityOption: 0,
+    freezeAuthority: PublicKey.default
+  }, mintData);
+
+  const rpc = {
+    getSlot: () => stubs.slot++,
+    getAccountInfo: ([account]) => ({
+      context: { slot: stubs.slot },
+      value: account === mint.toBase58()
+        ? { executable: false, owner: TOKEN_PROGRAM_ID.toBase58(), lamports: 1461600, data: [mintData.toString('base64'), 'base64'], rentEpoch: 0 }
+        : null
+    }),
+    getSignaturesForAddress: ([account]) => stubs.signatures.get(account) || [],
+    getTransaction: ([signature]) => stubs.transactions.get(signature) || null
+  };
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const reply = (status, payload) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(payload));
+      };
+
+      switch (request.url) {
+        case '/health':
+          return reply(stubs.healthStatus, {});
+        case '/down':
+          stubs.downRequests++;
+          return reply(503, {});
+        case '/discord':
+          stubs.alerts.push(JSON.parse(body).content);
+          return reply(204, {});
+        case '/rpc': {
+          const { id, method, params } = JSON.parse(body);
+          return reply(200, { jsonrpc: '2.0', id, result: rpc[method](params) });
+        }
+        default:
+          return reply(404, {});
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      stubs.url = `http://127.0.0.1:${server.address().port}`;
+      stubs.close = () => new Promise(done => server.close(done));
+      resolve(stubs);
+    });
+  });
+}
+
+function createMonitor(stubs, deploymentsDir) {
+  const config = deploymentConfig();
+  config.network.devnet = { url: `${stubs.url}/down`, fallback_urls: [`${stubs.url}/rpc`] };
+  config.monitoring.health_checks.endpoints = [`${stubs.url}/health`];
+  config.monitoring.thresholds.large_transfer_amount = '1000000';
+  config.monitoring.alerts = { discord_webhook: `${stubs.url}/discord` };
+
+  return new HealthMonitor('devnet', false, { config, deploymentsDir });
+}
+
+function parsedTransfer(signature, from, to, amount) {
+  const balance = (accountIndex, owner, value) => ({
+    accountIndex,
+    mint: mint.toBase58(),
+    owner,
+    uiTokenAmount: { amount: String(value), decimals: 9, uiAmount: null, uiAmountString: String(value) }
+  });
+
+  return {
+    slot: 101,
+    blockTime: null,
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: [{ pubkey: from, signer: true, writable: true }, { pubkey: to, signer: false, writable: true }],
+        instructions: [],
+        recentBlockhash: address(60)
+      }
+    },
+    meta: {
+      err: null,
+      fee: 5000,
+      preBalances: [0, 0],
+      postBalances: [0, 0],
+      preTokenBalances: [balance(0, from, amount), balance(1, to, 0)],
+      postTokenBalances: [balance(0, from, 0), balance(1, to, amount)]
+    }
+  };
+}
+
+describe('HealthMonitor', () => {
+  let stubs;
+  let deploymentsDir;
+
+  beforeEach(async () => {
+    stubs = await startStubs();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-monitor-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await stubs.close();
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  test('alerts once when an endpoint goes down and again when it recovers', async () => {
+    const monitor = createMonitor(stubs, deploymentsDir);
+
+    stubs.healthStatus = 503;
+    await monitor.runChecks();
+    await monitor.runChecks();
+
+    expect(stubs.alerts).toHaveLength(1);
+    expect(stubs.alerts[0]).toContain(`Endpoint down: ${stubs.url}/health`);
+    expect(stubs.alerts[0]).toContain('returned HTTP 503');
+
+    stubs.healthStatus = 200;
+    await monitor.runChecks();
+
+    expect(stubs.alerts).toHaveLength(2);
+    expect(stubs.alerts[1]).toContain('Resolved: Endpoint down');
+  });
+
+  test('fails over to the fallback RPC endpoint', async () => {
+    const monitor = createMonitor(stubs, deploymentsDir);
+
+    await monitor.runChecks();
+    await monitor.runChecks();
+
+    expect(stubs.downRequests).toBeGreaterThan(0);
+    expect(stubs.alerts).toEqual([]);
+    expect(monitor.baseline.slot).toBeGreaterThan(100);
+  });
+
+  test('alerts on the first large transfer of an address that had no signatures', async () => {
+    writeDeploymentRecord(deploymentsDir, 'minting', 'devnet', { mintAddress: mint.toBase58() });
+    const monitor = createMonitor(stubs, deploymentsDir);
+
+    await monitor.runChecks();
+    expect(stubs.alerts).toEqual([]);
+
+    const signature = 'transfer-1';
+    stubs.signatures.set(mint.toBase58(), [{ signature, slot: 101, err: null, memo: null, blockTime: null }]);
+    stubs.transactions.set(signature, parsedTransfer(signature, address(10), address(61), 5000000));
+    await monitor.runChecks();
+
+    expect(stubs.alerts).toHaveLength(1);
+    expect(stubs.alerts[0]).toContain('Large transfer of 0.005 GLOWMIN');
+    expect(stubs.alerts[0]).toContain(`Transaction ${signature}`);
+
+    // Already alerted signatures are not fetched again
+    stubs.signatures.set(mint.toBase58(), []);
+    await monitor.runChecks();
+    expect(stubs.alerts).toHaveLength(1);
+  });
+
+  test('throws instead of exiting when fetch is unavailable', async () => {
+    const monitor = createMonitor(stubs, deploymentsDir);
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    const { fetch } = global;
+    delete global.fetch;
+
+    try {
+      await expect(monitor.start(null, true)).rejects.toThrow(PrerequisiteError);
+    } finally {
+      global.fetch = fetch;
+    }
+
+    expect(exit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+const { generateCollection } = require('../lib/nft-generator');
+const { ConfigError } = require('../lib/errors');
+const { nftMetadata } = require('./fixtures');
+
+// 6 backgrounds × 6 styles × 6 accessories
+const COMBINATIONS = 216;
+
+function countTiers(tokens) {
+  return tokens.reduce((counts, token) => ({ ...counts, [token.rarity]: (counts[token.rarity] || 0) + 1 }), {});
+}
+
+describe('generateCollection', () => {
+  test('generates the same collection from the same seed', () => {
+    const first = generateCollection(nftMetadata(), { seed: 'a', supply: 100 });
+    const second = generateCollection(nftMetadata(), { seed: 'a', supply: 100 });
+    const other = generateCollection(nftMetadata(), { seed: 'b', supply: 100 });
+
+    expect(second).toEqual(first);
+    expect(other.tokens.map(token => token.traits)).not.toEqual(first.tokens.map(token => token.traits));
+  });
+
+  test.each([100, COMBINATIONS])('gives each of %i tokens its own trait combination', supply => {
+    const { tokens, combinations } = generateCollection(nftMetadata(), { seed: 'a', supply });
+
+    expect(combinations).toBe(COMBINATIONS);
+    expect(new Set(tokens.map(token => JSON.stringify(token.traits))).size).toBe(supply);
+  });
+
+  test.each([
+    [100, { Legendary: 1, Epic: 4, Rare: 10, Uncommon: 25, Common: 60 }],
+    // 22.2, 9.25, 3.7, 1.48 and 0.37 tokens: the two left over go to the largest remainders
+    [37, { Legendary: 0, Epic: 2, Rare: 4, Uncommon: 9, Common: 22 }]
+  ])('assigns the tiers of %i tokens by rarity_distribution', (supply, expected) => {
+    const { tokens, report } = generateCollection(nftMetadata(), { seed: 'a', supply });
+
+    expect(report.tiers.map(tier => [tier.name, tier.count])).toEqual(Object.entries(expected));
+    expect(countTiers(tokens)).toEqual(Object.fromEntries(Object.entries(expected).filter(([, count]) => count > 0)));
+  });
+
+  test('gives the rarest tiers to the least likely combinations', () => {
+    const { report } = generateCollection(nftMetadata(), { seed: 'a', supply: 100 });
+    const ranked = [...report.tokens].sort((a, b) => a.rank - b.rank);
+
+    expect(ranked[0].rarity).toBe('Legendary');
+    ranked.slice(1).forEach((token, i) => expect(token.score).toBeLessThanOrEqual(ranked[i].score));
+  });
+
+  test('rejects a supply larger than the number of trait combinations', () => {
+    expect(() => generateCollection(nftMetadata(), { seed: 'a', supply: COMBINATIONS + 1 })).toThrow(ConfigError);
+    expect(() => generateCollection(nftMetadata(), { seed: 'a', supply: COMBINATIONS + 1 }))
+      .toThrow(`A supply of ${COMBINATIONS + 1} needs more unique trait combinations than the ${COMBINATIONS} the traits allow`);
+  });
+
+  test('defaults the supply to the collection\'s "Total Supply"', () => {
+    const metadata = nftMetadata();
+    metadata.collection.attributes[1].value = '50';
+
+    const { supply, collection } = generateCollection(metadata, { seed: 'a' });
+
+    expect(supply).toBe(50);
+    expect(collection.attributes[1]).toEqual({ trait_type: 'Total Supply', value: '50' });
+  });
+});
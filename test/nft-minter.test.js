@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const { NftMinter } = require('../nft-minter');
+const { NetworkError } = require('../lib/errors');
+const { deploymentConfig, nftMetadata } = require('./fixtures');
+
+const main = Keypair.fromSeed(Buffer.alloc(32, 90));
+const metadataAuthority = Keypair.fromSeed(Buffer.alloc(32, 91));
+const SUPPLY = 3;
+
+describe('NftMinter.mintCollection', () => {
+  let tmpDir;
+  let chain;
+  let sent;
+
+  // `outcome(description)` returns 'confirm', or 'crash' to stop after the transaction was signed
+  function createMinter(outcome = () => 'confirm') {
+    const connection = {
+      rpcEndpoint: 'http://127.0.0.1:8899',
+      commitment: 'confirmed',
+      getVersion: async () => ({ 'solana-core': '1.18.0' }),
+      getSlot: async () => 1,
+      getMinimumBalanceForRentExemption: async () => 1461600,
+      getBlockHeight: async () => chain.blockHeight,
+      getAccountInfo: async address => (chain.mints.has(address.toBase58()) ? { lamports: 1461600 } : null)
+    };
+
+    const minter = new NftMinter('devnet', false, {
+      config: deploymentConfig(),
+      nftMetadata: nftMetadata(),
+      collectionDir: path.join(tmpDir, 'nft'),
+      deploymentsDir: path.join(tmpDir, 'deployments'),
+      keypairDir: path.join(tmpDir, 'keypairs'),
+      connection,
+      signers: { main, metadataAuthority }
+    });
+
+    jest.spyOn(minter.sender, 'send').mockImplementation(async (instructions, signers, description, { onSigned }) => {
+      const signature = `signature-${sent.length + 1}`;
+      const mint = signers[2].publicKey.toBase58();
+      sent.push({ description, mint });
+      await onSigned(signature, 100);
+
+      if (outcome(description) === 'crash') {
+        throw new NetworkError('connection reset');
+      }
+
+      chain.mints.add(mint);
+      return signature;
+    });
+
+    return minter;
+  }
+
+  function readState() {
+    return JSON.parse(fs.readFileSync(path.join(tmpDir, 'deployments/nft-mint-state-devnet.json'), 'utf8'));
+  }
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-nft-'));
+    chain = { mints: new Set(), blockHeight: 50 };
+    sent = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await createMinter().generateCollection('a', SUPPLY);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('journals each mint as pending before its transaction is broadcast', async () => {
+    await expect(createMinter(() => 'crash').mintCollection()).rejects.toThrow(NetworkError);
+
+    expect(readState().collection).toMatchObject({ mint: sent[0].mint, signature: 'signature-1', lastValidBlockHeight: 100, pending: true });
+  });
+
+  test('keeps a collection NFT that landed before the run stopped', async () => {
+    await expect(createMinter(() => 'crash').mintCollection()).rejects.toThrow(NetworkError);
+    chain.mints.add(sent[0].mint);
+
+    const result = await createMinter().mintCollection();
+
+    expect(result.collection).toBe(sent[0].mint);
+    expect(result.complete).toBe(true);
+    expect(sent.map(entry => entry.description)).toEqual(['Create collection NFT', 'Mint NFT #1', 'Mint NFT #2', 'Mint NFT #3']);
+    expect(readState().collection).toEqual({
+      mint: sent[0].mint,
+      metadata: expect.any(String),
+      masterEdition: expect.any(String),
+      signature: 'signature-1'
+    });
+  });
+
+  test('mints an NFT again once its pending transaction has expired', async () => {
+    await expect(createMinter(description => (description === 'Mint NFT #2' ? 'crash' : 'confirm')).mintCollection())
+      .rejects.toThrow(NetworkError);
+    const expired = sent[2].mint;
+    expect(readState().items['2']).toMatchObject({ mint: expired, pending: true });
+
+    chain.blockHeight = 101;
+    const result = await createMinter().mintCollection();
+    const { items } = readState();
+
+    expect(result.minted.map(item => item.id)).toEqual([2, 3]);
+    expect(items['2'].mint).not.toBe(expired);
+    expect(Object.values(items).some(item => item.pending)).toBe(false);
+  });
+
+  test('stops while a pending NFT may still confirm', async () => {
+    await expect(createMinter(description => (description === 'Mint NFT #1' ? 'crash' : 'confirm')).mintCollection())
+      .rejects.toThrow(NetworkError);
+
+    await expect(createMinter().mintCollection()).rejects.toThrow(`NFT #1 (mint ${sent[1].mint}, signature-2) may still confirm`);
+    expect(sent).toHaveLength(2);
+  });
+});
@@ -0,0 +1,94 @@
+const { chiSquare, analyzeCollection, toRankingCsv } = require('../lib/nft-stats');
+const { generateCollection } = require('../lib/nft-generator');
+const { nftMetadata } = require('./fixtures');
+
+const TIERS = ['Legendary', 'Epic', 'Rare', 'Uncommon', 'Common'];
+
+function token(id, background, style, accessory, rarity = 'Common') {
+  return {
+    id,
+    json: {
+      name: `GlowMin NFT #${id}`,
+      attributes: [
+        { trait_type: 'Background', value: background },
+        { trait_type: 'GLOWMINU Style', value: style },
+        { trait_type: 'Accessory', value: accessory },
+        { trait_type: 'Rarity', value: rarity }
+      ]
+    }
+  };
+}
+
+describe('chiSquare', () => {
+  test.each([
+    // One degree of freedom: the 0.05 critical value is 3.841
+    [[60, 40], [50, 50], 4, 1, 0.0455],
+    // Two degrees of freedom: p = exp(-x / 2)
+    [[10, 20, 30], [20, 20, 20], 10, 2, 0.006738],
+    // Four degrees of freedom: p = exp(-x / 2) (1 + x / 2)
+    [[30, 10, 20, 20, 20], [20, 20, 20, 20, 20], 10, 4, 0.040428],
+    [[20, 20, 20, 20, 20], [20, 20, 20, 20, 20], 0, 4, 1]
+  ])('tests %j against %j', (observed, expected, statistic, degreesOfFreedom, pValue) => {
+    const result = chiSquare(observed, expected);
+
+    expect(result.statistic).toBe(statistic);
+    expect(result.degreesOfFreedom).toBe(degreesOfFreedom);
+    expect(result.pValue).toBeCloseTo(pValue, 4);
+    expect(result.deviates).toBe(pValue < 0.05);
+  });
+
+  test('leaves out categories expected to be empty', () => {
+    expect(chiSquare([60, 40, 0], [50, 50, 0])).toMatchObject({ statistic: 4, degreesOfFreedom: 1 });
+    expect(chiSquare([5], [5])).toMatchObject({ degreesOfFreedom: 0, pValue: 1, deviates: false });
+  });
+});
+
+describe('analyzeCollection', () => {
+  test('passes a generated collection and ranks its rarest tier first', () => {
+    const generated = generateCollection(nftMetadata(), { seed: 'a', supply: 100 });
+
+    const stats = analyzeCollection(nftMetadata(), generated.tokens, 100);
+    const tiers = stats.tokens.map(entry => TIERS.indexOf(entry.rarity));
+
+    expect(stats.passed).toBe(true);
+    expect(stats.tokens[0]).toMatchObject({ rank: 1, rarity: 'Legendary' });
+    expect(tiers).toEqual([...tiers].sort((a, b) => a - b));
+  });
+
+  test('reports duplicated combinations, missing and unknown traits and missing ids', () => {
+    const tokens = [
+      token(1, 'Cosmic Purple', 'Classic Glow', 'None'),
+      token(2, 'Neon Cyan', 'Classic Glow', 'None'),
+      token(3, 'Cosmic Purple', 'Classic Glow', 'None'),
+      token(5, 'Neon Cyan', 'Electric Spark', 'Top Hat'),
+      token(6, 'Neon Cyan', 'Mystical Aura', '')
+    ];
+
+    const stats = analyzeCollection(nftMetadata(), tokens, 7);
+
+    expect(stats.passed).toBe(false);
+    expect(stats.problems).toEqual({
+      duplicates: [[1, 3]],
+      missingTraits: [{ id: 6, trait: 'Accessory' }],
+      unknownValues: [{ id: 5, trait: 'Accessory', value: 'Top Hat' }],
+      missingTokens: [4, 7]
+    });
+  });
+
+  test('gives tokens of equally likely combinations the same rank', () => {
+    const tokens = [
+      token(1, 'Cosmic Purple', 'Classic Glow', 'None'),
+      token(2, 'Galaxy Blue', 'Electric Spark', 'Shining Crown', 'Uncommon'),
+      token(3, 'Neon Cyan', 'Mystical Aura', 'Shining Crown', 'Uncommon'),
+      token(4, 'Diamond Shine', 'Divine Light', 'Cosmic Orb', 'Legendary')
+    ];
+
+    const stats = analyzeCollection(nftMetadata(), tokens);
+
+    expect(stats.tokens.map(entry => [entry.id, entry.rank])).toEqual([[4, 1], [2, 2], [3, 2], [1, 4]]);
+    expect(stats.tokens[0].probability).toBeCloseTo(0.02 * 0.02 * 0.05, 12);
+    const [header, , second] = toRankingCsv(stats).split('\n');
+    expect(header).toBe('rank,id,name,probability,rarity_score,statistical_rarity,rarity,Background,GLOWMINU Style,Accessory');
+    expect(second).toMatch(/^2,2,GlowMin NFT #2,0\.01\d*,10,0\.03125,Uncommon,/);
+  });
+});
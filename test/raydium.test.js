@@ -0,0 +1,107 @@
+const { Keypair, PublicKey, SystemProgram } = require('@solana/web3.js');
+const { NATIVE_MINT, TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const {
+  getPoolKeys,
+  decodeMarketState,
+  makeInitializePoolInstruction,
+  makeWrapSolInstructions,
+  makeUnwrapSolInstruction
+} = require('../lib/raydium');
+const { address } = require('./fixtures');
+
+const AMM_V4 = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+const OPENBOOK = new PublicKey('srmqPvymJeFKQ4zGQed1GFppgkRHL9kaELCbyksJtPX');
+
+describe('getPoolKeys', () => {
+  const marketId = new PublicKey(address(20));
+  const baseMint = new PublicKey(address(21));
+  const poolKeys = getPoolKeys({ programId: AMM_V4, marketId, marketProgramId: OPENBOOK, baseMint });
+
+  test('derives the mainnet AMM v4 authority and config accounts', () => {
+    expect(poolKeys.authority.toBase58()).toBe('5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1');
+    expect(poolKeys.configId.toBase58()).toBe('9DCxsMizn3H1hprZ7xWe6LDzeUeZBksYFpBWBtSf1PQX');
+  });
+
+  test('derives the pool accounts from the market', () => {
+    const [id] = PublicKey.findProgramAddressSync(
+      [AMM_V4.toBuffer(), marketId.toBuffer(), Buffer.from('amm_associated_seed')],
+      AMM_V4
+    );
+
+    expect(poolKeys.id.equals(id)).toBe(true);
+    expect(poolKeys.quoteMint.equals(NATIVE_MINT)).toBe(true);
+    expect(new Set(['id', 'lpMint', 'baseVault', 'quoteVault', 'openOrders', 'targetOrders'].map(key => poolKeys[key].toBase58())).size).toBe(6);
+  });
+
+  test('gives another market another pool', () => {
+    const other = getPoolKeys({ programId: AMM_V4, marketId: new PublicKey(address(22)), marketProgramId: OPENBOOK, baseMint });
+    expect(other.id.equals(poolKeys.id)).toBe(false);
+    expect(other.authority.equals(poolKeys.authority)).toBe(true);
+  });
+});
+
+describe('decodeMarketState', () => {
+  test('reads the mints and event queue at their OpenBook offsets', () => {
+    const data = Buffer.alloc(388);
+    const [baseMint, quoteMint, eventQueue] = [30, 31, 32].map(seed => new PublicKey(address(seed)));
+    baseMint.toBuffer().copy(data, 53);
+    quoteMint.toBuffer().copy(data, 85);
+    eventQueue.toBuffer().copy(data, 253);
+
+    const market = decodeMarketState(data);
+    expect(market.baseMint.equals(baseMint)).toBe(true);
+    expect(market.quoteMint.equals(quoteMint)).toBe(true);
+    expect(market.eventQueue.equals(eventQueue)).toBe(true);
+  });
+
+  test('rejects accounts too short to be a market', () => {
+    expect(() => decodeMarketState(Buffer.alloc(100))).toThrow('too short to be an OpenBook market');
+  });
+});
+
+describe('instructions', () => {
+  const owner = Keypair.generate().publicKey;
+  const poolKeys = getPoolKeys({
+    programId: AMM_V4,
+    marketId: new PublicKey(address(20)),
+    marketProgramId: OPENBOOK,
+    baseMint: new PublicKey(address(21))
+  });
+
+  test('encodes Initialize2 as tag, nonce, open time, quote and base amounts', () => {
+    const instruction = makeInitializePoolInstruction({
+      poolKeys,
+      owner,
+      feeDestination: new PublicKey(address(23)),
+      baseAmount: 40000000000000000n,
+      quoteAmount: 2000000000n,
+      openTime: 1700000000
+    });
+
+    expect(instruction.programId.equals(AMM_V4)).toBe(true);
+    expect(instruction.data.length).toBe(26);
+    expect(instruction.data[0]).toBe(1);
+    expect(instruction.data[1]).toBe(poolKeys.nonce);
+    expect(instruction.data.readBigUInt64LE(2)).toBe(1700000000n);
+    expect(instruction.data.readBigUInt64LE(10)).toBe(2000000000n);
+    expect(instruction.data.readBigUInt64LE(18)).toBe(40000000000000000n);
+    expect(instruction.keys).toHaveLength(21);
+    expect(instruction.keys[4].pubkey.equals(poolKeys.id)).toBe(true);
+    expect(instruction.keys[17]).toMatchObject({ pubkey: owner, isSigner: true, isWritable: true });
+    expect(instruction.keys[20].pubkey.equals(getAssociatedTokenAddressSync(poolKeys.lpMint, owner))).toBe(true);
+  });
+
+  test('wraps SOL into the WSOL account and closes it afterwards', () => {
+    const wsol = getAssociatedTokenAddressSync(NATIVE_MINT, owner);
+    const [create, transfer, sync] = makeWrapSolInstructions(owner, 2000000000n);
+    const close = makeUnwrapSolInstruction(owner);
+
+    expect(create.keys[1].pubkey.equals(wsol)).toBe(true);
+    expect(transfer.programId.equals(SystemProgram.programId)).toBe(true);
+    expect(transfer.keys[1].pubkey.equals(wsol)).toBe(true);
+    expect(transfer.data.readBigUInt64LE(4)).toBe(2000000000n);
+    expect(sync.programId.equals(TOKEN_PROGRAM_ID)).toBe(true);
+    expect(close.keys[0].pubkey.equals(wsol)).toBe(true);
+    expect(close.keys[1].pubkey.equals(owner)).toBe(true);
+  });
+});
@@ -0,0 +1,118 @@
+const { validateConfig, validateMetadata, validateDeploymentFiles } = require('../lib/schema');
+const { address, deploymentConfig, tokenMetadata } = require('./fixtures');
+
+const paths = problems => problems.map(problem => problem.path);
+const errors = problems => problems.filter(problem => problem.severity === 'error');
+
+describe('validateConfig', () => {
+  test('accepts a complete config', () => {
+    expect(validateConfig(deploymentConfig())).toEqual([]);
+  });
+
+  test('reports every problem instead of stopping at the first', () => {
+    const config = deploymentConfig();
+    config.token.decimals = 12;
+    config.token.mint_authority.public_key = 'not-a-key';
+    config.fees.transaction_fee = -1;
+
+    expect(paths(errors(validateConfig(config)))).toEqual(expect.arrayContaining([
+      'token.decimals',
+      'token.mint_authority.public_key',
+      'fees.transaction_fee'
+    ]));
+  });
+
+  test('flags required placeholders as errors and optional ones as warnings', () => {
+    const config = deploymentConfig();
+    config.distribution[1].recipient = 'COMMUNITY_WALLET_PUBLIC_KEY';
+    config.monitoring.alerts.discord_webhook = 'DISCORD_WEBHOOK_URL';
+
+    const problems = validateConfig(config);
+    expect(problems).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'distribution[1].recipient', severity: 'error', placeholder: true }),
+      expect.objectContaining({ path: 'monitoring.alerts.discord_webhook', severity: 'warning', placeholder: true })
+    ]));
+  });
+
+  test('downgrades placeholders under a disabled feature to warnings', () => {
+    const config = deploymentConfig();
+    config.security.multisig.enabled = false;
+    config.security.multisig.address = 'MULTISIG_ACCOUNT_ADDRESS';
+
+    expect(errors(validateConfig(config))).toEqual([]);
+  });
+
+  test('rejects amounts beyond u64', () => {
+    const config = deploymentConfig();
+    config.token.total_supply = (2n ** 64n).toString();
+
+    expect(paths(errors(validateConfig(config)))).toContain('token.total_supply');
+  });
+
+  test('requires the distribution to add up to the whole supply', () => {
+    const config = deploymentConfig();
+    config.distribution[4].basis_points = 400;
+
+    expect(validateConfig(config)).toEqual([expect.objectContaining({
+      path: 'distribution',
+      message: 'basis_points must sum to 10000, got 9900'
+    })]);
+  });
+
+  test('rejects duplicate distribution names and a threshold above the signer count', () => {
+    const config = deploymentConfig();
+    config.distribution[4].name = 'Team';
+    config.security.multisig.threshold = 6;
+
+    expect(paths(validateConfig(config))).toEqual(expect.arrayContaining([
+      'distribution[4].name',
+      'security.multisig.threshold'
+    ]));
+  });
+
+  test('requires programs.token_program to match token.program', () => {
+    const config = deploymentConfig();
+    config.token.program = 'token-2022';
+
+    expect(paths(errors(validateConfig(config)))).toContain('programs.token_program');
+  });
+
+  test('rejects an unknown default network', () => {
+    const config = deploymentConfig();
+    config.network.default = 'moonnet';
+
+    expect(paths(validateConfig(config))).toContain('network.default');
+  });
+});
+
+describe('validateMetadata', () => {
+  test('accepts complete metadata', () => {
+    expect(validateMetadata(tokenMetadata())).toEqual([]);
+  });
+
+  test('enforces the Metaplex symbol length and creator shares', () => {
+    const metadata = tokenMetadata();
+    metadata.symbol = 'GLOWMINGLOWMIN';
+    metadata.properties.creators.push({ address: address(42), share: 10 });
+
+    expect(paths(errors(validateMetadata(metadata)))).toEqual(expect.arrayContaining(['symbol', 'properties.creators']));
+  });
+});
+
+describe('validateDeploymentFiles', () => {
+  test('checks the metadata against the config', () => {
+    const config = deploymentConfig();
+    const metadata = tokenMetadata();
+    config.token.total_supply = '200000000000000000';
+    metadata.attributes.find(attribute => attribute.trait_type === 'Team').value = '20%';
+
+    expect(paths(validateDeploymentFiles({ config, metadata }))).toEqual(['attributes[1].value', 'attributes[4].value']);
+  });
+
+  test('validates a single file on its own', () => {
+    const metadata = tokenMetadata();
+    metadata.name = 'Other';
+
+    expect(validateDeploymentFiles({ metadata })).toEqual([]);
+  });
+});
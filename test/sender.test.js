@@ -0,0 +1,206 @@
+const bs58 = require('bs58');
+const { Keypair, PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const { TransactionSender, getSendSettings } = require('../lib/sender');
+const { TransactionError } = require('../lib/errors');
+const { address } = require('./fixtures');
+
+const payer = Keypair.fromSeed(Buffer.alloc(32, 90));
+const instructions = [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: new PublicKey(address(1)), lamports: 1000 })];
+
+// A connection whose blockhashes expire at a block height the test moves along
+function stubConnection() {
+  const connection = {
+    commitment: 'confirmed',
+    blockHeight: 0,
+    blockhashes: 0,
+    events: [],
+    statuses: new Map(),
+    sendErrors: [],
+    getLatestBlockhash: async () => {
+      connection.blockhashes++;
+      return { blockhash: bs58.encode(Buffer.alloc(32, connection.blockhashes)), lastValidBlockHeight: connection.blockHeight + 150 };
+    },
+    simulateTransaction: async () => ({ value: { err: null, unitsConsumed: 450 } }),
+    sendRawTransaction: async raw => {
+      if (connection.sendErrors.length > 0) {
+        throw connection.sendErrors.shift();
+      }
+      const signature = bs58.encode(Transaction.from(raw).signature);
+      connection.events.push(`broadcast ${signature}`);
+      return signature;
+    },
+    getSignatureStatuses: async signatures => ({
+      value: signatures.map(signature => connection.statuses.get(signature) || null)
+    }),
+    getBlockHeight: async () => connection.blockHeight
+  };
+  return connection;
+}
+
+// Runs an operation to completion under fake timers
+async function settle(promise) {
+  const result = promise.then(value => ({ value }), error => ({ error }));
+  await jest.runAllTimersAsync();
+  return result;
+}
+
+describe('TransactionSender', () => {
+  let connection;
+  let sender;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    connection = stubConnection();
+    sender = new TransactionSender(connection, getSendSettings({ fees: { priority_fee: { mode: 'none' } } }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('send', () => {
+    test('signs again with a fresh blockhash when an attempt expires', async () => {
+      const signed = [];
+      // The first attempt never lands: its block height passes at once; the second confirms
+      const onSigned = (signature, lastValidBlockHeight) => {
+        signed.push({ signature, lastValidBlockHeight });
+        if (signed.length === 1) {
+          connection.blockHeight = 1000;
+        } else {
+          connection.statuses.set(signature, { confirmationStatus: 'confirmed', err: null });
+        }
+      };
+
+      const { value, error } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(error).toBeUndefined();
+      expect(signed).toHaveLength(2);
+      expect(signed[0].signature).not.toBe(signed[1].signature);
+      expect(signed.map(entry => entry.lastValidBlockHeight)).toEqual([150, 1150]);
+      expect(value).toBe(signed[1].signature);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Test transfer expired before confirming, retrying with a new blockhash (attempt 2/3)'));
+    });
+
+    test('keeps an expired attempt that landed before the expiry was seen', async () => {
+      let landed;
+      const onSigned = signature => {
+        landed = signature;
+        connection.blockHeight = 1000;
+        // Only found by the final search of the transaction history
+        connection.getSignatureStatuses = async (signatures, options) => ({
+          value: [options?.searchTransactionHistory ? { confirmationStatus: 'finalized', err: null } : null]
+        });
+      };
+
+      const { value } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(value).toBe(landed);
+      // One blockhash for the compute unit estimate and one for the only attempt
+      expect(connection.blockhashes).toBe(2);
+    });
+
+    test('gives up after sending.max_attempts expired attempts', async () => {
+      const onSigned = () => {
+        connection.blockHeight += 1000;
+      };
+
+      const { error } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(error).toBeInstanceOf(TransactionError);
+      expect(error.message).toBe('Test transfer was not confirmed after 3 attempt(s)');
+    });
+
+    test('awaits onSigned before each broadcast', async () => {
+      const onSigned = async signature => {
+        connection.events.push(`signing ${signature}`);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        connection.events.push(`signed ${signature}`);
+        connection.statuses.set(signature, { confirmationStatus: 'confirmed', err: null });
+      };
+
+      const { value } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(connection.events).toEqual([`signing ${value}`, `signed ${value}`, `broadcast ${value}`]);
+    });
+
+    test('broadcasts nothing when onSigned fails', async () => {
+      const onSigned = async () => {
+        throw new Error('disk full');
+      };
+
+      const { error } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(error.message).toBe('disk full');
+      expect(connection.events).toEqual([]);
+    });
+
+    test('stops on a transaction that failed on chain', async () => {
+      const onSigned = signature => {
+        connection.statuses.set(signature, { confirmationStatus: 'confirmed', err: { InstructionError: [0, 'Custom'] } });
+      };
+
+      const { error } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(error).toBeInstanceOf(TransactionError);
+      expect(error.message).toMatch(/failed: {"InstructionError":\[0,"Custom"\]}$/);
+      expect(connection.blockhashes).toBe(2);
+    });
+  });
+
+  describe('rpc', () => {
+    test('backs off exponentially while the endpoint answers 429', async () => {
+      let calls = 0;
+      const operation = async () => {
+        if (++calls <= 3) {
+          throw new Error('429 Too Many Requests');
+        }
+        return 'ok';
+      };
+
+      const { value } = await settle(sender.rpc('getSlot', operation));
+
+      expect(value).toBe('ok');
+      expect(console.warn.mock.calls.map(([message]) => message)).toEqual([
+        '⚠️  RPC rate limit hit (getSlot), retrying in 500ms',
+        '⚠️  RPC rate limit hit (getSlot), retrying in 1000ms',
+        '⚠️  RPC rate limit hit (getSlot), retrying in 2000ms'
+      ]);
+    });
+
+    test('gives up after sending.rate_limit_retries retries', async () => {
+      const operation = jest.fn(async () => {
+        throw new Error('Server responded with 429 Too Many Requests');
+      });
+
+      const { error } = await settle(sender.rpc('getSlot', operation));
+
+      expect(error.message).toBe('Server responded with 429 Too Many Requests');
+      expect(operation).toHaveBeenCalledTimes(6);
+    });
+
+    test('does not retry other errors', async () => {
+      const operation = jest.fn(async () => {
+        throw new Error('fetch failed');
+      });
+
+      const { error } = await settle(sender.rpc('getSlot', operation));
+
+      expect(error.message).toBe('fetch failed');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries a rate-limited broadcast', async () => {
+      connection.sendErrors.push(new Error('429 Too Many Requests'));
+      const onSigned = signature => {
+        connection.statuses.set(signature, { confirmationStatus: 'confirmed', err: null });
+      };
+
+      const { value } = await settle(sender.send(instructions, [payer], 'Test transfer', { onSigned }));
+
+      expect(connection.events).toEqual([`broadcast ${value}`]);
+      expect(console.warn).toHaveBeenCalledWith('⚠️  RPC rate limit hit (sendTransaction), retrying in 500ms');
+    });
+  });
+});
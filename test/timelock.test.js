@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bs58 = require('bs58');
+const { Keypair, PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const { AuthorityType, createSetAuthorityInstruction } = require('@solana/spl-token');
+const { TimelockManager } = require('../timelock');
+const { readPendingTransaction } = require('../lib/multisig');
+const { address, deploymentConfig } = require('./fixtures');
+
+const mint = new PublicKey(address(80));
+const multisig = new PublicKey(address(30));
+const nonceAccount = new PublicKey(address(31));
+const signers = [32, 33, 34].map(seed => Keypair.fromSeed(Buffer.alloc(32, seed)));
+const main = Keypair.fromSeed(Buffer.alloc(32, 90));
+const blockhash = bs58.encode(Buffer.alloc(32, 91));
+const nonce = bs58.encode(Buffer.alloc(32, 92));
+
+describe('TimelockManager.execute', () => {
+  let tmpDir;
+
+  // Only the first multisig signer has a keyfile here, so two signatures are collected later
+  function createManager(change = () => {}) {
+    const config = deploymentConfig();
+    config.security.timelock.delay = 0;
+    change(config);
+
+    const keypairDir = path.join(tmpDir, 'keypairs');
+    fs.mkdirSync(path.join(keypairDir, 'multisig'), { recursive: true });
+    fs.writeFileSync(path.join(keypairDir, 'main-keypair.json'), JSON.stringify(Array.from(main.secretKey)));
+    fs.writeFileSync(path.join(keypairDir, 'multisig/signer-0.json'), JSON.stringify(Array.from(signers[0].secretKey)));
+
+    const connection = {
+      rpcEndpoint: 'http://127.0.0.1:8899',
+      commitment: 'confirmed',
+      getLatestBlockhash: async () => ({ blockhash, lastValidBlockHeight: 1000 }),
+      getNonce: async () => ({ nonce, authorizedPubkey: main.publicKey })
+    };
+
+    const manager = new TimelockManager('devnet', false, {
+      config,
+      connection,
+      keypairDir,
+      deploymentsDir: path.join(tmpDir, 'deployments')
+    });
+    jest.spyOn(manager.sender, 'addComputeBudget').mockImplementation(async instructions => instructions);
+
+    return manager;
+  }
+
+  function proposeRevoke(manager) {
+    const instruction = createSetAuthorityInstruction(
+      mint, multisig, AuthorityType.MintTokens, null, signers.map(signer => signer.publicKey)
+    );
+    const transaction = new Transaction({ feePayer: main.publicKey, recentBlockhash: blockhash }).add(instruction);
+
+    return manager.queue.propose({ action: 'revoke-mint-authority', description: 'Revoke mint authority', transaction });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-timelock-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes the pending transaction on the configured durable nonce', async () => {
+    const manager = createManager();
+    const proposal = proposeRevoke(manager);
+
+    const executed = await manager.execute(proposal.id);
+    const { pending, transaction } = readPendingTransaction(executed.pendingFile);
+
+    expect(executed.status).toBe('awaiting-signatures');
+    expect(pending.nonceAccount).toBe(nonceAccount.toBase58());
+    expect(pending.signers).toEqual(signers.map(signer => signer.publicKey.toBase58()));
+    expect(transaction.recentBlockhash).toBe(nonce);
+    expect(transaction.instructions[0].programId.equals(SystemProgram.programId)).toBe(true);
+    expect(transaction.signatures.filter(entry => entry.signature).map(entry => entry.publicKey.toBase58()))
+      .toEqual([main.publicKey.toBase58(), signers[0].publicKey.toBase58()]);
+  });
+
+  test('uses a recent blockhash without a nonce account', async () => {
+    const manager = createManager(config => { delete config.security.multisig.nonce_account; });
+    const proposal = proposeRevoke(manager);
+
+    const { pending, transaction } = readPendingTransaction((await manager.execute(proposal.id)).pendingFile);
+
+    expect(pending.nonceAccount).toBeNull();
+    expect(pending.lastValidBlockHeight).toBe(1000);
+    expect(transaction.recentBlockhash).toBe(blockhash);
+  });
+
+  test('executes or cancels a proposal that is awaiting signatures', async () => {
+    const manager = createManager();
+    const proposal = proposeRevoke(manager);
+    await manager.execute(proposal.id);
+
+    await expect(manager.execute(proposal.id)).resolves.toMatchObject({ status: 'awaiting-signatures' });
+    expect(manager.cancel(proposal.id).status).toBe('cancelled');
+    await expect(manager.execute(proposal.id)).rejects.toThrow(`Proposal #${proposal.id} is cancelled and cannot be executed`);
+  });
+});
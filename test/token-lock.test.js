@@ -0,0 +1,70 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  LOCK_SEED_SIZE,
+  generateLockSeed,
+  deriveLockAccounts,
+  makeInitLockInstruction,
+  decodeLockAccount
+} = require('../lib/token-lock');
+const { address } = require('./fixtures');
+
+const LOCK_PROGRAM = new PublicKey('CChTq6PthWU82YZkbveA3WDf7s97BWhBK4Vx9bmsT743');
+const lpMint = new PublicKey(address(50));
+
+describe('deriveLockAccounts', () => {
+  test('draws a different seed every time', () => {
+    const seed = generateLockSeed();
+
+    expect(seed).toHaveLength(LOCK_SEED_SIZE);
+    expect(generateLockSeed().equals(seed)).toBe(false);
+  });
+
+  test('finds the same escrow again from a recorded seed', () => {
+    const seed = generateLockSeed();
+    const first = deriveLockAccounts(LOCK_PROGRAM, lpMint, seed);
+    const again = deriveLockAccounts(LOCK_PROGRAM, lpMint, Buffer.from(seed.toString('hex'), 'hex'));
+
+    expect(again.escrow.equals(first.escrow)).toBe(true);
+    expect(first.seeds.subarray(0, LOCK_SEED_SIZE).equals(seed)).toBe(true);
+    expect(first.seeds).toHaveLength(32);
+    expect(PublicKey.createProgramAddressSync([first.seeds], LOCK_PROGRAM).equals(first.escrow)).toBe(true);
+  });
+
+  test('gives another seed another escrow for the same mint', () => {
+    const one = deriveLockAccounts(LOCK_PROGRAM, lpMint, generateLockSeed());
+    const other = deriveLockAccounts(LOCK_PROGRAM, lpMint, generateLockSeed());
+
+    expect(other.escrow.equals(one.escrow)).toBe(false);
+  });
+
+  test('rejects seeds of the wrong size', () => {
+    expect(() => deriveLockAccounts(LOCK_PROGRAM, lpMint, Buffer.alloc(32))).toThrow('31 bytes');
+  });
+});
+
+describe('lock instructions', () => {
+  test('passes the full seeds to Init', () => {
+    const { escrow, seeds } = deriveLockAccounts(LOCK_PROGRAM, lpMint, generateLockSeed());
+    const instruction = makeInitLockInstruction({ programId: LOCK_PROGRAM, payer: new PublicKey(address(51)), escrow, seeds });
+
+    expect(instruction.data[0]).toBe(0);
+    expect(instruction.data.subarray(1, 33).equals(seeds)).toBe(true);
+    expect(instruction.data.readUInt32LE(33)).toBe(1);
+  });
+
+  test('decodes an escrow account', () => {
+    const data = Buffer.alloc(65 + 16);
+    new PublicKey(address(52)).toBuffer().copy(data, 0);
+    lpMint.toBuffer().copy(data, 32);
+    data[64] = 1;
+    data.writeBigUInt64LE(1700000000n, 65);
+    data.writeBigUInt64LE(777n, 73);
+
+    const lock = decodeLockAccount(data);
+
+    expect(lock.destinationTokenAccount.toBase58()).toBe(address(52));
+    expect(lock.mint.equals(lpMint)).toBe(true);
+    expect(lock.isInitialized).toBe(true);
+    expect(lock.schedules).toEqual([{ releaseTime: 1700000000, amount: 777n }]);
+  });
+});
@@ -0,0 +1,69 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  findMetadataAddress,
+  updateMetadataAccountV2Instruction,
+  decodeUpdateMetadataInstruction,
+  createMetadataAccountV3Instruction
+} = require('../lib/token-metadata');
+const { address } = require('./fixtures');
+
+const METADATA_PROGRAM = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+const mint = new PublicKey(address(60));
+const updateAuthority = new PublicKey(address(61));
+const metadata = findMetadataAddress(mint, METADATA_PROGRAM);
+
+function update(args) {
+  return updateMetadataAccountV2Instruction({ programId: METADATA_PROGRAM, metadata, updateAuthority, ...args });
+}
+
+describe('decodeUpdateMetadataInstruction', () => {
+  test('reads back the data of a metadata update', () => {
+    const data = {
+      name: 'GlowMin',
+      symbol: 'GLOWMIN',
+      uri: 'https://glowmin.alfanestlabs.xyz/metadata/token-metadata.json',
+      sellerFeeBasisPoints: 0,
+      creators: [{ address: address(61), share: 60 }, { address: address(62), share: 40 }]
+    };
+
+    const decoded = decodeUpdateMetadataInstruction(update({ data }).data);
+
+    expect(decoded.data).toMatchObject({ name: data.name, symbol: data.symbol, uri: data.uri, sellerFeeBasisPoints: 0 });
+    expect(decoded.data.creators.map(creator => [creator.address.toBase58(), creator.verified, creator.share])).toEqual([
+      [address(61), true, 60],
+      [address(62), false, 40]
+    ]);
+    expect(decoded.newUpdateAuthority).toBeNull();
+    expect(decoded.isMutable).toBeNull();
+  });
+
+  test('reads back an authority transfer', () => {
+    const decoded = decodeUpdateMetadataInstruction(update({ newUpdateAuthority: new PublicKey(address(63)) }).data);
+
+    expect(decoded.data).toBeNull();
+    expect(decoded.newUpdateAuthority.toBase58()).toBe(address(63));
+    expect(decoded.primarySaleHappened).toBeNull();
+  });
+
+  test('reads back making the metadata immutable', () => {
+    expect(decodeUpdateMetadataInstruction(update({ isMutable: false }).data)).toEqual({
+      data: null,
+      newUpdateAuthority: null,
+      primarySaleHappened: null,
+      isMutable: false
+    });
+  });
+
+  test('ignores other metadata instructions', () => {
+    const create = createMetadataAccountV3Instruction({
+      programId: METADATA_PROGRAM,
+      mint,
+      mintAuthority: new PublicKey(address(64)),
+      payer: updateAuthority,
+      updateAuthority,
+      data: { name: 'GlowMin', symbol: 'GLOWMIN', uri: 'https://example.com', creators: [] }
+    });
+
+    expect(decodeUpdateMetadataInstruction(create.data)).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ExtensionType,
+  MINT_SIZE,
+  decodeInitializeTransferFeeConfigInstruction
+} = require('@solana/spl-token');
+const { getTokenSettings, getMintExtensionTypes, getMintSpace, buildMintExtensionInstructions } = require('../lib/token-program');
+const { ConfigError } = require('../lib/errors');
+const { address, deploymentConfig } = require('./fixtures');
+
+const mint = new PublicKey(address(70));
+const updateAuthority = new PublicKey(address(71));
+const feeAuthority = new PublicKey(address(72));
+
+function token2022Config(extensions = {}) {
+  const config = deploymentConfig();
+  config.token.program = 'token-2022';
+  Object.assign(config.token.extensions, extensions);
+  return config;
+}
+
+describe('getTokenSettings', () => {
+  test('defaults to the SPL Token program and ignores its extensions', () => {
+    const config = deploymentConfig();
+    delete config.token.program;
+    config.token.extensions.transfer_fee.enabled = true;
+
+    const settings = getTokenSettings(config);
+
+    expect(settings.program).toBe('spl-token');
+    expect(settings.programId.equals(TOKEN_PROGRAM_ID)).toBe(true);
+    expect(settings.transferFee).toBeNull();
+    expect(getMintSpace(settings)).toBe(MINT_SIZE);
+  });
+
+  test('reads the transfer fee of a Token-2022 mint', () => {
+    const settings = getTokenSettings(token2022Config({
+      transfer_fee: { enabled: true, basis_points: 250, maximum_fee: '5000000000' }
+    }));
+
+    expect(settings.programId.equals(TOKEN_2022_PROGRAM_ID)).toBe(true);
+    expect(settings.transferFee).toEqual({ basisPoints: 250, maximumFee: 5000000000n });
+    expect(getMintExtensionTypes(settings)).toEqual([ExtensionType.TransferFeeConfig]);
+  });
+
+  test('rejects an unknown token program', () => {
+    const config = deploymentConfig();
+    config.token.program = 'token-2023';
+
+    expect(() => getTokenSettings(config)).toThrow(ConfigError);
+  });
+
+  test.each([
+    [{ basis_points: 10001, maximum_fee: '1' }, /basis_points must be between 0 and 10000/],
+    [{ basis_points: 1.5, maximum_fee: '1' }, /basis_points must be between 0 and 10000/],
+    [{ basis_points: 100, maximum_fee: '-1' }, /maximum_fee/]
+  ])('rejects an invalid transfer fee %j', (transferFee, message) => {
+    const config = token2022Config({ transfer_fee: { enabled: true, ...transferFee } });
+
+    expect(() => getTokenSettings(config)).toThrow(ConfigError);
+    expect(() => getTokenSettings(config)).toThrow(message);
+  });
+});
+
+describe('buildMintExtensionInstructions', () => {
+  test('sizes the mint for every enabled extension', () => {
+    const settings = getTokenSettings(token2022Config({
+      metadata_pointer: { enabled: true },
+      transfer_fee: { enabled: true, basis_points: 100, maximum_fee: '1000000000000' },
+      permanent_delegate: { enabled: true, delegate: address(73) }
+    }));
+
+    expect(getMintExtensionTypes(settings)).toEqual([
+      ExtensionType.MetadataPointer,
+      ExtensionType.TransferFeeConfig,
+      ExtensionType.PermanentDelegate
+    ]);
+    expect(getMintSpace(settings)).toBeGreaterThan(getMintSpace(getTokenSettings(token2022Config())));
+    expect(buildMintExtensionInstructions(mint, settings, { updateAuthority, feeAuthority })).toHaveLength(3);
+  });
+
+  test('gives the fee authority both the fee config and the withdraw authority', () => {
+    const settings = getTokenSettings(token2022Config({
+      transfer_fee: { enabled: true, basis_points: 100, maximum_fee: '1000000000000' }
+    }));
+
+    const [instruction] = buildMintExtensionInstructions(mint, settings, { updateAuthority, feeAuthority });
+    const decoded = decodeInitializeTransferFeeConfigInstruction(instruction, TOKEN_2022_PROGRAM_ID);
+
+    expect(decoded.keys.mint.pubkey.equals(mint)).toBe(true);
+    expect(decoded.data.transferFeeConfigAuthority.equals(feeAuthority)).toBe(true);
+    expect(decoded.data.withdrawWithheldAuthority.equals(feeAuthority)).toBe(true);
+    expect(decoded.data.transferFeeBasisPoints).toBe(100);
+    expect(decoded.data.maximumFee).toBe(1000000000000n);
+  });
+
+  test('adds nothing for a mint without extensions', () => {
+    expect(buildMintExtensionInstructions(mint, getTokenSettings(token2022Config()), { updateAuthority, feeAuthority })).toEqual([]);
+  });
+});
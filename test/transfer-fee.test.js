@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const {
+  TOKEN_2022_PROGRAM_ID,
+  ACCOUNT_SIZE,
+  AccountLayout,
+  AccountState,
+  AccountType,
+  ExtensionType,
+  MintLayout,
+  TransferFeeAmountLayout,
+  TransferFeeConfigLayout,
+  getAccountLen,
+  getAssociatedTokenAddressSync,
+  getMintLen,
+  decodeHarvestWithheldTokensToMintInstruction,
+  decodeWithdrawWithheldTokensFromMintInstruction
+} = require('@solana/spl-token');
+const { TokenMinter } = require('../mint-token');
+const { ConfigError } = require('../lib/errors');
+const { address, deploymentConfig } = require('./fixtures');
+
+const mint = new PublicKey(address(80));
+const mintAuthority = Keypair.fromSeed(Buffer.alloc(32, 1));
+const multisig = new PublicKey(address(30));
+
+// Writes one extension after the base account and its account type, as Token-2022 lays them out
+function withExtension(base, size, accountType, extensionType, layout, value) {
+  const data = Buffer.alloc(size);
+  base.copy(data);
+  data[ACCOUNT_SIZE] = accountType;
+  data.writeUInt16LE(extensionType, ACCOUNT_SIZE + 1);
+  data.writeUInt16LE(layout.span, ACCOUNT_SIZE + 3);
+  layout.encode(value, data, ACCOUNT_SIZE + 5);
+  return data;
+}
+
+function mintAccountData(withheldAmount, withdrawWithheldAuthority) {
+  const base = Buffer.alloc(MintLayout.span);
+  MintLayout.encode({
+    mintAuthorityOption: 1,
+    mintAuthority: withdrawWithheldAuthority,
+    supply: 1000000000000n,
+    decimals: 9,
+    isInitialized: true,
+    freezeAuthorityOption: 0,
+    freezeAuthority: PublicKey.default
+  }, base);
+
+  const transferFee = { epoch: 0n, maximumFee: 1000000000000n, transferFeeBasisPoints: 100 };
+  return withExtension(base, getMintLen([ExtensionType.TransferFeeConfig]), AccountType.Mint, ExtensionType.TransferFeeConfig, TransferFeeConfigLayout, {
+    transferFeeConfigAuthority: withdrawWithheldAuthority,
+    withdrawWithheldAuthority,
+    withheldAmount,
+    olderTransferFee: transferFee,
+    newerTransferFee: transferFee
+  });
+}
+
+function tokenAccountData(owner, withheldAmount) {
+  const base = Buffer.alloc(ACCOUNT_SIZE);
+  AccountLayout.encode({
+    mint,
+    owner,
+    amount: 1000n,
+    delegateOption: 0,
+    delegate: PublicKey.default,
+    state: AccountState.Initialized,
+    isNativeOption: 0,
+    isNative: 0n,
+    delegatedAmount: 0n,
+    closeAuthorityOption: 0,
+    closeAuthority: PublicKey.default
+  }, base);
+
+  return withExtension(base, getAccountLen([ExtensionType.TransferFeeAmount]), AccountType.Account, ExtensionType.TransferFeeAmount, TransferFeeAmountLayout, {
+    withheldAmount
+  });
+}
+
+function account(data) {
+  return { executable: false, owner: TOKEN_2022_PROGRAM_ID, lamports: 2039280, data, rentEpoch: 0 };
+}
+
+// Token-2022 mint with a 1% transfer fee and the mint authority keypair as its only signer
+function transferFeeConfig() {
+  const config = deploymentConfig();
+  config.token.program = 'token-2022';
+  config.token.extensions.transfer_fee.enabled = true;
+  config.token.mint_authority.public_key = mintAuthority.publicKey.toBase58();
+  config.security.multisig.enabled = false;
+  config.security.timelock.enabled = false;
+  return config;
+}
+
+describe('transfer fee commands', () => {
+  let tmpDir;
+  let chain;
+  let sent;
+
+  function createMinter(config = transferFeeConfig(), signers = { mintAuthority }) {
+    const connection = {
+      rpcEndpoint: 'http://127.0.0.1:8899',
+      commitment: 'confirmed',
+      getAccountInfo: async address => chain.accounts.get(address.toBase58()) || null,
+      getProgramAccounts: async (programId, { filters }) =>
+        programId.equals(TOKEN_2022_PROGRAM_ID) && filters[0].memcmp.bytes === mint.toBase58() ? chain.tokenAccounts : []
+    };
+
+    const minter = new TokenMinter('devnet', false, {
+      config,
+      connection,
+      signers,
+      keypairDir: path.join(tmpDir, 'keypairs'),
+      deploymentsDir: path.join(tmpDir, 'deployments')
+    });
+
+    jest.spyOn(minter.sender, 'send').mockImplementation(async (instructions, signerKeys, description) => {
+      sent.push({ instructions, signers: signerKeys, description });
+      return `signature-${sent.length}`;
+    });
+
+    return minter;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glowmin-fees-'));
+    chain = { accounts: new Map(), tokenAccounts: [] };
+    sent = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('harvests the withheld fees of every token account in batches', async () => {
+    for (let i = 0; i < 25; i++) {
+      chain.tokenAccounts.push({ pubkey: Keypair.generate().publicKey, account: account(tokenAccountData(Keypair.generate().publicKey, i < 22 ? 10n : 0n)) });
+    }
+
+    const result = await createMinter().harvestWithheldFees(mint);
+
+    expect(result.harvested).toBe(220n);
+    expect(result.accounts).toHaveLength(22);
+    expect(result.signatures).toEqual(['signature-1', 'signature-2']);
+
+    const batches = sent.map(({ instructions }) => decodeHarvestWithheldTokensToMintInstruction(instructions[0], TOKEN_2022_PROGRAM_ID));
+    expect(batches.map(batch => batch.keys.sources.length)).toEqual([20, 2]);
+    expect(batches[0].keys.mint.pubkey.equals(mint)).toBe(true);
+    expect(batches[0].keys.sources[0].pubkey.equals(chain.tokenAccounts[0].pubkey)).toBe(true);
+    expect(sent[0].signers).toEqual([mintAuthority]);
+  });
+
+  test('sends nothing when no account holds withheld fees', async () => {
+    chain.tokenAccounts.push({ pubkey: Keypair.generate().publicKey, account: account(tokenAccountData(mintAuthority.publicKey, 0n)) });
+
+    const result = await createMinter().harvestWithheldFees(mint);
+
+    expect(result.harvested).toBe(0n);
+    expect(result.signatures).toEqual([]);
+    expect(sent).toEqual([]);
+  });
+
+  test("withdraws the harvested fees to the mint authority's token account", async () => {
+    chain.accounts.set(mint.toBase58(), account(mintAccountData(5000n, mintAuthority.publicKey)));
+
+    const result = await createMinter().withdrawWithheldFees(null, mint);
+    const destination = getAssociatedTokenAddressSync(mint, mintAuthority.publicKey, false, TOKEN_2022_PROGRAM_ID);
+
+    expect(result).toEqual({
+      network: 'devnet',
+      mint: mint.toBase58(),
+      destination: destination.toBase58(),
+      withdrawn: 5000n,
+      signature: 'signature-1'
+    });
+
+    const [createAccount, withdraw] = sent[0].instructions;
+    const decoded = decodeWithdrawWithheldTokensFromMintInstruction(withdraw, TOKEN_2022_PROGRAM_ID);
+    expect(createAccount.keys[1].pubkey.equals(destination)).toBe(true);
+    expect(decoded.keys.destination.pubkey.equals(destination)).toBe(true);
+    expect(decoded.keys.authority.pubkey.equals(mintAuthority.publicKey)).toBe(true);
+    expect(decoded.keys.signers).toEqual([]);
+  });
+
+  test('withdraws to a given token account without creating one', async () => {
+    chain.accounts.set(mint.toBase58(), account(mintAccountData(5000n, mintAuthority.publicKey)));
+    const destination = new PublicKey(address(81));
+
+    await createMinter().withdrawWithheldFees(destination, mint);
+
+    expect(sent[0].instructions).toHaveLength(1);
+    const decoded = decodeWithdrawWithheldTokensFromMintInstruction(sent[0].instructions[0], TOKEN_2022_PROGRAM_ID);
+    expect(decoded.keys.destination.pubkey.equals(destination)).toBe(true);
+  });
+
+  test('signs the withdrawal with the multisig when it is the withdraw authority', async () => {
+    const config = transferFeeConfig();
+    const signers = [32, 33, 34].map(seed => Keypair.fromSeed(Buffer.alloc(32, seed)));
+    const main = Keypair.generate();
+    config.security.multisig.enabled = true;
+    delete config.security.multisig.nonce_account;
+    fs.mkdirSync(path.join(tmpDir, 'keypairs/multisig'), { recursive: true });
+    signers.forEach((signer, i) => {
+      fs.writeFileSync(path.join(tmpDir, `keypairs/multisig/signer-${i}.json`), JSON.stringify(Array.from(signer.secretKey)));
+    });
+    chain.accounts.set(mint.toBase58(), account(mintAccountData(5000n, multisig)));
+
+    await createMinter(config, { mintAuthority, main }).withdrawWithheldFees(new PublicKey(address(81)), mint);
+
+    const decoded = decodeWithdrawWithheldTokensFromMintInstruction(sent[0].instructions[0], TOKEN_2022_PROGRAM_ID);
+    expect(decoded.keys.authority.pubkey.equals(multisig)).toBe(true);
+    expect(decoded.keys.signers.map(signer => signer.pubkey.toBase58()).sort())
+      .toEqual(signers.map(signer => signer.publicKey.toBase58()).sort());
+    expect(sent[0].signers).toEqual([main, ...signers]);
+  });
+
+  test('sends nothing when no fees were harvested into the mint', async () => {
+    chain.accounts.set(mint.toBase58(), account(mintAccountData(0n, mintAuthority.publicKey)));
+
+    const result = await createMinter().withdrawWithheldFees(null, mint);
+
+    expect(result.withdrawn).toBe(0n);
+    expect(result.signature).toBeNull();
+    expect(sent).toEqual([]);
+  });
+
+  test('refuses a mint whose withdraw authority is another key', async () => {
+    chain.accounts.set(mint.toBase58(), account(mintAccountData(5000n, new PublicKey(address(82)))));
+
+    await expect(createMinter().withdrawWithheldFees(null, mint)).rejects.toThrow(ConfigError);
+    expect(sent).toEqual([]);
+  });
+
+  test('requires the transfer fee extension in the configuration', async () => {
+    const config = transferFeeConfig();
+    config.token.extensions.transfer_fee.enabled = false;
+    const minter = createMinter(config);
+
+    await expect(minter.harvestWithheldFees(mint)).rejects.toThrow(ConfigError);
+    await expect(minter.withdrawWithheldFees(null, mint)).rejects.toThrow(ConfigError);
+  });
+});
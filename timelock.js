@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Timelock Script
+ *
+ * This script manages the timelock queue for authority-sensitive operations. A proposal is
+ * stored as an unsigned transaction that cannot be executed until security.timelock.delay
+ * seconds after it was proposed. Execution prints every instruction before anything is signed.
+ *
+ * Actions that can be proposed:
+ *   revoke-mint-authority       Remove the mint authority
+ *   revoke-freeze-authority     Remove the freeze authority
+ *   transfer-mint-authority     Hand the mint authority to --new-authority
+ *   transfer-freeze-authority   Hand the freeze authority to --new-authority
+ *   update-metadata             Set the on-chain metadata to token-metadata.json
+ *   transfer-metadata-authority Hand the metadata update authority to --new-authority
+ *   make-metadata-immutable     Freeze the metadata for good
+ *
+ * Authority actions are paid for by the mint authority keypair, metadata actions by the
+ * metadata authority keypair, which has to sign them anyway.
+ *
+ * Usage: glowmin timelock <command> [options] (or node timelock.js <command> [options])
+ * Options:
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --keypair-dir <path>   Keypair directory (default: keypairs/)
+ *   --metadata <path>      Token metadata file for update-metadata (default: metadata/token-metadata.json)
+ *   --id <id>              Proposal to show, cancel or execute
+ *   --mint <address>       Mint to act on (default: mint from the minting state journal)
+ *   --new-authority <key>  New authority for transfer actions
+ *   --json                Print the result as JSON on stdout
+ *   --verbose             Enable verbose logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const { getMint, createSetAuthorityInstruction, AuthorityType } = require('@solana/spl-token');
+const { GlowMinError, ConfigError, KeypairError, PrerequisiteError } = require('./lib/errors');
+const { readConfigFile, resolveConnection, loadKeypairFiles, requireSigner } = require('./lib/core');
+const { TransactionSender, getSendSettings } = require('./lib/sender');
+const { loadKeypairFile } = require('./lib/keystore');
+const { toPublicKey } = require('./lib/pubkey');
+const { ProposalQueue, getTimelockSettings, describeInstructions } = require('./lib/timelock');
+const { getTokenSettings } = require('./lib/token-program');
+const { MetadataDeployer } = require('./deploy-metadata');
+const { PendingSignaturesError, MultisigSigner, getMultisigSettings, loadSignerKeypairs } = require('./lib/multisig');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const METADATA_PATH = path.join(__dirname, '../metadata/token-metadata.json');
+const KEYPAIR_DIR = path.join(__dirname, '../keypairs');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+const ACTIONS = {
+  'revoke-mint-authority': { authorityType: AuthorityType.MintTokens, label: 'mint', transfer: false },
+  'revoke-freeze-authority': { authorityType: AuthorityType.FreezeAccount, label: 'freeze', transfer: false },
+  'transfer-mint-authority': { authorityType: AuthorityType.MintTokens, label: 'mint', transfer: true },
+  'transfer-freeze-authority': { authorityType: AuthorityType.FreezeAccount, label: 'freeze', transfer: true },
+  // Built by MetadataDeployer.buildTimelockAction
+  'update-metadata': { metadata: true, transfer: false },
+  'transfer-metadata-authority': { metadata: true, transfer: true },
+  'make-metadata-immutable': { metadata: true, transfer: false }
+};
+// The main keypair pays for the multisig's transactions
+const AUTHORITY_KEYPAIR_FILES = ['mint-authority.json', 'freeze-authority.json', 'metadata-authority.json', 'main-keypair.json'];
+
+class TimelockManager {
+  /**
+   * Options: config or configPath, metadataPath, keypairDir, deploymentsDir,
+   * rpcUrl and wsUrl, and an injected connection.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const {
+      configPath = CONFIG_PATH,
+      metadataPath = METADATA_PATH,
+      keypairDir = KEYPAIR_DIR,
+      deploymentsDir = DEPLOYMENTS_DIR
+    } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.metadataPath = metadataPath;
+    this.keypairDir = keypairDir;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || this.loadConfig(configPath);
+    this.connection = this.createConnection(options);
+    this.sender = new TransactionSender(this.connection, getSendSettings(this.config), this.verbose);
+    this.tokenProgramId = getTokenSettings(this.config).programId;
+    this.metadataProgramId = new PublicKey(this.config.programs.metadata_program);
+    this.settings = getTimelockSettings(this.config);
+    this.queue = new ProposalQueue(path.join(this.deploymentsDir, `timelock-${this.network}.json`), this.settings?.delay || 0);
+  }
+
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+    }
+
+    return config;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  // Authority transactions are paid as in mint-token.js: by the main keypair with the multisig
+  loadPayer() {
+    const [role, file] = getMultisigSettings(this.config) ? ['main', 'main-keypair.json'] : ['mintAuthority', 'mint-authority.json'];
+    return requireSigner(loadKeypairFiles(this.keypairDir, { [role]: file }), role);
+  }
+
+  loadAuthorityKeypairs() {
+    const keypairs = AUTHORITY_KEYPAIR_FILES
+      .map(file => path.join(this.keypairDir, file))
+      .filter(filePath => fs.existsSync(filePath))
+      .map(filePath => loadKeypairFile(filePath));
+
+    const multisig = getMultisigSettings(this.config);
+    return multisig ? [...keypairs, ...loadSignerKeypairs(this.keypairDir, multisig)] : keypairs;
+  }
+
+  resolveMint(mint) {
+    if (mint) {
+      return toPublicKey(mint, '--mint');
+    }
+
+    const statePath = path.join(this.deploymentsDir, `minting-state-${this.network}.json`);
+    if (!fs.existsSync(statePath)) {
+      throw new PrerequisiteError(`No mint recorded for ${this.network}, pass --mint <address>`);
+    }
+
+    return new PublicKey(JSON.parse(fs.readFileSync(statePath, 'utf8')).mintAddress);
+  }
+
+  async buildAuthorityInstruction(mint, action, newAuthority) {
+    const mintInfo = await getMint(this.connection, mint, undefined, this.tokenProgramId);
+    const current = action.authorityType === AuthorityType.MintTokens ? mintInfo.mintAuthority : mintInfo.freezeAuthority;
+
+    if (!current) {
+      throw new PrerequisiteError(`The ${action.label} authority of ${mint.toString()} is already revoked`);
+    }
+
+    // Authorities held by the multisig name the signers expected to approve execution
+    const multisig = getMultisigSettings(this.config);
+    const multiSigners = multisig?.address && current.equals(multisig.address)
+      ? new MultisigSigner({ settings: multisig, keypairs: loadSignerKeypairs(this.keypairDir, multisig) }).selectSigners()
+      : [];
+
+    return createSetAuthorityInstruction(mint, current, action.authorityType, newAuthority, multiSigners, this.tokenProgramId);
+  }
+
+  async buildAuthorityAction(mint, action, newAuthority) {
+    return {
+      description: newAuthority
+        ? `Transfer ${action.label} authority of ${mint.toString()} to ${newAuthority.toString()}`
+        : `Revoke ${action.label} authority of ${mint.toString()}`,
+      instruction: await this.buildAuthorityInstruction(mint, action, newAuthority),
+      feePayer: this.loadPayer().publicKey
+    };
+  }
+
+  async buildMetadataAction(actionName, mint, newAuthority) {
+    const deployer = new MetadataDeployer(this.network, this.verbose, {
+      config: this.config,
+      metadataPath: this.metadataPath,
+      keypairDir: this.keypairDir,
+      deploymentsDir: this.deploymentsDir,
+      connection: this.connection,
+      mint
+    });
+    const built = await deployer.buildTimelockAction(actionName, newAuthority);
+
+    return built && { ...built, feePayer: deployer.getUpdateAuthority() };
+  }
+
+  async propose(actionName, mintAddress, newAuthorityAddress) {
+    if (!this.settings) {
+      throw new ConfigError('security.timelock is not enabled in the configuration');
+    }
+
+    const action = ACTIONS[actionName];
+    if (!action) {
+      throw new GlowMinError(`Unknown action '${actionName}' (expected ${Object.keys(ACTIONS).join(', ')})`);
+    }
+
+    const mint = this.resolveMint(mintAddress);
+    const newAuthority = action.transfer ? toPublicKey(newAuthorityAddress, '--new-authority') : null;
+    const built = action.metadata
+      ? await this.buildMetadataAction(actionName, mint, newAuthority)
+      : await this.buildAuthorityAction(mint, action, newAuthority);
+
+    if (!built) {
+      console.log(`⏭️  The on-chain metadata of ${mint.toString()} already matches, nothing to propose`);
+      return null;
+    }
+
+    const { description, instruction, feePayer } = built;
+    const { blockhash } = await this.connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer, recentBlockhash: blockhash }).add(instruction);
+
+    const proposal = this.queue.propose({ action: actionName, description, transaction });
+
+    console.log(`✅ Proposal #${proposal.id} queued: ${description}`);
+    console.log(`   Executable after: ${proposal.notBefore}`);
+    this.printInstructions(transaction);
+
+    return proposal;
+  }
+
+  list() {
+    const proposals = this.queue.list();
+
+    if (proposals.length === 0) {
+      console.log(`ℹ️  No proposals for ${this.network}`);
+      return proposals;
+    }
+
+    console.log(`📋 Proposals for ${this.network}:`);
+    proposals.forEach(proposal => {
+      console.log(`   #${proposal.id}  ${proposal.status.padEnd(19)}  not before ${proposal.notBefore}  ${proposal.description}`);
+    });
+
+    return proposals;
+  }
+
+  show(id) {
+    const proposal = this.queue.get(id);
+
+    console.log(`📋 Proposal #${proposal.id}: ${proposal.description}`);
+    console.log(`   Action: ${proposal.action}`);
+    console.log(`   Status: ${proposal.status}`);
+    console.log(`   Proposed: ${proposal.createdAt}`);
+    console.log(`   Not before: ${proposal.notBefore}`);
+    if (proposal.signature) {
+      console.log(`   Transaction: ${proposal.signature}`);
+    }
+    if (proposal.pendingFile) {
+      console.log(`   Pending signatures: ${proposal.pendingFile}`);
+    }
+
+    this.printInstructions(Transaction.from(Buffer.from(proposal.transaction, 'base64')));
+
+    return proposal;
+  }
+
+  cancel(id) {
+    const proposal = this.queue.cancel(id);
+    console.log(`✅ Proposal #${proposal.id} cancelled: ${proposal.description}`);
+
+    return proposal;
+  }
+
+  printInstructions(transaction) {
+    console.log(`\n   Fee payer: ${transaction.feePayer.toString()}`);
+    console.log('   Instructions:');
+    describeInstructions(transaction, this.metadataProgramId).forEach(line => console.log(`   ${line}`));
+  }
+
+  async execute(id) {
+    const { proposal, transaction: proposed } = this.queue.getExecutable(id);
+
+    console.log(`🚀 Executing proposal #${proposal.id}: ${proposal.description}`);
+    this.printInstructions(proposed);
+
+    const authorities = this.loadAuthorityKeypairs();
+    const payer = authorities.find(keypair => keypair.publicKey.equals(proposed.feePayer));
+    if (!payer) {
+      throw new KeypairError(`No keypair in ${this.keypairDir} for the proposal's fee payer ${proposed.feePayer.toString()}`);
+    }
+
+    // The proposal's blockhash expired long ago; the instructions are sent unchanged with a
+    // fresh one and the current compute budget
+    const instructions = await this.sender.addComputeBudget(proposed.instructions, payer.publicKey);
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: payer.publicKey, blockhash, lastValidBlockHeight })
+      .add(...instructions);
+
+    const message = transaction.compileMessage();
+    const required = message.accountKeys.slice(0, message.header.numRequiredSignatures);
+    const local = authorities
+      .filter((keypair, i, all) => all.findIndex(other => other.publicKey.equals(keypair.publicKey)) === i)
+      .filter(keypair => required.some(key => key.equals(keypair.publicKey)));
+    const missing = required.filter(key => !local.some(keypair => keypair.publicKey.equals(key)));
+
+    if (missing.length === 0) {
+      const signers = [payer, ...local.filter(keypair => !keypair.publicKey.equals(payer.publicKey))];
+      const signature = await this.sender.send(instructions, signers, `Timelock proposal #${proposal.id}`);
+      this.queue.markExecuted(proposal.id, signature);
+
+      console.log(`\n✅ Proposal #${proposal.id} executed`);
+      console.log(`   Transaction: ${signature}`);
+      return this.queue.get(proposal.id);
+    }
+
+    // Only multisig members can be collected later; anything else has to be signed here
+    const multisig = getMultisigSettings(this.config);
+    const unknown = missing.filter(key => !multisig?.signers.some(signer => signer.equals(key)));
+    if (unknown.length > 0) {
+      throw new KeypairError(`No keypair available for required signer(s): ${unknown.map(key => key.toString()).join(', ')}`);
+    }
+
+    // The multisig signer writes the pending transaction on the configured durable nonce, so it
+    // does not expire while the signatures are collected
+    const signers = required.filter(key => !key.equals(payer.publicKey));
+    const multisigSigner = new MultisigSigner({
+      connection: this.connection,
+      sender: this.sender,
+      payer,
+      settings: multisig,
+      keypairs: local.filter(keypair => !keypair.publicKey.equals(payer.publicKey)),
+      pendingDir: path.join(this.deploymentsDir, 'pending')
+    });
+
+    try {
+      await multisigSigner.executeInstructions(`Timelock proposal #${proposal.id}: ${proposal.description}`, proposed.instructions, signers);
+    } catch (error) {
+      if (!(error instanceof PendingSignaturesError)) {
+        throw error;
+      }
+
+      this.queue.markPendingSignatures(proposal.id, error.filePath);
+
+      console.log(`\n⏸️  ${error.message}`);
+      console.log('\nNext steps:');
+      console.log(`1. Remaining signers run: node multisig.js sign --file ${error.filePath}`);
+      if (multisig.nonceAccount) {
+        console.log(`2. Submit it: node multisig.js submit --file ${error.filePath}`);
+      } else {
+        console.log(`2. Submit it before its blockhash expires: node multisig.js submit --file ${error.filePath}`);
+        console.log(`   If it expires first, execute proposal #${proposal.id} again for a new pending transaction`);
+      }
+    }
+
+    return this.queue.get(proposal.id);
+  }
+}
+
+module.exports = { TimelockManager, TIMELOCK_ACTIONS: Object.keys(ACTIONS) };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['timelock', ...process.argv.slice(2)]);
+}
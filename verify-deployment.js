@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+
+/**
+ * GlowMin Deployment Verification Script
+ *
+ * This script checks the latest deployment records in deployments/ against chain state.
+ * It verifies the mint, its authorities, the metadata account, the liquidity pool and the LP lock.
+ * For Token-2022 mints it also checks the configured extensions, the on-mint metadata and that
+ * the distribution token accounts have immutable owners.
+ *
+ * Usage: glowmin verify [options] (or node verify-deployment.js [options])
+ * Options:
+ *   --network <network>    Target network (devnet, testnet, mainnet-beta, default: network.default)
+ *   --rpc-url <url>        RPC endpoint to use instead of the configured one
+ *   --ws-url <url>         WebSocket endpoint to use instead of the configured one
+ *   --config <path>        Deployment config file (default: metadata/deployment-config.json)
+ *   --metadata <path>      Token metadata file (default: metadata/token-metadata.json)
+ *   --json                Print the verification report as JSON on stdout
+ *   --verbose             Enable verbose logging
+ *
+ * Exits with code 1 when any check fails.
+ */
+
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const {
+  getMint,
+  getAccount,
+  getTokenMetadata,
+  getMetadataPointerState,
+  getTransferFeeConfig,
+  getPermanentDelegate,
+  getImmutableOwner
+} = require('@solana/spl-token');
+const { parseAmount } = require('./lib/amount');
+const { isPlaceholder } = require('./lib/pubkey');
+const { findMetadataAddress, decodeMetadata } = require('./lib/token-metadata');
+const { readConfigFile, readMetadataFile, resolveConnection, findLatestRecord } = require('./lib/core');
+const { getTokenSettings } = require('./lib/token-program');
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../metadata/deployment-config.json');
+const METADATA_PATH = path.join(__dirname, '../metadata/token-metadata.json');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+class DeploymentVerifier {
+  /**
+   * Options: config or configPath, metadata or metadataPath, deploymentsDir, rpcUrl and
+   * wsUrl, or an injected connection to use instead of the configured RPC endpoint.
+   */
+  constructor(network = null, verbose = false, options = {}) {
+    const { configPath = CONFIG_PATH, metadataPath = METADATA_PATH, deploymentsDir = DEPLOYMENTS_DIR } = options;
+
+    this.network = network;
+    this.verbose = verbose;
+    this.deploymentsDir = deploymentsDir;
+    this.config = options.config || this.loadConfig(configPath);
+    this.token = getTokenSettings(this.config);
+    this.metadata = options.metadata || readMetadataFile(metadataPath);
+    this.connection = this.createConnection(options);
+    this.results = [];
+  }
+
+  loadConfig(configPath) {
+    const config = readConfigFile(configPath);
+
+    if (this.verbose) {
+      console.log('✅ Configuration loaded successfully');
+      console.log(`   Token: ${config.token.name} (${config.token.symbol})`);
+    }
+
+    return config;
+  }
+
+  createConnection(options) {
+    const { network, connection, settings } = resolveConnection(this.config, this.network, options);
+    this.network = network;
+
+    if (this.verbose) {
+      console.log(`✅ Connected to ${this.network} network`);
+      console.log(`   RPC URL: ${settings.url}`);
+      settings.fallbackUrls.forEach(url => console.log(`   Fallback RPC URL: ${url}`));
+      console.log(`   Commitment: ${settings.commitment}`);
+    }
+
+    return connection;
+  }
+
+  loadLatestRecord(kind) {
+    const latest = findLatestRecord(this.deploymentsDir, kind, this.network);
+
+    if (latest && this.verbose) {
+      console.log(`📄 Using ${kind} record: ${path.basename(latest.filePath)}`);
+    }
+
+    return latest ? latest.record : null;
+  }
+
+  record(name, passed, detail) {
+    this.results.push({ name, passed, detail });
+  }
+
+  expectEqual(name, actual, expected) {
+    const passed = String(actual) === String(expected);
+    this.record(name, passed, passed ? String(actual) : `expected ${expected}, found ${actual}`);
+  }
+
+  async verifyMint(mintRecord) {
+    if (!mintRecord) {
+      this.record('Mint record', false, `no minting-${this.network}-*.json record found`);
+      return;
+    }
+
+    const mintAddress = new PublicKey(mintRecord.mintAddress);
+
+    let mintInfo;
+    try {
+      mintInfo = await getMint(this.connection, mintAddress, undefined, this.token.programId);
+    } catch (error) {
+      this.record('Mint account', false, `${mintAddress.toString()} could not be read: ${error.message || error.name}`);
+      return;
+    }
+
+    this.record('Mint account', true, mintAddress.toString());
+    this.expectEqual('Mint decimals', mintInfo.decimals, this.config.token.decimals);
+    this.expectEqual('Mint supply', mintInfo.supply, parseAmount(this.config.token.total_supply));
+    this.record(
+      'Mint authority revoked',
+      mintInfo.mintAuthority === null,
+      mintInfo.mintAuthority ? `still set to ${mintInfo.mintAuthority.toString()}` : 'revoked'
+    );
+
+    const expectedFreeze = this.config.token.freeze_authority.public_key;
+    if (isPlaceholder(expectedFreeze)) {
+      this.record('Freeze authority', false, `token.freeze_authority.public_key is not configured (${expectedFreeze})`);
+    } else {
+      this.expectEqual('Freeze authority', mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toString() : null, expectedFreeze);
+    }
+
+    if (this.token.program === 'token-2022') {
+      this.verifyExtensions(mintInfo, mintAddress);
+      await this.verifyImmutableOwners(mintRecord);
+    }
+
+    return mintAddress;
+  }
+
+  // Extensions can only be enabled when the mint is created, so a missing one cannot be fixed later
+  verifyExtensions(mintInfo, mintAddress) {
+    if (this.token.metadataPointer) {
+      this.expectEqual('Metadata pointer', getMetadataPointerState(mintInfo)?.metadataAddress?.toString() ?? 'none', mintAddress.toString());
+    }
+
+    if (this.token.transferFee) {
+      const fee = getTransferFeeConfig(mintInfo)?.newerTransferFee;
+      this.expectEqual('Transfer fee basis points', fee?.transferFeeBasisPoints ?? 'none', this.token.transferFee.basisPoints);
+      this.expectEqual('Transfer fee maximum', fee?.maximumFee ?? 'none', this.token.transferFee.maximumFee);
+    }
+
+    if (this.token.permanentDelegate) {
+      this.expectEqual('Permanent delegate', getPermanentDelegate(mintInfo)?.delegate.toString() ?? 'none', this.token.permanentDelegate.toString());
+    }
+  }
+
+  async verifyImmutableOwners(mintRecord) {
+    for (const distribution of mintRecord.distributions || []) {
+      const name = `Immutable owner (${distribution.name})`;
+
+      if (!distribution.tokenAccount) {
+        this.record(name, false, 'no token account recorded');
+        continue;
+      }
+
+      try {
+        const account = await getAccount(this.connection, new PublicKey(distribution.tokenAccount), undefined, this.token.programId);
+        const immutable = getImmutableOwner(account) !== null;
+        this.record(name, immutable, immutable ? distribution.tokenAccount : `${distribution.tokenAccount} has no immutable owner extension`);
+      } catch (error) {
+        this.record(name, false, `${distribution.tokenAccount} could not be read: ${error.message || error.name}`);
+      }
+    }
+  }
+
+  async verifyOnMintMetadata(mintAddress) {
+    const onChain = await getTokenMetadata(this.connection, mintAddress, undefined, this.token.programId);
+
+    if (!onChain) {
+      this.record('On-mint metadata', false, `${mintAddress.toString()} has no token metadata`);
+      return;
+    }
+
+    this.record('On-mint metadata', true, mintAddress.toString());
+    this.expectEqual('Metadata name', onChain.name, this.metadata.name);
+    this.expectEqual('Metadata symbol', onChain.symbol, this.metadata.symbol);
+    this.expectEqual('Metadata URI', onChain.uri, this.metadata.social.website + '/metadata/token-metadata.json');
+  }
+
+  async verifyMetadata(mintAddress) {
+    if (!mintAddress) {
+      this.record('Metadata account', false, 'skipped, mint could not be verified');
+      return;
+    }
+
+    // With the metadata pointer extension the metadata lives in the mint instead of a Metaplex account
+    if (this.token.metadataPointer) {
+      await this.verifyOnMintMetadata(mintAddress);
+      return;
+    }
+
+    const programId = new PublicKey(this.config.programs.metadata_program);
+    const metadataAddress = findMetadataAddress(mintAddress, programId);
+    const account = await this.connection.getAccountInfo(metadataAddress);
+
+    if (!account || !account.owner.equals(programId)) {
+      this.record('Metadata account', false, `${metadataAddress.toString()} not found`);
+      return;
+    }
+
+    const onChain = decodeMetadata(account.data);
+
+    this.record('Metadata account', true, metadataAddress.toString());
+    this.expectEqual('Metadata name', onChain.name, this.metadata.name);
+    this.expectEqual('Metadata symbol', onChain.symbol, this.metadata.symbol);
+    this.expectEqual('Metadata URI', onChain.uri, this.metadata.social.website + '/metadata/token-metadata.json');
+  }
+
+  async verifyAccount(name, address, expectedOwner) {
+    if (!address) {
+      this.record(name, false, 'no address recorded');
+      return;
+    }
+
+    const account = await this.connection.getAccountInfo(new PublicKey(address));
+
+    if (!account) {
+      this.record(name, false, `${address} not found`);
+    } else if (expectedOwner && account.owner.toString() !== expectedOwner) {
+      this.record(name, false, `${address} is owned by ${account.owner.toString()}, expected ${expectedOwner}`);
+    } else {
+      this.record(name, true, address);
+    }
+  }
+
+  async verifyPool(poolRecord) {
+    if (!poolRecord) {
+      this.record('Pool record', false, `no pool-${this.network}-*.json record found`);
+      return;
+    }
+
+    await this.verifyAccount('Liquidity pool', poolRecord.poolAddress, poolRecord.rayiumProgram);
+    await this.verifyAccount('LP lock escrow', poolRecord.lockEscrow, this.config.liquidity.lock_program?.program_id);
+  }
+
+  printReport() {
+    console.log('\n📋 Verification Report:');
+
+    this.results.forEach(result => {
+      console.log(`   ${result.passed ? '✅' : '❌'} ${result.name}: ${result.detail}`);
+    });
+
+    const failed = this.results.filter(result => !result.passed).length;
+    console.log(`\n   ${this.results.length - failed} passed, ${failed} failed`);
+
+    return failed;
+  }
+
+  async executeVerification() {
+    console.log(`\n🔍 Verifying GlowMin deployment on ${this.network}...\n`);
+
+    try {
+      const mintAddress = await this.verifyMint(this.loadLatestRecord('minting'));
+      await this.verifyMetadata(mintAddress);
+      await this.verifyPool(this.loadLatestRecord('pool'));
+    } catch (error) {
+      this.record('Verification', false, error.message);
+
+      if (this.verbose) {
+        console.error('Full error details:', error);
+      }
+    }
+
+    const failed = this.printReport();
+
+    if (failed > 0) {
+      console.error('\n❌ Deployment does not match the expected state');
+    } else {
+      console.log('\n🎉 Deployment verified successfully!');
+    }
+
+    return { network: this.network, passed: failed === 0, results: this.results };
+  }
+}
+
+module.exports = { DeploymentVerifier };
+
+// Run the script through the glowmin CLI so flags are parsed the same way everywhere
+if (require.main === module) {
+  require('./glowmin').run(['verify', ...process.argv.slice(2)]);
+}